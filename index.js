@@ -1,6 +1,22 @@
 const Device = require('./source/device');
+const { BootError, BootManager } = require('./source/boot_manager');
+const { ConfigurationManager } = require('./source/configuration_manager');
+const {
+    DriveError,
+    DriveProfile,
+    DriveState,
+    OperationMode
+} = require('./source/drive_profile');
 const { EdsError, DataObject, Eds } = require('./source/eds');
+const { IoProfile } = require('./source/io_profile');
+const { SdoManager } = require('./source/sdo_manager');
 const { ObjectType, AccessType, DataType } = require('./source/types');
+const {
+    Storage,
+    MemoryStorage,
+    JsonStorage,
+    FileStorage
+} = require('./source/storage');
 
 const {
     EmcyType,
@@ -13,6 +29,15 @@ const {
     SdoError
 } = require('./source/protocol');
 
+const {
+    BusState,
+    Transport,
+    SlcanTransport,
+    SocketCanTransport,
+    VirtualBus,
+    VirtualTransport
+} = require('./source/transport');
+
 const {
     calculateCrc,
     typeToRaw,
@@ -22,21 +47,40 @@ const {
 } = require('./source/functions');
 
 module.exports = exports = {
+    BootError,
+    BootManager,
+    BusState,
+    ConfigurationManager,
     Device,
     DataObject,
+    DriveError,
+    DriveProfile,
+    DriveState,
     Eds,
     EdsError,
     SdoError,
     SdoCode,
+    SdoManager,
     EmcyMessage,
     EmcyCode,
     EmcyType,
     AccessType,
+    IoProfile,
     DataType,
     LssError,
     LssMode,
     NmtState,
     ObjectType,
+    OperationMode,
+    Storage,
+    MemoryStorage,
+    JsonStorage,
+    FileStorage,
+    Transport,
+    SlcanTransport,
+    SocketCanTransport,
+    VirtualBus,
+    VirtualTransport,
     calculateCrc,
     typeToRaw,
     rawToType,
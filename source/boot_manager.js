@@ -0,0 +1,584 @@
+/**
+ * @file Implements the CANopen NMT master boot-up process (CiA 302-2).
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+const EventEmitter = require('events');
+const Device = require('./device');
+const { ConfigurationManager } = require('./configuration_manager');
+const { DataType } = require('./types');
+const { NmtState } = require('./protocol/nmt');
+const { Eds } = require('./eds');
+
+/**
+ * Time to wait before retrying a failed mandatory slave (ms).
+ *
+ * @private
+ */
+const RETRY_DELAY = 100;
+
+/**
+ * Number of times to retry the first request while a slave is resetting.
+ *
+ * @private
+ */
+const RESET_RETRIES = 2;
+
+/**
+ * NMT slave boot-up status codes.
+ *
+ * @enum {string}
+ * @see CiA302-2 "Boot-up process"
+ */
+const BootError = {
+    /** The device is not listed in object 0x1F81. */
+    NOT_LISTED: 'A',
+
+    /** No response received for upload request of object 0x1000. */
+    NO_RESPONSE: 'B',
+
+    /** Object 0x1000 is different from the value in object 0x1F84. */
+    DEVICE_TYPE: 'C',
+
+    /** Object 0x1018 sub-index 1 is different from object 0x1F85. */
+    VENDOR_ID: 'D',
+
+    /** Heartbeat event. No heartbeat message received from the device. */
+    HEARTBEAT: 'E',
+
+    /** Node guarding event. No response to a guarding request. */
+    NODE_GUARDING: 'F',
+
+    /** Objects for program download are not configured or inconsistent. */
+    PROGRAM_CONFIGURATION: 'G',
+
+    /** Software update is required, but not allowed. */
+    SOFTWARE_UPDATE: 'H',
+
+    /** Software update is required, but program download failed. */
+    PROGRAM_DOWNLOAD: 'I',
+
+    /** Configuration download failed. */
+    CONFIGURATION: 'J',
+
+    /** No heartbeat message received while starting error control. */
+    ERROR_CONTROL: 'K',
+
+    /** The NMT slave was initially operational. */
+    INITIALLY_OPERATIONAL: 'L',
+
+    /** Object 0x1018 sub-index 2 is different from object 0x1F86. */
+    PRODUCT_CODE: 'M',
+
+    /** Object 0x1018 sub-index 3 is different from object 0x1F87. */
+    REVISION_NUMBER: 'N',
+
+    /** Object 0x1018 sub-index 4 is different from object 0x1F88. */
+    SERIAL_NUMBER: 'O',
+};
+
+/**
+ * Wait for a number of milliseconds.
+ *
+ * @param {number} ms - time to wait.
+ * @returns {Promise} resolves after the delay.
+ * @private
+ */
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * CANopen NMT master boot-up manager.
+ *
+ * Boots the NMT slaves listed in object 0x1F81 (NMT slave assignment) as
+ * described by object 0x1F80 (NMT startup). Each slave's identity is checked
+ * against objects 0x1F84 to 0x1F88, it is configured from its DCF (or its
+ * concise DCF in object 0x1F22), error control is started, and then the
+ * network is started. Program download and restoring factory defaults are not
+ * supported.
+ *
+ * @param {Device} device - NMT master device.
+ * @param {object} [args] - arguments.
+ * @param {number} [args.sdoTimeout] - SDO transfer timeout (ms).
+ * @see CiA302-2 "Boot-up process"
+ * @since 6.3.0
+ */
+class BootManager extends EventEmitter {
+    constructor(device, args = {}) {
+        super();
+
+        if (!(device instanceof Device))
+            throw new TypeError('device must be a Device');
+
+        this.device = device;
+        this.sdoTimeout = args.sdoTimeout;
+        this.configurationManager = new ConfigurationManager(device, args);
+        this.configurations = {};
+        this.status = {};
+        this._booting = false;
+        this._errorListeners = null;
+    }
+
+    /**
+     * The master's Eds.
+     *
+     * @type {Eds}
+     */
+    get eds() {
+        return this.device.eds;
+    }
+
+    /**
+     * NMT slaves listed in object 0x1F81.
+     *
+     * @type {Array<number>}
+     */
+    get slaves() {
+        const slaves = [];
+        for (let deviceId = 1; deviceId <= 0x7F; ++deviceId) {
+            const assignment = this.eds.getSlaveAssignment(deviceId);
+            if (assignment && assignment.slave)
+                slaves.push(deviceId);
+        }
+
+        return slaves;
+    }
+
+    /**
+     * Set the DCF used to configure an NMT slave.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {Eds | string} dcf - device configuration file.
+     */
+    setConfiguration(deviceId, dcf) {
+        if (typeof dcf === 'string')
+            dcf = Eds.fromFile(dcf);
+
+        if (!Eds.isEds(dcf))
+            throw new TypeError('dcf must be an Eds');
+
+        this.configurations[deviceId] = dcf;
+    }
+
+    /**
+     * Boot the network.
+     *
+     * Does nothing if object 0x1F80 (NMT startup) does not declare this
+     * device the NMT master. Mandatory slaves are retried until the time in
+     * object 0x1F89 (Boot time) expires, or until they boot or
+     * {@link BootManager#stop} is called if no boot time is set.
+     *
+     * @returns {Promise<object>} boot status of each slave (null on success).
+     * @fires BootManager#bootStatus
+     */
+    async start() {
+        const startup = this.eds.getNmtStartup();
+        if (!(startup & (1 << 0)))
+            return {};
+
+        this._addErrorListeners();
+        this._booting = true;
+
+        const bootTime = this.eds.getBootTime();
+        const deadline = (bootTime) ? Date.now() + bootTime : null;
+
+        const slaves = this.slaves;
+        await Promise.all(slaves.map(async (deviceId) => {
+            let error = await this.bootSlave(deviceId);
+            const { mandatory } = this.eds.getSlaveAssignment(deviceId);
+            while (error && mandatory) {
+                if (deadline && Date.now() + RETRY_DELAY >= deadline)
+                    break;
+
+                await delay(RETRY_DELAY);
+                if (!this._booting)
+                    break; // Stopped
+
+                error = await this.bootSlave(deviceId);
+            }
+        }));
+
+        if (!this._booting)
+            return this.status;
+
+        this._booting = false;
+
+        const failed = slaves.filter((deviceId) => this._isMandatoryError(
+            deviceId, this.status[deviceId]));
+
+        if (failed.length > 0) {
+            this._handleMandatoryError();
+            return this.status;
+        }
+
+        const nmt = this.device.nmt;
+
+        // 0x1F80 bit 3 - Do not start the NMT slaves
+        if (!(startup & (1 << 3))) {
+            if (startup & (1 << 1)) {
+                // 0x1F80 bit 1 - Start all nodes
+                nmt.startNode(0);
+            }
+            else {
+                for (const deviceId of slaves) {
+                    if (!this.status[deviceId])
+                        nmt.startNode(deviceId);
+                }
+            }
+        }
+
+        // 0x1F80 bit 2 - Do not enter operational automatically
+        if (!(startup & (1 << 2)))
+            nmt.startNode();
+
+        return this.status;
+    }
+
+    /**
+     * Stop monitoring the NMT slaves and cancel a boot in progress.
+     */
+    stop() {
+        this._booting = false;
+        this._removeErrorListeners();
+        for (const deviceId of this.slaves)
+            this.device.nmt.stopNodeGuarding(deviceId);
+    }
+
+    /**
+     * Run the boot slave process for a single NMT slave.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @returns {Promise<BootError | null>} boot status (null on success).
+     * @fires BootManager#bootStatus
+     */
+    async bootSlave(deviceId) {
+        const assignment = this.eds.getSlaveAssignment(deviceId);
+        if (!assignment || !assignment.slave)
+            return this._setStatus(deviceId, BootError.NOT_LISTED);
+
+        this._mapSdoClient(deviceId);
+
+        let error = null;
+        if (assignment.keepAlive
+            && this._getSlaveState(deviceId) === NmtState.OPERATIONAL) {
+            // Resume operation without resetting the slave
+            error = BootError.INITIALLY_OPERATIONAL;
+        }
+        else {
+            this.device.nmt.resetCommunication(deviceId);
+
+            error = await this._checkIdentity(deviceId);
+            if (error)
+                return this._setStatus(deviceId, error);
+
+            if (assignment.verifySoftware || assignment.updateSoftware) {
+                // Program download is not supported
+                error = BootError.PROGRAM_CONFIGURATION;
+                return this._setStatus(deviceId, error);
+            }
+
+            error = await this._configure(deviceId);
+            if (error)
+                return this._setStatus(deviceId, error);
+        }
+
+        const errorControl = await this._startErrorControl(deviceId);
+        if (errorControl)
+            error = errorControl;
+
+        return this._setStatus(deviceId, error);
+    }
+
+    /**
+     * Add an SDO client parameter for the default SDO of a slave if it is
+     * not already mapped.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @private
+     */
+    _mapSdoClient(deviceId) {
+        for (const server of this.eds.getSdoClientParameters()) {
+            if (server.deviceId === deviceId)
+                return;
+        }
+
+        this.eds.addSdoClientParameter(
+            deviceId, 0x600 + deviceId, 0x580 + deviceId);
+    }
+
+    /**
+     * Get the NMT state of a slave from its heartbeat or node guarding.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @returns {NmtState | null} the slave state or null if unknown.
+     * @private
+     */
+    _getSlaveState(deviceId) {
+        const nmt = this.device.nmt;
+        if (nmt.consumers[deviceId])
+            return nmt.consumers[deviceId].state;
+
+        if (nmt.guards[deviceId])
+            return nmt.guards[deviceId].state;
+
+        return null;
+    }
+
+    /**
+     * Upload a value from a slave.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {number} index - object index.
+     * @param {number} [subIndex] - object sub-index.
+     * @returns {Promise<number>} the uploaded value.
+     * @private
+     */
+    _upload(deviceId, index, subIndex = null) {
+        return this.device.sdo.upload({
+            deviceId,
+            index,
+            subIndex,
+            dataType: DataType.UNSIGNED32,
+            timeout: this.sdoTimeout,
+        });
+    }
+
+    /**
+     * Check the slave's identity against objects 0x1F84 to 0x1F88.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @returns {Promise<BootError | null>} boot error or null.
+     * @private
+     */
+    async _checkIdentity(deviceId) {
+        const expected = this.eds.getExpectedIdentity(deviceId);
+
+        // The slave may not respond until it has finished resetting
+        let deviceType;
+        for (let i = 0; deviceType === undefined; ++i) {
+            try {
+                deviceType = await this._upload(deviceId, 0x1000);
+            }
+            catch (e) {
+                if (i >= RESET_RETRIES)
+                    return BootError.NO_RESPONSE;
+            }
+        }
+
+        if (expected.deviceType && expected.deviceType !== deviceType)
+            return BootError.DEVICE_TYPE;
+
+        const checks = [
+            ['vendorId', 1, BootError.VENDOR_ID],
+            ['productCode', 2, BootError.PRODUCT_CODE],
+            ['revisionNumber', 3, BootError.REVISION_NUMBER],
+            ['serialNumber', 4, BootError.SERIAL_NUMBER],
+        ];
+
+        for (const [key, subIndex, error] of checks) {
+            if (!expected[key])
+                continue;
+
+            try {
+                const value = await this._upload(deviceId, 0x1018, subIndex);
+                if (value !== expected[key])
+                    return error;
+            }
+            catch (e) {
+                return error;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Configure a slave from its DCF, or from its concise DCF in object
+     * 0x1F22 if a DCF was not set.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @returns {Promise<BootError | null>} boot error or null.
+     * @private
+     */
+    async _configure(deviceId) {
+        let dcf = this.configurations[deviceId];
+        if (!dcf)
+            dcf = this.eds.getConciseDcf(deviceId);
+
+        if (!dcf)
+            return null;
+
+        try {
+            await this.configurationManager.configure(deviceId, dcf);
+        }
+        catch (e) {
+            return BootError.CONFIGURATION;
+        }
+
+        return null;
+    }
+
+    /**
+     * Start heartbeat consumption or node guarding of a slave.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @returns {Promise<BootError | null>} boot error or null.
+     * @private
+     */
+    async _startErrorControl(deviceId) {
+        const nmt = this.device.nmt;
+
+        const consumerTime = nmt.getConsumerTime(deviceId);
+        if (consumerTime) {
+            const state = await nmt.getNodeState(deviceId, consumerTime);
+            if (state === null)
+                return BootError.ERROR_CONTROL;
+
+            return null;
+        }
+
+        const { guardTime, retryFactor } = this.eds.getSlaveAssignment(
+            deviceId);
+
+        if (guardTime && retryFactor)
+            nmt.startNodeGuarding(deviceId, guardTime, retryFactor);
+
+        return null;
+    }
+
+    /**
+     * Returns true if the status is an error for a mandatory slave.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {BootError | null} status - boot status.
+     * @returns {boolean} true if the network boot must be stopped.
+     * @private
+     */
+    _isMandatoryError(deviceId, status) {
+        if (!status || status === BootError.INITIALLY_OPERATIONAL)
+            return false;
+
+        const assignment = this.eds.getSlaveAssignment(deviceId);
+        return !!(assignment && assignment.mandatory);
+    }
+
+    /**
+     * Reset or stop the slaves after a mandatory slave error as described by
+     * object 0x1F80 (NMT startup).
+     *
+     * @private
+     */
+    _handleMandatoryError() {
+        const startup = this.eds.getNmtStartup();
+        const nmt = this.device.nmt;
+
+        if (startup & (1 << 6)) {
+            // 0x1F80 bit 6 - Stop all nodes
+            for (const deviceId of this.slaves)
+                nmt.stopNode(deviceId);
+        }
+        else if (startup & (1 << 4)) {
+            // 0x1F80 bit 4 - Reset all nodes
+            for (const deviceId of this.slaves)
+                nmt.resetCommunication(deviceId);
+        }
+    }
+
+    /**
+     * Update and emit the boot status of a slave.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {BootError | null} error - boot status.
+     * @returns {BootError | null} the boot status.
+     * @fires BootManager#bootStatus
+     * @private
+     */
+    _setStatus(deviceId, error) {
+        this.status[deviceId] = error;
+
+        /**
+         * The boot status of an NMT slave changed.
+         *
+         * @event BootManager#bootStatus
+         * @type {object}
+         * @property {number} deviceId - device identifier.
+         * @property {BootError | null} error - boot status (null on success).
+         */
+        this.emit('bootStatus', { deviceId, error });
+
+        return error;
+    }
+
+    /**
+     * Listen for error control events of the NMT slaves.
+     *
+     * @listens Nmt#timeout
+     * @listens Nmt#guardingError
+     * @private
+     */
+    _addErrorListeners() {
+        if (this._errorListeners)
+            return;
+
+        this._errorListeners = {
+            timeout: (deviceId) => {
+                this._handleErrorControl(deviceId, BootError.HEARTBEAT);
+            },
+            guardingError: ({ deviceId, reason }) => {
+                if (reason === 'timeout') {
+                    this._handleErrorControl(
+                        deviceId, BootError.NODE_GUARDING);
+                }
+            },
+        };
+
+        for (const [name, listener] of Object.entries(this._errorListeners))
+            this.device.nmt.addListener(name, listener);
+    }
+
+    /**
+     * Remove the error control listeners.
+     *
+     * @private
+     */
+    _removeErrorListeners() {
+        if (!this._errorListeners)
+            return;
+
+        for (const [name, listener] of Object.entries(this._errorListeners))
+            this.device.nmt.removeListener(name, listener);
+
+        this._errorListeners = null;
+    }
+
+    /**
+     * Handle an error control event of an NMT slave.
+     *
+     * @param {number} deviceId - device identifier.
+     * @param {BootError} error - error control event.
+     * @private
+     */
+    _handleErrorControl(deviceId, error) {
+        const assignment = this.eds.getSlaveAssignment(deviceId);
+        if (!assignment || !assignment.slave)
+            return;
+
+        this._setStatus(deviceId, error);
+        if (assignment.mandatory) {
+            this._handleMandatoryError();
+        }
+        else if (assignment.boot) {
+            // 0x1F81 bit 2 - Restart the boot slave process
+            this.bootSlave(deviceId)
+                .then((status) => {
+                    if (!status && !(this.eds.getNmtStartup() & (1 << 3)))
+                        this.device.nmt.startNode(deviceId);
+                })
+                .catch(() => this._setStatus(deviceId, error));
+        }
+    }
+}
+
+module.exports = exports = { BootError, BootManager };
@@ -0,0 +1,366 @@
+/**
+ * @file Implements a configuration manager for remote devices (CiA 302-3).
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+const Device = require('./device');
+const { Eds, EdsError } = require('./eds');
+const { AccessType, ObjectType } = require('./types');
+
+/**
+ * Parse a concise DCF.
+ *
+ * The concise DCF is a list of entries prefixed by the number of entries
+ * (UNSIGNED32). Each entry is an index (UNSIGNED16), a sub-index (UNSIGNED8),
+ * the data size (UNSIGNED32), and the data.
+ *
+ * @param {Buffer} data - concise DCF.
+ * @returns {Array<object>} [{ index, subIndex, raw } ... ]
+ * @see CiA302-3 "Object 1F22h: Concise DCF"
+ * @private
+ */
+function parseConciseDcf(data) {
+    if (data.length < 4)
+        throw new EdsError('concise DCF is too short');
+
+    const count = data.readUInt32LE(0);
+    const entries = [];
+
+    let offset = 4;
+    for (let i = 0; i < count; ++i) {
+        if (offset + 7 > data.length)
+            throw new EdsError('concise DCF is truncated');
+
+        const index = data.readUInt16LE(offset);
+        const subIndex = data.readUInt8(offset + 2);
+        const size = data.readUInt32LE(offset + 3);
+        offset += 7;
+
+        if (offset + size > data.length)
+            throw new EdsError('concise DCF is truncated');
+
+        const raw = data.subarray(offset, offset + size);
+        offset += size;
+
+        entries.push({ index, subIndex, raw });
+    }
+
+    return entries;
+}
+
+/**
+ * Get the writable entries of an Eds.
+ *
+ * @param {Eds} eds - Eds to search.
+ * @returns {Array<object>} [{ index, subIndex, raw } ... ]
+ * @private
+ */
+function getEdsEntries(eds) {
+    const entries = [];
+    for (const entry of eds.values()) {
+        let objects = [entry];
+        if (entry.subNumber) {
+            // Sub-index 0 is the number of mapped objects for PDO mappings
+            const index = entry.index;
+            const isMapping = (index >= 0x1600 && index <= 0x17FF)
+                || (index >= 0x1A00 && index <= 0x1BFF);
+
+            objects = entry._subObjects.slice((isMapping) ? 0 : 1);
+        }
+
+        for (const obj of objects) {
+            if (obj === undefined || obj.objectType !== ObjectType.VAR)
+                continue;
+
+            if (obj.accessType === AccessType.READ_ONLY
+                || obj.accessType === AccessType.CONSTANT)
+                continue;
+
+            entries.push({
+                index: obj.index,
+                subIndex: obj.subIndex || 0,
+                raw: obj.raw,
+            });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Returns true if the index is a PDO communication or mapping parameter.
+ *
+ * @param {number} index - object index.
+ * @returns {boolean} true if the index is a PDO parameter.
+ * @private
+ */
+function isPdoParameter(index) {
+    return index >= 0x1400 && index <= 0x1BFF;
+}
+
+/**
+ * CANopen configuration manager.
+ *
+ * Writes a device configuration (DCF or concise DCF) to a remote device over
+ * SDO. Only entries that differ from the remote object dictionary are
+ * written, and PDOs are remapped using the procedure from CiA 301.
+ *
+ * @param {Device} device - device used as the SDO client.
+ * @param {object} [args] - arguments.
+ * @param {number} [args.sdoTimeout] - SDO transfer timeout (ms).
+ * @see CiA302-3 "Configuration manager"
+ * @since 6.3.0
+ */
+class ConfigurationManager {
+    constructor(device, args = {}) {
+        if (!(device instanceof Device))
+            throw new TypeError('device must be a Device');
+
+        this.device = device;
+        this.sdoTimeout = args.sdoTimeout;
+    }
+
+    /**
+     * Configure a remote device.
+     *
+     * If no configuration is given, then the concise DCF stored for the
+     * device in object 0x1F22 is used. $NODEID expressions in an EDS or DCF
+     * are evaluated against deviceId.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {Eds | Buffer | string} [dcf] - DCF, concise DCF, or DCF path.
+     * @param {object} [options] - configuration options.
+     * @param {boolean | number} [options.store] - store the configuration by
+     * writing to object 0x1010. A number selects the 0x1010 sub-index.
+     * @returns {Promise<Array<object>>} written entries [{ index, subIndex }].
+     */
+    async configure(deviceId, dcf, options = {}) {
+        if (dcf === undefined) {
+            dcf = this.device.eds.getConciseDcf(deviceId);
+            if (!dcf) {
+                const id = '0x' + deviceId.toString(16);
+                throw new ReferenceError(`no concise DCF for ${id}`);
+            }
+        }
+
+        if (typeof dcf === 'string')
+            dcf = Eds.fromFile(dcf);
+
+        let entries;
+        if (Buffer.isBuffer(dcf)) {
+            entries = parseConciseDcf(dcf);
+        }
+        else if (Eds.isEds(dcf)) {
+            // Evaluate $NODEID expressions for the device (on a copy)
+            if (dcf.nodeId !== deviceId)
+                dcf = dcf.toDcf({ nodeId: deviceId });
+
+            entries = getEdsEntries(dcf);
+        }
+        else {
+            throw new TypeError('dcf must be an Eds or Buffer');
+        }
+
+        // Do not trigger the storage commands
+        entries = entries.filter(
+            ({ index }) => index !== 0x1010 && index !== 0x1011);
+
+        const written = [];
+
+        for (const entry of entries) {
+            if (isPdoParameter(entry.index))
+                continue;
+
+            if (await this._isEqual(deviceId, entry))
+                continue;
+
+            await this._download(deviceId, entry);
+            written.push(entry);
+        }
+
+        // Group PDO parameters by communication parameter index
+        const pdos = new Map();
+        for (const entry of entries) {
+            if (!isPdoParameter(entry.index))
+                continue;
+
+            const commIndex = (entry.index & 0x200)
+                ? entry.index - 0x200 : entry.index;
+
+            if (!pdos.has(commIndex))
+                pdos.set(commIndex, []);
+
+            pdos.get(commIndex).push(entry);
+        }
+
+        for (const [commIndex, pdoEntries] of pdos) {
+            const changed = [];
+            for (const entry of pdoEntries) {
+                if (!(await this._isEqual(deviceId, entry)))
+                    changed.push(entry);
+            }
+
+            if (changed.length > 0) {
+                const result = await this._remapPdo(
+                    deviceId, commIndex, pdoEntries, changed);
+
+                written.push(...result);
+            }
+        }
+
+        if (options.store) {
+            const subIndex = (typeof options.store === 'number')
+                ? options.store : 1;
+
+            await this._download(deviceId, {
+                index: 0x1010,
+                subIndex,
+                raw: Buffer.from('save'),
+            });
+        }
+
+        return written.map(({ index, subIndex }) => ({ index, subIndex }));
+    }
+
+    /**
+     * Write a PDO configuration.
+     * 1. Set the COB-ID invalid bit.
+     * 2. Set the number of mapped objects to zero.
+     * 3. Write the mapping and the changed communication parameters.
+     * 4. Write the number of mapped objects.
+     * 5. Write the COB-ID.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {number} commIndex - PDO communication parameter index.
+     * @param {Array<object>} entries - PDO parameters.
+     * @param {Array<object>} changed - PDO parameters that differ.
+     * @returns {Promise<Array<object>>} written entries.
+     * @see CiA301 "PDO mapping procedure" (§7.5.2.36)
+     * @private
+     */
+    async _remapPdo(deviceId, commIndex, entries, changed) {
+        const mapIndex = commIndex + 0x200;
+        const written = [];
+
+        // 1. Disable the PDO
+        let cobId = entries.find(
+            (e) => e.index === commIndex && e.subIndex === 1);
+
+        const current = await this._upload(deviceId, commIndex, 1);
+        const value = current.readUInt32LE();
+        if (!(value & 0x80000000)) {
+            const raw = Buffer.alloc(4);
+            raw.writeUInt32LE((value | 0x80000000) >>> 0);
+            await this._download(deviceId, {
+                index: commIndex,
+                subIndex: 1,
+                raw,
+            });
+
+            // Restore the current COB-ID if a new one was not given
+            if (!cobId)
+                cobId = { index: commIndex, subIndex: 1, raw: current };
+        }
+
+        // 2. Disable the mapping
+        const count = entries.find(
+            (e) => e.index === mapIndex && e.subIndex === 0);
+
+        if (count) {
+            await this._download(deviceId, {
+                index: mapIndex,
+                subIndex: 0,
+                raw: Buffer.alloc(1),
+            });
+        }
+
+        // 3. Write the mapping and remaining communication parameters
+        const mapping = entries
+            .filter((e) => e.index === mapIndex && e.subIndex > 0)
+            .sort((a, b) => a.subIndex - b.subIndex);
+
+        const comm = changed
+            .filter((e) => e.index === commIndex && e.subIndex > 1)
+            .sort((a, b) => a.subIndex - b.subIndex);
+
+        for (const entry of [...mapping, ...comm]) {
+            await this._download(deviceId, entry);
+            written.push(entry);
+        }
+
+        // 4. Enable the mapping
+        if (count) {
+            await this._download(deviceId, count);
+            written.push(count);
+        }
+
+        // 5. Enable the PDO
+        if (cobId) {
+            await this._download(deviceId, cobId);
+            if (entries.includes(cobId))
+                written.push(cobId);
+        }
+
+        return written;
+    }
+
+    /**
+     * Returns true if the remote value matches the entry.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {object} entry - entry to compare.
+     * @returns {Promise<boolean>} true if the values are equal.
+     * @private
+     */
+    async _isEqual(deviceId, entry) {
+        try {
+            const raw = await this._upload(
+                deviceId, entry.index, entry.subIndex);
+
+            return Buffer.compare(raw, entry.raw) === 0;
+        }
+        catch (e) {
+            // Write-only or unreadable, always write the value
+            return false;
+        }
+    }
+
+    /**
+     * Upload a raw value from the remote device.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {number} index - object index.
+     * @param {number} subIndex - object sub-index.
+     * @returns {Promise<Buffer>} uploaded data.
+     * @private
+     */
+    _upload(deviceId, index, subIndex) {
+        return this.device.sdo.upload({
+            deviceId,
+            index,
+            subIndex,
+            timeout: this.sdoTimeout,
+        });
+    }
+
+    /**
+     * Download a raw value to the remote device.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {object} entry - entry to write.
+     * @returns {Promise} resolves when the transfer is complete.
+     * @private
+     */
+    _download(deviceId, entry) {
+        return this.device.sdo.download({
+            deviceId,
+            index: entry.index,
+            subIndex: entry.subIndex,
+            data: entry.raw,
+            timeout: this.sdoTimeout,
+        });
+    }
+}
+
+module.exports = exports = { ConfigurationManager };
@@ -7,15 +7,19 @@
 const EventEmitter = require('events');
 const { deprecate } = require('util');
 
-const { Emcy } = require('./protocol/emcy');
+const { Emcy, EmcyCode } = require('./protocol/emcy');
 const { Lss } = require('./protocol/lss');
 const { Nmt, NmtState } = require('./protocol/nmt');
 const { Pdo } = require('./protocol/pdo');
 const { SdoClient } = require('./protocol/sdo_client');
 const { SdoServer } = require('./protocol/sdo_server');
+const { SdoError } = require('./protocol/sdo');
 const { Sync } = require('./protocol/sync');
 const { Time } = require('./protocol/time');
 const { Eds, EdsError } = require('./eds');
+const { AccessType } = require('./types');
+const { BusState, Transport } = require('./transport/transport');
+const typeToRaw = require('./functions/type_to_raw');
 
 /**
  * A CANopen device.
@@ -27,12 +31,18 @@ const { Eds, EdsError } = require('./eds');
  * @param {number} [args.id] - device identifier [1-127].
  * @param {boolean} [args.loopback] - enable loopback mode.
  * @param {boolean} [args.enableLss] - enable layer setting services.
+ * @param {Storage} [args.storage] - storage backend for object 0x1010 (Store
+ * parameters) and object 0x1011 (Restore default parameters).
+ * @param {boolean} [args.pdoEmcy] - produce EMCY messages for RPDO timeouts
+ * (0x8250) and RPDO length errors (0x8210).
  */
 class Device extends EventEmitter {
     constructor(args = {}) {
         super();
         this._stateListener = null;
         this._resetListener = null;
+        this._transport = null;
+        this._transportListeners = null;
 
         if (typeof args.eds === 'string')
             this.eds = Eds.fromFile(args.eds);
@@ -63,6 +73,25 @@ class Device extends EventEmitter {
             this.id = args.id;
         }
 
+        if (args.storage) {
+            if (this.eds.getStoreParameters() === null)
+                this.eds.setStoreParameters(true);
+
+            if (this.eds.getRestoreParameters() === null)
+                this.eds.setRestoreParameters(true);
+
+            this.sdoServer.setStorage(args.storage);
+            args.storage.load(this.eds);
+        }
+
+        if (args.pdoEmcy) {
+            this.pdo.addListener('pdoTimeout',
+                () => this._writeEmcy(EmcyCode.RPDO_TIMEOUT));
+
+            this.pdo.addListener('pdoLength',
+                () => this._writeEmcy(EmcyCode.PDO_LENGTH));
+        }
+
         if (args.loopback) {
             this.addListener('message', (m) => {
                 /* We use setImmediate here to decouple the send/receive calls
@@ -92,7 +121,8 @@ class Device extends EventEmitter {
     }
 
     /**
-     * The device id.
+     * The device id. Setting the id also re-evaluates any $NODEID expressions
+     * in the Eds.
      *
      * @type {number}
      */
@@ -102,6 +132,7 @@ class Device extends EventEmitter {
 
     set id(value) {
         this._id = value;
+        this.eds.nodeId = value;
         this.nmt.deviceId = value;
     }
 
@@ -197,6 +228,7 @@ class Device extends EventEmitter {
      * @param {number} message.id - CAN message identifier.
      * @param {Buffer} message.data - CAN message data;
      * @param {number} message.len - CAN message length in bytes.
+     * @param {boolean} [message.rtr] - true for a remote transmission request.
      */
     receive(message) {
         if (message.id == 0x0) {
@@ -250,6 +282,64 @@ class Device extends EventEmitter {
             obj.stop();
     }
 
+    /**
+     * Connect the device to a CAN transport and open it.
+     *
+     * Outgoing messages are written to the transport and incoming frames are
+     * passed to Device.receive(). Changes to the controller error state set
+     * the communication error bit of the error register (0x1001) and produce
+     * the matching EMCY codes (BUS_PASSIVE, BUS_OFF_RECOVERED, CAN_OVERRUN)
+     * if EMCY production is enabled.
+     *
+     * @param {Transport} transport - CAN transport.
+     * @returns {Promise} resolves when the transport is open.
+     * @since 6.3.0
+     */
+    attach(transport) {
+        if (!(transport instanceof Transport))
+            throw new TypeError('transport must be a Transport');
+
+        this.detach();
+
+        this._transport = transport;
+        this._transportListeners = {
+            send: (message) => transport.send(message),
+            receive: (message) => this.receive(message),
+            busState: (event) => this._changeBusState(event),
+            overrun: () => this._writeEmcy(EmcyCode.CAN_OVERRUN),
+        };
+
+        this.addListener('message', this._transportListeners.send);
+        transport.addListener('message', this._transportListeners.receive);
+        transport.addListener('busState', this._transportListeners.busState);
+        transport.addListener('overrun', this._transportListeners.overrun);
+
+        return transport.open();
+    }
+
+    /**
+     * Disconnect the device from its transport. The transport is not closed.
+     *
+     * @returns {Transport | null} the detached transport.
+     * @since 6.3.0
+     */
+    detach() {
+        const transport = this._transport;
+        if (!transport)
+            return null;
+
+        const listeners = this._transportListeners;
+        this.removeListener('message', listeners.send);
+        transport.removeListener('message', listeners.receive);
+        transport.removeListener('busState', listeners.busState);
+        transport.removeListener('overrun', listeners.overrun);
+
+        this._transport = null;
+        this._transportListeners = null;
+
+        return transport;
+    }
+
     /**
      * Map a remote node's EDS file on to this Device.
      *
@@ -258,6 +348,11 @@ class Device extends EventEmitter {
      * receive/consumer analogues. Note that this method will heavily modify
      * the Device's internal EDS file.
      *
+     * Objects mapped to a remote TPDO are copied starting at dataStart and
+     * mapped to a local RPDO. The copies are created with
+     * AccessType.READ_WRITE_WRITE so that the RPDO can write them, even if the
+     * remote object is read only.
+     *
      * This may be called multiple times to map more than one EDS.
      *
      * @param {object} args - method arguments.
@@ -336,10 +431,21 @@ class Device extends EventEmitter {
                     if (!mapped[obj.index]) {
                         mapped[obj.index] = dataIndex;
 
-                        // Add data object to device EDS
-                        this.eds.addEntry(dataIndex, obj);
-                        for (let j = 1; j < obj.subNumber; ++j)
-                            this.eds.addSubEntry(dataIndex, j, obj[j]);
+                        // Add data object to device EDS. The local copy is
+                        // written by the RPDO, so it is created as
+                        // READ_WRITE_WRITE whatever the remote access is.
+                        const accessType = AccessType.READ_WRITE_WRITE;
+                        if (obj.subNumber) {
+                            this.eds.addEntry(dataIndex, obj);
+                            for (let j = 1; j < obj.subNumber; ++j) {
+                                this.eds.addSubEntry(dataIndex, j,
+                                    { ...obj[j], accessType });
+                            }
+                        }
+                        else {
+                            this.eds.addEntry(dataIndex,
+                                { ...obj, accessType });
+                        }
                     }
 
                     // Prepare to map the new data object
@@ -475,8 +581,12 @@ class Device extends EventEmitter {
      *
      * @param {number | string} index - index or name of the entry.
      * @param {number | bigint | string | Date} value - value to set.
+     * @param {object} [options] - optional arguments.
+     * @param {boolean} [options.validate] - apply the same checks as an SDO
+     * download (see {@link SdoServer#validateDownload}).
+     * @throws {SdoError} if validate is set and the value is rejected.
      */
-    setValue(index, value) {
+    setValue(index, value, options = {}) {
         const entry = this.eds.getEntry(index);
         if (!entry) {
             if (typeof index === 'number')
@@ -485,6 +595,9 @@ class Device extends EventEmitter {
             throw new EdsError(`entry ${index} does not exist`);
         }
 
+        if (options.validate)
+            this._validate(entry, value);
+
         entry.value = value;
     }
 
@@ -494,8 +607,12 @@ class Device extends EventEmitter {
      * @param {number | string} index - index or name of the entry.
      * @param {number} subIndex - array sub-index to set;
      * @param {number | bigint | string | Date} value - value to set.
+     * @param {object} [options] - optional arguments.
+     * @param {boolean} [options.validate] - apply the same checks as an SDO
+     * download (see {@link SdoServer#validateDownload}).
+     * @throws {SdoError} if validate is set and the value is rejected.
      */
-    setValueArray(index, subIndex, value) {
+    setValueArray(index, subIndex, value, options = {}) {
         const entry = this.eds.getSubEntry(index, subIndex);
         if (!entry) {
             if (typeof index === 'number')
@@ -504,6 +621,9 @@ class Device extends EventEmitter {
             throw new EdsError(`entry ${index}[${subIndex}] does not exist`);
         }
 
+        if (options.validate)
+            this._validate(entry, value);
+
         entry.value = value;
     }
 
@@ -583,6 +703,24 @@ class Device extends EventEmitter {
         entry.scaleFactor = scaleFactor;
     }
 
+    /**
+     * Check a value with the SDO server validator.
+     *
+     * @param {DataObject} entry - entry to write.
+     * @param {number | bigint | string | Date} value - value to set.
+     * @throws {SdoError} if the value is rejected.
+     * @private
+     */
+    _validate(entry, value) {
+        if (entry.subNumber)
+            return; // Rejected by the DataObject
+
+        const raw = typeToRaw(value, entry.dataType, entry.scaleFactor);
+        const code = this.sdoServer.validateDownload(entry, raw);
+        if (code)
+            throw new SdoError(code, entry.index, entry.subIndex);
+    }
+
     /**
      * Reset the Device.
      *
@@ -594,6 +732,12 @@ class Device extends EventEmitter {
         if (resetEds)
             this.eds.reset();
 
+        // Load the stored parameters (sub-index 1 for all parameters, or 2
+        // for only the communication parameters).
+        const storage = this.sdoServer.storage;
+        if (storage)
+            storage.load(this.eds, (resetEds) ? 1 : 2);
+
         setImmediate(() => {
             // Stop all modules
             this.stop();
@@ -603,6 +747,37 @@ class Device extends EventEmitter {
         });
     }
 
+    /**
+     * Called when the transport's controller error state changes.
+     *
+     * @param {object} event - bus state event.
+     * @param {BusState} event.state - new state.
+     * @param {BusState} event.previous - previous state.
+     * @listens Transport#busState
+     * @private
+     */
+    _changeBusState({ state, previous }) {
+        this.eds.setErrorRegister({
+            communication: state !== BusState.ERROR_ACTIVE,
+        });
+
+        if (state === BusState.ERROR_PASSIVE)
+            this._writeEmcy(EmcyCode.BUS_PASSIVE);
+        else if (previous === BusState.BUS_OFF)
+            this._writeEmcy(EmcyCode.BUS_OFF_RECOVERED);
+    }
+
+    /**
+     * Produce an EMCY message if EMCY production is enabled.
+     *
+     * @param {EmcyCode} code - error code.
+     * @private
+     */
+    _writeEmcy(code) {
+        if (this.emcy.started && this.eds.getEmcyValid())
+            this.emcy.write(code);
+    }
+
     /**
      * Called on Nmt#changeState
      *
@@ -611,6 +786,8 @@ class Device extends EventEmitter {
      * @private
      */
     _changeState(state) {
+        this.sdoServer.setNmtState(state);
+
         switch (state) {
             case NmtState.PRE_OPERATIONAL:
                 // Start all...
@@ -0,0 +1,678 @@
+/**
+ * @file Implements a CiA 402 drive profile helper for remote devices.
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+const EventEmitter = require('events');
+const Device = require('./device');
+const { DataObject, EdsError } = require('./eds');
+const { DataType } = require('./types');
+
+/**
+ * CiA 402 power drive system states.
+ *
+ * @enum {number}
+ * @see CiA402-2 "Finite state automaton"
+ */
+const DriveState = {
+    /** Low-level power has been applied, the drive is initializing. */
+    NOT_READY_TO_SWITCH_ON: 0,
+
+    /** Drive initialization is complete, high-voltage may be applied. */
+    SWITCH_ON_DISABLED: 1,
+
+    /** High-voltage may be applied, the drive function is disabled. */
+    READY_TO_SWITCH_ON: 2,
+
+    /** High-voltage has been applied, the drive function is disabled. */
+    SWITCHED_ON: 3,
+
+    /** The drive function is enabled and power is applied to the motor. */
+    OPERATION_ENABLED: 4,
+
+    /** The quick stop function is being executed. */
+    QUICK_STOP_ACTIVE: 5,
+
+    /** A fault has occurred and the fault reaction is being executed. */
+    FAULT_REACTION_ACTIVE: 6,
+
+    /** A fault has occurred and the drive function is disabled. */
+    FAULT: 7,
+};
+
+/**
+ * CiA 402 modes of operation (objects 0x6060 and 0x6061).
+ *
+ * @enum {number}
+ * @see CiA402-2 "Object 6060h: Modes of operation"
+ */
+const OperationMode = {
+    /** Profile position mode. */
+    PROFILE_POSITION: 1,
+
+    /** Velocity mode. */
+    VELOCITY: 2,
+
+    /** Profile velocity mode. */
+    PROFILE_VELOCITY: 3,
+
+    /** Profile torque mode. */
+    PROFILE_TORQUE: 4,
+
+    /** Homing mode. */
+    HOMING: 6,
+
+    /** Interpolated position mode. */
+    INTERPOLATED_POSITION: 7,
+
+    /** Cyclic synchronous position mode. */
+    CYCLIC_SYNC_POSITION: 8,
+
+    /** Cyclic synchronous velocity mode. */
+    CYCLIC_SYNC_VELOCITY: 9,
+
+    /** Cyclic synchronous torque mode. */
+    CYCLIC_SYNC_TORQUE: 10,
+};
+
+/**
+ * Controlword device control commands (bits 0-3 and 7).
+ *
+ * @enum {number}
+ * @see CiA402-2 "Object 6040h: Controlword"
+ * @private
+ */
+const Command = {
+    SHUTDOWN: 0x06,
+    SWITCH_ON: 0x07,
+    DISABLE_VOLTAGE: 0x00,
+    QUICK_STOP: 0x02,
+    DISABLE_OPERATION: 0x07,
+    ENABLE_OPERATION: 0x0F,
+    FAULT_RESET: 0x80,
+};
+
+/**
+ * Controlword bits used by the device control commands.
+ *
+ * @private
+ */
+const COMMAND_MASK = 0x8F;
+
+/**
+ * Decode the drive state from the statusword.
+ *
+ * @param {number} statusword - value of object 0x6041.
+ * @returns {DriveState | null} decoded state.
+ * @see CiA402-2 "Object 6041h: Statusword"
+ * @private
+ */
+function decodeState(statusword) {
+    switch (statusword & 0x4F) {
+        case 0x00:
+            return DriveState.NOT_READY_TO_SWITCH_ON;
+        case 0x40:
+            return DriveState.SWITCH_ON_DISABLED;
+        case 0x0F:
+            return DriveState.FAULT_REACTION_ACTIVE;
+        case 0x08:
+            return DriveState.FAULT;
+    }
+
+    switch (statusword & 0x6F) {
+        case 0x21:
+            return DriveState.READY_TO_SWITCH_ON;
+        case 0x23:
+            return DriveState.SWITCHED_ON;
+        case 0x27:
+            return DriveState.OPERATION_ENABLED;
+        case 0x07:
+            return DriveState.QUICK_STOP_ACTIVE;
+    }
+
+    return null;
+}
+
+/**
+ * Wait for a number of milliseconds.
+ *
+ * @param {number} ms - time to wait.
+ * @returns {Promise} resolves after the delay.
+ * @private
+ */
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Errors generated by the drive profile.
+ *
+ * @param {string} message - error message.
+ * @param {DriveState} state - drive state when the error occurred.
+ * @since 6.3.0
+ */
+class DriveError extends Error {
+    constructor(message, state) {
+        super(message);
+        this.state = state;
+    }
+}
+
+/**
+ * CiA 402 drive profile.
+ *
+ * Wraps a remote CiA 402 drive and implements the controlword/statusword
+ * state machine on top of a Device. Objects are accessed over SDO unless a
+ * local entry is given in args.mapping, in which case the local entry is
+ * read or written instead. Local entries for the controlword and setpoints
+ * should be mapped to event driven TPDOs, and the entry for the statusword
+ * should be mapped to an RPDO.
+ *
+ * @param {Device} device - device used to communicate with the drive.
+ * @param {number} deviceId - drive identifier [1-127].
+ * @param {object} [args] - arguments.
+ * @param {object} [args.mapping] - local entries mapped to drive objects,
+ * e.g. { 0x6040: 0x2000, 0x6041: 0x2001 }.
+ * @param {number} [args.timeout=1000] - state transition timeout (ms).
+ * @param {number} [args.pollInterval=10] - statusword poll interval (ms).
+ * @param {number} [args.sdoTimeout] - SDO transfer timeout (ms).
+ * @fires DriveProfile#state
+ * @see CiA402-2 "Device control"
+ * @since 6.3.0
+ */
+class DriveProfile extends EventEmitter {
+    constructor(device, deviceId, args = {}) {
+        super();
+
+        if (!(device instanceof Device))
+            throw new TypeError('device must be a Device');
+
+        if (!deviceId || deviceId > 0x7F)
+            throw new RangeError('deviceId must be in range [1-127]');
+
+        this.device = device;
+        this.deviceId = deviceId;
+        this.timeout = args.timeout || 1000;
+        this.pollInterval = args.pollInterval || 10;
+        this.sdoTimeout = args.sdoTimeout;
+        this.mapping = {};
+        this.controlword = 0;
+        this.statusword = null;
+        this._state = null;
+        this._pdoCallback = null;
+
+        const mapping = args.mapping || {};
+        for (const [index, local] of Object.entries(mapping)) {
+            const entry = (local instanceof DataObject)
+                ? local : device.eds.getEntry(local);
+
+            if (!entry)
+                throw new EdsError(`entry ${local} does not exist`);
+
+            this.mapping[index] = entry;
+        }
+    }
+
+    /**
+     * The last decoded drive state.
+     *
+     * @type {DriveState | null}
+     */
+    get state() {
+        return this._state;
+    }
+
+    /**
+     * Begin tracking the statusword.
+     *
+     * If the statusword is mapped to a local entry, then the state is updated
+     * each time the entry is received in an RPDO. Otherwise the state is only
+     * updated when the statusword is read.
+     */
+    start() {
+        const entry = this.mapping[0x6041];
+        if (entry && !this._pdoCallback) {
+            this._pdoCallback = (pdo) => {
+                if (pdo.dataObjects.includes(entry))
+                    this._setStatusword(entry.value);
+            };
+
+            this.device.pdo.on('pdo', this._pdoCallback);
+        }
+    }
+
+    /**
+     * Stop tracking the statusword.
+     */
+    stop() {
+        if (this._pdoCallback) {
+            this.device.pdo.removeListener('pdo', this._pdoCallback);
+            this._pdoCallback = null;
+        }
+    }
+
+    /**
+     * Read the statusword and update the drive state.
+     *
+     * @returns {Promise<DriveState | null>} the drive state.
+     */
+    async update() {
+        const statusword = await this._read(0x6041, DataType.UNSIGNED16);
+        this._setStatusword(statusword);
+        return this.state;
+    }
+
+    /**
+     * Transition to OPERATION_ENABLED.
+     *
+     * @param {number} [timeout] - time to wait for the transition (ms).
+     * @returns {Promise<DriveState>} the final state.
+     */
+    enableOperation(timeout) {
+        return this._transition([DriveState.OPERATION_ENABLED], {
+            [DriveState.SWITCH_ON_DISABLED]: Command.SHUTDOWN,
+            [DriveState.READY_TO_SWITCH_ON]: Command.SWITCH_ON,
+            [DriveState.SWITCHED_ON]: Command.ENABLE_OPERATION,
+            [DriveState.QUICK_STOP_ACTIVE]: Command.ENABLE_OPERATION,
+        }, timeout);
+    }
+
+    /**
+     * Transition to SWITCHED_ON.
+     *
+     * @param {number} [timeout] - time to wait for the transition (ms).
+     * @returns {Promise<DriveState>} the final state.
+     */
+    disableOperation(timeout) {
+        return this._transition([DriveState.SWITCHED_ON], {
+            [DriveState.SWITCH_ON_DISABLED]: Command.SHUTDOWN,
+            [DriveState.READY_TO_SWITCH_ON]: Command.SWITCH_ON,
+            [DriveState.OPERATION_ENABLED]: Command.DISABLE_OPERATION,
+            [DriveState.QUICK_STOP_ACTIVE]: Command.DISABLE_VOLTAGE,
+        }, timeout);
+    }
+
+    /**
+     * Transition to READY_TO_SWITCH_ON.
+     *
+     * @param {number} [timeout] - time to wait for the transition (ms).
+     * @returns {Promise<DriveState>} the final state.
+     */
+    shutdown(timeout) {
+        return this._transition([DriveState.READY_TO_SWITCH_ON], {
+            [DriveState.SWITCH_ON_DISABLED]: Command.SHUTDOWN,
+            [DriveState.SWITCHED_ON]: Command.SHUTDOWN,
+            [DriveState.OPERATION_ENABLED]: Command.SHUTDOWN,
+            [DriveState.QUICK_STOP_ACTIVE]: Command.DISABLE_VOLTAGE,
+        }, timeout);
+    }
+
+    /**
+     * Transition to SWITCH_ON_DISABLED.
+     *
+     * @param {number} [timeout] - time to wait for the transition (ms).
+     * @returns {Promise<DriveState>} the final state.
+     */
+    disableVoltage(timeout) {
+        return this._transition([DriveState.SWITCH_ON_DISABLED], {
+            [DriveState.READY_TO_SWITCH_ON]: Command.DISABLE_VOLTAGE,
+            [DriveState.SWITCHED_ON]: Command.DISABLE_VOLTAGE,
+            [DriveState.OPERATION_ENABLED]: Command.DISABLE_VOLTAGE,
+            [DriveState.QUICK_STOP_ACTIVE]: Command.DISABLE_VOLTAGE,
+        }, timeout);
+    }
+
+    /**
+     * Execute a quick stop.
+     *
+     * Depending on the quick stop option code (0x605A) the drive will either
+     * remain in QUICK_STOP_ACTIVE or transition to SWITCH_ON_DISABLED.
+     *
+     * @param {number} [timeout] - time to wait for the transition (ms).
+     * @returns {Promise<DriveState>} the final state.
+     */
+    quickStop(timeout) {
+        return this._transition([
+            DriveState.QUICK_STOP_ACTIVE,
+            DriveState.SWITCH_ON_DISABLED,
+        ], {
+            [DriveState.READY_TO_SWITCH_ON]: Command.QUICK_STOP,
+            [DriveState.SWITCHED_ON]: Command.QUICK_STOP,
+            [DriveState.OPERATION_ENABLED]: Command.QUICK_STOP,
+        }, timeout);
+    }
+
+    /**
+     * Reset a fault and transition to SWITCH_ON_DISABLED.
+     *
+     * Does nothing if the drive is not in the FAULT state.
+     *
+     * @param {number} [timeout] - time to wait for the transition (ms).
+     * @returns {Promise<DriveState>} the final state.
+     */
+    async faultReset(timeout) {
+        const state = await this.update();
+        if (state !== DriveState.FAULT
+            && state !== DriveState.FAULT_REACTION_ACTIVE)
+            return state;
+
+        return this._transition([DriveState.SWITCH_ON_DISABLED], {
+            [DriveState.FAULT]: Command.FAULT_RESET,
+        }, timeout);
+    }
+
+    /**
+     * Get the mode of operation display (0x6061).
+     *
+     * @returns {Promise<OperationMode>} the active mode of operation.
+     */
+    getMode() {
+        return this._read(0x6061, DataType.INTEGER8);
+    }
+
+    /**
+     * Set the mode of operation (0x6060) and wait for the drive to apply it.
+     *
+     * @param {OperationMode} mode - mode of operation.
+     * @param {number} [timeout] - time to wait for the mode change (ms).
+     * @returns {Promise} resolves when the mode is active.
+     */
+    async setMode(mode, timeout) {
+        const deadline = Date.now() + (timeout || this.timeout);
+        await this._write(0x6060, mode, DataType.INTEGER8);
+
+        while (await this.getMode() !== mode) {
+            if (Date.now() >= deadline) {
+                throw new DriveError(
+                    `timeout setting mode of operation ${mode}`, this.state);
+            }
+
+            await delay(this.pollInterval);
+        }
+    }
+
+    /**
+     * Move to a position in profile position mode.
+     *
+     * Writes the target position (0x607A) and performs the new set-point
+     * handshake. Resolves once the drive has acknowledged the set-point, use
+     * waitForTarget() to wait for the move to complete.
+     *
+     * @param {number} position - target position.
+     * @param {object} [options] - move options.
+     * @param {boolean} [options.relative] - position is relative.
+     * @param {boolean} [options.immediate] - abort the current move.
+     * @param {number} [options.velocity] - profile velocity (0x6081).
+     * @param {number} [options.acceleration] - profile acceleration (0x6083).
+     * @param {number} [options.deceleration] - profile deceleration (0x6084).
+     * @param {number} [options.timeout] - set-point acknowledge timeout (ms).
+     * @returns {Promise} resolves when the set-point is acknowledged.
+     */
+    async moveTo(position, options = {}) {
+        if (options.velocity !== undefined)
+            await this._write(0x6081, options.velocity, DataType.UNSIGNED32);
+
+        if (options.acceleration !== undefined) {
+            await this._write(
+                0x6083, options.acceleration, DataType.UNSIGNED32);
+        }
+
+        if (options.deceleration !== undefined) {
+            await this._write(
+                0x6084, options.deceleration, DataType.UNSIGNED32);
+        }
+
+        await this.setTargetPosition(position);
+
+        let bits = 0x10; // New set-point
+        if (options.immediate)
+            bits |= 0x20;
+
+        if (options.relative)
+            bits |= 0x40;
+
+        const deadline = Date.now() + (options.timeout || this.timeout);
+        await this._writeControlword((this.controlword & ~0x70) | bits);
+
+        try {
+            // Wait for set-point acknowledge
+            await this._waitFor(
+                (statusword) => (statusword & 0x1000),
+                deadline, 'waiting for set-point acknowledge');
+        }
+        finally {
+            await this._writeControlword(this.controlword & ~0x10);
+        }
+    }
+
+    /**
+     * Wait for the target reached bit of the statusword.
+     *
+     * @param {number} [timeout] - time to wait (ms).
+     * @returns {Promise} resolves when the target is reached.
+     */
+    waitForTarget(timeout) {
+        const deadline = Date.now() + (timeout || this.timeout);
+        return this._waitFor(
+            (statusword) => (statusword & 0x400),
+            deadline, 'waiting for target reached');
+    }
+
+    /**
+     * Set the target position (0x607A).
+     *
+     * Used directly in cyclic synchronous position mode, where the target
+     * position should be mapped to a synchronous TPDO.
+     *
+     * @param {number} position - target position.
+     * @returns {Promise} resolves when the value is written.
+     */
+    setTargetPosition(position) {
+        return this._write(0x607A, position, DataType.INTEGER32);
+    }
+
+    /**
+     * Set the target velocity (0x60FF) in profile velocity mode.
+     *
+     * @param {number} velocity - target velocity.
+     * @returns {Promise} resolves when the value is written.
+     */
+    setTargetVelocity(velocity) {
+        return this._write(0x60FF, velocity, DataType.INTEGER32);
+    }
+
+    /**
+     * Start homing and wait for it to complete.
+     *
+     * @param {object} [options] - homing options.
+     * @param {number} [options.method] - homing method (0x6098).
+     * @param {number} [options.timeout] - time to wait for homing (ms).
+     * @returns {Promise} resolves when homing is attained.
+     */
+    async home(options = {}) {
+        if (options.method !== undefined)
+            await this._write(0x6098, options.method, DataType.INTEGER8);
+
+        const deadline = Date.now() + (options.timeout || this.timeout);
+        await this._writeControlword((this.controlword & ~0x70) | 0x10);
+
+        try {
+            const statusword = await this._waitFor(
+                (statusword) => (statusword & 0x2000)
+                    || (statusword & 0x1400) === 0x1400,
+                deadline, 'waiting for homing');
+
+            if (statusword & 0x2000)
+                throw new DriveError('homing error', this.state);
+        }
+        finally {
+            await this._writeControlword(this.controlword & ~0x10);
+        }
+    }
+
+    /**
+     * Send device control commands until the drive reaches a target state.
+     *
+     * @param {Array<DriveState>} targets - target states.
+     * @param {object} commands - command to send for each state.
+     * @param {number} [timeout] - time to wait for the transition (ms).
+     * @returns {Promise<DriveState>} the final state.
+     * @private
+     */
+    async _transition(targets, commands, timeout) {
+        const deadline = Date.now() + (timeout || this.timeout);
+
+        let state = await this.update();
+        while (!targets.includes(state)) {
+            const command = commands[state];
+            if (command === Command.FAULT_RESET) {
+                // Fault reset is triggered on the rising edge of bit 7
+                if (this.controlword & 0x80)
+                    await this._writeCommand(Command.DISABLE_VOLTAGE);
+
+                await this._writeCommand(command);
+            }
+            else if (command !== undefined) {
+                await this._writeCommand(command);
+            }
+            else if (state === DriveState.FAULT) {
+                throw new DriveError('drive is in fault', state);
+            }
+
+            const previous = state;
+            await this._waitFor(
+                (statusword) => decodeState(statusword) !== previous,
+                deadline, 'waiting for state transition');
+
+            state = this.state;
+        }
+
+        return state;
+    }
+
+    /**
+     * Poll the statusword until a condition is met.
+     *
+     * @param {Function} predicate - returns true when the condition is met.
+     * @param {number} deadline - time to give up (ms since epoch).
+     * @param {string} description - used in the timeout message.
+     * @returns {Promise<number>} the statusword.
+     * @private
+     */
+    async _waitFor(predicate, deadline, description) {
+        for (;;) {
+            const statusword = await this._read(0x6041, DataType.UNSIGNED16);
+            this._setStatusword(statusword);
+
+            if (predicate(statusword))
+                return statusword;
+
+            if (Date.now() >= deadline)
+                throw new DriveError(`timeout ${description}`, this.state);
+
+            await delay(this.pollInterval);
+        }
+    }
+
+    /**
+     * Update the statusword and emit 'state' if the drive state changed.
+     *
+     * @param {number} statusword - value of object 0x6041.
+     * @fires DriveProfile#state
+     * @private
+     */
+    _setStatusword(statusword) {
+        this.statusword = statusword;
+
+        const state = decodeState(statusword);
+        if (state !== this._state) {
+            this._state = state;
+
+            /**
+             * The drive state changed.
+             *
+             * @event DriveProfile#state
+             * @type {DriveState}
+             */
+            this.emit('state', state);
+        }
+    }
+
+    /**
+     * Write a device control command to the controlword.
+     *
+     * @param {number} command - command bits.
+     * @returns {Promise} resolves when the value is written.
+     * @private
+     */
+    _writeCommand(command) {
+        return this._writeControlword(
+            (this.controlword & ~COMMAND_MASK) | command);
+    }
+
+    /**
+     * Write the controlword (0x6040).
+     *
+     * @param {number} controlword - new value.
+     * @returns {Promise} resolves when the value is written.
+     * @private
+     */
+    async _writeControlword(controlword) {
+        this.controlword = controlword;
+        await this._write(0x6040, controlword, DataType.UNSIGNED16);
+    }
+
+    /**
+     * Read a drive object from the mapped local entry or over SDO.
+     *
+     * @param {number} index - drive object index.
+     * @param {DataType} dataType - expected data type.
+     * @returns {Promise<number>} object value.
+     * @private
+     */
+    async _read(index, dataType) {
+        const entry = this.mapping[index];
+        if (entry)
+            return entry.value;
+
+        return this.device.sdo.upload({
+            deviceId: this.deviceId,
+            index,
+            dataType,
+            timeout: this.sdoTimeout,
+        });
+    }
+
+    /**
+     * Write a drive object to the mapped local entry or over SDO.
+     *
+     * @param {number} index - drive object index.
+     * @param {number} value - value to write.
+     * @param {DataType} dataType - object data type.
+     * @returns {Promise} resolves when the value is written.
+     * @private
+     */
+    async _write(index, value, dataType) {
+        const entry = this.mapping[index];
+        if (entry) {
+            entry.value = value;
+            return;
+        }
+
+        await this.device.sdo.download({
+            deviceId: this.deviceId,
+            index,
+            data: value,
+            dataType,
+            timeout: this.sdoTimeout,
+        });
+    }
+}
+
+module.exports = exports = {
+    DriveError,
+    DriveProfile,
+    DriveState,
+    OperationMode,
+};
@@ -9,11 +9,25 @@ const { EOL } = require('os');
 const EventEmitter = require('events');
 const fs = require('fs');
 const ini = require('ini');
+const { deprecate } = require('util');
 
 // Local modules
 const { ObjectType, AccessType, DataType, } = require('./types');
+const EdsError = require('./eds_error');
 const rawToType = require('./functions/raw_to_type');
 const typeToRaw = require('./functions/type_to_raw');
+const { parseXdd, encodeXdd } = require('./xdd');
+
+/**
+ * Returns true if the path is a CiA 311 XML device description.
+ *
+ * @param {string} path - path to test.
+ * @returns {boolean} true if path ends in .xdd or .xdc.
+ * @private
+ */
+function isXdd(path) {
+    return /\.xd[dc]$/i.test(path);
+}
 
 /**
  * Parse EDS date and time.
@@ -45,6 +59,87 @@ function parseDate(time, date) {
     return new Date(year, month - 1, day, hours, minutes);
 }
 
+/**
+ * Returns true if the value is a $NODEID expression.
+ *
+ * @param {*} value - value to test.
+ * @returns {boolean} true if value references the node-ID.
+ * @private
+ */
+function isExpression(value) {
+    return typeof value === 'string' && /\$NODEID/i.test(value);
+}
+
+/**
+ * Evaluate a value that may reference the node-ID (e.g., '$NODEID+0x180').
+ *
+ * CiA 306 only defines addition, so an expression must be a sum of $NODEID
+ * and numbers. Any other operator (e.g., '$NODEID-1') throws an EdsError.
+ *
+ * @param {*} value - value to evaluate.
+ * @param {number} nodeId - node-ID to substitute for $NODEID.
+ * @returns {*} the evaluated value, or value if it is not an expression.
+ * @throws {EdsError} if the expression is not a sum.
+ * @see CiA306 "Object descriptions" (§4.6.3)
+ * @private
+ */
+function evaluateExpression(value, nodeId) {
+    if (!isExpression(value))
+        return value;
+
+    return value.split('+').reduce((sum, term) => {
+        term = term.trim();
+        if (/^\$NODEID$/i.test(term))
+            return sum + nodeId;
+
+        const number = Number(term);
+        if (Number.isNaN(number))
+            throw new EdsError(`invalid $NODEID expression '${value}'`);
+
+        return sum + number;
+    }, 0);
+}
+
+/**
+ * Format the current value of a {@link DataObject} as a DCF ParameterValue.
+ *
+ * @param {DataObject} entry - entry to format.
+ * @returns {string | undefined} formatted value or undefined if the data type
+ * can not be represented.
+ * @private
+ */
+function formatParameterValue(entry) {
+    const value = rawToType(entry.raw, entry.dataType);
+
+    switch (entry.dataType) {
+        case DataType.BOOLEAN:
+            return (value) ? '1' : '0';
+        case DataType.INTEGER8:
+        case DataType.INTEGER16:
+        case DataType.INTEGER24:
+        case DataType.INTEGER32:
+        case DataType.INTEGER40:
+        case DataType.INTEGER48:
+        case DataType.INTEGER64:
+        case DataType.REAL32:
+        case DataType.REAL64:
+            return value.toString();
+        case DataType.UNSIGNED8:
+        case DataType.UNSIGNED16:
+        case DataType.UNSIGNED24:
+        case DataType.UNSIGNED32:
+        case DataType.UNSIGNED40:
+        case DataType.UNSIGNED48:
+        case DataType.UNSIGNED64:
+            return '0x' + value.toString(16).toUpperCase();
+        case DataType.VISIBLE_STRING:
+        case DataType.UNICODE_STRING:
+            return value;
+        default:
+            return undefined;
+    }
+}
+
 /**
  * Helper method to turn EDS file data into {@link DataObject} data.
  *
@@ -62,7 +157,10 @@ function edsToEntry(data) {
         highLimit: parseInt(data['HighLimit']) || undefined,
         accessType: data['AccessType'],
         defaultValue: data['DefaultValue'],
-        pdoMapping: data['PDOMapping'],
+        parameterValue: data['ParameterValue'],
+        denotation: data['Denotation'],
+        pdoMapping: (data['PDOMapping'] !== undefined)
+            ? !!parseInt(data['PDOMapping']) : undefined,
         objFlags: parseInt(data['ObjFlags']) || undefined,
         compactSubObj: parseInt(data['CompactSubObj']) || undefined
     };
@@ -72,10 +170,11 @@ function edsToEntry(data) {
  * Formats a {@link DataObject} for writing to an EDS file.
  *
  * @param {DataObject} entry - DataObject style data to convert.
+ * @param {boolean} [dcf] - include the DCF ParameterValue and Denotation.
  * @returns {object} EDS style data.
  * @private
  */
-function entryToEds(entry) {
+function entryToEds(entry, dcf = false) {
     if(!DataObject.isDataObject(entry))
         throw new TypeError('entry is not a DataObject');
 
@@ -111,22 +210,42 @@ function entryToEds(entry) {
     if (entry.compactSubObj !== undefined)
         data['CompactSubObj'] = (entry.compactSubObj) ? '1' : '0';
 
+    if (dcf) {
+        if (entry.objectType === ObjectType.VAR && !entry.compactSubObj) {
+            const value = formatParameterValue(entry);
+            if (value !== undefined)
+                data['ParameterValue'] = value;
+        }
+
+        if (entry.denotation !== undefined)
+            data['Denotation'] = entry.denotation;
+    }
+
     return data;
 }
 
 /**
- * Errors generated due to an improper EDS configuration.
+ * Objects holding the expected identity of each NMT slave.
  *
- * @param {string} message - error message.
+ * @private
  */
-class EdsError extends Error {
-    constructor(message) {
-        super(message);
+const expectedIdentity = {
+    deviceType: 0x1F84,
+    vendorId: 0x1F85,
+    productCode: 0x1F86,
+    revisionNumber: 0x1F87,
+    serialNumber: 0x1F88,
+};
 
-        this.name = this.constructor.name;
-        Error.captureStackTrace(this, this.constructor);
-    }
-}
+/**
+ * Warn that an object without pdoMapping was mapped to a PDO.
+ *
+ * @function
+ * @private
+ */
+const warnPdoMapping = deprecate(() => {},
+    'Mapping objects to a PDO without setting pdoMapping is deprecated and '
+    + 'will throw an EdsError in a future release.');
 
 /**
  * A CANopen Data Object.
@@ -145,6 +264,9 @@ class EdsError extends Error {
  * @param {boolean} data.pdoMapping - enable PDO mapping.
  * @param {boolean} data.compactSubObj - use the compact sub-object format.
  * @param {number | string | Date} data.defaultValue - default value.
+ * @param {number | string | Date} data.parameterValue - configured value
+ * (DCF only), overrides defaultValue.
+ * @param {string} data.denotation - application specific name (DCF only).
  * @param {number} data.scaleFactor - optional multiplier for numeric types.
  * @fires DataObject#update
  * @see CiA306 "Object descriptions" (§4.6.3)
@@ -195,7 +317,10 @@ class DataObject extends EventEmitter {
                 }
 
                 // Create raw data buffer
-                this._raw = typeToRaw(this.defaultValue, this.dataType);
+                this._raw = typeToRaw(evaluateExpression(
+                    (this.parameterValue !== undefined)
+                        ? this.parameterValue : this.defaultValue,
+                    0), this.dataType);
                 break;
             case ObjectType.DEFSTRUCT:
             case ObjectType.ARRAY:
@@ -635,6 +760,8 @@ class DataObject extends EventEmitter {
      */
     _emitUpdate(obj) {
         if(this.parent) {
+            // Sub-objects can be mapped to PDOs, so notify both listeners
+            this.emit('update', this);
             this.parent._emitUpdate(this);
         }
         else {
@@ -687,8 +814,10 @@ class Eds extends EventEmitter {
             GroupMessaging: 0,
         };
 
+        this.deviceCommissioning = {};
         this.dummyUsage = {};
         this._dataObjects = {};
+        this._nodeId = 0;
         this.comments = [];
         this.nameLookup = {};
 
@@ -1121,6 +1250,27 @@ class Eds extends EventEmitter {
         this.deviceInfo['LSS_Supported'] = (value) ? 1 : 0;
     }
 
+    /**
+     * The node-ID used to evaluate $NODEID expressions (e.g., a DefaultValue
+     * of '$NODEID+0x180'). Changing the node-ID re-evaluates every object that
+     * still holds the value computed from the previous node-ID.
+     *
+     * @type {number}
+     * @since 6.3.0
+     */
+    get nodeId() {
+        return this._nodeId;
+    }
+
+    set nodeId(value) {
+        if (value === this._nodeId)
+            return;
+
+        const previous = this._nodeId;
+        this._nodeId = value;
+        this._applyNodeId(value, previous);
+    }
+
     /**
      * Returns true if the object is an instance of Eds.
      *
@@ -1146,23 +1296,29 @@ class Eds extends EventEmitter {
     }
 
     /**
-     * Read and parse an EDS file.
+     * Read and parse an EDS file. Files ending in .xdd or .xdc are parsed as
+     * CiA 311 XML device descriptions.
      *
      * @param {string} path - path to file.
      */
     load(path) {
         // Parse EDS file
-        const file = ini.parse(fs.readFileSync(path, 'utf-8'));
+        const data = fs.readFileSync(path, 'utf-8');
+        const file = (isXdd(path)) ? parseXdd(data) : ini.parse(data);
 
         // Clear existing entries
         this._dataObjects = {};
         this.nameLookup = {};
 
+        const nodeId = this._nodeId;
+        this._nodeId = 0;
+
         // Extract header fields
         this.fileInfo = file['FileInfo'];
         this.deviceInfo = file['DeviceInfo'];
-        this.dummyUsage = file['DummyUsage'];
-        this.comments = file['Comments'];
+        this.deviceCommissioning = file['DeviceComissioning'] || {};
+        this.dummyUsage = file['DummyUsage'] || {};
+        this.comments = file['Comments'] || {};
 
         // Construct data objects.
         const entries = Object.entries(file);
@@ -1188,10 +1344,20 @@ class Eds extends EventEmitter {
                 subIndex = parseInt(subIndex, 16);
                 this.addSubEntry(index, subIndex, edsToEntry(data));
             });
+
+        // Resolve $NODEID expressions
+        const commissioning = this.getDeviceCommissioning();
+        if (commissioning && commissioning.nodeId)
+            this.nodeId = commissioning.nodeId;
+        else
+            this.nodeId = nodeId;
     }
 
     /**
-     * Write an EDS file.
+     * Write an EDS file. If device commissioning info is present then the
+     * file is written as a DCF with the current value of each object stored
+     * as its ParameterValue. Files ending in .xdd or .xdc are written as
+     * CiA 311 XML device descriptions.
      *
      * @param {string} path - path to file, defaults to fileName.
      * @param {object} [options] - optional inputs.
@@ -1208,11 +1374,22 @@ class Eds extends EventEmitter {
         this.deviceInfo['NrOfTXPDO'] = this.nrOfTXPDO;
         this.deviceInfo['NrOfRXPDO'] = this.nrOfRXPDO;
 
+        const dcf = this.getDeviceCommissioning() !== null;
+        if (isXdd(path)) {
+            this._saveXdd(path, dcf);
+            return;
+        }
+
         const fd = fs.openSync(path, 'w');
 
         // Write header fields
         this._write(fd, ini.encode(this.fileInfo, { section: 'FileInfo' }));
         this._write(fd, ini.encode(this.deviceInfo, { section: 'DeviceInfo' }));
+        if (dcf) {
+            this._write(fd, ini.encode(this.deviceCommissioning, {
+                section: 'DeviceComissioning'
+            }));
+        }
         this._write(fd, ini.encode(this.dummyUsage, { section: 'DummyUsage' }));
         this._write(fd, ini.encode(this.comments, { section: 'Comments' }));
 
@@ -1251,18 +1428,18 @@ class Eds extends EventEmitter {
         mandObjects['SupportedObjects'] = mandCount;
         this._write(fd, ini.encode(mandObjects, { section: 'MandatoryObjects' }));
 
-        this._writeObjects(fd, mandObjects);
+        this._writeObjects(fd, mandObjects, dcf);
 
         optObjects['SupportedObjects'] = optCount;
         this._write(fd, ini.encode(optObjects, { section: 'OptionalObjects' }));
 
-        this._writeObjects(fd, optObjects);
+        this._writeObjects(fd, optObjects, dcf);
 
         mfrObjects['SupportedObjects'] = mfrCount;
         this._write(fd, ini.encode(
             mfrObjects, { section: 'ManufacturerObjects' }));
 
-        this._writeObjects(fd, mfrObjects);
+        this._writeObjects(fd, mfrObjects, dcf);
 
         fs.closeSync(fd);
     }
@@ -1300,12 +1477,147 @@ class Eds extends EventEmitter {
     /**
      * Reset objects to their default values.
      *
+     * @param {Iterable.<DataObject>} [entries] - objects to reset, defaults to
+     * all entries.
      * @since 6.0.0
      */
-    reset() {
+    reset(entries) {
+        if (entries === undefined)
+            entries = this.values();
+
+        for (const entry of entries) {
+            if(entry.objectType === ObjectType.VAR) {
+                entry.value = evaluateExpression(
+                    entry.defaultValue, this.nodeId);
+            }
+        }
+    }
+
+    /**
+     * Create a device configuration file (DCF) from this Eds.
+     *
+     * The returned Eds is a copy with the device commissioning info set and
+     * all $NODEID expressions resolved against the given node-ID.
+     *
+     * @param {object} args - commissioning info.
+     * @param {number} args.nodeId - node-ID of the configured device.
+     * @param {string} [args.nodeName] - node name.
+     * @param {number} [args.baudRate] - baud rate in bit/s.
+     * @param {number} [args.netNumber] - network number.
+     * @param {boolean} [args.canopenManager] - true if the device is the
+     * CANopen manager.
+     * @param {string} [args.fileName] - DCF file name.
+     * @returns {Eds} new Eds object.
+     * @see CiA306 "Device configuration file" (§7)
+     * @since 6.3.0
+     */
+    toDcf(args) {
+        if (!args || !args.nodeId)
+            throw new ReferenceError('nodeId must be defined');
+
+        const dcf = new Eds();
+        dcf.fileInfo = { ...this.fileInfo };
+        dcf.deviceInfo = { ...this.deviceInfo };
+        dcf.dummyUsage = { ...this.dummyUsage };
+        dcf.comments = { ...this.comments };
+        dcf._dataObjects = {};
+        dcf.nameLookup = {};
+
+        if (args.fileName !== undefined)
+            dcf.fileName = args.fileName;
+
+        // Copy the current values, $NODEID expressions are re-evaluated
+        const copyData = (entry) => {
+            const data = edsToEntry(entryToEds(entry, true));
+            if (isExpression(data.defaultValue))
+                data.parameterValue = undefined;
+
+            data.scaleFactor = entry.scaleFactor;
+            return data;
+        };
+
         for (const entry of this.values()) {
-            if(entry.objectType === ObjectType.VAR)
-                entry.value = entry.defaultValue;
+            const copy = dcf.addEntry(entry.index, copyData(entry));
+            if (!entry.subNumber)
+                continue;
+
+            for (let i = 0; i < entry._subObjects.length; ++i) {
+                if (entry._subObjects[i] !== undefined)
+                    copy.addSubObject(i, copyData(entry._subObjects[i]));
+            }
+        }
+
+        dcf.setDeviceCommissioning({
+            nodeId: args.nodeId,
+            nodeName: args.nodeName,
+            baudRate: args.baudRate,
+            netNumber: args.netNumber,
+            canopenManager: args.canopenManager,
+        });
+
+        dcf.nodeId = args.nodeId;
+
+        return dcf;
+    }
+
+    /**
+     * Get the DCF device commissioning info.
+     *
+     * @returns {object | null} commissioning info or null if not a DCF.
+     * @see CiA306 "Device commissioning" (§7.2)
+     * @since 6.3.0
+     */
+    getDeviceCommissioning() {
+        const info = this.deviceCommissioning;
+        if (!info || Object.keys(info).length === 0)
+            return null;
+
+        return {
+            nodeId: parseInt(info['NodeID']) || 0,
+            nodeName: info['NodeName'] || '',
+            baudRate: (parseInt(info['Baudrate']) || 0) * 1000,
+            netNumber: parseInt(info['NetNumber']) || 0,
+            canopenManager: !!parseInt(info['CANopenManager']),
+        };
+    }
+
+    /**
+     * Set the DCF device commissioning info.
+     *
+     * @param {object} info - commissioning info.
+     * @param {number} [info.nodeId] - node-ID of the configured device.
+     * @param {string} [info.nodeName] - node name.
+     * @param {number} [info.baudRate] - baud rate in bit/s.
+     * @param {number} [info.netNumber] - network number.
+     * @param {boolean} [info.canopenManager] - true if the device is the
+     * CANopen manager.
+     * @see CiA306 "Device commissioning" (§7.2)
+     * @since 6.3.0
+     */
+    setDeviceCommissioning(info) {
+        if (!this.deviceCommissioning)
+            this.deviceCommissioning = {};
+
+        if (info.nodeId !== undefined) {
+            if (info.nodeId < 1 || info.nodeId > 0x7F)
+                throw RangeError('nodeId must be in range [1-127]');
+
+            this.deviceCommissioning['NodeID'] = '0x'
+                + info.nodeId.toString(16).toUpperCase();
+        }
+
+        if (info.nodeName !== undefined)
+            this.deviceCommissioning['NodeName'] = String(info.nodeName);
+
+        if (info.baudRate !== undefined)
+            this.deviceCommissioning['Baudrate'] = info.baudRate / 1000;
+
+        if (info.netNumber !== undefined)
+            this.deviceCommissioning['NetNumber'] = info.netNumber;
+
+        if (info.canopenManager !== undefined) {
+            this.deviceCommissioning['CANopenManager']
+                = (info.canopenManager) ? 1 : 0;
         }
     }
 
@@ -1366,6 +1678,7 @@ class Eds extends EventEmitter {
             throw new EdsError(`${key} already exists`);
 
         const entry = new DataObject(key, data);
+        this._evaluateNodeId(entry);
 
         /**
          * A DataObject was added to the Eds.
@@ -1456,7 +1769,9 @@ class Eds extends EventEmitter {
         }
 
         // Add the new entry
-        return entry.addSubObject(subIndex, data);
+        const subEntry = entry.addSubObject(subIndex, data);
+        this._evaluateNodeId(subEntry);
+        return subEntry;
     }
 
     /**
@@ -1972,6 +2287,209 @@ class Eds extends EventEmitter {
             obj100A.defaultValue = version;
     }
 
+    /**
+     * Get object 0x100C - Guard time.
+     *
+     * @returns {number | null} guard time in ms.
+     * @since 6.3.0
+     */
+    getGuardTime() {
+        const obj100C = this.getEntry(0x100C);
+        if (obj100C)
+            return obj100C.value;
+
+        return null;
+    }
+
+    /**
+     * Set object 0x100C - Guard time.
+     *
+     * A value of zero disables life guarding.
+     *
+     * @param {number} guardTime - guard time in ms.
+     * @param {object} [options] - DataObject creation options.
+     * @param {AccessType} [options.accessType] - DataObject access type.
+     * @param {boolean} [options.saveDefault] - save value as default.
+     * @since 6.3.0
+     */
+    setGuardTime(guardTime, options = {}) {
+        if (guardTime < 0 || guardTime > 0xFFFF)
+            throw RangeError('guardTime must be in range [0-65535]');
+
+        let obj100C = this.getEntry(0x100C);
+        if (!obj100C) {
+            obj100C = this.addEntry(0x100C, {
+                dataType: DataType.UNSIGNED16,
+                parameterName: 'Guard time',
+                accessType: options.accessType || AccessType.READ_WRITE,
+            });
+        }
+
+        obj100C.value = guardTime;
+        if (options.saveDefault)
+            obj100C.defaultValue = guardTime;
+    }
+
+    /**
+     * Get object 0x100D - Life time factor.
+     *
+     * @returns {number | null} life time factor.
+     * @since 6.3.0
+     */
+    getLifeTimeFactor() {
+        const obj100D = this.getEntry(0x100D);
+        if (obj100D)
+            return obj100D.value;
+
+        return null;
+    }
+
+    /**
+     * Set object 0x100D - Life time factor.
+     *
+     * The node life time is the guard time multiplied by the life time factor.
+     * A value of zero disables life guarding.
+     *
+     * @param {number} lifeTimeFactor - life time factor.
+     * @param {object} [options] - DataObject creation options.
+     * @param {AccessType} [options.accessType] - DataObject access type.
+     * @param {boolean} [options.saveDefault] - save value as default.
+     * @since 6.3.0
+     */
+    setLifeTimeFactor(lifeTimeFactor, options = {}) {
+        if (lifeTimeFactor < 0 || lifeTimeFactor > 0xFF)
+            throw RangeError('lifeTimeFactor must be in range [0-255]');
+
+        let obj100D = this.getEntry(0x100D);
+        if (!obj100D) {
+            obj100D = this.addEntry(0x100D, {
+                dataType: DataType.UNSIGNED8,
+                parameterName: 'Life time factor',
+                accessType: options.accessType || AccessType.READ_WRITE,
+            });
+        }
+
+        obj100D.value = lifeTimeFactor;
+        if (options.saveDefault)
+            obj100D.defaultValue = lifeTimeFactor;
+    }
+
+    /**
+     * Get object 0x1010 - Store parameters.
+     *
+     * @returns {boolean | null} true if parameters are saved on command.
+     * @since 6.3.0
+     */
+    getStoreParameters() {
+        const obj1010 = this.getEntry(0x1010);
+        if (obj1010 && obj1010[1])
+            return !!(obj1010[1].value & 0x1);
+
+        return null;
+    }
+
+    /**
+     * Set object 0x1010 - Store parameters.
+     *
+     * @param {boolean} enable - save parameters on command.
+     * @param {object} [options] - DataObject creation options.
+     * @param {AccessType} [options.accessType] - DataObject access type.
+     * @param {boolean} [options.saveDefault] - save value as default.
+     * @since 6.3.0
+     */
+    setStoreParameters(enable, options = {}) {
+        let obj1010 = this.getEntry(0x1010);
+        if (obj1010 === undefined) {
+            obj1010 = this.addEntry(0x1010, {
+                parameterName: 'Store parameters',
+                objectType: ObjectType.ARRAY,
+            });
+
+            const names = [
+                'Save all parameters',
+                'Save communication parameters',
+                'Save application parameters',
+                'Save manufacturer defined parameters',
+            ];
+
+            for (let i = 0; i < names.length; ++i) {
+                obj1010.addSubObject(i + 1, {
+                    parameterName: names[i],
+                    dataType: DataType.UNSIGNED32,
+                    accessType: options.accessType || AccessType.READ_WRITE,
+                });
+            }
+        }
+
+        const value = (enable) ? 1 : 0;
+        for (let i = 1; i <= 4; ++i) {
+            if (obj1010[i] === undefined)
+                continue;
+
+            obj1010[i].value = value;
+            if (options.saveDefault)
+                obj1010[i].defaultValue = value;
+        }
+    }
+
+    /**
+     * Get object 0x1011 - Restore default parameters.
+     *
+     * @returns {boolean | null} true if default parameters can be restored.
+     * @since 6.3.0
+     */
+    getRestoreParameters() {
+        const obj1011 = this.getEntry(0x1011);
+        if (obj1011 && obj1011[1])
+            return !!(obj1011[1].value & 0x1);
+
+        return null;
+    }
+
+    /**
+     * Set object 0x1011 - Restore default parameters.
+     *
+     * @param {boolean} enable - allow default parameters to be restored.
+     * @param {object} [options] - DataObject creation options.
+     * @param {AccessType} [options.accessType] - DataObject access type.
+     * @param {boolean} [options.saveDefault] - save value as default.
+     * @since 6.3.0
+     */
+    setRestoreParameters(enable, options = {}) {
+        let obj1011 = this.getEntry(0x1011);
+        if (obj1011 === undefined) {
+            obj1011 = this.addEntry(0x1011, {
+                parameterName: 'Restore default parameters',
+                objectType: ObjectType.ARRAY,
+            });
+
+            const names = [
+                'Restore all default parameters',
+                'Restore communication default parameters',
+                'Restore application default parameters',
+                'Restore manufacturer defined default parameters',
+            ];
+
+            for (let i = 0; i < names.length; ++i) {
+                obj1011.addSubObject(i + 1, {
+                    parameterName: names[i],
+                    dataType: DataType.UNSIGNED32,
+                    accessType: options.accessType || AccessType.READ_WRITE,
+                });
+            }
+        }
+
+        const value = (enable) ? 1 : 0;
+        for (let i = 1; i <= 4; ++i) {
+            if (obj1011[i] === undefined)
+                continue;
+
+            obj1011[i].value = value;
+            if (options.saveDefault)
+                obj1011[i].defaultValue = value;
+        }
+    }
+
     /**
      * Get object 0x1012 - COB-ID TIME.
      *
@@ -2970,18 +3488,28 @@ class Eds extends EventEmitter {
      * Sub-index 3 (optional):
      * - bit 0..15 - Inhibit time.
      *
+     * Sub-index 5 (optional):
+     * - bit 0..15 - Event timer value (deadline).
+     *
      * Object 0x1600..0x17FF - RPDO mapping parameter
      * - bit 0..7 - Bit length.
      * - bit 8..15 - Sub-index.
      * - bit 16..31 - Index.
      *
-     * Inhibit time and synchronous RPDOs are not yet supported. All entries
-     * are treated as event-driven with an inhibit time of 0.
+     * Synchronous RPDOs (transmission types 0x00..0xF0) are applied on the
+     * next SYNC. Inhibit time is not yet supported and is treated as 0.
+     *
+     * The mapped objects must fit in 8 bytes, allow PDO mapping, and be
+     * writable. Data type entries (0x0001 - 0x0007) can be mapped as dummy
+     * entries if they are enabled in [DummyUsage]. Objects that do not set
+     * pdoMapping are still accepted with a deprecation warning.
      *
      * @param {object} pdo - PDO data.
      * @param {number} pdo.cobId - COB-ID used by the RPDO.
      * @param {number} pdo.transmissionType - transmission type.
      * @param {number} pdo.inhibitTime - minimum time between updates.
+     * @param {number} [pdo.eventTime] - maximum time between receptions
+     * before a timeout is reported (ms).
      * @param {Array<DataObject>} pdo.dataObjects - objects to map.
      * @param {object} options - optional arguments.
      * @param {number} [options.index] - DataObject index [0x1400-0x15ff].
@@ -3019,6 +3547,8 @@ class Eds extends EventEmitter {
         if (index < 0x1400 || index > 0x15FF)
             throw new RangeError('index must be in range [0x1400-0x15FF]');
 
+        this._checkPdoMapping(pdo.dataObjects, true);
+
         let commName = 'RPDO communication parameter';
         let mapName = 'RPDO mapping parameter';
         if (options.parameterName) {
@@ -3073,13 +3603,16 @@ class Eds extends EventEmitter {
             accessType: options.accessType || AccessType.READ_WRITE,
         });
 
-        commObj.addSubObject(5, {
-            // Not used
+        const commSub5 = commObj.addSubObject(5, {
             parameterName: 'event timer',
             dataType: DataType.UNSIGNED16,
             accessType: options.accessType || AccessType.READ_WRITE,
         });
 
+        commSub5.value = pdo.eventTime || 0;
+        if (options.saveDefault)
+            commSub5.defaultValue = commSub5.value;
+
         commObj.addSubObject(6, {
             // Not used
             parameterName: 'SYNC start value',
@@ -3213,11 +3746,17 @@ class Eds extends EventEmitter {
      * - bit 8..15 - Sub-index.
      * - bit 16..31 - Index.
      *
+     * The mapped objects must fit in 8 bytes, allow PDO mapping, and be
+     * readable. Objects that do not set pdoMapping are still accepted with a
+     * deprecation warning.
+     *
      * @param {object} pdo - object data.
      * @param {number} pdo.cobId - COB-ID used by the TPDO.
      * @param {number} pdo.transmissionType - transmission type.
-     * @param {number} pdo.inhibitTime - minimum time between writes.
-     * @param {number} pdo.eventTime - how often to send timer based PDOs.
+     * @param {number} pdo.inhibitTime - minimum time between writes in
+     * multiples of 100 μs.
+     * @param {number} pdo.eventTime - maximum time between writes of event
+     * driven PDOs (ms).
      * @param {number} pdo.syncStart - initial counter value for sync PDOs.
      * @param {Array<DataObject>} pdo.dataObjects - objects to map.
      * @param {object} options - optional arguments.
@@ -3255,6 +3794,8 @@ class Eds extends EventEmitter {
         if (index < 0x1800 || index > 0x19FF)
             throw new RangeError('index must be in range [0x1800-0x19FF]');
 
+        this._checkPdoMapping(pdo.dataObjects, false);
+
         let commName = 'TPDO communication parameter';
         let mapName = 'TPDO mapping parameter';
         if (options.parameterName) {
@@ -3401,6 +3942,429 @@ class Eds extends EventEmitter {
         return null;
     }
 
+    /**
+     * Check if an object can be mapped to a PDO.
+     *
+     * Objects must have PDO mapping enabled, objects mapped to a RPDO must be
+     * writable, and objects mapped to a TPDO must be readable. Data type
+     * entries (0x0001 - 0x0007) can only be mapped to a RPDO as dummy entries
+     * if they are enabled in [DummyUsage].
+     *
+     * @param {DataObject} entry - object to map.
+     * @param {boolean} receive - true if the object is mapped to a RPDO.
+     * @returns {boolean} true if the object can be mapped.
+     * @since 6.3.0
+     */
+    isPdoMappable(entry, receive) {
+        if (!entry)
+            return false;
+
+        if (entry.objectType === ObjectType.DEFTYPE) {
+            if (!receive || entry.index < 0x1 || entry.index > 0x7)
+                return false;
+
+            const key = 'Dummy' + entry.index.toString(16).padStart(4, '0');
+            return !!parseInt(this.dummyUsage[key]);
+        }
+
+        if (entry.objectType !== ObjectType.VAR || !entry.pdoMapping)
+            return false;
+
+        if (receive) {
+            return entry.accessType !== AccessType.READ_ONLY
+                && entry.accessType !== AccessType.CONSTANT;
+        }
+
+        return entry.accessType !== AccessType.WRITE_ONLY;
+    }
+
+    /**
+     * Get an entry from object 0x1F22 - Concise DCF.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @returns {Buffer | null} concise DCF or null if not present.
+     * @since 6.3.0
+     */
+    getConciseDcf(deviceId) {
+        const obj1F22 = this.getEntry(0x1F22);
+        if (obj1F22 && obj1F22[deviceId] && obj1F22[deviceId].raw.length)
+            return obj1F22[deviceId].raw;
+
+        return null;
+    }
+
+    /**
+     * Set an entry in object 0x1F22 - Concise DCF.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {Buffer} data - concise DCF.
+     * @param {object} [options] - DataObject creation options.
+     * @param {AccessType} [options.accessType] - DataObject access type.
+     * @see CiA302-3 "Object 1F22h: Concise DCF"
+     * @since 6.3.0
+     */
+    setConciseDcf(deviceId, data, options = {}) {
+        if (deviceId < 1 || deviceId > 0x7F)
+            throw RangeError('deviceId must be in range [1-127]');
+
+        let obj1F22 = this.getEntry(0x1F22);
+        if (!obj1F22) {
+            obj1F22 = this.addEntry(0x1F22, {
+                parameterName: 'Concise DCF',
+                objectType: ObjectType.ARRAY,
+            });
+        }
+
+        let subObj = obj1F22[deviceId];
+        if (!subObj) {
+            subObj = obj1F22.addSubObject(deviceId, {
+                parameterName: `Node 0x${deviceId.toString(16)}`,
+                dataType: DataType.DOMAIN,
+                accessType: options.accessType || AccessType.READ_WRITE,
+            });
+        }
+
+        subObj.raw = data;
+    }
+
+    /**
+     * Get object 0x1F80 - NMT startup.
+     *
+     * @returns {number | null} NMT startup bit field.
+     * @since 6.3.0
+     */
+    getNmtStartup() {
+        const obj1F80 = this.getEntry(0x1F80);
+        if (obj1F80)
+            return obj1F80.value;
+
+        return null;
+    }
+
+    /**
+     * Set object 0x1F80 - NMT startup.
+     * - bit 0 - NMT master.
+     * - bit 1 - Start all nodes with a single broadcast command.
+     * - bit 2 - Do not enter NMT state operational automatically.
+     * - bit 3 - Do not start the NMT slaves.
+     * - bit 4 - Reset all nodes on a mandatory slave error.
+     * - bit 6 - Stop all nodes on a mandatory slave error.
+     *
+     * @param {number} startup - NMT startup bit field.
+     * @param {object} [options] - DataObject creation options.
+     * @param {AccessType} [options.accessType] - DataObject access type.
+     * @param {boolean} [options.saveDefault] - save value as default.
+     * @see CiA302-2 "Object 1F80h: NMT startup"
+     * @since 6.3.0
+     */
+    setNmtStartup(startup, options = {}) {
+        let obj1F80 = this.getEntry(0x1F80);
+        if (!obj1F80) {
+            obj1F80 = this.addEntry(0x1F80, {
+                dataType: DataType.UNSIGNED32,
+                parameterName: 'NMT startup',
+                accessType: options.accessType || AccessType.READ_WRITE,
+            });
+        }
+
+        obj1F80.value = startup;
+        if (options.saveDefault)
+            obj1F80.defaultValue = startup;
+    }
+
+    /**
+     * Get an entry from object 0x1F81 - NMT slave assignment.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @returns {object | null} slave assignment or null if not assigned.
+     * @since 6.3.0
+     */
+    getSlaveAssignment(deviceId) {
+        const value = this._getNodeArrayValue(0x1F81, deviceId);
+        if (value === null)
+            return null;
+
+        return {
+            slave: !!(value & (1 << 0)),
+            boot: !!(value & (1 << 2)),
+            mandatory: !!(value & (1 << 3)),
+            keepAlive: !!(value & (1 << 4)),
+            verifySoftware: !!(value & (1 << 5)),
+            updateSoftware: !!(value & (1 << 6)),
+            restoreDefaults: !!(value & (1 << 7)),
+            retryFactor: (value >>> 8) & 0xFF,
+            guardTime: (value >>> 16) & 0xFFFF,
+        };
+    }
+
+    /**
+     * Set an entry in object 0x1F81 - NMT slave assignment.
+     * - bit 0 - Device is an NMT slave.
+     * - bit 2 - Start the boot slave process on an error control event.
+     * - bit 3 - Mandatory slave.
+     * - bit 4 - Do not reset communication if the slave is operational.
+     * - bit 5 - Verify the application software version.
+     * - bit 6 - Automatic application software update.
+     * - bit 7 - Restore factory defaults before configuration.
+     * - bit 8..15 - Node guarding retry factor.
+     * - bit 16..31 - Node guarding guard time in ms.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {object} assignment - slave assignment.
+     * @param {boolean} [assignment.slave] - device is an NMT slave.
+     * @param {boolean} [assignment.boot] - restart boot on error control event.
+     * @param {boolean} [assignment.mandatory] - device is a mandatory slave.
+     * @param {boolean} [assignment.keepAlive] - do not reset an operational
+     * slave.
+     * @param {boolean} [assignment.verifySoftware] - verify software version.
+     * @param {boolean} [assignment.updateSoftware] - update software version.
+     * @param {boolean} [assignment.restoreDefaults] - restore factory defaults.
+     * @param {number} [assignment.retryFactor] - node guarding retry factor.
+     * @param {number} [assignment.guardTime] - node guarding guard time in ms.
+     * @param {object} [options] - DataObject creation options.
+     * @param {AccessType} [options.accessType] - DataObject access type.
+     * @param {boolean} [options.saveDefault] - save value as default.
+     * @see CiA302-2 "Object 1F81h: NMT slave assignment"
+     * @since 6.3.0
+     */
+    setSlaveAssignment(deviceId, assignment, options = {}) {
+        const retryFactor = assignment.retryFactor || 0;
+        if (retryFactor < 0 || retryFactor > 0xFF)
+            throw RangeError('retryFactor must be in range [0-255]');
+
+        const guardTime = assignment.guardTime || 0;
+        if (guardTime < 0 || guardTime > 0xFFFF)
+            throw RangeError('guardTime must be in range [0-65535]');
+
+        let value = 0;
+        if (assignment.slave !== false)
+            value |= (1 << 0);
+        if (assignment.boot)
+            value |= (1 << 2);
+        if (assignment.mandatory)
+            value |= (1 << 3);
+        if (assignment.keepAlive)
+            value |= (1 << 4);
+        if (assignment.verifySoftware)
+            value |= (1 << 5);
+        if (assignment.updateSoftware)
+            value |= (1 << 6);
+        if (assignment.restoreDefaults)
+            value |= (1 << 7);
+
+        value |= (retryFactor << 8);
+        value = (value | (guardTime << 16)) >>> 0;
+
+        this._setNodeArrayValue(
+            0x1F81, 'NMT slave assignment', deviceId, value, options);
+    }
+
+    /**
+     * Get the expected identity of an NMT slave.
+     * - Object 0x1F84 - Device type identification.
+     * - Object 0x1F85 - Vendor identification.
+     * - Object 0x1F86 - Product code.
+     * - Object 0x1F87 - Revision number.
+     * - Object 0x1F88 - Serial number.
+     *
+     * A value of zero is not checked.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @returns {object} expected identity.
+     * @since 6.3.0
+     */
+    getExpectedIdentity(deviceId) {
+        const identity = {};
+        for (const [key, index] of Object.entries(expectedIdentity))
+            identity[key] = this._getNodeArrayValue(index, deviceId) || 0;
+
+        return identity;
+    }
+
+    /**
+     * Set the expected identity of an NMT slave.
+     * - Object 0x1F84 - Device type identification.
+     * - Object 0x1F85 - Vendor identification.
+     * - Object 0x1F86 - Product code.
+     * - Object 0x1F87 - Revision number.
+     * - Object 0x1F88 - Serial number.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {object} identity - expected identity.
+     * @param {number} [identity.deviceType] - device type.
+     * @param {number} [identity.vendorId] - vendor id.
+     * @param {number} [identity.productCode] - product code.
+     * @param {number} [identity.revisionNumber] - revision number.
+     * @param {number} [identity.serialNumber] - serial number.
+     * @param {object} [options] - DataObject creation options.
+     * @param {AccessType} [options.accessType] - DataObject access type.
+     * @param {boolean} [options.saveDefault] - save value as default.
+     * @see CiA302-2 "Object 1F84h: Device type identification"
+     * @since 6.3.0
+     */
+    setExpectedIdentity(deviceId, identity, options = {}) {
+        const names = {
+            deviceType: 'Device type identification',
+            vendorId: 'Vendor identification',
+            productCode: 'Product code',
+            revisionNumber: 'Revision number',
+            serialNumber: 'Serial number',
+        };
+
+        for (const [key, index] of Object.entries(expectedIdentity)) {
+            if (identity[key] === undefined)
+                continue;
+
+            this._setNodeArrayValue(
+                index, names[key], deviceId, identity[key], options);
+        }
+    }
+
+    /**
+     * Get object 0x1F89 - Boot time.
+     *
+     * @returns {number | null} boot time in ms.
+     * @since 6.3.0
+     */
+    getBootTime() {
+        const obj1F89 = this.getEntry(0x1F89);
+        if (obj1F89)
+            return obj1F89.value;
+
+        return null;
+    }
+
+    /**
+     * Set object 0x1F89 - Boot time.
+     *
+     * The maximum time for all mandatory slaves to boot. A value of zero
+     * disables the limit.
+     *
+     * @param {number} bootTime - boot time in ms.
+     * @param {object} [options] - DataObject creation options.
+     * @param {AccessType} [options.accessType] - DataObject access type.
+     * @param {boolean} [options.saveDefault] - save value as default.
+     * @see CiA302-2 "Object 1F89h: Boot time"
+     * @since 6.3.0
+     */
+    setBootTime(bootTime, options = {}) {
+        let obj1F89 = this.getEntry(0x1F89);
+        if (!obj1F89) {
+            obj1F89 = this.addEntry(0x1F89, {
+                dataType: DataType.UNSIGNED32,
+                parameterName: 'Boot time',
+                accessType: options.accessType || AccessType.READ_WRITE,
+            });
+        }
+
+        obj1F89.value = bootTime;
+        if (options.saveDefault)
+            obj1F89.defaultValue = bootTime;
+    }
+
+    /**
+     * Get a value from an array indexed by node-ID (e.g., 0x1F81).
+     *
+     * @param {number} index - array index.
+     * @param {number} deviceId - device identifier [1-127].
+     * @returns {number | null} sub-entry value or null if not present.
+     * @private
+     */
+    _getNodeArrayValue(index, deviceId) {
+        const entry = this.getEntry(index);
+        if (entry && entry[deviceId])
+            return entry[deviceId].value;
+
+        return null;
+    }
+
+    /**
+     * Set a value in an array indexed by node-ID (e.g., 0x1F81).
+     *
+     * @param {number} index - array index.
+     * @param {string} parameterName - array name.
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {number} value - new value.
+     * @param {object} [options] - DataObject creation options.
+     * @param {AccessType} [options.accessType] - DataObject access type.
+     * @param {boolean} [options.saveDefault] - save value as default.
+     * @private
+     */
+    _setNodeArrayValue(index, parameterName, deviceId, value, options = {}) {
+        if (deviceId < 1 || deviceId > 0x7F)
+            throw RangeError('deviceId must be in range [1-127]');
+
+        let entry = this.getEntry(index);
+        if (!entry) {
+            entry = this.addEntry(index, {
+                parameterName,
+                objectType: ObjectType.ARRAY,
+            });
+        }
+
+        let subObj = entry[deviceId];
+        if (!subObj) {
+            subObj = entry.addSubObject(deviceId, {
+                parameterName: `Node 0x${deviceId.toString(16)}`,
+                dataType: DataType.UNSIGNED32,
+                accessType: options.accessType || AccessType.READ_WRITE,
+            });
+        }
+
+        subObj.value = value;
+        if (options.saveDefault)
+            subObj.defaultValue = value;
+    }
+
+    /**
+     * Check if an object may be mapped to a PDO.
+     *
+     * Mapping objects that do not set pdoMapping was accepted before 6.3.0,
+     * so those are still allowed with a deprecation warning. This is shared
+     * by the PDO helpers and the SdoServer mapping checks.
+     *
+     * @param {DataObject} entry - object to map.
+     * @param {boolean} receive - true if the object is mapped to a RPDO.
+     * @returns {boolean} true if the object may be mapped.
+     * @private
+     */
+    _allowPdoMapping(entry, receive) {
+        if (this.isPdoMappable(entry, receive))
+            return true;
+
+        if (!entry || entry.pdoMapping)
+            return false;
+
+        warnPdoMapping();
+        return true;
+    }
+
+    /**
+     * Check the objects mapped to a new PDO.
+     *
+     * Objects that do not set pdoMapping only emit a deprecation warning.
+     *
+     * @param {Array<DataObject>} dataObjects - objects to map.
+     * @param {boolean} receive - true if the objects are mapped to a RPDO.
+     * @private
+     */
+    _checkPdoMapping(dataObjects, receive) {
+        const type = (receive) ? 'RPDO' : 'TPDO';
+
+        let size = 0;
+        for (const entry of dataObjects) {
+            if (!this._allowPdoMapping(entry, receive)) {
+                const name = (entry) ? entry.parameterName : entry;
+                throw new EdsError(`${name} can not be mapped to a ${type}`);
+            }
+
+            size += entry.size;
+        }
+
+        if (size > 8)
+            throw new EdsError(`${type} mapping exceeds 8 bytes (${size})`);
+    }
+
     /**
      * Parse a pair of PDO communication/mapping parameters.
      *
@@ -3435,6 +4399,8 @@ class Eds extends EventEmitter {
         if (!cobId || ((cobId >> 31) & 0x1) == 0x1)
             return;
 
+        const rtrAllowed = ((cobId >> 30) & 0x1) == 0x0;
+
         if (((cobId >> 29) & 0x1) == 0x1)
             throw new EdsError('CAN extended frames are not supported');
 
@@ -3468,6 +4434,7 @@ class Eds extends EventEmitter {
 
         let pdo = {
             cobId,
+            rtrAllowed,
             transmissionType,
             inhibitTime,
             eventTime,
@@ -3532,13 +4499,17 @@ class Eds extends EventEmitter {
         if(!subObj2)
             return null;
 
+        // Bit 31 is set if the SDO does not exist / is not valid
         const cobIdRx = subObj1.value;
+        const cobIdTx = subObj2.value;
+        if (((cobIdRx >> 31) & 0x1) == 0x1 || ((cobIdTx >> 31) & 0x1) == 0x1)
+            return null;
+
         if (!cobIdRx || ((cobIdRx >> 29) & 0x1) == 0x1)
             throw new EdsError('CAN extended frames are not supported');
 
         result[0] = cobIdRx & 0x7FF;
 
-        const cobIdTx = subObj2.value;
         if (!cobIdTx || ((cobIdTx >> 29) & 0x1) == 0x1)
             throw new EdsError('CAN extended frames are not supported');
 
@@ -3553,6 +4524,93 @@ class Eds extends EventEmitter {
         return result;
     }
 
+    /**
+     * Evaluate the $NODEID expressions of a new object. DataObjects evaluate
+     * their expressions against node-ID 0 when they are created.
+     *
+     * @param {DataObject} obj - new object.
+     * @private
+     */
+    _evaluateNodeId(obj) {
+        if (!this._nodeId || obj.objectType !== ObjectType.VAR)
+            return;
+
+        const value = (obj.parameterValue !== undefined)
+            ? obj.parameterValue : obj.defaultValue;
+
+        if (isExpression(value)) {
+            obj._raw = typeToRaw(
+                evaluateExpression(value, this._nodeId), obj.dataType);
+        }
+    }
+
+    /**
+     * Re-evaluate the $NODEID expressions of all objects. Objects that were
+     * changed since they were last evaluated are left alone.
+     *
+     * @param {number} nodeId - node-ID to substitute for $NODEID.
+     * @param {number} previous - node-ID of the last evaluation.
+     * @private
+     */
+    _applyNodeId(nodeId, previous) {
+        for (const entry of this.values()) {
+            const objects = (entry.subNumber) ? entry._subObjects : [entry];
+            for (const obj of objects) {
+                if (obj === undefined || obj.objectType !== ObjectType.VAR)
+                    continue;
+
+                const value = (obj.parameterValue !== undefined)
+                    ? obj.parameterValue : obj.defaultValue;
+
+                if (!isExpression(value))
+                    continue;
+
+                const last = typeToRaw(
+                    evaluateExpression(value, previous), obj.dataType);
+
+                if (Buffer.compare(obj.raw, last) === 0) {
+                    obj.raw = typeToRaw(
+                        evaluateExpression(value, nodeId), obj.dataType);
+                }
+            }
+        }
+    }
+
+    /**
+     * Write an XDD or XDC file.
+     *
+     * @param {string} path - path to file.
+     * @param {boolean} dcf - write device commissioning fields (XDC).
+     * @private
+     */
+    _saveXdd(path, dcf) {
+        const file = {
+            FileInfo: this.fileInfo,
+            DeviceInfo: this.deviceInfo,
+            DummyUsage: this.dummyUsage,
+        };
+
+        if (dcf)
+            file['DeviceComissioning'] = this.deviceCommissioning;
+
+        for (const [key, entry] of this.entries()) {
+            file[key] = entryToEds(entry, dcf);
+            if (!entry.subNumber)
+                continue;
+
+            for (let i = 0; i < entry._subObjects.length; ++i) {
+                const subEntry = entry._subObjects[i];
+                if (subEntry === undefined)
+                    continue;
+
+                const subKey = key + 'sub' + i.toString(16);
+                file[subKey] = entryToEds(subEntry, dcf);
+            }
+        }
+
+        fs.writeFileSync(path, encodeXdd(file));
+    }
+
     /**
      * Helper method to write strings to an EDS file.
      *
@@ -3573,9 +4631,10 @@ class Eds extends EventEmitter {
      *
      * @param {number} fd - file descriptor to write.
      * @param {object} objects - objects to write.
+     * @param {boolean} [dcf] - write DCF fields.
      * @private
      */
-    _writeObjects(fd, objects) {
+    _writeObjects(fd, objects, dcf = false) {
         for (const [key, value] of Object.entries(objects)) {
             if (key == 'SupportedObjects')
                 continue;
@@ -3585,7 +4644,7 @@ class Eds extends EventEmitter {
 
             // Write top level object
             const section = index.toString(16);
-            this._write(fd, ini.encode(entryToEds(dataObject), {
+            this._write(fd, ini.encode(entryToEds(dataObject, dcf), {
                 section: section
             }));
 
@@ -3594,7 +4653,7 @@ class Eds extends EventEmitter {
                 if (dataObject[i]) {
                     const subSection = section + 'sub' + i;
                     const subObject = dataObject[i];
-                    this._write(fd, ini.encode(entryToEds(subObject), {
+                    this._write(fd, ini.encode(entryToEds(subObject, dcf), {
                         section: subSection
                     }));
                 }
@@ -0,0 +1,21 @@
+/**
+ * @file Implements the EdsError class shared by the EDS and XDD parsers.
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+/**
+ * Errors generated due to an improper EDS configuration.
+ *
+ * @param {string} message - error message.
+ */
+class EdsError extends Error {
+    constructor(message) {
+        super(message);
+
+        this.name = this.constructor.name;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+module.exports = exports = EdsError;
@@ -3,11 +3,15 @@ const { crc } = require('node-crc');
 /**
  * Calculates a CRC16 on a block of data.
  *
+ * Pass the result of a previous call as the initial value to continue the
+ * calculation over data that arrives in pieces.
+ *
  * @param {Buffer} data - data block.
+ * @param {number} [initial=0] - initial value.
  * @returns {number} crc value.
  */
-function calculateCrc(data) {
-    const result = crc(16, false, 0x1021, 0, 0, 0, 0, 0, data);
+function calculateCrc(data, initial = 0) {
+    const result = crc(16, false, 0x1021, 0, initial, 0, 0, 0, data);
     return result.readUInt16BE();
 }
 
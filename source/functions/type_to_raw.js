@@ -130,6 +130,7 @@ function typeToRaw(value, type, scaleFactor=1.0) {
             break;
         case DataType.OCTET_STRING:
         case DataType.UNICODE_STRING:
+        case DataType.DOMAIN:
             raw = (value) ? Buffer.from(value) : Buffer.alloc(0);
             break;
         case DataType.TIME_OF_DAY:
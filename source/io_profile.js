@@ -0,0 +1,753 @@
+/**
+ * @file Implements the CiA 401 generic I/O device profile.
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+const EventEmitter = require('events');
+const Device = require('./device');
+const { Eds } = require('./eds');
+const { AccessType, DataType, ObjectType } = require('./types');
+
+/**
+ * CiA 401 object definitions used by the profile.
+ *
+ * @private
+ */
+const digitalInputObjects = [
+    [0x6000, 'Read input 8-bit', AccessType.READ_ONLY, 0, true],
+    [0x6002, 'Polarity input 8-bit', AccessType.READ_WRITE, 0],
+    [0x6003, 'Filter constant input 8-bit', AccessType.READ_WRITE, 0],
+    [0x6006, 'Interrupt mask any change 8-bit', AccessType.READ_WRITE, 0xFF],
+    [0x6007, 'Interrupt mask low-to-high 8-bit', AccessType.READ_WRITE, 0],
+    [0x6008, 'Interrupt mask high-to-low 8-bit', AccessType.READ_WRITE, 0],
+];
+
+const digitalOutputObjects = [
+    [0x6200, 'Write output 8-bit', AccessType.READ_WRITE, 0, true],
+    [0x6202, 'Change polarity output 8-bit', AccessType.READ_WRITE, 0],
+    [0x6208, 'Filter mask output 8-bit', AccessType.READ_WRITE, 0xFF],
+];
+
+/**
+ * CiA 401 generic I/O device profile.
+ *
+ * Populates the Eds of a local Device with the CiA 401 objects for the given
+ * number of channels and, unless args.mapPdos is false, maps the default PDOs
+ * from the profile. The application reports hardware inputs with setInput()
+ * and setAnalogInput(), and input changes that pass the interrupt masks are
+ * sent with the event driven TPDOs. Output changes received over SDO or PDO
+ * are reported with the 'output' event.
+ *
+ * Channels are numbered from 0. Digital channels are grouped into 8-bit
+ * ports, so channel 9 is bit 1 of sub-index 2.
+ *
+ * @param {Device} device - local I/O device.
+ * @param {object} [args] - arguments.
+ * @param {number} [args.digitalInputs] - number of digital input channels.
+ * @param {number} [args.digitalOutputs] - number of digital output channels.
+ * @param {number} [args.analogInputs] - number of analog input channels.
+ * @param {number} [args.analogOutputs] - number of analog output channels.
+ * @param {boolean} [args.mapPdos=true] - map the default PDOs.
+ * @fires IoProfile#output
+ * @see CiA401 "Generic I/O modules"
+ * @since 6.3.0
+ */
+class IoProfile extends EventEmitter {
+    constructor(device, args = {}) {
+        super();
+
+        if (!(device instanceof Device))
+            throw new TypeError('device must be a Device');
+
+        this.device = device;
+
+        this.digitalInputs = this._getCount(args.digitalInputs, 0x6000, 8);
+        this.digitalOutputs = this._getCount(args.digitalOutputs, 0x6200, 8);
+        this.analogInputs = this._getCount(args.analogInputs, 0x6401, 1);
+        this.analogOutputs = this._getCount(args.analogOutputs, 0x6411, 1);
+
+        this._addObjects();
+        if (args.mapPdos !== false)
+            this._mapPdos();
+
+        this._inputs = [];
+        for (let port = 1; port <= this.inputPorts; ++port)
+            this._inputs.push(this._getPort(0x6000, port));
+
+        this._analogSent = [];
+        for (let channel = 0; channel < this.analogInputs; ++channel)
+            this._analogSent.push(this._getChannel(0x6401, channel));
+
+        this._outputs = [];
+        for (let port = 1; port <= this.outputPorts; ++port) {
+            const logical = this._getPort(0x6200, port);
+            this._outputs.push(logical ^ this._getPort(0x6202, port));
+        }
+
+        this._analogOutputs = [];
+        for (let channel = 0; channel < this.analogOutputs; ++channel)
+            this._analogOutputs.push(this._getChannel(0x6411, channel));
+
+        this._updateCallback = null;
+        this._pdoCallback = null;
+    }
+
+    /**
+     * The local Eds.
+     *
+     * @type {Eds}
+     */
+    get eds() {
+        return this.device.eds;
+    }
+
+    /**
+     * Number of 8-bit digital input ports.
+     *
+     * @type {number}
+     */
+    get inputPorts() {
+        return Math.ceil(this.digitalInputs / 8);
+    }
+
+    /**
+     * Number of 8-bit digital output ports.
+     *
+     * @type {number}
+     */
+    get outputPorts() {
+        return Math.ceil(this.digitalOutputs / 8);
+    }
+
+    /**
+     * Begin listening for output changes.
+     */
+    start() {
+        if (this._updateCallback)
+            return;
+
+        this._updateCallback = () => this._updateOutputs();
+        for (const index of [0x6200, 0x6202, 0x6208, 0x6411]) {
+            const entry = this.eds.getEntry(index);
+            if (entry)
+                entry.addListener('update', this._updateCallback);
+        }
+
+        // RPDOs write the mapped objects without an update event
+        this._pdoCallback = (pdo) => {
+            const isOutput = pdo.dataObjects.some(
+                (obj) => obj.index === 0x6200 || obj.index === 0x6411);
+
+            if (isOutput)
+                this._updateOutputs();
+        };
+
+        this.device.pdo.on('pdo', this._pdoCallback);
+    }
+
+    /**
+     * Stop listening for output changes.
+     */
+    stop() {
+        if (!this._updateCallback)
+            return;
+
+        for (const index of [0x6200, 0x6202, 0x6208, 0x6411]) {
+            const entry = this.eds.getEntry(index);
+            if (entry)
+                entry.removeListener('update', this._updateCallback);
+        }
+
+        this.device.pdo.removeListener('pdo', this._pdoCallback);
+        this._updateCallback = null;
+        this._pdoCallback = null;
+    }
+
+    /**
+     * Report the physical state of a digital input.
+     *
+     * The input polarity (0x6002) is applied and the result is written to
+     * object 0x6000. If the change passes the interrupt masks (0x6005 -
+     * 0x6008), then the event driven TPDOs mapping the input are sent.
+     *
+     * @param {number} channel - input channel.
+     * @param {boolean} value - physical input state.
+     */
+    setInput(channel, value) {
+        this._checkChannel(channel, this.digitalInputs);
+
+        const port = (channel >> 3) + 1;
+        const mask = 1 << (channel & 7);
+
+        let physical = this._inputs[port - 1];
+        physical = (value) ? (physical | mask) : (physical & ~mask);
+        this._inputs[port - 1] = physical;
+
+        this._writeInputPort(port);
+    }
+
+    /**
+     * Report the physical value of an analog input.
+     *
+     * The value is written to object 0x6401. If the analog interrupt is
+     * enabled (0x6423) and the value has changed by at least the interrupt
+     * delta (0x6426), then the event driven TPDOs mapping the input are sent.
+     *
+     * @param {number} channel - input channel.
+     * @param {number} value - input value.
+     */
+    setAnalogInput(channel, value) {
+        this._checkChannel(channel, this.analogInputs);
+
+        const obj = this.eds.getSubEntry(0x6401, channel + 1);
+        if (obj.value === value)
+            return;
+
+        // The delta is measured from the last value sent, or from the last
+        // value if the interrupt is disabled.
+        const enabled = this.eds.getEntry(0x6423).value;
+        const delta = this._getChannel(0x6426, channel);
+        const notify = enabled
+            && Math.abs(value - this._analogSent[channel]) >= delta;
+
+        if (notify || !enabled)
+            this._analogSent[channel] = value;
+
+        this._writeInput(obj, value, notify);
+    }
+
+    /**
+     * Read the input values as seen on the network.
+     *
+     * @returns {object} { digital: Array<boolean>, analog: Array<number> }
+     */
+    readInputs() {
+        const digital = [];
+        for (let channel = 0; channel < this.digitalInputs; ++channel) {
+            const port = this._getPort(0x6000, (channel >> 3) + 1);
+            digital.push(Boolean(port & (1 << (channel & 7))));
+        }
+
+        const analog = [];
+        for (let channel = 0; channel < this.analogInputs; ++channel)
+            analog.push(this._getChannel(0x6401, channel));
+
+        return { digital, analog };
+    }
+
+    /**
+     * Write output values as if they were received from the network.
+     *
+     * Undefined channels are left unchanged.
+     *
+     * @param {object} outputs - output values.
+     * @param {Array<boolean>} [outputs.digital] - digital output values.
+     * @param {Array<number>} [outputs.analog] - analog output values.
+     */
+    writeOutputs({ digital, analog }) {
+        if (digital) {
+            this._checkChannel(digital.length - 1, this.digitalOutputs);
+
+            for (let port = 1; port <= this.outputPorts; ++port) {
+                let value = this._getPort(0x6200, port);
+                for (let bit = 0; bit < 8; ++bit) {
+                    const state = digital[((port - 1) << 3) + bit];
+                    if (state === undefined)
+                        continue;
+
+                    const mask = 1 << bit;
+                    value = (state) ? (value | mask) : (value & ~mask);
+                }
+
+                this.eds.getSubEntry(0x6200, port).value = value;
+            }
+        }
+
+        if (analog) {
+            this._checkChannel(analog.length - 1, this.analogOutputs);
+
+            analog.forEach((value, channel) => {
+                if (value !== undefined)
+                    this.eds.getSubEntry(0x6411, channel + 1).value = value;
+            });
+        }
+
+        this._updateOutputs();
+    }
+
+    /**
+     * Read the physical output values.
+     *
+     * The output polarity (0x6202) and filter mask (0x6208) are applied.
+     *
+     * @returns {object} { digital: Array<boolean>, analog: Array<number> }
+     */
+    readOutputs() {
+        const digital = [];
+        for (let channel = 0; channel < this.digitalOutputs; ++channel) {
+            const port = this._outputs[channel >> 3];
+            digital.push(Boolean(port & (1 << (channel & 7))));
+        }
+
+        return { digital, analog: this._analogOutputs.slice() };
+    }
+
+    /**
+     * Set the polarity of a digital input (0x6002).
+     *
+     * @param {number} channel - input channel.
+     * @param {boolean} inverted - invert the input.
+     */
+    setInputPolarity(channel, inverted) {
+        this._checkChannel(channel, this.digitalInputs);
+        this._setBit(0x6002, channel, inverted);
+        this._writeInputPort((channel >> 3) + 1);
+    }
+
+    /**
+     * Set the polarity of a digital output (0x6202).
+     *
+     * @param {number} channel - output channel.
+     * @param {boolean} inverted - invert the output.
+     */
+    setOutputPolarity(channel, inverted) {
+        this._checkChannel(channel, this.digitalOutputs);
+        this._setBit(0x6202, channel, inverted);
+    }
+
+    /**
+     * Enable the input filter of a digital input (0x6003).
+     *
+     * Filtering is performed by the hardware, this only sets the object.
+     *
+     * @param {number} channel - input channel.
+     * @param {boolean} enable - enable the filter.
+     */
+    setInputFilter(channel, enable) {
+        this._checkChannel(channel, this.digitalInputs);
+        this._setBit(0x6003, channel, enable);
+    }
+
+    /**
+     * Set the filter mask of a digital output (0x6208).
+     *
+     * Outputs with the filter mask cleared keep their current value.
+     *
+     * @param {number} channel - output channel.
+     * @param {boolean} enable - allow the output to change.
+     */
+    setOutputFilter(channel, enable) {
+        this._checkChannel(channel, this.digitalOutputs);
+        this._setBit(0x6208, channel, enable);
+    }
+
+    /**
+     * Get the interrupt masks of a digital input.
+     *
+     * @param {number} channel - input channel.
+     * @returns {object} { anyChange, lowToHigh, highToLow }
+     */
+    getInterruptMask(channel) {
+        this._checkChannel(channel, this.digitalInputs);
+        return {
+            anyChange: this._getBit(0x6006, channel),
+            lowToHigh: this._getBit(0x6007, channel),
+            highToLow: this._getBit(0x6008, channel),
+        };
+    }
+
+    /**
+     * Set the interrupt masks of a digital input (0x6006 - 0x6008).
+     *
+     * @param {number} channel - input channel.
+     * @param {object} mask - interrupt mask, undefined values are unchanged.
+     * @param {boolean} [mask.anyChange] - interrupt on any change.
+     * @param {boolean} [mask.lowToHigh] - interrupt on a rising edge.
+     * @param {boolean} [mask.highToLow] - interrupt on a falling edge.
+     */
+    setInterruptMask(channel, { anyChange, lowToHigh, highToLow }) {
+        this._checkChannel(channel, this.digitalInputs);
+
+        if (anyChange !== undefined)
+            this._setBit(0x6006, channel, anyChange);
+
+        if (lowToHigh !== undefined)
+            this._setBit(0x6007, channel, lowToHigh);
+
+        if (highToLow !== undefined)
+            this._setBit(0x6008, channel, highToLow);
+    }
+
+    /**
+     * Enable or disable the digital input interrupt (0x6005).
+     *
+     * @param {boolean} enable - enable the interrupt.
+     */
+    setDigitalInterrupt(enable) {
+        this.eds.getEntry(0x6005).value = enable;
+    }
+
+    /**
+     * Enable or disable the analog input interrupt (0x6423).
+     *
+     * @param {boolean} enable - enable the interrupt.
+     */
+    setAnalogInterrupt(enable) {
+        this.eds.getEntry(0x6423).value = enable;
+    }
+
+    /**
+     * Set the analog input interrupt delta (0x6426).
+     *
+     * @param {number} channel - input channel.
+     * @param {number} delta - minimum change to trigger an interrupt.
+     */
+    setAnalogDelta(channel, delta) {
+        this._checkChannel(channel, this.analogInputs);
+        this.eds.getSubEntry(0x6426, channel + 1).value = delta;
+    }
+
+    /**
+     * Apply the input polarity to a port and write it to object 0x6000.
+     *
+     * @param {number} port - input port [1-254].
+     * @private
+     */
+    _writeInputPort(port) {
+        const obj = this.eds.getSubEntry(0x6000, port);
+        const last = obj.value;
+        const value = this._inputs[port - 1] ^ this._getPort(0x6002, port);
+        if (value === last)
+            return;
+
+        let notify = this.eds.getEntry(0x6005).value;
+        if (notify) {
+            const changed = last ^ value;
+            notify = Boolean((changed & this._getPort(0x6006, port))
+                || (changed & value & this._getPort(0x6007, port))
+                || (changed & last & this._getPort(0x6008, port)));
+        }
+
+        this._writeInput(obj, value, notify);
+    }
+
+    /**
+     * Write an input object.
+     *
+     * Masked changes are written without sending the event driven TPDOs.
+     *
+     * @param {DataObject} obj - input object.
+     * @param {number} value - new value.
+     * @param {boolean} notify - send the event driven TPDOs.
+     * @private
+     */
+    _writeInput(obj, value, notify) {
+        if (notify)
+            obj.value = value;
+        else
+            this.device.pdo.suppressEvents(() => obj.value = value);
+    }
+
+    /**
+     * Update the physical outputs and emit 'output' if they changed.
+     *
+     * @fires IoProfile#output
+     * @private
+     */
+    _updateOutputs() {
+        let changed = false;
+
+        for (let port = 1; port <= this.outputPorts; ++port) {
+            const logical = this._getPort(0x6200, port);
+            const polarity = this._getPort(0x6202, port);
+            const filter = this._getPort(0x6208, port);
+
+            const last = this._outputs[port - 1];
+            const value = (last & ~filter) | ((logical ^ polarity) & filter);
+            if (value !== last) {
+                this._outputs[port - 1] = value;
+                changed = true;
+            }
+        }
+
+        for (let channel = 0; channel < this.analogOutputs; ++channel) {
+            const value = this._getChannel(0x6411, channel);
+            if (value !== this._analogOutputs[channel]) {
+                this._analogOutputs[channel] = value;
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            /**
+             * The physical outputs changed.
+             *
+             * @event IoProfile#output
+             * @type {object}
+             * @property {Array<boolean>} digital - digital output values.
+             * @property {Array<number>} analog - analog output values.
+             */
+            this.emit('output', this.readOutputs());
+        }
+    }
+
+    /**
+     * Add the CiA 401 objects that are missing from the Eds.
+     *
+     * @private
+     */
+    _addObjects() {
+        const inputPorts = this.inputPorts;
+        if (inputPorts > 0) {
+            for (const [index, name, accessType, value, pdoMapping]
+                of digitalInputObjects) {
+                this._addArray(index, name, DataType.UNSIGNED8, inputPorts, {
+                    accessType,
+                    defaultValue: value,
+                    pdoMapping,
+                });
+            }
+
+            this._addVar(0x6005, 'Global interrupt enable digital 8-bit',
+                DataType.BOOLEAN, true);
+        }
+
+        const outputPorts = this.outputPorts;
+        if (outputPorts > 0) {
+            for (const [index, name, accessType, value, pdoMapping]
+                of digitalOutputObjects) {
+                this._addArray(index, name, DataType.UNSIGNED8, outputPorts, {
+                    accessType,
+                    defaultValue: value,
+                    pdoMapping,
+                });
+            }
+        }
+
+        if (this.analogInputs > 0) {
+            this._addArray(0x6401, 'Read analogue input 16-bit',
+                DataType.INTEGER16, this.analogInputs, {
+                    accessType: AccessType.READ_ONLY,
+                    pdoMapping: true,
+                });
+
+            this._addVar(0x6423, 'Analogue input global interrupt enable',
+                DataType.BOOLEAN, false);
+
+            this._addArray(0x6426, 'Analogue input interrupt delta unsigned',
+                DataType.UNSIGNED32, this.analogInputs, {
+                    accessType: AccessType.READ_WRITE,
+                });
+        }
+
+        if (this.analogOutputs > 0) {
+            this._addArray(0x6411, 'Write analogue output 16-bit',
+                DataType.INTEGER16, this.analogOutputs, {
+                    accessType: AccessType.READ_WRITE,
+                    pdoMapping: true,
+                });
+        }
+
+        // Device type - bits 16..23 list the supported I/O functionality
+        const deviceType = this.eds.getEntry(0x1000);
+        if (deviceType && !deviceType.value) {
+            let functionality = 0;
+            if (this.digitalInputs > 0)
+                functionality |= 0x1;
+            if (this.digitalOutputs > 0)
+                functionality |= 0x2;
+            if (this.analogInputs > 0)
+                functionality |= 0x4;
+            if (this.analogOutputs > 0)
+                functionality |= 0x8;
+
+            deviceType.value = (functionality << 16) | 401;
+        }
+    }
+
+    /**
+     * Map the default PDOs from the profile.
+     *
+     * - TPDO1: digital inputs 1-64.
+     * - TPDO2-4: analog inputs 1-12.
+     * - RPDO1: digital outputs 1-64.
+     * - RPDO2-4: analog outputs 1-12.
+     *
+     * PDOs with a COB-ID that is already in use are skipped.
+     *
+     * @see CiA401 "Pre-defined connection set"
+     * @private
+     */
+    _mapPdos() {
+        const id = this.device.id;
+        if (!id)
+            throw new ReferenceError('id required to map PDOs');
+
+        const tpdos = this.eds.getTransmitPdos().map((pdo) => pdo.cobId);
+        const rpdos = this.eds.getReceivePdos().map((pdo) => pdo.cobId);
+
+        const pdos = [
+            [true, 0x180, 0x6000, 1, Math.min(this.inputPorts, 8)],
+            [true, 0x280, 0x6401, 1, Math.min(this.analogInputs, 4)],
+            [true, 0x380, 0x6401, 5, Math.min(this.analogInputs - 4, 4)],
+            [true, 0x480, 0x6401, 9, Math.min(this.analogInputs - 8, 4)],
+            [false, 0x200, 0x6200, 1, Math.min(this.outputPorts, 8)],
+            [false, 0x300, 0x6411, 1, Math.min(this.analogOutputs, 4)],
+            [false, 0x400, 0x6411, 5, Math.min(this.analogOutputs - 4, 4)],
+            [false, 0x500, 0x6411, 9, Math.min(this.analogOutputs - 8, 4)],
+        ];
+
+        for (const [transmit, base, index, start, count] of pdos) {
+            const cobId = base + id;
+            if (count <= 0 || (transmit ? tpdos : rpdos).includes(cobId))
+                continue;
+
+            const dataObjects = [];
+            for (let i = 0; i < count; ++i)
+                dataObjects.push(this.eds.getSubEntry(index, start + i));
+
+            const pdo = { cobId, transmissionType: 0xFE, dataObjects };
+            if (transmit)
+                this.eds.addTransmitPdo(pdo);
+            else
+                this.eds.addReceivePdo(pdo);
+        }
+    }
+
+    /**
+     * Add an ARRAY entry if it does not exist.
+     *
+     * @param {number} index - entry index.
+     * @param {string} parameterName - entry name.
+     * @param {DataType} dataType - sub-entry data type.
+     * @param {number} count - number of sub-entries.
+     * @param {object} data - sub-entry data.
+     * @private
+     */
+    _addArray(index, parameterName, dataType, count, data) {
+        if (this.eds.getEntry(index))
+            return;
+
+        const entry = this.eds.addEntry(index, {
+            parameterName,
+            objectType: ObjectType.ARRAY,
+        });
+
+        for (let i = 1; i <= count; ++i) {
+            entry.addSubObject(i, {
+                parameterName: `${parameterName} ${i}`,
+                dataType,
+                defaultValue: 0,
+                ...data,
+            });
+        }
+    }
+
+    /**
+     * Add a VAR entry if it does not exist.
+     *
+     * @param {number} index - entry index.
+     * @param {string} parameterName - entry name.
+     * @param {DataType} dataType - entry data type.
+     * @param {*} defaultValue - entry default value.
+     * @private
+     */
+    _addVar(index, parameterName, dataType, defaultValue) {
+        if (this.eds.getEntry(index))
+            return;
+
+        this.eds.addEntry(index, {
+            parameterName,
+            objectType: ObjectType.VAR,
+            dataType,
+            accessType: AccessType.READ_WRITE,
+            defaultValue,
+        });
+    }
+
+    /**
+     * Get the number of channels from the arguments or an existing entry.
+     *
+     * @param {number | undefined} count - number of channels.
+     * @param {number} index - entry index.
+     * @param {number} channels - channels per sub-entry.
+     * @returns {number} number of channels.
+     * @private
+     */
+    _getCount(count, index, channels) {
+        if (count !== undefined)
+            return count;
+
+        const entry = this.device.eds.getEntry(index);
+        if (!entry || !entry.subNumber)
+            return 0;
+
+        return (entry.subNumber - 1) * channels;
+    }
+
+    /**
+     * Throw if a channel is out of range.
+     *
+     * @param {number} channel - channel number.
+     * @param {number} count - number of channels.
+     * @private
+     */
+    _checkChannel(channel, count) {
+        if (channel < 0 || channel >= count)
+            throw RangeError(`channel must be in range [0-${count - 1}]`);
+    }
+
+    /**
+     * Get an 8-bit port value.
+     *
+     * @param {number} index - entry index.
+     * @param {number} port - port sub-index.
+     * @returns {number} port value.
+     * @private
+     */
+    _getPort(index, port) {
+        return this.eds.getSubEntry(index, port).value;
+    }
+
+    /**
+     * Get an analog channel value.
+     *
+     * @param {number} index - entry index.
+     * @param {number} channel - channel number.
+     * @returns {number} channel value.
+     * @private
+     */
+    _getChannel(index, channel) {
+        return this.eds.getSubEntry(index, channel + 1).value;
+    }
+
+    /**
+     * Get a digital channel bit.
+     *
+     * @param {number} index - entry index.
+     * @param {number} channel - channel number.
+     * @returns {boolean} bit value.
+     * @private
+     */
+    _getBit(index, channel) {
+        const port = this._getPort(index, (channel >> 3) + 1);
+        return Boolean(port & (1 << (channel & 7)));
+    }
+
+    /**
+     * Set a digital channel bit.
+     *
+     * @param {number} index - entry index.
+     * @param {number} channel - channel number.
+     * @param {boolean} value - bit value.
+     * @private
+     */
+    _setBit(index, channel, value) {
+        const obj = this.eds.getSubEntry(index, (channel >> 3) + 1);
+        const mask = 1 << (channel & 7);
+        obj.value = (value) ? (obj.value | mask) : (obj.value & ~mask);
+    }
+}
+
+module.exports = exports = { IoProfile };
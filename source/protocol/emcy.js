@@ -398,8 +398,8 @@ class Emcy extends Protocol {
         let code, info;
         if(typeof args[0] === 'object') {
             // write({ code, info })
-            code = args.code;
-            info = args.info;
+            code = args[0].code;
+            info = args[0].info;
         }
         else {
             // write(code, info)
@@ -79,7 +79,10 @@ class Nmt extends Protocol {
 
         this.deviceId = null;
         this.consumers = {};
+        this.guards = {};
         this.heartbeatTimer = null;
+        this.lifeGuardTimer = null;
+        this._guardToggle = 0;
         this._state = NmtState.INITIALIZING;
     }
 
@@ -196,6 +199,9 @@ class Nmt extends Protocol {
         if (!timeout && this.consumers[deviceId])
             return this.consumers[deviceId].state;
 
+        if (!timeout && this.guards[deviceId])
+            return this.guards[deviceId].state;
+
         let interval = this.getConsumerTime(deviceId);
         if (interval === null)
             throw new ReferenceError(`NMT consumer ${deviceId} does not exist`);
@@ -292,6 +298,63 @@ class Nmt extends Protocol {
         this._sendNmt(nodeId, NmtCommand.RESET_COMMUNICATION);
     }
 
+    /**
+     * Start node guarding a remote device.
+     *
+     * The remote device is polled with a remote transmission request every
+     * guard time. If it does not respond within the node life time (guard
+     * time multiplied by the life time factor), or the toggle bit of a
+     * response is not altered, then a guarding error will be emitted.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @param {number} [guardTime] - guard time in ms (defaults to 0x100C).
+     * @param {number} [lifeTimeFactor] - life time factor (defaults to 0x100D).
+     * @see CiA301 "Node guarding protocol" (§7.2.8.3.2.1)
+     * @since 6.3.0
+     */
+    startNodeGuarding(deviceId, guardTime, lifeTimeFactor) {
+        if (!deviceId || deviceId > 0x7F)
+            throw RangeError('deviceId must be in range [1-127]');
+
+        if (guardTime === undefined)
+            guardTime = this.eds.getGuardTime();
+
+        if (lifeTimeFactor === undefined)
+            lifeTimeFactor = this.eds.getLifeTimeFactor();
+
+        if (!guardTime || !lifeTimeFactor)
+            throw RangeError('guardTime and lifeTimeFactor must be non-zero');
+
+        this.stopNodeGuarding(deviceId);
+
+        this.guards[deviceId] = {
+            state: null,
+            toggle: null,
+            guardTime,
+            lifeTimeFactor,
+            missed: 0,
+            pending: false,
+            timer: null,
+        };
+
+        if (this.started)
+            this._startGuard(deviceId);
+    }
+
+    /**
+     * Stop node guarding a remote device.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @since 6.3.0
+     */
+    stopNodeGuarding(deviceId) {
+        const guard = this.guards[deviceId];
+        if (guard) {
+            clearInterval(guard.timer);
+            delete this.guards[deviceId];
+        }
+    }
+
     /**
      * Start the module.
      *
@@ -308,11 +371,23 @@ class Nmt extends Protocol {
             if(obj1017)
                 this._addEntry(obj1017);
 
+            const obj100C = this.eds.getEntry(0x100C);
+            if(obj100C)
+                this._addEntry(obj100C);
+
+            const obj100D = this.eds.getEntry(0x100D);
+            if(obj100D)
+                this._addEntry(obj100D);
+
             this.addEdsCallback('newEntry', (obj) => this._addEntry(obj));
             this.addEdsCallback('removeEntry', (obj) => this._removeEntry(obj));
 
             super.start();
 
+            this._guardToggle = 0;
+            for (const deviceId of Object.keys(this.guards))
+                this._startGuard(parseInt(deviceId));
+
             this.setState(NmtState.PRE_OPERATIONAL);
         }
     }
@@ -336,6 +411,21 @@ class Nmt extends Protocol {
             if(obj1017)
                 this._removeEntry(obj1017);
 
+            const obj100C = this.eds.getEntry(0x100C);
+            if(obj100C)
+                this._removeEntry(obj100C);
+
+            const obj100D = this.eds.getEntry(0x100D);
+            if(obj100D)
+                this._removeEntry(obj100D);
+
+            for (const guard of Object.values(this.guards)) {
+                clearInterval(guard.timer);
+                guard.timer = null;
+            }
+
+            this._clearLifeGuard();
+
             this.setState(NmtState.INITIALIZING);
 
             super.stop();
@@ -348,12 +438,14 @@ class Nmt extends Protocol {
      * @param {object} message - CAN frame.
      * @param {number} message.id - CAN message identifier.
      * @param {Buffer} message.data - CAN message data;
+     * @param {boolean} [message.rtr] - true for a remote transmission request.
      * @fires Nmt#changeState
      * @fires Nmt#heartbeat
      * @fires Nmt#timeout
+     * @fires Nmt#guardingError
      * @override
      */
-    receive({ id, data }) {
+    receive({ id, data, rtr }) {
         if ((id & 0x7FF) == 0x0) {
             const nodeId = data[1];
             if (nodeId == 0 || nodeId == this.deviceId)
@@ -361,6 +453,16 @@ class Nmt extends Protocol {
         }
         else if ((id & 0x700) == 0x700) {
             const deviceId = id & 0x7F;
+            if (rtr) {
+                if (deviceId === this.deviceId)
+                    this._handleGuardRequest();
+
+                return;
+            }
+
+            if (this.guards[deviceId])
+                this._handleGuardResponse(deviceId, data[0]);
+
             const consumer = this.consumers[deviceId];
             if (consumer) {
                 consumer.last = Date.now();
@@ -420,6 +522,10 @@ class Nmt extends Protocol {
                 this.addUpdateCallback(entry, (obj) => this._parse1017(obj));
                 this._parse1017(entry);
                 break;
+            case 0x100C:
+            case 0x100D:
+                this.addUpdateCallback(entry, () => this._clearLifeGuard());
+                break;
         }
     }
 
@@ -440,6 +546,11 @@ class Nmt extends Protocol {
                 this.removeUpdateCallback(entry);
                 this._clear1017();
                 break;
+            case 0x100C:
+            case 0x100D:
+                this.removeUpdateCallback(entry);
+                this._clearLifeGuard();
+                break;
         }
     }
 
@@ -517,6 +628,154 @@ class Nmt extends Protocol {
         this.heartbeatTimer = null;
     }
 
+    /**
+     * Start polling a guarded device.
+     *
+     * @param {number} deviceId - device identifier.
+     * @private
+     */
+    _startGuard(deviceId) {
+        const guard = this.guards[deviceId];
+        clearInterval(guard.timer);
+
+        guard.missed = 0;
+        guard.pending = false;
+        guard.timer = setInterval(
+            () => this._sendGuardRequest(deviceId), guard.guardTime);
+
+        this._sendGuardRequest(deviceId);
+    }
+
+    /**
+     * Send a node guarding remote transmission request to a guarded device.
+     * Emits Nmt#guardingError if the node life time expired without a
+     * response.
+     *
+     * @param {number} deviceId - device identifier.
+     * @fires Protocol#message
+     * @fires Nmt#guardingError
+     * @private
+     */
+    _sendGuardRequest(deviceId) {
+        const guard = this.guards[deviceId];
+        if (guard.pending) {
+            // Previous request was not answered
+            guard.missed += 1;
+            if (guard.missed === guard.lifeTimeFactor) {
+                guard.state = null;
+                guard.toggle = null;
+                this._emitGuardingError(deviceId, 'timeout');
+            }
+        }
+
+        guard.pending = true;
+        this.send(0x700 + deviceId, Buffer.alloc(0), true);
+    }
+
+    /**
+     * Handle a node guarding response from a guarded device.
+     *
+     * @param {number} deviceId - device identifier.
+     * @param {number} value - response data (toggle bit and NMT state).
+     * @fires Nmt#guardingError
+     * @private
+     */
+    _handleGuardResponse(deviceId, value) {
+        const guard = this.guards[deviceId];
+        const toggle = value >> 7;
+        if (!guard.pending) {
+            // Late response to an earlier request, the device still toggled
+            if (guard.toggle !== null)
+                guard.toggle = toggle;
+
+            return;
+        }
+
+        guard.pending = false;
+        guard.missed = 0;
+        guard.state = value & 0x7F;
+
+        const expected = guard.toggle;
+        guard.toggle = toggle;
+
+        if (expected !== null && toggle === expected)
+            this._emitGuardingError(deviceId, 'toggle');
+    }
+
+    /**
+     * Emit the guardingError event.
+     *
+     * @param {number} deviceId - device identifier.
+     * @param {string} reason - 'timeout' or 'toggle'.
+     * @fires Nmt#guardingError
+     * @private
+     */
+    _emitGuardingError(deviceId, reason) {
+        /**
+         * A guarded device did not respond within its node life time
+         * ('timeout') or responded without altering the toggle bit
+         * ('toggle').
+         *
+         * @event Nmt#guardingError
+         * @type {object}
+         * @property {number} deviceId - device identifier.
+         * @property {string} reason - 'timeout' or 'toggle'.
+         * @since 6.3.0
+         */
+        this.emit('guardingError', { deviceId, reason });
+    }
+
+    /**
+     * Respond to a node guarding remote transmission request.
+     *
+     * Life guarding begins with the first request if both 0x100C (Guard time)
+     * and 0x100D (Life time factor) are non-zero.
+     *
+     * @fires Protocol#message
+     * @fires Nmt#lifeGuardingTimeout
+     * @see CiA301 "Node guarding protocol" (§7.2.8.3.2.1)
+     * @private
+     */
+    _handleGuardRequest() {
+        const value = (this._guardToggle << 7) | (this.state & 0x7F);
+        this._guardToggle ^= 1;
+        this.send(0x700 + this.deviceId, Buffer.from([value]));
+
+        if (this.lifeGuardTimer) {
+            this.lifeGuardTimer.refresh();
+            return;
+        }
+
+        const lifeTime = this.eds.getGuardTime()
+            * this.eds.getLifeTimeFactor();
+
+        if (lifeTime > 0) {
+            this.lifeGuardTimer = setTimeout(() => {
+                this.lifeGuardTimer = null;
+
+                /**
+                 * No node guarding request was received within the node
+                 * life time.
+                 *
+                 * @event Nmt#lifeGuardingTimeout
+                 * @since 6.3.0
+                 */
+                this.emit('lifeGuardingTimeout');
+            }, lifeTime);
+        }
+    }
+
+    /**
+     * Called when 0x100C (Guard time) or 0x100D (Life time factor) is updated
+     * or removed. Life guarding restarts with the next request.
+     *
+     * @private
+     */
+    _clearLifeGuard() {
+        clearTimeout(this.lifeGuardTimer);
+        this.lifeGuardTimer = null;
+    }
+
     /**
      * Serve an NMT command object.
      *
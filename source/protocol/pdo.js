@@ -6,8 +6,63 @@
 
 const Protocol = require('./protocol');
 const { DataObject, Eds, EdsError } = require('../eds');
+const { ObjectType } = require('../types');
 const { deprecate } = require('util');
 
+/**
+ * Get the 'index:subIndex' key of a mapped object (e.g. '0x6064:0').
+ *
+ * @param {DataObject} obj - mapped object.
+ * @returns {string} object key.
+ * @private
+ */
+function valueKey(obj) {
+    return `0x${obj.index.toString(16)}:${obj.subIndex || 0}`;
+}
+
+/**
+ * Copy the mapped objects of a PDO into a buffer.
+ *
+ * @param {object} pdo - PDO data.
+ * @returns {Buffer} PDO data.
+ * @private
+ */
+function packPdo(pdo) {
+    const data = Buffer.alloc(pdo.dataSize);
+    let dataOffset = 0;
+
+    for (const obj of pdo.dataObjects) {
+        obj.raw.copy(data, dataOffset);
+        dataOffset += obj.raw.length;
+    }
+
+    return data;
+}
+
+/**
+ * Check if two PDOs have the same parameters and mapping.
+ *
+ * @param {object} a - first PDO.
+ * @param {object} b - second PDO.
+ * @returns {boolean} true if the PDOs are the same.
+ * @private
+ */
+function isSamePdo(a, b) {
+    if (!a || !b)
+        return false;
+
+    for (const key of ['cobId', 'rtrAllowed', 'transmissionType',
+        'inhibitTime', 'eventTime', 'syncStart']) {
+        if (a[key] !== b[key])
+            return false;
+    }
+
+    if (a.dataObjects.length !== b.dataObjects.length)
+        return false;
+
+    return a.dataObjects.every((obj, i) => obj === b.dataObjects[i]);
+}
+
 /**
  * CANopen PDO protocol handler.
  *
@@ -27,15 +82,90 @@ class Pdo extends Protocol {
         this.receiveMap = {};
         this.transmitMap = {};
         this.eventTimers = {};
+        this.inhibitTimers = {};
+        this.deadlineTimers = {};
+        this.pendingRpdo = {};
+        this._immediateRpdo = false;
+        this._suppressEvents = false;
+        this.lastWrite = {};
+        this.latched = {};
         this.events = [];
         this.syncTpdo = {};
         this.syncCobId = null;
-        this.updateFlags = {};
+    }
+
+    /**
+     * True if synchronous RPDOs are applied on reception instead of on the
+     * next SYNC.
+     *
+     * @type {boolean}
+     * @since 6.3.0
+     */
+    get immediateRpdo() {
+        return this._immediateRpdo;
+    }
+
+    /**
+     * Set whether synchronous RPDOs (transmission types 0x00..0xF0) are
+     * applied on reception instead of on the next SYNC. Synchronous RPDOs are
+     * always applied on reception if no SYNC COB-ID (0x1005) is configured.
+     *
+     * @param {boolean} enable - apply synchronous RPDOs immediately.
+     * @since 6.3.0
+     */
+    setImmediateRpdo(enable) {
+        this._immediateRpdo = !!enable;
+    }
+
+    /**
+     * Call a function without sending event-driven TPDOs for the objects it
+     * changes.
+     *
+     * The new values are sent with the next TPDO, e.g. when the event timer
+     * expires. Device profiles use this for changes that must not raise an
+     * event, such as CiA 401 inputs excluded by the interrupt masks.
+     *
+     * @param {Function} fn - function that changes mapped objects.
+     * @since 6.3.0
+     */
+    suppressEvents(fn) {
+        const suppressed = this._suppressEvents;
+        this._suppressEvents = true;
+        try {
+            fn();
+        }
+        finally {
+            this._suppressEvents = suppressed;
+        }
+    }
+
+    /**
+     * Call a function each time an RPDO mapping an object is received.
+     *
+     * @param {string} name - parameter name or 'index:subIndex' key of the
+     * object (e.g. 'Position actual' or '0x6064:0').
+     * @param {Function} callback - called with the value and the
+     * {@link Pdo#event:pdoValues} event.
+     * @returns {Function} call to remove the subscription.
+     * @listens Pdo#pdoValues
+     * @since 6.3.0
+     */
+    onValue(name, callback) {
+        const listener = (event) => {
+            if (name in event.values)
+                callback(event.values[name], event);
+        };
+
+        this.addListener('pdoValues', listener);
+        return () => this.removeListener('pdoValues', listener);
     }
 
     /**
      * Service: PDO write
      *
+     * The PDO is sent immediately. For event-driven TPDOs the event timer is
+     * restarted and the inhibit time is counted from this write.
+     *
      * @param {number} cobId - mapped TPDO to send.
      * @fires Protocol#message
      */
@@ -44,15 +174,7 @@ class Pdo extends Protocol {
         if (!pdo)
             throw new EdsError(`TPDO 0x${cobId.toString(16)} not mapped.`);
 
-        const data = Buffer.alloc(pdo.dataSize);
-        let dataOffset = 0;
-
-        for (const obj of pdo.dataObjects) {
-            obj.raw.copy(data, dataOffset);
-            dataOffset += obj.raw.length;
-        }
-
-        this.send(cobId, data);
+        this._send(pdo, packPdo(pdo));
     }
 
     /**
@@ -70,18 +192,11 @@ class Pdo extends Protocol {
             this.addEdsCallback('removeEntry', (obj) => this._removeEntry(obj));
 
             this.receiveMap = {};
-            for (const pdo of this.eds.getReceivePdos())
-                this._addRpdo(pdo);
-
-            this.addEdsCallback('newRpdo', (pdo) => this._addRpdo(pdo));
-            this.addEdsCallback('removeRpdo', (pdo) => this._removeRpdo(pdo));
-
             this.transmitMap = {};
-            for (const pdo of this.eds.getTransmitPdos())
-                this._addTpdo(pdo);
+            this._updatePdos(false);
 
-            this.addEdsCallback('newTpdo', (pdo) => this._addTpdo(pdo));
-            this.addEdsCallback('removeTpdo', (pdo) => this._removeTpdo(pdo));
+            for (const event of ['newRpdo', 'removeRpdo', 'newTpdo', 'removeTpdo'])
+                this.addEdsCallback(event, () => this._updatePdos());
 
             super.start();
         }
@@ -101,16 +216,15 @@ class Pdo extends Protocol {
             if(obj1005)
                 this._removeEntry(obj1005);
 
-            this.removeEdsCallback('newRpdo');
-            this.removeEdsCallback('removeRpdo');
+            for (const event of ['newRpdo', 'removeRpdo', 'newTpdo', 'removeTpdo'])
+                this.removeEdsCallback(event);
 
-            for (const pdo of this.eds.getReceivePdos())
-                this._removeRpdo(pdo);
+            this.unwatchEntries();
 
-            this.removeEdsCallback('newTpdo');
-            this.removeEdsCallback('removeTpdo');
+            for (const pdo of Object.values(this.receiveMap))
+                this._removeRpdo(pdo);
 
-            for (const pdo of this.eds.getTransmitPdos())
+            for (const pdo of Object.values(this.transmitMap))
                 this._removeTpdo(pdo);
 
             super.stop();
@@ -123,14 +237,37 @@ class Pdo extends Protocol {
      * @param {object} message - CAN frame.
      * @param {number} message.id - CAN message identifier.
      * @param {Buffer} message.data - CAN message data;
+     * @param {boolean} [message.rtr] - true for a remote transmission request.
      * @fires Pdo#pdo
+     * @fires Pdo#pdoLength
+     * @fires Protocol#message
      * @override
      */
-    receive({ id, data }) {
+    receive({ id, data, rtr }) {
+        if (rtr) {
+            const pdo = this.transmitMap[id & 0x7FF];
+            if (pdo && pdo.rtrAllowed) {
+                // RTR-only synchronous TPDOs answer with the data from SYNC
+                const latched = this.latched[pdo.cobId];
+                this._send(pdo, latched || packPdo(pdo));
+            }
+            return;
+        }
+
         if ((id & 0x7FF) === this.syncCobId) {
+            // Commit synchronous RPDOs received since the last SYNC
+            const pending = this.pendingRpdo;
+            this.pendingRpdo = {};
+            for (const [cobId, rpdoData] of Object.entries(pending))
+                this._commitRpdo(this.receiveMap[cobId], rpdoData);
+
             const counter = data[1];
             for (const pdo of Object.values(this.syncTpdo)) {
-                if (pdo.started) {
+                if (pdo.transmissionType == 0xFC) {
+                    // RTR-only - sample on SYNC
+                    this.latched[pdo.cobId] = packPdo(pdo);
+                }
+                else if (pdo.started) {
                     if (pdo.transmissionType == 0) {
                         // Acyclic - send only if data changed
                         this.write(pdo.cobId, true);
@@ -151,25 +288,95 @@ class Pdo extends Protocol {
 
         const pdo = this.receiveMap[id];
         if(pdo) {
-            let dataOffset = 0;
+            if (data.length < pdo.dataSize) {
+                /**
+                 * An RPDO was received with fewer bytes than mapped. The
+                 * data is discarded.
+                 *
+                 * @event Pdo#pdoLength
+                 * @type {object}
+                 * @property {number} cobId - COB-ID of the RPDO.
+                 * @property {number} length - received data length.
+                 * @since 6.3.0
+                 */
+                this.emit('pdoLength', { cobId: id, length: data.length });
+                return;
+            }
 
-            let updated = false;
-            for (const obj of pdo.dataObjects) {
-                const size = obj.size;
-                if (data.length < dataOffset + size)
-                    continue;
+            this._startDeadlineTimer(pdo);
 
-                const lastValue = obj.value;
-                data.copy(obj.raw, 0, dataOffset, dataOffset + size);
-                dataOffset += obj.raw.length;
+            const latch = pdo.transmissionType < 0xF1
+                && this.syncCobId !== null
+                && !this._immediateRpdo;
 
-                if (!updated && lastValue !== obj.value)
-                    updated = true;
+            if (latch) {
+                // Synchronous - latch until the next SYNC
+                this.pendingRpdo[id] = Buffer.from(data);
             }
+            else {
+                this._commitRpdo(pdo, data);
+            }
+        }
+    }
+
+    /**
+     * Copy received data into the mapped objects of an RPDO.
+     *
+     * @param {object} pdo - PDO data.
+     * @param {Buffer} data - received data.
+     * @fires Pdo#pdo
+     * @fires Pdo#pdoValues
+     * @private
+     */
+    _commitRpdo(pdo, data) {
+        const values = {};
+        const changed = [];
+
+        let dataOffset = 0;
+        let updated = false;
+        for (const obj of pdo.dataObjects) {
+            const size = obj.size;
+            const lastValue = obj.value;
+            data.copy(obj.raw, 0, dataOffset, dataOffset + size);
+            dataOffset += obj.raw.length;
 
-            if (updated)
-                this._emitPdo(pdo);
+            const value = obj.value;
+            if (lastValue !== value)
+                updated = true;
+
+            if (obj.objectType === ObjectType.DEFTYPE)
+                continue; // Dummy entry
+
+            const keys = [obj.parameterName, valueKey(obj)];
+            for (const key of keys)
+                values[key] = value;
+
+            if (lastValue !== value)
+                changed.push(...keys);
         }
+
+        if (updated)
+            this._emitPdo(pdo);
+
+        /**
+         * An RPDO was received. Values are keyed by both the parameter name
+         * and the 'index:subIndex' key (e.g. '0x6064:0') of each mapped
+         * object and have their scale factors applied.
+         *
+         * @event Pdo#pdoValues
+         * @type {object}
+         * @property {number} cobId - COB-ID of the RPDO.
+         * @property {object} values - mapped object values.
+         * @property {Array<string>} changed - keys of the values that changed.
+         * @property {number} timestamp - time the values were applied (ms).
+         * @since 6.3.0
+         */
+        this.emit('pdoValues', {
+            cobId: pdo.cobId,
+            values,
+            changed,
+            timestamp: Date.now(),
+        });
     }
 
     /**
@@ -222,6 +429,86 @@ class Pdo extends Protocol {
      */
     _clear1005() {
         this.syncCobId = null;
+
+        // No SYNC will arrive to commit latched RPDOs
+        const pending = this.pendingRpdo;
+        this.pendingRpdo = {};
+        for (const [cobId, rpdoData] of Object.entries(pending))
+            this._commitRpdo(this.receiveMap[cobId], rpdoData);
+    }
+
+    /**
+     * Update the mapped PDOs from the communication and mapping parameters.
+     *
+     * The parameters (0x1400 - 0x1BFF) are watched so that PDOs remapped over
+     * SDO take effect immediately. A PDO is removed while its COB-ID is
+     * invalid and added again when it is re-enabled, so remapping should
+     * follow the CiA 301 procedure: set the invalid bit, set the number of
+     * mapped objects to zero, change the mapping, set the number of mapped
+     * objects, and clear the invalid bit.
+     *
+     * @param {boolean} [notify] - emit Pdo#remap if the PDOs changed.
+     * @fires Pdo#remap
+     * @private
+     */
+    _updatePdos(notify = true) {
+        let rpdos, tpdos;
+        try {
+            rpdos = this.eds.getReceivePdos();
+            tpdos = this.eds.getTransmitPdos();
+        }
+        catch (e) {
+            if (!(e instanceof EdsError))
+                throw e;
+
+            return; // Wait for the parameters to be consistent
+        }
+
+        const removed = [];
+        const added = [];
+
+        for (const pdo of Object.values(this.receiveMap)) {
+            if (!rpdos.some((p) => isSamePdo(p, pdo))) {
+                this._removeRpdo(pdo);
+                removed.push(pdo);
+            }
+        }
+
+        for (const pdo of Object.values(this.transmitMap)) {
+            if (!tpdos.some((p) => isSamePdo(p, pdo))) {
+                this._removeTpdo(pdo);
+                removed.push(pdo);
+            }
+        }
+
+        for (const pdo of rpdos) {
+            if (!isSamePdo(this.receiveMap[pdo.cobId], pdo)) {
+                this._addRpdo(pdo);
+                added.push(pdo);
+            }
+        }
+
+        for (const pdo of tpdos) {
+            if (!isSamePdo(this.transmitMap[pdo.cobId], pdo)) {
+                this._addTpdo(pdo);
+                added.push(pdo);
+            }
+        }
+
+        this.watchEntries(0x1400, 0x1BFF, () => this._updatePdos());
+
+        if (notify && (added.length > 0 || removed.length > 0)) {
+            /**
+             * The mapped PDOs changed.
+             *
+             * @event Pdo#remap
+             * @type {object}
+             * @property {Array<object>} added - PDOs that were mapped.
+             * @property {Array<object>} removed - PDOs that were unmapped.
+             * @since 6.3.0
+             */
+            this.emit('remap', { added, removed });
+        }
     }
 
     /**
@@ -241,19 +528,63 @@ class Pdo extends Protocol {
      * @private
      */
     _removeRpdo(pdo) {
+        clearTimeout(this.deadlineTimers[pdo.cobId]);
+        delete this.deadlineTimers[pdo.cobId];
+        delete this.pendingRpdo[pdo.cobId];
         delete this.receiveMap[pdo.cobId];
     }
 
+    /**
+     * Restart the deadline timer of an RPDO.
+     *
+     * If the RPDO has an event time then it must be received again before
+     * the timer expires. Monitoring begins with the first reception.
+     *
+     * @param {object} pdo - PDO data.
+     * @fires Pdo#pdoTimeout
+     * @private
+     */
+    _startDeadlineTimer(pdo) {
+        const cobId = pdo.cobId;
+        clearTimeout(this.deadlineTimers[cobId]);
+
+        if (pdo.eventTime > 0) {
+            this.deadlineTimers[cobId] = setTimeout(() => {
+                delete this.deadlineTimers[cobId];
+
+                /**
+                 * An RPDO was not received within its event time.
+                 *
+                 * @event Pdo#pdoTimeout
+                 * @type {number}
+                 * @since 6.3.0
+                 */
+                this.emit('pdoTimeout', cobId);
+            }, pdo.eventTime);
+        }
+    }
+
     /**
      * Add a TPDO.
      *
+     * Transmission types:
+     * - 0x00 - synchronous (acyclic).
+     * - 0x01..0xF0 - synchronous (cyclic every n SYNC).
+     * - 0xFC - RTR-only (synchronous). Data is sampled on SYNC.
+     * - 0xFD - RTR-only (event-driven).
+     * - 0xFE, 0xFF - event-driven. Sent when a mapped object changes and when
+     * the event timer expires, but no faster than the inhibit time.
+     *
+     * Any TPDO with the RTR bit of its COB-ID cleared is also sent on request.
+     *
      * @param {object} pdo - PDO data.
      * @private
      */
     _addTpdo(pdo) {
         this.transmitMap[pdo.cobId] = pdo;
 
-        if (pdo.transmissionType < 0xF1) {
+        const type = pdo.transmissionType;
+        if (type < 0xF1) {
             // Sent on SYNC
             if (!pdo.syncStart) {
                 pdo.started = true;
@@ -262,44 +593,23 @@ class Pdo extends Protocol {
 
             this.syncTpdo[pdo.cobId] = pdo;
         }
-        else if (pdo.transmissionType == 0xFE) {
-            if (pdo.eventTime > 0) {
-                // Send on a timer
-                const timer = setInterval(
-                    () => this.write(pdo.cobId), pdo.eventTime);
-
-                this.eventTimers[pdo.cobId] = timer;
-            }
-            else if (pdo.inhibitTime > 0) {
-                // Send on update, but no faster than the inhibit time
-                this.updateFlags[pdo.cobId] = false;
-                this.eventTimers[pdo.cobId] = setInterval(() => {
-                    if(this.updateFlags[pdo.cobId]) {
-                        this.updateFlags[pdo.cobId] = false;
-                        this.write(pdo.cobId);
-                    }
-                }, pdo.inhibitTime);
-
-                for (const obj of pdo.dataObjects) {
-                    const key = pdo.cobId.toString(16) + ':' + obj.key;
-                    const callback = () => {
-                        this.updateFlags[pdo.cobId] = true;
-                    };
+        else if (type == 0xFC) {
+            this.syncTpdo[pdo.cobId] = pdo;
+        }
+        else if (type >= 0xFE) {
+            // Send on value change
+            const callback = () => {
+                if (!this._suppressEvents)
+                    this._trigger(pdo);
+            };
 
+            for (const obj of pdo.dataObjects) {
+                const key = pdo.cobId.toString(16) + ':' + obj.key;
+                if (!this.callbacks[key])
                     this.addUpdateCallback(obj, callback, key);
-                }
             }
-            else {
-                // Send immediately on value change
-                for (const obj of pdo.dataObjects) {
-                    const key = pdo.cobId.toString(16) + ':' + obj.key;
-                    const callback = () => {
-                        this.write(pdo.cobId);
-                    };
 
-                    this.addUpdateCallback(obj, callback, key);
-                }
-            }
+            this._startEventTimer(pdo);
         }
     }
 
@@ -310,33 +620,93 @@ class Pdo extends Protocol {
      * @private
      */
     _removeTpdo(pdo) {
-        if (pdo.transmissionType < 0xF1) {
-            delete this.syncTpdo[pdo.cobId];
-        }
-        else if (pdo.transmissionType == 0xFE) {
-            if (pdo.eventTime > 0) {
-                clearInterval(this.eventTimers[pdo.cobId]);
-                delete this.eventTimers[pdo.cobId];
-            }
-            else if (pdo.inhibitTime > 0) {
-                clearInterval(this.eventTimers[pdo.cobId]);
-                delete this.eventTimers[pdo.cobId];
-                delete this.updateFlags[pdo.cobId];
-
-                for (const obj of pdo.dataObjects) {
-                    const key = pdo.cobId.toString(16) + ':' + obj.key;
-                    this.removeUpdateCallback(obj, key);
-                }
-            }
-            else {
-                for (const obj of pdo.dataObjects) {
-                    const key = pdo.cobId.toString(16) + ':' + obj.key;
+        const cobId = pdo.cobId;
+        if (pdo.transmissionType >= 0xFE) {
+            for (const obj of pdo.dataObjects) {
+                const key = cobId.toString(16) + ':' + obj.key;
+                if (this.callbacks[key])
                     this.removeUpdateCallback(obj, key);
-                }
             }
         }
 
-        delete this.transmitMap[pdo.cobId];
+        clearTimeout(this.eventTimers[cobId]);
+        clearTimeout(this.inhibitTimers[cobId]);
+
+        delete this.eventTimers[cobId];
+        delete this.inhibitTimers[cobId];
+        delete this.lastWrite[cobId];
+        delete this.latched[cobId];
+        delete this.syncTpdo[cobId];
+        delete this.transmitMap[cobId];
+    }
+
+    /**
+     * Send an event-driven TPDO, or schedule it for the end of the inhibit
+     * time.
+     *
+     * @param {object} pdo - PDO data.
+     * @private
+     */
+    _trigger(pdo) {
+        const cobId = pdo.cobId;
+        if (this.inhibitTimers[cobId])
+            return; // Already scheduled
+
+        const inhibitTime = pdo.inhibitTime / 10; // 100 μs
+        const lastWrite = this.lastWrite[cobId];
+        const elapsed = Date.now() - lastWrite;
+
+        if (inhibitTime > 0 && lastWrite !== undefined
+            && elapsed < inhibitTime) {
+            this.inhibitTimers[cobId] = setTimeout(() => {
+                delete this.inhibitTimers[cobId];
+                this._send(pdo, packPdo(pdo));
+            }, inhibitTime - elapsed);
+        }
+        else {
+            this._send(pdo, packPdo(pdo));
+        }
+    }
+
+    /**
+     * Send a TPDO and restart its timers.
+     *
+     * @param {object} pdo - PDO data.
+     * @param {Buffer} data - PDO data to send.
+     * @fires Protocol#message
+     * @private
+     */
+    _send(pdo, data) {
+        const cobId = pdo.cobId;
+
+        clearTimeout(this.inhibitTimers[cobId]);
+        delete this.inhibitTimers[cobId];
+
+        this.lastWrite[cobId] = Date.now();
+        this.send(cobId, data);
+
+        if (pdo.transmissionType >= 0xFE)
+            this._startEventTimer(pdo);
+    }
+
+    /**
+     * Start the event timer of an event-driven TPDO. The timer is the
+     * maximum time between two transmissions.
+     *
+     * @param {object} pdo - PDO data.
+     * @private
+     */
+    _startEventTimer(pdo) {
+        const cobId = pdo.cobId;
+        clearTimeout(this.eventTimers[cobId]);
+        delete this.eventTimers[cobId];
+
+        if (pdo.eventTime > 0) {
+            this.eventTimers[cobId] = setTimeout(() => {
+                delete this.eventTimers[cobId];
+                this._trigger(pdo);
+            }, pdo.eventTime);
+        }
     }
 
     /**
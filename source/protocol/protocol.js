@@ -24,6 +24,7 @@ class Protocol extends EventEmitter {
         this.eds = eds;
         this.started = false;
         this.callbacks = {};
+        this._watched = null;
     }
 
     /**
@@ -68,6 +69,7 @@ class Protocol extends EventEmitter {
      * @param {object} message - CAN frame.
      * @param {number} message.id - CAN message identifier.
      * @param {Buffer} message.data - CAN message data;
+     * @param {boolean} [message.rtr] - true for a remote transmission request.
      * @abstract
      */
     receive(message) {
@@ -79,9 +81,10 @@ class Protocol extends EventEmitter {
      *
      * @param {number} id - CAN message identifier.
      * @param {Buffer} data - CAN message data;
+     * @param {boolean} [rtr] - send as a remote transmission request.
      * @fires Protocol#message
      */
-    send(id, data) {
+    send(id, data, rtr = false) {
         if(data === undefined)
             data = Buffer.alloc(0);
 
@@ -92,9 +95,13 @@ class Protocol extends EventEmitter {
          * @type {object}
          * @property {number} id - CAN message identifier.
          * @property {Buffer} data - CAN message data.
+         * @property {boolean} [rtr] - true for a remote transmission request.
          * @since 6.0.0
          */
-        this.emit('message', { id, data });
+        if (rtr)
+            this.emit('message', { id, data, rtr });
+        else
+            this.emit('message', { id, data });
     }
 
     /**
@@ -152,6 +159,55 @@ class Protocol extends EventEmitter {
         entry.removeListener('update', this.callbacks[key]);
         delete this.callbacks[key];
     }
+
+    /**
+     * Add an 'update' listener to every entry in a range of indices.
+     *
+     * Call again after entries are added or removed from the Eds to update the
+     * watched entries. Only one range can be watched at a time.
+     *
+     * @param {number} first - first index.
+     * @param {number} last - last index.
+     * @param {Function} listener - event listener.
+     * @since 6.3.0
+     */
+    watchEntries(first, last, listener) {
+        const watched = this._watched || new Map();
+        this._watched = new Map();
+
+        for (const entry of this.eds.values()) {
+            const index = entry.index;
+            if (index < first || index > last)
+                continue;
+
+            const key = 'watch-' + entry.key;
+            if (watched.get(key) === entry)
+                watched.delete(key);
+            else
+                this.addUpdateCallback(entry, listener, key);
+
+            this._watched.set(key, entry);
+        }
+
+        // Entries that were removed or replaced
+        for (const [key, entry] of watched)
+            this.removeUpdateCallback(entry, key);
+    }
+
+    /**
+     * Remove the listeners added by {@link Protocol#watchEntries}.
+     *
+     * @since 6.3.0
+     */
+    unwatchEntries() {
+        if (!this._watched)
+            return;
+
+        for (const [key, entry] of this._watched)
+            this.removeUpdateCallback(entry, key);
+
+        this._watched = null;
+    }
 }
 
 module.exports = exports = Protocol;
\ No newline at end of file
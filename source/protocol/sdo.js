@@ -5,6 +5,7 @@
  */
 
 const EventEmitter = require('events');
+const { Readable } = require('stream');
 
 /**
  * CANopen abort codes.
@@ -265,9 +266,13 @@ class SdoTransfer extends EventEmitter {
         this.subIndex = args.subIndex;
         this.timeout = args.timeout;
         this.cobId = args.cobId;
+        this.deviceId = args.deviceId;
         this.data = args.data || Buffer.alloc(0);
         this.size = this.data.length;
         this.blockInterval = args.blockInterval;
+        this.stream = args.stream || null;
+        this.received = 0;
+        this.paused = false;
 
         this.active = false;
         this.toggle = 0;
@@ -341,10 +346,129 @@ class SdoTransfer extends EventEmitter {
     }
 }
 
+/**
+ * Reads transfer data from a stream as it is needed.
+ *
+ * @param {object} stream - Readable data source.
+ * @param {number | null} size - number of bytes to transfer, if known.
+ * @private
+ */
+class StreamSource {
+    constructor(stream, size = null) {
+        this.stream = stream;
+        this.length = size;
+        this.position = 0;
+        this._buffer = Buffer.alloc(0);
+        this._ended = false;
+        this._error = null;
+        this._wake = null;
+
+        const wake = () => {
+            if (this._wake)
+                this._wake();
+        };
+
+        stream.on('readable', wake);
+        stream.on('end', () => {
+            this._ended = true;
+            wake();
+        });
+        stream.on('error', (error) => {
+            this._error = error;
+            wake();
+        });
+    }
+
+    /**
+     * Read the next bytes from the stream.
+     *
+     * @param {number} count - number of bytes to read.
+     * @returns {Promise<Buffer>} the data, which is only shorter than count if
+     * the stream ended.
+     */
+    async read(count) {
+        await this._fill(count);
+
+        const data = this._buffer.slice(0, count);
+        this._buffer = this._buffer.slice(count);
+        this.position += data.length;
+        return data;
+    }
+
+    /**
+     * Check if all data has been read from the stream.
+     *
+     * @returns {Promise<boolean>} true if the stream has no more data.
+     */
+    async atEnd() {
+        await this._fill(1);
+        return this._buffer.length === 0;
+    }
+
+    /**
+     * Wait until count bytes are buffered or the stream ends.
+     *
+     * @param {number} count - number of bytes.
+     * @private
+     */
+    async _fill(count) {
+        for (;;) {
+            while (this._buffer.length < count) {
+                const chunk = this.stream.read();
+                if (chunk === null)
+                    break;
+
+                const data = Buffer.from(chunk);
+                this._buffer = Buffer.concat([this._buffer, data]);
+            }
+
+            if (this._error)
+                throw this._error;
+
+            if (this._buffer.length >= count || this._ended)
+                return;
+
+            await new Promise((resolve) => this._wake = resolve);
+            this._wake = null;
+        }
+    }
+}
+
+/**
+ * Readable stream of uploaded transfer data.
+ *
+ * @private
+ */
+class StreamSink extends Readable {
+    constructor() {
+        super();
+        this._resume = null;
+    }
+
+    /**
+     * Wait for the consumer to catch up.
+     *
+     * @param {Function} callback - called when more data is wanted.
+     */
+    wait(callback) {
+        this._resume = callback;
+    }
+
+    /** Called by the stream when the consumer wants more data. */
+    _read() {
+        const resume = this._resume;
+        this._resume = null;
+        if (resume)
+            resume();
+    }
+}
+
 module.exports = exports = {
     ClientCommand,
     ServerCommand,
     SdoCode,
     SdoError,
     SdoTransfer,
+    StreamSink,
+    StreamSource,
 };
@@ -7,10 +7,19 @@
 const Protocol = require('./protocol');
 const { DataObject, Eds } = require('../eds');
 const { DataType } = require('../types');
-const { SdoCode, SdoTransfer, ClientCommand, ServerCommand } = require('./sdo');
+const {
+    SdoCode,
+    SdoError,
+    SdoTransfer,
+    StreamSink,
+    StreamSource,
+    ClientCommand,
+    ServerCommand,
+} = require('./sdo');
 const calculateCrc = require('../functions/crc');
 const rawToType = require('../functions/raw_to_type');
 const typeToRaw = require('../functions/type_to_raw');
+const { Readable } = require('stream');
 const { deprecate } = require('util');
 
 /**
@@ -80,6 +89,15 @@ class SdoClient extends Protocol {
         this.sdoServers = [];
         this.transfers = {};
         this._blockSize = 127;
+        this._blockCrc = true;
+        this._protocolSwitchThreshold = 0;
+        this._retryPolicy = {
+            attempts: 1,
+            backoff: 0,
+            backoffFactor: 2,
+            retryable: [SdoCode.TIMEOUT],
+            blockFallback: true,
+        };
     }
 
     /**
@@ -104,6 +122,93 @@ class SdoClient extends Protocol {
         this._blockSize = value;
     }
 
+    /**
+     * True if a CRC is requested for block transfers.
+     *
+     * @type {boolean}
+     * @since 6.3.0
+     */
+    get blockCrc() {
+        return this._blockCrc;
+    }
+
+    /**
+     * Enable or disable CRC support for block transfers.
+     *
+     * The CRC is only used if both the client and the server support it.
+     *
+     * @param {boolean} enable - true to request a CRC.
+     * @since 6.3.0
+     */
+    setBlockCrc(enable) {
+        this._blockCrc = Boolean(enable);
+    }
+
+    /**
+     * Object size at or below which a block upload may switch to a segmented
+     * or expedited upload. Zero if the protocol may not be switched.
+     *
+     * @type {number}
+     * @since 6.3.0
+     */
+    get protocolSwitchThreshold() {
+        return this._protocolSwitchThreshold;
+    }
+
+    /**
+     * Set the protocol switch threshold sent with block upload requests.
+     *
+     * If the object is not larger than the threshold, then the server may
+     * answer with a segmented or expedited upload instead, which has less
+     * overhead for small objects.
+     *
+     * @param {number} value - threshold in bytes [0-255].
+     * @since 6.3.0
+     */
+    setProtocolSwitchThreshold(value) {
+        if (value < 0 || value > 255)
+            throw RangeError('threshold must be in range [0-255]');
+
+        this._protocolSwitchThreshold = value;
+    }
+
+    /**
+     * Retry policy used for transfers.
+     *
+     * @type {object}
+     */
+    get retryPolicy() {
+        return { ...this._retryPolicy };
+    }
+
+    /**
+     * Set the retry policy used for transfers.
+     *
+     * A failed transfer is restarted from the beginning if its abort code is
+     * retryable and it has not used up its attempts. The delay before each
+     * retry is multiplied by backoffFactor. Independently of the attempt
+     * count, a block transfer that is rejected with BAD_BLOCK_SIZE or
+     * BAD_COMMAND is repeated once as a segmented transfer.
+     *
+     * The policy can also be overridden for a single transfer with the retry
+     * argument of SdoClient#upload() and SdoClient#download().
+     *
+     * @param {object} policy - options to change.
+     * @param {number} [policy.attempts] - maximum number of attempts [1-].
+     * @param {number} [policy.backoff] - delay before the first retry (ms).
+     * @param {number} [policy.backoffFactor] - delay multiplier per retry.
+     * @param {Array<SdoCode>} [policy.retryable] - abort codes to retry.
+     * @param {boolean} [policy.blockFallback] - fall back to a segmented
+     * transfer if block transfers are not supported.
+     * @since 6.3.0
+     */
+    setRetryPolicy(policy) {
+        if (policy.attempts !== undefined && policy.attempts < 1)
+            throw RangeError('attempts must be at least 1');
+
+        this._retryPolicy = { ...this._retryPolicy, ...policy };
+    }
+
     /**
      * Service: SDO upload
      *
@@ -118,15 +223,66 @@ class SdoClient extends Protocol {
      * @param {boolean} [args.blockTransfer] - use block transfer protocol.
      * @param {number} [args.blockInterval] - minimum time between data blocks.
      * @param {number} [args.cobIdRx] -  COB-ID server -> client.
+     * @param {AbortSignal} [args.signal] - cancels the transfer. A transfer in
+     * progress is aborted with SdoCode.GENERAL_ERROR.
+     * @param {object} [args.retry] - overrides the retry policy.
      * @returns {Promise<Buffer | number | bigint | string | Date>} resolves when the upload is complete.
      * @fires Protocol#message
+     * @fires SdoClient#retry
+     * @fires SdoClient#progress
      */
     async upload(args) {
+        const data = await this._upload(args);
+        return rawToType(data, args.dataType || null);
+    }
+
+    /**
+     * Service: SDO upload (streaming).
+     *
+     * Read data from an SDO server as a stream. Each segment is pushed to the
+     * stream as it arrives, so large DOMAIN objects do not need to be held in
+     * memory. The server is not asked for more data while the stream is
+     * full, so a slow reader must keep up with the server's session timeout.
+     * Transfer errors are emitted as 'error' on the stream. Upload streams
+     * are not retried on timeout since data may already have been read.
+     *
+     * @param {object} args - arguments to destructure.
+     * @param {number} args.deviceId - SDO server.
+     * @param {number} args.index - data index to upload.
+     * @param {number} args.subIndex - data subIndex to upload.
+     * @param {number} [args.timeout] - time before transfer is aborted.
+     * @param {boolean} [args.blockTransfer] - use block transfer protocol.
+     * @param {number} [args.cobIdRx] -  COB-ID server -> client.
+     * @param {AbortSignal} [args.signal] - cancels the transfer.
+     * @returns {Readable} the uploaded data.
+     * @fires SdoClient#progress
+     * @since 6.3.0
+     */
+    uploadStream(args) {
+        const stream = new StreamSink();
+        const retry = { ...args.retry, attempts: 1 };
+
+        this._upload({ ...args, retry }, stream).then(
+            () => stream.push(null),
+            (error) => stream.destroy(error));
+
+        return stream;
+    }
+
+    /**
+     * Read data from an SDO server.
+     *
+     * @param {object} args - SdoClient#upload() arguments.
+     * @param {Readable} [stream] - stream to push data to.
+     * @returns {Promise<Buffer | undefined>} the uploaded data, unless it was
+     * pushed to a stream.
+     * @private
+     */
+    async _upload(args, stream) {
         const deviceId = args.deviceId || args.serverId;
         const index = args.index;
         const subIndex = args.subIndex || null;
         const timeout = args.timeout || 30;
-        const dataType = args.dataType || null;
         const blockTransfer = args.blockTransfer || false;
         const blockInterval = args.blockInterval;
         const cobIdRx = args.cobIdRx || null;
@@ -141,37 +297,21 @@ class SdoClient extends Protocol {
         if (index === undefined)
             throw ReferenceError('index must be defined');
 
-        const data = await server.queue.push(() => {
-            return new Promise((resolve, reject) => {
-                const transfer = new SdoTransfer({
-                    resolve,
-                    reject,
-                    index,
-                    subIndex,
-                    timeout,
-                    blockInterval,
-                    cobId: server.cobIdTx,
-                });
-
-                this.transfers[server.cobIdRx] = transfer;
-
-                const sendBuffer = Buffer.alloc(8);
-                sendBuffer.writeUInt16LE(index, 1);
-                sendBuffer.writeUInt8(subIndex, 3);
-
-                transfer.addListener('abort',
-                    (code) => this._abortTransfer(transfer, code));
-
-                transfer.start();
-
-                if (blockTransfer)
-                    this._blockUploadStart(transfer);
-                else
-                    this._uploadStart(transfer);
-            });
+        return this._queueTransfer(server, {
+            index,
+            subIndex,
+            timeout,
+            blockInterval,
+            blockTransfer,
+            stream,
+            signal: args.signal,
+            retry: args.retry,
+        }, (transfer, blockTransfer) => {
+            if (blockTransfer)
+                this._blockUploadStart(transfer);
+            else
+                this._uploadStart(transfer);
         });
-
-        return rawToType(data, dataType);
     }
 
     /**
@@ -181,7 +321,10 @@ class SdoClient extends Protocol {
      *
      * @param {object} args - arguments to destructure.
      * @param {number} args.deviceId - SDO server.
-     * @param {object} args.data - data to download.
+     * @param {object} args.data - data to download. If data is a Readable,
+     * then it is read as the transfer progresses.
+     * @param {number} [args.size] - number of bytes to download. Required if
+     * data is a Readable.
      * @param {number} args.index - index or name to download to.
      * @param {number} args.subIndex - data subIndex to download to.
      * @param {DataType} [args.dataType] - type of data to download.
@@ -189,7 +332,12 @@ class SdoClient extends Protocol {
      * @param {boolean} [args.blockTransfer] - use block transfer protocol.
      * @param {number} [args.blockInterval] - minimum time between data blocks.
      * @param {number} [args.cobIdRx] -  COB-ID server -> client.
+     * @param {AbortSignal} [args.signal] - cancels the transfer. A transfer in
+     * progress is aborted with SdoCode.GENERAL_ERROR.
+     * @param {object} [args.retry] - overrides the retry policy.
      * @fires Protocol#message
+     * @fires SdoClient#retry
+     * @fires SdoClient#progress
      */
     async download(args) {
         const deviceId = args.deviceId || args.serverId;
@@ -202,7 +350,7 @@ class SdoClient extends Protocol {
         const cobIdRx = args.cobIdRx || null;
 
         let server = this._getServer({ deviceId, cobIdRx });
-        if (server === undefined) {
+        if (!server) {
             // User must call Eds#addSdoClientParameter() first.
             const id = deviceId.toString(16);
             throw new ReferenceError(`SDO server 0x${id} not mapped`);
@@ -212,7 +360,25 @@ class SdoClient extends Protocol {
             throw ReferenceError('index must be defined');
 
         let data = args.data;
-        if (!Buffer.isBuffer(data)) {
+        let retry = args.retry;
+        if (data instanceof Readable) {
+            if (typeof args.size !== 'number')
+                throw ReferenceError('size must be defined');
+
+            if (args.size > 4) {
+                data = new StreamSource(data, args.size);
+
+                // A partially read stream can not be restarted
+                retry = { ...retry, attempts: 1 };
+            }
+            else {
+                // Expedited transfer, read it all now
+                data = await new StreamSource(data, args.size).read(args.size);
+                if (data.length < args.size)
+                    throw RangeError('stream ended before size bytes');
+            }
+        }
+        else if (!Buffer.isBuffer(data)) {
             if (DataObject.isDataObject(data)) {
                 data = data.raw;
             }
@@ -226,37 +392,63 @@ class SdoClient extends Protocol {
             }
         }
 
-        await server.queue.push(() => {
-            return new Promise((resolve, reject) => {
-                const transfer = new SdoTransfer({
-                    cobId: server.cobIdTx,
-                    resolve,
-                    reject,
-                    index,
-                    subIndex,
-                    data,
-                    timeout,
-                    blockInterval,
-                });
-
-                this.transfers[server.cobIdRx] = transfer;
-
-                const sendBuffer = Buffer.alloc(8);
-                sendBuffer.writeUInt16LE(index, 1);
-                sendBuffer.writeUInt8(subIndex, 3);
-
-                transfer.addListener('abort',
-                    (code) => this._abortTransfer(transfer, code));
-
-                transfer.start();
+        await this._queueTransfer(server, {
+            index,
+            subIndex,
+            data,
+            timeout,
+            blockInterval,
+            blockTransfer,
+            signal: args.signal,
+            retry,
+        }, (transfer, blockTransfer) => {
+            if (blockTransfer)
+                this._blockDownloadStart(transfer);
+            else
+                this._downloadStart(transfer);
+        });
+    }
 
-                if (blockTransfer)
-                    this._blockDownloadStart(transfer);
-                else
-                    this._downloadStart(transfer);
+    /**
+     * Service: SDO upload (batch).
+     *
+     * Read several objects. Transfers to different servers run concurrently,
+     * while transfers to the same server run one at a time in the order they
+     * are listed. A failed transfer does not stop the rest of the batch.
+     *
+     * @param {Array<object>} items - arguments for each SdoClient#upload().
+     * @param {object} [options] - batch options.
+     * @param {AbortSignal} [options.signal] - cancels transfers that have not
+     * completed. Items can also provide their own signal.
+     * @returns {Promise<Array<object>>} resolves when every transfer has
+     * settled with a result for each item, in order. Each result is either
+     * { status: 'fulfilled', value } or { status: 'rejected', reason }.
+     * @since 6.3.0
+     */
+    uploadMany(items, options = {}) {
+        return this._settleAll(items, options.signal,
+            (args) => this.upload(args));
+    }
 
-            });
-        });
+    /**
+     * Service: SDO download (batch).
+     *
+     * Write several objects. Transfers to different servers run concurrently,
+     * while transfers to the same server run one at a time in the order they
+     * are listed. A failed transfer does not stop the rest of the batch.
+     *
+     * @param {Array<object>} items - arguments for each SdoClient#download().
+     * @param {object} [options] - batch options.
+     * @param {AbortSignal} [options.signal] - cancels transfers that have not
+     * completed. Items can also provide their own signal.
+     * @returns {Promise<Array<object>>} resolves when every transfer has
+     * settled with a result for each item, in order. Each result is either
+     * { status: 'fulfilled', value } or { status: 'rejected', reason }.
+     * @since 6.3.0
+     */
+    downloadMany(items, options = {}) {
+        return this._settleAll(items, options.signal,
+            (args) => this.download(args));
     }
 
     /**
@@ -267,14 +459,19 @@ class SdoClient extends Protocol {
     start() {
         if(!this.started) {
             this.sdoServers = [];
-            for (const server of this.eds.getSdoClientParameters())
-                this._addServer(server);
+            this._updateServers();
 
             this.addEdsCallback('newSdoServer',
-                (server) => this._addServer(server));
+                () => this._updateServers());
 
             this.addEdsCallback('removeSdoServer',
-                (server) => this._removeServer(server));
+                () => this._updateServers());
+
+            // SDO client parameters removed with Eds#removeEntry()
+            this.addEdsCallback('removeEntry', (obj) => {
+                if (obj.index >= 0x1280 && obj.index <= 0x12FF)
+                    this._updateServers();
+            });
 
             super.start();
         }
@@ -289,8 +486,10 @@ class SdoClient extends Protocol {
         if(this.started) {
             this.removeEdsCallback('newSdoServer');
             this.removeEdsCallback('removeSdoServer');
+            this.removeEdsCallback('removeEntry');
+            this.unwatchEntries();
 
-            for (const server of this.eds.getSdoClientParameters())
+            for (const server of this.sdoServers)
                 this._removeServer(server);
 
             super.stop();
@@ -314,7 +513,9 @@ class SdoClient extends Protocol {
         if (transfer.blockTransfer) {
             // Block transfer in progress
             if ((data[0] & 0x7f) === transfer.blockSequence + 1) {
-                transfer.data = Buffer.concat([transfer.data, data.slice(1)]);
+                transfer.blockData = Buffer.concat(
+                    [transfer.blockData, data.slice(1)]);
+
                 transfer.blockSequence++;
                 if (data[0] & 0x80) {
                     transfer.blockFinished = true;
@@ -343,7 +544,13 @@ class SdoClient extends Protocol {
 
                 transfer.blockSequence = 0; // Reset sequence
 
-                this.send(transfer.cobId, sendBuffer);
+                // The last segment may be padded, so keep it until the end
+                if (!transfer.blockFinished) {
+                    this._uploadData(transfer, transfer.blockData);
+                    transfer.blockData = Buffer.alloc(0);
+                }
+
+                this._uploadAck(transfer, sendBuffer);
             }
             return;
         }
@@ -389,6 +596,180 @@ class SdoClient extends Protocol {
         }
     }
 
+    /**
+     * Queue a transfer with a server. Retries are made before the next
+     * transfer in the queue is started.
+     *
+     * @param {object} server - SDO server.
+     * @param {object} args - transfer arguments.
+     * @param {boolean} [args.blockTransfer] - use block transfer protocol.
+     * @param {AbortSignal} [args.signal] - cancels the transfer.
+     * @param {object} [args.retry] - overrides the retry policy.
+     * @param {Function} begin - sends the first request.
+     * @returns {Promise<Buffer | undefined>} resolves when the transfer is
+     * complete.
+     * @fires SdoClient#retry
+     * @private
+     */
+    _queueTransfer(server, args, begin) {
+        const { index, subIndex, signal } = args;
+        const policy = { ...this._retryPolicy, ...args.retry };
+
+        return server.queue.push(async () => {
+            let blockTransfer = Boolean(args.blockTransfer);
+            let attempt = 1;
+            let delay = policy.backoff;
+
+            for (;;) {
+                try {
+                    return await this._runTransfer(server, args,
+                        (transfer) => begin(transfer, blockTransfer));
+                }
+                catch (error) {
+                    if (!(error instanceof SdoError))
+                        throw error;
+
+                    if (signal && signal.aborted)
+                        throw error;
+
+                    // Data already taken from a stream can not be sent again
+                    const source = args.data;
+                    if (source instanceof StreamSource && source.position > 0)
+                        throw error;
+
+                    const code = error.code;
+                    const fallback = blockTransfer
+                        && policy.blockFallback
+                        && (code === SdoCode.BAD_BLOCK_SIZE
+                            || code === SdoCode.BAD_COMMAND);
+
+                    if (!fallback) {
+                        if (attempt >= policy.attempts)
+                            throw error;
+
+                        if (!policy.retryable.includes(code))
+                            throw error;
+
+                        attempt += 1;
+                    }
+
+                    /**
+                     * A failed transfer is being retried.
+                     *
+                     * @event SdoClient#retry
+                     * @type {object}
+                     * @property {number} deviceId - SDO server.
+                     * @property {number} index - object index.
+                     * @property {number} subIndex - object subIndex.
+                     * @property {SdoCode} code - abort code of the failure.
+                     * @property {number} attempt - number of the next attempt.
+                     * @property {number} delay - time before the retry (ms).
+                     * @property {boolean} fallback - true if the retry uses
+                     * a segmented transfer instead of a block transfer.
+                     */
+                    this.emit('retry', {
+                        deviceId: server.deviceId,
+                        index,
+                        subIndex,
+                        code,
+                        attempt,
+                        delay: (fallback) ? 0 : delay,
+                        fallback,
+                    });
+
+                    if (fallback) {
+                        blockTransfer = false;
+                    }
+                    else {
+                        if (delay > 0)
+                            await new Promise((r) => setTimeout(r, delay));
+
+                        delay *= policy.backoffFactor;
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Run a single transfer attempt.
+     *
+     * @param {object} server - SDO server.
+     * @param {object} args - transfer arguments.
+     * @param {AbortSignal} [args.signal] - cancels the transfer.
+     * @param {Function} begin - sends the first request.
+     * @returns {Promise<Buffer | undefined>} resolves when the transfer is
+     * complete.
+     * @private
+     */
+    _runTransfer(server, args, begin) {
+        const { index, subIndex, signal } = args;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                const code = SdoCode.GENERAL_ERROR;
+                reject(new SdoError(code, index, subIndex));
+                return;
+            }
+
+            let onAbort = null;
+            const cleanup = () => {
+                if (onAbort)
+                    signal.removeEventListener('abort', onAbort);
+            };
+
+            const transfer = new SdoTransfer({
+                cobId: server.cobIdTx,
+                deviceId: server.deviceId,
+                index,
+                subIndex,
+                data: args.data,
+                stream: args.stream,
+                timeout: args.timeout,
+                blockInterval: args.blockInterval,
+                resolve: (data) => {
+                    cleanup();
+                    resolve(data);
+                },
+                reject: (error) => {
+                    cleanup();
+                    reject(error);
+                },
+            });
+
+            this.transfers[server.cobIdRx] = transfer;
+
+            transfer.addListener('abort',
+                (code) => this._abortTransfer(transfer, code));
+
+            if (signal) {
+                onAbort = () => transfer.abort(SdoCode.GENERAL_ERROR);
+                signal.addEventListener('abort', onAbort);
+            }
+
+            transfer.start();
+            begin(transfer);
+        });
+    }
+
+    /**
+     * Run a transfer for each item and collect the results.
+     *
+     * @param {Array<object>} items - transfer arguments.
+     * @param {AbortSignal} [signal] - default signal for each item.
+     * @param {Function} run - starts a transfer.
+     * @returns {Promise<Array<object>>} settled results.
+     * @private
+     */
+    _settleAll(items, signal, run) {
+        // Each transfer is queued synchronously, so per-server order is kept
+        return Promise.all(items.map((item) => {
+            return run({ signal, ...item }).then(
+                (value) => ({ status: 'fulfilled', value }),
+                (reason) => ({ status: 'rejected', reason }));
+        }));
+    }
+
     /**
      * Returns the first SDO server matching deviceId.
      *
@@ -408,6 +789,33 @@ class SdoClient extends Protocol {
         return null;
     }
 
+    /**
+     * Update the SDO servers from the SDO client parameter objects.
+     *
+     * The parameter objects are watched so that changes made over SDO, for
+     * example by an SDO manager, take effect immediately.
+     *
+     * @private
+     */
+    _updateServers() {
+        const isSame = (a, b) => a.deviceId === b.deviceId
+            && a.cobIdTx === b.cobIdTx
+            && a.cobIdRx === b.cobIdRx;
+
+        const servers = this.eds.getSdoClientParameters();
+        for (const server of this.sdoServers) {
+            if (!servers.some((s) => isSame(s, server)))
+                this._removeServer(server);
+        }
+
+        for (const server of servers) {
+            if (!this.sdoServers.some((s) => isSame(s, server)))
+                this._addServer(server);
+        }
+
+        this.watchEntries(0x1280, 0x12FF, () => this._updateServers());
+    }
+
     /**
      * Add an SDO server.
      *
@@ -483,17 +891,21 @@ class SdoClient extends Protocol {
         if (data[0] & 0x02) {
             // Expedited transfer
             const size = (data[0] & 1) ? (4 - ((data[0] >> 2) & 3)) : 4;
-            transfer.resolve(data.slice(4, 4 + size));
+            transfer.size = size;
+            this._uploadData(transfer, data.slice(4, 4 + size));
+            this._uploadEnd(transfer);
         }
         else {
             // Segmented transfer
             const sendBuffer = Buffer.alloc(8);
             sendBuffer.writeUInt8(ClientCommand.UPLOAD_SEGMENT << 5);
 
-            if (data[0] & 0x1)
+            transfer.sizeIndicated = Boolean(data[0] & 0x1);
+            if (transfer.sizeIndicated)
                 transfer.size = data.readUInt32LE(4);
 
             transfer.refresh();
+            this._progress(transfer, 0);
 
             this.send(transfer.cobId, sendBuffer);
         }
@@ -517,21 +929,18 @@ class SdoClient extends Protocol {
         }
 
         const count = (7 - ((data[0] >> 1) & 0x7));
-        const payload = data.slice(1, count + 1);
-        const size = transfer.data.length + count;
-        const buffer = Buffer.concat([transfer.data, payload], size);
+        this._uploadData(transfer, data.slice(1, count + 1));
 
         if (data[0] & 1) {
-            if (transfer.size != size) {
+            if (transfer.sizeIndicated && transfer.size != transfer.received) {
                 this._abortTransfer(transfer, SdoCode.BAD_LENGTH);
                 return;
             }
 
-            transfer.resolve(buffer);
+            this._uploadEnd(transfer);
         }
         else {
             transfer.toggle ^= 1;
-            transfer.data = buffer;
             transfer.refresh();
 
             const sendBuffer = Buffer.alloc(8);
@@ -540,8 +949,101 @@ class SdoClient extends Protocol {
 
             sendBuffer.writeUInt8(header);
 
-            this.send(transfer.cobId, sendBuffer);
+            this._uploadAck(transfer, sendBuffer);
+        }
+    }
+
+    /**
+     * Request more upload data. A streamed upload waits until the stream has
+     * room for it.
+     *
+     * @param {SdoTransfer} transfer - SDO context.
+     * @param {Buffer} data - message data.
+     * @fires Protocol#message
+     * @private
+     */
+    _uploadAck(transfer, data) {
+        if (!transfer.paused) {
+            this.send(transfer.cobId, data);
+            return;
         }
+
+        // Waiting on the reader, not the server
+        clearTimeout(transfer.timer);
+
+        transfer.stream.wait(() => {
+            transfer.paused = false;
+            if (transfer.active) {
+                transfer.start();
+                this.send(transfer.cobId, data);
+            }
+        });
+    }
+
+    /**
+     * Store or stream uploaded data.
+     *
+     * @param {SdoTransfer} transfer - SDO context.
+     * @param {Buffer} data - received data.
+     * @fires SdoClient#progress
+     * @private
+     */
+    _uploadData(transfer, data) {
+        transfer.received += data.length;
+
+        if (transfer.blockCrc)
+            transfer.crc = calculateCrc(data, transfer.crc);
+
+        if (transfer.stream)
+            transfer.paused = !transfer.stream.push(data);
+        else
+            transfer.data = Buffer.concat([transfer.data, data]);
+
+        this._progress(transfer, transfer.received);
+    }
+
+    /**
+     * Complete an upload.
+     *
+     * @param {SdoTransfer} transfer - SDO context.
+     * @private
+     */
+    _uploadEnd(transfer) {
+        if (transfer.stream)
+            transfer.resolve();
+        else
+            transfer.resolve(transfer.data);
+    }
+
+    /**
+     * Report the progress of a transfer.
+     *
+     * @param {SdoTransfer} transfer - SDO context.
+     * @param {number} bytes - number of bytes transferred.
+     * @param {number} [total] - size of the transfer.
+     * @fires SdoClient#progress
+     * @private
+     */
+    _progress(transfer, bytes, total = transfer.size) {
+        /**
+         * Data was transferred.
+         *
+         * @event SdoClient#progress
+         * @type {object}
+         * @property {number} deviceId - SDO server.
+         * @property {number} index - object index.
+         * @property {number} subIndex - object subIndex.
+         * @property {number} bytes - number of bytes transferred.
+         * @property {number} total - size of the transfer, or 0 if the
+         * server did not indicate the size of an upload.
+         */
+        this.emit('progress', {
+            deviceId: transfer.deviceId,
+            index: transfer.index,
+            subIndex: transfer.subIndex,
+            bytes,
+            total,
+        });
     }
 
     /**
@@ -589,24 +1091,15 @@ class SdoClient extends Protocol {
     _downloadInitiate(transfer) {
         if (transfer.size <= 4) {
             /* Expedited transfer. */
+            this._progress(transfer, transfer.size);
             transfer.resolve();
             return;
         }
 
-        const sendBuffer = Buffer.alloc(8);
-        transfer.size = Math.min(7, transfer.data.length);
-        transfer.data.copy(sendBuffer, 1, 0, transfer.size);
+        transfer.size = 0;
         transfer.refresh();
-
-        let header = (ClientCommand.DOWNLOAD_SEGMENT << 5)
-            | ((7 - transfer.size) << 1);
-
-        if (transfer.data.length == transfer.size)
-            header |= 1;
-
-        sendBuffer.writeUInt8(header);
-
-        this.send(transfer.cobId, sendBuffer);
+        this._progress(transfer, 0, transfer.data.length);
+        this._downloadNextSegment(transfer);
     }
 
     /**
@@ -626,31 +1119,78 @@ class SdoClient extends Protocol {
             return;
         }
 
+        this._progress(transfer, transfer.size, transfer.data.length);
+
         if (transfer.size == transfer.data.length) {
             transfer.resolve();
             return;
         }
 
-        const sendBuffer = Buffer.alloc(8);
-        const count = Math.min(7, (transfer.data.length - transfer.size));
-
-        transfer.data.copy(
-            sendBuffer, 1, transfer.size, transfer.size + count);
-
         transfer.toggle ^= 1;
-        transfer.size += count;
         transfer.refresh();
+        this._downloadNextSegment(transfer);
+    }
 
-        let header = (ClientCommand.DOWNLOAD_SEGMENT << 5)
-            | (transfer.toggle << 4)
-            | ((7 - count) << 1);
+    /**
+     * Send the next download segment.
+     *
+     * @param {SdoTransfer} transfer - SDO context.
+     * @fires Protocol#message
+     * @private
+     */
+    _downloadNextSegment(transfer) {
+        const offset = transfer.size;
+        const count = Math.min(7, (transfer.data.length - offset));
 
-        if (transfer.size == transfer.data.length)
-            header |= 1;
+        this._readData(transfer, offset, count, (payload) => {
+            const sendBuffer = Buffer.alloc(8);
+            payload.copy(sendBuffer, 1);
+            transfer.size += count;
 
-        sendBuffer.writeUInt8(header);
+            let header = (ClientCommand.DOWNLOAD_SEGMENT << 5)
+                | (transfer.toggle << 4)
+                | ((7 - count) << 1);
 
-        this.send(transfer.cobId, sendBuffer);
+            if (transfer.size == transfer.data.length)
+                header |= 1;
+
+            sendBuffer.writeUInt8(header);
+
+            this.send(transfer.cobId, sendBuffer);
+        });
+    }
+
+    /**
+     * Get download data.
+     *
+     * Data from a stream is read in order, so offset must follow on from the
+     * previous call.
+     *
+     * @param {SdoTransfer} transfer - SDO context.
+     * @param {number} offset - offset of the data.
+     * @param {number} count - number of bytes.
+     * @param {Function} callback - called with the data.
+     * @private
+     */
+    _readData(transfer, offset, count, callback) {
+        if (!(transfer.data instanceof StreamSource)) {
+            callback(transfer.data.slice(offset, offset + count));
+            return;
+        }
+
+        transfer.data.read(count).then((data) => {
+            if (!transfer.active)
+                return;
+
+            if (data.length < count)
+                this._abortTransfer(transfer, SdoCode.DATA_TRANSFER);
+            else
+                callback(data);
+        })
+            .catch(() => {
+                if (transfer.active)
+                    this._abortTransfer(transfer, SdoCode.DATA_TRANSFER);
+            });
     }
 
     /**
@@ -665,10 +1205,12 @@ class SdoClient extends Protocol {
         sendBuffer.writeUInt16LE(transfer.index, 1);
         sendBuffer.writeUInt8(transfer.subIndex, 3);
 
-        const header = (ClientCommand.BLOCK_DOWNLOAD << 5)
-            | (1 << 2)                  // CRC supported
+        let header = (ClientCommand.BLOCK_DOWNLOAD << 5)
             | (1 << 1);                 // Data size indicated
 
+        if (this.blockCrc)
+            header |= (1 << 2);         // CRC supported
+
         sendBuffer.writeUInt8(header);
         sendBuffer.writeUInt32LE(transfer.data.length, 4);
 
@@ -691,17 +1233,46 @@ class SdoClient extends Protocol {
             return;
         }
 
-        const sendBuffer = Buffer.alloc(8);
-        const offset = 7 * (transfer.blockSequence
-            + (transfer.blockCount * transfer.blockSize));
+        if (transfer.blockResend.length > 0) {
+            // Repeat segments that were not acknowledged
+            this._blockDownloadSegment(transfer, transfer.blockResend.shift());
+            return;
+        }
 
+        const offset = transfer.blockOffset;
+        const count = Math.min(7, transfer.data.length - offset);
+        const last = (offset + count) >= transfer.data.length;
+        transfer.blockOffset += count;
+
+        this._readData(transfer, offset, count, (payload) => {
+            if (transfer.blockCrc)
+                transfer.crc = calculateCrc(payload, transfer.crc);
+
+            this._blockDownloadSegment(transfer, { payload, last });
+        });
+    }
+
+    /**
+     * Send a block download segment.
+     *
+     * @param {SdoTransfer} transfer - SDO context.
+     * @param {object} segment - segment to send.
+     * @param {Buffer} segment.payload - segment data.
+     * @param {boolean} segment.last - true if this is the last segment.
+     * @fires Protocol#message
+     * @private
+     */
+    _blockDownloadSegment(transfer, segment) {
+        transfer.blockSegments.push(segment);
+
+        const sendBuffer = Buffer.alloc(8);
         sendBuffer[0] = ++transfer.blockSequence;
-        if ((offset + 7) >= transfer.data.length) {
+        if (segment.last) {
             sendBuffer[0] |= 0x80; // Last block
             transfer.blockFinished = true;
         }
 
-        transfer.data.copy(sendBuffer, 1, offset, offset + 7);
+        segment.payload.copy(sendBuffer, 1);
         transfer.refresh();
 
         // Schedule next call
@@ -714,7 +1285,7 @@ class SdoClient extends Protocol {
             else {
                 // If blockInterval is undefined, then default to 1 ms
                 setTimeout(() => this._blockDownloadProcess(transfer),
-                    transfer.blockInterval || 1)
+                    transfer.blockInterval || 1);
             }
         }
 
@@ -730,17 +1301,22 @@ class SdoClient extends Protocol {
      * @private
      */
     _blockDownloadInitiate(transfer, data) {
-        transfer.blockCrc = !!(data[0] & (1 << 2));
+        transfer.blockCrc = this.blockCrc && Boolean(data[0] & (1 << 2));
         transfer.blockSize = data[4];
-        transfer.blockCount = 0;
         transfer.blockSequence = 0;
         transfer.blockFinished = false;
+        transfer.blockOffset = 0;
+        transfer.blockSegments = [];
+        transfer.blockResend = [];
+        transfer.crc = 0;
 
         if (transfer.blockSize < 1 || transfer.blockSize > 127) {
             this._abortTransfer(transfer, SdoCode.BAD_BLOCK_SIZE);
             return;
         }
 
+        this._progress(transfer, 0, transfer.data.length);
+
         // Download first block
         this._blockDownloadProcess(transfer);
     }
@@ -754,35 +1330,48 @@ class SdoClient extends Protocol {
      * @private
      */
     _blockDownloadConfirm(transfer, data) {
-        // Check that all sub-blocks were received.
-        if (data[1] === transfer.blockSequence) {
-            transfer.blockCount += 1;
-            transfer.blockSequence = 0;
+        // Segments after the last one received must be sent again
+        const missing = transfer.blockSegments.slice(data[1]);
+        transfer.blockResend = missing.concat(transfer.blockResend);
+        transfer.blockSegments = [];
+        transfer.blockSequence = 0;
+
+        let pending = transfer.blockOffset;
+        for (const { payload } of transfer.blockResend)
+            pending -= payload.length;
 
-            if (transfer.blockFinished) {
+        this._progress(transfer, pending, transfer.data.length);
+
+        if (transfer.blockFinished) {
+            if (missing.length === 0) {
                 // End block download
                 const sendBuffer = Buffer.alloc(8);
 
                 let header = (ClientCommand.BLOCK_DOWNLOAD << 5)
                     | (1 << 0); // End block download
 
-                const emptyBytes = transfer.data.length % 7;
-                if (emptyBytes)
-                    header |= (7 - emptyBytes) << 2;
+                // Number of bytes in the last segment that do not contain
+                // data. An empty object is sent as one segment with no data.
+                const lastBytes = transfer.data.length % 7;
+                if (transfer.data.length === 0)
+                    header |= 7 << 2;
+                else if (lastBytes)
+                    header |= (7 - lastBytes) << 2;
 
                 sendBuffer.writeUInt8(header);
 
                 // Write CRC (if supported)
-                if (transfer.blockCrc) {
-                    const crcValue = calculateCrc(transfer.data);
-                    sendBuffer.writeUInt16LE(crcValue, 1);
-                }
+                if (transfer.blockCrc)
+                    sendBuffer.writeUInt16LE(transfer.crc, 1);
 
                 transfer.refresh();
 
                 this.send(transfer.cobId, sendBuffer);
                 return;
             }
+
+            // The last segment will be sent again
+            transfer.blockFinished = false;
         }
 
         // Update block size for next transfer.
@@ -819,11 +1408,13 @@ class SdoClient extends Protocol {
         sendBuffer.writeUInt16LE(transfer.index, 1);
         sendBuffer.writeUInt8(transfer.subIndex, 3);
 
-        const header = (ClientCommand.BLOCK_UPLOAD << 5)
-            | (1 << 2); // CRC supported
+        let header = (ClientCommand.BLOCK_UPLOAD << 5);
+        if (this.blockCrc)
+            header |= (1 << 2); // CRC supported
 
         sendBuffer.writeUInt8(header);
-        sendBuffer.writeUInt16LE(this.blockSize, 4);
+        sendBuffer.writeUInt8(this.blockSize, 4);
+        sendBuffer.writeUInt8(this.protocolSwitchThreshold, 5);
 
         this.send(transfer.cobId, sendBuffer);
     }
@@ -840,26 +1431,27 @@ class SdoClient extends Protocol {
         if (transfer.blockFinished) {
             // Number of bytes that do not contain segment data
             const count = (data[0] >> 2) & 7;
-            if (count) {
-                const size = transfer.data.length - count;
-                transfer.data = transfer.data.slice(0, size);
-            }
-
-            // Check size
-            if (transfer.data.length < transfer.size) {
-                this._abortTransfer(transfer, SdoCode.DATA_SHORT);
-                return;
-            }
+            const size = Math.max(0, transfer.blockData.length - count);
+            this._uploadData(transfer, transfer.blockData.slice(0, size));
+            transfer.blockData = Buffer.alloc(0);
+
+            // Check size (if indicated)
+            if (transfer.sizeIndicated) {
+                if (transfer.received < transfer.size) {
+                    this._abortTransfer(transfer, SdoCode.DATA_SHORT);
+                    return;
+                }
 
-            if (transfer.data.length > transfer.size) {
-                this._abortTransfer(transfer, SdoCode.DATA_LONG);
-                return;
+                if (transfer.received > transfer.size) {
+                    this._abortTransfer(transfer, SdoCode.DATA_LONG);
+                    return;
+                }
             }
 
             // Check CRC (if supported)
             if (transfer.blockCrc) {
                 const crcValue = data.readUInt16LE(1);
-                if (crcValue !== calculateCrc(transfer.data)) {
+                if (crcValue !== transfer.crc) {
                     this._abortTransfer(transfer, SdoCode.BAD_BLOCK_CRC);
                     return;
                 }
@@ -874,19 +1466,25 @@ class SdoClient extends Protocol {
 
             this.send(transfer.cobId, sendBuffer);
 
-            transfer.resolve(transfer.data); // Resolve the promise
+            this._uploadEnd(transfer);
         }
         else {
             // Initiate block transfer
             transfer.index = data.readUInt16LE(1);
             transfer.subIndex = data.readUInt8(3);
-            transfer.size = data.readUInt32LE(4);
+            transfer.sizeIndicated = Boolean(data[0] & (1 << 1));
+            if (transfer.sizeIndicated)
+                transfer.size = data.readUInt32LE(4);
+
             transfer.data = Buffer.alloc(0);
+            transfer.blockData = Buffer.alloc(0);
             transfer.blockTransfer = true;
             transfer.blockSequence = 0;
             transfer.blockFinished = false;
-            transfer.blockCrc = !!(data[0] & (1 << 2));
+            transfer.blockCrc = this.blockCrc && Boolean(data[0] & (1 << 2));
+            transfer.crc = 0;
             transfer.refresh();
+            this._progress(transfer, 0);
 
             // Confirm transfer
             const header = (ClientCommand.BLOCK_UPLOAD << 5)
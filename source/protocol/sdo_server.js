@@ -6,12 +6,34 @@
 
 const Protocol = require('./protocol');
 const { DataObject, Eds } = require('../eds');
-const { AccessType } = require('../types');
-const { SdoCode, SdoTransfer, ClientCommand, ServerCommand } = require('./sdo');
+const { AccessType, DataType } = require('../types');
+const { NmtState } = require('./nmt');
+const {
+    SdoCode,
+    SdoError,
+    SdoTransfer,
+    StreamSource,
+    ClientCommand,
+    ServerCommand,
+} = require('./sdo');
 const calculateCrc = require('../functions/crc');
 const rawToType = require('../functions/raw_to_type');
+const typeToRaw = require('../functions/type_to_raw');
+const { Readable } = require('stream');
 const { deprecate } = require('util');
 
+/**
+ * Data types that do not have a fixed length.
+ *
+ * @private
+ */
+const variableTypes = [
+    DataType.VISIBLE_STRING,
+    DataType.OCTET_STRING,
+    DataType.UNICODE_STRING,
+    DataType.DOMAIN,
+];
+
 /**
  * CANopen SDO protocol handler (Server).
  *
@@ -30,6 +52,12 @@ class SdoServer extends Protocol {
         this.transfers = {};
         this._blockSize = 127;
         this._blockInterval = null;
+        this._blockCrc = true;
+        this._sessionTimeout = 1000;
+        this._maxSessions = null;
+        this._storage = null;
+        this._handlers = new Map();
+        this._nmtState = null;
     }
 
     /**
@@ -51,6 +79,82 @@ class SdoServer extends Protocol {
         return this._blockInterval;
     }
 
+    /**
+     * True if CRC is supported for block transfers.
+     *
+     * @type {boolean}
+     * @since 6.3.0
+     */
+    get blockCrc() {
+        return this._blockCrc;
+    }
+
+    /**
+     * Time in milliseconds before a stalled transfer is aborted.
+     *
+     * @type {number}
+     * @since 6.3.0
+     */
+    get sessionTimeout() {
+        return this._sessionTimeout;
+    }
+
+    /**
+     * Maximum number of simultaneous transfers, or null if unlimited.
+     *
+     * @type {number | null}
+     * @since 6.3.0
+     */
+    get maxSessions() {
+        return this._maxSessions;
+    }
+
+    /**
+     * Transfers that are in progress.
+     *
+     * @type {Array<object>}
+     * @since 6.3.0
+     */
+    get sessions() {
+        const sessions = [];
+        for (const [cobIdRx, client] of Object.entries(this.transfers)) {
+            if (!client.active)
+                continue;
+
+            sessions.push({
+                deviceId: client.deviceId,
+                cobIdRx: parseInt(cobIdRx),
+                cobIdTx: client.cobId,
+                index: client.index,
+                subIndex: client.subIndex,
+                upload: client.upload,
+            });
+        }
+
+        return sessions;
+    }
+
+    /**
+     * Storage backend for object 0x1010 (Store parameters) and object 0x1011
+     * (Restore default parameters).
+     *
+     * @type {Storage | null}
+     * @since 6.3.0
+     */
+    get storage() {
+        return this._storage;
+    }
+
+    /**
+     * NMT state of the device, or null if it is not known.
+     *
+     * @type {NmtState | null}
+     * @since 6.3.0
+     */
+    get nmtState() {
+        return this._nmtState;
+    }
+
     /**
      * Set the number of segments per block when serving block transfers.
      *
@@ -77,6 +181,316 @@ class SdoServer extends Protocol {
         this._blockInterval = value;
     }
 
+    /**
+     * Enable or disable CRC support for block transfers.
+     *
+     * The CRC is only used if both the client and the server support it.
+     *
+     * @param {boolean} enable - true to support CRC.
+     * @since 6.3.0
+     */
+    setBlockCrc(enable) {
+        this._blockCrc = Boolean(enable);
+    }
+
+    /**
+     * Set the time before a stalled transfer is aborted with SdoCode.TIMEOUT.
+     *
+     * @param {number} value - timeout in milliseconds, or 0 to disable.
+     * @since 6.3.0
+     */
+    setSessionTimeout(value) {
+        if (value < 0)
+            throw RangeError('sessionTimeout must be positive or zero');
+
+        this._sessionTimeout = value;
+        for (const client of Object.values(this.transfers))
+            client.timeout = value;
+    }
+
+    /**
+     * Set the maximum number of simultaneous transfers. Further requests are
+     * aborted with SdoCode.SDO_NOT_AVAILBLE until a transfer completes.
+     *
+     * @param {number | null} value - session limit, or null for no limit.
+     * @since 6.3.0
+     */
+    setMaxSessions(value) {
+        if (value !== null && value < 1)
+            throw RangeError('maxSessions must be at least 1');
+
+        this._maxSessions = value;
+    }
+
+    /**
+     * Set the storage backend used by object 0x1010 (Store parameters) and
+     * object 0x1011 (Restore default parameters).
+     *
+     * @param {Storage | null} storage - storage backend.
+     * @since 6.3.0
+     */
+    setStorage(storage) {
+        this._storage = storage;
+    }
+
+    /**
+     * Set the NMT state of the device.
+     *
+     * Objects mapped to a RPDO can not be downloaded while the device is
+     * NmtState.OPERATIONAL. This is called by the parent Device and does not
+     * need to be set by the user.
+     *
+     * @param {NmtState | null} state - NMT state.
+     * @since 6.3.0
+     */
+    setNmtState(state) {
+        this._nmtState = state;
+    }
+
+    /**
+     * Check that data can be downloaded to an entry.
+     *
+     * The same checks are applied to every SDO download (expedited, segmented,
+     * and block). Write handlers are called after the data is validated.
+     *
+     * Writes to the PDO mapping parameters (0x1600 - 0x17FF, 0x1A00 - 0x1BFF)
+     * are checked with Eds#isPdoMappable() and the mapped length is limited
+     * to 64 bits. Like Eds#addReceivePdo() and Eds#addTransmitPdo(), objects
+     * that do not set pdoMapping are accepted with a deprecation warning.
+     * PDO parameters must be changed with the CiA 301 procedure: the COB-ID
+     * can only be changed while the PDO is invalid, the mapping only while
+     * the PDO is invalid, and the mapped objects only while the number of
+     * mapped objects is zero.
+     *
+     * @param {DataObject} entry - entry to write.
+     * @param {Buffer} raw - data to write.
+     * @returns {SdoCode | null} the abort code, or null if the data is valid.
+     * @since 6.3.0
+     */
+    validateDownload(entry, raw) {
+        // Check that the entry has write access
+        if (entry.accessType == AccessType.CONSTANT
+            || entry.accessType == AccessType.READ_ONLY)
+            return SdoCode.READ_ONLY;
+
+        // Check the data length
+        if (!variableTypes.includes(entry.dataType)) {
+            if (raw.length > entry.raw.length)
+                return SdoCode.DATA_LONG;
+
+            if (raw.length < entry.raw.length)
+                return SdoCode.DATA_SHORT;
+        }
+
+        // Check value limits
+        const value = rawToType(raw, entry.dataType);
+        if (entry.highLimit !== undefined && value > entry.highLimit)
+            return SdoCode.VALUE_HIGH;
+
+        if (entry.lowLimit !== undefined && value < entry.lowLimit)
+            return SdoCode.VALUE_LOW;
+
+        // Check PDO parameters
+        const index = entry.index;
+        if (index >= 0x1400 && index <= 0x1BFF) {
+            const code = this._checkPdoParameter(entry, raw);
+            if (code)
+                return code;
+        }
+
+        // Objects mapped to a RPDO are owned by the PDO consumer
+        if (this.nmtState === NmtState.OPERATIONAL) {
+            for (const { dataObjects } of this.eds.getReceivePdos()) {
+                if (dataObjects.includes(entry))
+                    return SdoCode.DEVICE_STATE;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a write to a PDO communication or mapping parameter.
+     *
+     * @param {DataObject} entry - sub-entry to write.
+     * @param {Buffer} raw - data to write.
+     * @returns {SdoCode | null} the abort code, or null if the data is valid.
+     * @private
+     */
+    _checkPdoParameter(entry, raw) {
+        const index = entry.index;
+        const isMapping = (index >= 0x1600 && index <= 0x17FF)
+            || (index >= 0x1A00 && index <= 0x1BFF);
+
+        const commEntry = this.eds.getEntry(isMapping ? index - 0x200 : index);
+        const cobIdEntry = (commEntry) ? commEntry[1] : undefined;
+        const valid = cobIdEntry !== undefined && !(cobIdEntry.value >> 31);
+
+        if (!isMapping) {
+            if (entry.subIndex !== 1 || !valid)
+                return null;
+
+            // The COB-ID can not change while the PDO exists
+            const value = raw.readUInt32LE();
+            const changed = (value & 0x3FFFFFFF)
+                !== (cobIdEntry.value & 0x3FFFFFFF);
+
+            if (!(value >> 31) && changed)
+                return SdoCode.PARAMETER_INCOMPATIBILITY;
+
+            return null;
+        }
+
+        if (valid)
+            return SdoCode.PARAMETER_INCOMPATIBILITY;
+
+        const mapEntry = this.eds.getEntry(index);
+        if (entry.subIndex > 0 && mapEntry[0].value !== 0)
+            return SdoCode.PARAMETER_INCOMPATIBILITY;
+
+        const receive = (index >= 0x1600 && index <= 0x17FF);
+        return this._checkMapping(entry, raw, receive);
+    }
+
+    /**
+     * Check a write to a PDO mapping parameter.
+     *
+     * @param {DataObject} entry - mapping sub-entry to write.
+     * @param {Buffer} raw - data to write.
+     * @param {boolean} receive - true for a RPDO mapping.
+     * @returns {SdoCode | null} the abort code, or null if the data is valid.
+     * @private
+     */
+    _checkMapping(entry, raw, receive) {
+        const mapEntry = this.eds.getEntry(entry.index);
+
+        let count = mapEntry[0].value;
+        if (entry.subIndex === 0) {
+            count = raw.readUInt8();
+            if (count > 0x40)
+                return SdoCode.VALUE_HIGH;
+        }
+        else {
+            const code = this._checkMappedObject(raw.readUInt32LE(), receive);
+            if (code)
+                return code;
+        }
+
+        let length = 0;
+        for (let i = 1; i <= count; ++i) {
+            let value;
+            if (i === entry.subIndex)
+                value = raw.readUInt32LE();
+            else if (mapEntry[i] !== undefined)
+                value = mapEntry[i].value;
+            else
+                return SdoCode.OBJECT_NOT_MAPPABLE;
+
+            if (entry.subIndex === 0) {
+                // Every active entry must map an object
+                if (!value)
+                    return SdoCode.OBJECT_NOT_MAPPABLE;
+
+                const code = this._checkMappedObject(value, receive);
+                if (code)
+                    return code;
+            }
+
+            length += value & 0xFF;
+        }
+
+        if (length > 64)
+            return SdoCode.MAP_LENGTH;
+
+        return null;
+    }
+
+    /**
+     * Check an object mapping value (index, sub-index, and bit length).
+     *
+     * @param {number} value - mapping value, or zero if unused.
+     * @param {boolean} receive - true for a RPDO mapping.
+     * @returns {SdoCode | null} the abort code, or null if the data is valid.
+     * @private
+     */
+    _checkMappedObject(value, receive) {
+        if (!value)
+            return null;
+
+        const dataIndex = value >>> 16;
+        const dataSubIndex = (value >> 8) & 0xFF;
+        const dataLength = value & 0xFF;
+
+        let obj = this.eds.getEntry(dataIndex);
+        if (obj && obj.subNumber > 0)
+            obj = obj[dataSubIndex];
+        else if (dataSubIndex)
+            obj = undefined;
+
+        if (!this.eds._allowPdoMapping(obj, receive))
+            return SdoCode.OBJECT_NOT_MAPPABLE;
+
+        if (dataLength > obj.size * 8)
+            return SdoCode.OBJECT_NOT_MAPPABLE;
+
+        return null;
+    }
+
+    /**
+     * Set a function that supplies the data when an object is uploaded.
+     *
+     * The handler is called with { index, subIndex, entry } and may return
+     * the data directly or as a Promise. A Buffer is sent as-is, a Readable is
+     * streamed (e.g. a DOMAIN read from a file), undefined sends the current
+     * value of the entry, and any other value is converted using the data type
+     * of the entry. Throw an SdoError to abort the upload with its code.
+     *
+     * If the object does not exist in the Eds, then the handler provides a
+     * virtual object. A handler set without a subIndex applies to every
+     * sub-object of the entry.
+     *
+     * @param {number} index - object index.
+     * @param {number} [subIndex] - object subIndex.
+     * @param {Function | null} handler - read handler, or null to remove it.
+     * @example
+     * device.sdoServer.setReadHandler(0x2000, () => sensor.read());
+     * device.sdoServer.setReadHandler(0x2001, 0, () => {
+     *     return fs.createReadStream('/var/log/device.log');
+     * });
+     * @since 6.3.0
+     */
+    setReadHandler(index, subIndex, handler) {
+        this._setHandler('read', index, subIndex, handler);
+    }
+
+    /**
+     * Set a function that is called when an object is downloaded.
+     *
+     * The handler is called with { index, subIndex, entry, raw, value } before
+     * the data is written to the entry, and may return a Promise to complete
+     * the download asynchronously. Throw an SdoError to veto the download with
+     * its code, for example SdoCode.DEVICE_STATE or SdoCode.LOCAL_CONTROL.
+     *
+     * If the object does not exist in the Eds, then the handler provides a
+     * virtual object and value is the raw data. A handler set without a
+     * subIndex applies to every sub-object of the entry.
+     *
+     * @param {number} index - object index.
+     * @param {number} [subIndex] - object subIndex.
+     * @param {Function | null} handler - write handler, or null to remove it.
+     * @example
+     * device.sdoServer.setWriteHandler(0x2002, ({ index, value }) => {
+     *     if (motor.running)
+     *         throw new SdoError(SdoCode.DEVICE_STATE, index);
+     *
+     *     motor.setSpeed(value);
+     * });
+     * @since 6.3.0
+     */
+    setWriteHandler(index, subIndex, handler) {
+        this._setHandler('write', index, subIndex, handler);
+    }
+
     /**
      * Start the module.
      *
@@ -85,14 +499,13 @@ class SdoServer extends Protocol {
     start() {
         if(!this.started) {
             this.transfers = {};
-            for (const client of this.eds.getSdoServerParameters())
-                this._addClient(client);
+            this._updateClients();
 
             this.addEdsCallback('newSdoClient',
-                (client) => this._addClient(client));
+                () => this._updateClients());
 
             this.addEdsCallback('removeSdoClient',
-                (client) => this._removeClient(client));
+                () => this._updateClients());
 
             super.start();
         }
@@ -107,9 +520,10 @@ class SdoServer extends Protocol {
         if(this.started) {
             this.removeEdsCallback('newSdoClient');
             this.removeEdsCallback('removeSdoClient');
+            this.unwatchEntries();
 
-            for (const client of this.eds.getSdoServerParameters())
-                this._removeClient(client);
+            for (const cobIdRx of Object.keys(this.transfers))
+                this._removeClient({ cobIdRx });
 
             super.stop();
         }
@@ -179,7 +593,10 @@ class SdoServer extends Protocol {
                 this._uploadSegment(client, data);
                 break;
             case ClientCommand.ABORT:
-                client.reject();
+                if (client.active) {
+                    client.pending = null;
+                    client.reject(data.readUInt32LE(4));
+                }
                 break;
             case ClientCommand.BLOCK_UPLOAD:
                 switch (data[0] & 0x3) {
@@ -210,16 +627,85 @@ class SdoServer extends Protocol {
         }
     }
 
+    /**
+     * Update the SDO clients from the SDO server parameter objects.
+     *
+     * The parameter objects are watched so that changes made over SDO, for
+     * example by an SDO manager, take effect immediately.
+     *
+     * @private
+     */
+    _updateClients() {
+        const clients = this.eds.getSdoServerParameters();
+        for (const [cobIdRx, transfer] of Object.entries(this.transfers)) {
+            const found = clients.some((client) => {
+                return client.cobIdRx === parseInt(cobIdRx)
+                    && client.cobIdTx === transfer.cobId
+                    && client.deviceId === transfer.deviceId;
+            });
+
+            if (!found)
+                this._removeClient({ cobIdRx });
+        }
+
+        for (const client of clients) {
+            if (!this.transfers[client.cobIdRx])
+                this._addClient(client);
+        }
+
+        this.watchEntries(0x1200, 0x127F, () => this._updateClients());
+    }
+
     /**
      * Add an SDO client.
      *
      * @param {object} args - SDO client parameters.
      * @param {number} args.cobIdTx - COB-ID server -> client.
      * @param {number} args.cobIdRx - COB-ID client -> server.
+     * @param {number} args.deviceId - client node id.
+     * @fires SdoServer#transferComplete
+     * @fires SdoServer#transferAbort
      * @private
      */
-    _addClient({ cobIdTx, cobIdRx }) {
-        this.transfers[cobIdRx] = new SdoTransfer({ cobId: cobIdTx });
+    _addClient({ cobIdTx, cobIdRx, deviceId }) {
+        const transfer = new SdoTransfer({
+            cobId: cobIdTx,
+            deviceId,
+            timeout: this.sessionTimeout,
+            resolve: () => {
+                /**
+                 * A transfer was completed.
+                 *
+                 * @event SdoServer#transferComplete
+                 * @type {object}
+                 * @property {number} deviceId - SDO client.
+                 * @property {number} index - object index.
+                 * @property {number} subIndex - object subIndex.
+                 * @property {boolean} upload - true for an upload.
+                 */
+                this.emit('transferComplete', this._describe(transfer));
+            },
+            reject: (error) => {
+                /**
+                 * A transfer was aborted by the client or the server.
+                 *
+                 * @event SdoServer#transferAbort
+                 * @type {object}
+                 * @property {number} deviceId - SDO client.
+                 * @property {number} index - object index.
+                 * @property {number} subIndex - object subIndex.
+                 * @property {boolean} upload - true for an upload.
+                 * @property {SdoCode} code - abort code.
+                 */
+                this.emit('transferAbort', {
+                    ...this._describe(transfer),
+                    code: error.code,
+                });
+            },
+        });
+
+        transfer.on('abort', (code) => this._abortTransfer(transfer, code));
+        this.transfers[cobIdRx] = transfer;
     }
 
     /**
@@ -239,6 +725,61 @@ class SdoServer extends Protocol {
         }
     }
 
+    /**
+     * Describe a transfer for an event.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @returns {object} event data.
+     * @private
+     */
+    _describe(client) {
+        return {
+            deviceId: client.deviceId,
+            index: client.index,
+            subIndex: client.subIndex,
+            upload: client.upload,
+        };
+    }
+
+    /**
+     * Start a new transfer.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @param {Buffer} data - message data.
+     * @param {boolean} upload - true for an upload.
+     * @returns {boolean} true if the transfer can continue.
+     * @fires SdoServer#transferStart
+     * @private
+     */
+    _startSession(client, data, upload) {
+        if (client.active)
+            client.reset(); // Previous transfer was abandoned
+
+        client.index = data.readUInt16LE(1);
+        client.subIndex = data.readUInt8(3);
+        client.upload = upload;
+        client.start();
+
+        /**
+         * A transfer was started by a client.
+         *
+         * @event SdoServer#transferStart
+         * @type {object}
+         * @property {number} deviceId - SDO client.
+         * @property {number} index - object index.
+         * @property {number} subIndex - object subIndex.
+         * @property {boolean} upload - true for an upload.
+         */
+        this.emit('transferStart', this._describe(client));
+
+        if (this.maxSessions && this.sessions.length > this.maxSessions) {
+            this._abortTransfer(client, SdoCode.SDO_NOT_AVAILBLE);
+            return false;
+        }
+
+        return true;
+    }
+
     /**
      * Handle ClientCommand.DOWNLOAD_INITIATE.
      *
@@ -248,66 +789,45 @@ class SdoServer extends Protocol {
      * @private
      */
     _downloadInitiate(client, data) {
-        client.index = data.readUInt16LE(1);
-        client.subIndex = data.readUInt8(3);
+        if (!this._startSession(client, data, false))
+            return;
 
         const sendBuffer = Buffer.alloc(8);
+        sendBuffer.writeUInt8(ServerCommand.DOWNLOAD_INITIATE << 5);
+        sendBuffer.writeUInt16LE(client.index, 1);
+        sendBuffer.writeUInt8(client.subIndex, 3);
+
         if (data[0] & 0x02) {
             // Expedited client
-            let entry = this.eds.getEntry(client.index);
-            if (entry === undefined) {
-                this._abortTransfer(client, SdoCode.OBJECT_UNDEFINED);
+            const entry = this._getEntry(client, 'write');
+            if (entry === undefined)
                 return;
-            }
 
-            if (entry.subNumber > 0) {
-                entry = entry[client.subIndex];
-                if (entry === undefined) {
-                    this._abortTransfer(client, SdoCode.BAD_SUB_INDEX);
-                    return;
-                }
-            }
-
-            if (entry.accessType == AccessType.CONSTANT
-                || entry.accessType == AccessType.READ_ONLY) {
-                this._abortTransfer(client, SdoCode.READ_ONLY);
-                return;
-            }
+            let count = 4;
+            if (data[0] & 1)
+                count -= (data[0] >> 2) & 3;
+            else if (entry && !variableTypes.includes(entry.dataType))
+                count = Math.min(count, entry.raw.length); // Size not indicated
 
-            const count = (data[0] & 1) ? (4 - ((data[0] >> 2) & 3)) : 4;
             const raw = Buffer.alloc(count);
             data.copy(raw, 0, 4, count + 4);
 
-            const value = rawToType(raw, entry.dataType);
-            if (entry.highLimit !== undefined && value > entry.highLimit) {
-                this._abortTransfer(client, SdoCode.VALUE_HIGH);
-                return;
-            }
-
-            if (entry.lowLimit !== undefined && value < entry.lowLimit) {
-                this._abortTransfer(client, SdoCode.VALUE_LOW);
+            if (!this._checkDownload(client, entry, raw))
                 return;
-            }
-
-            entry.raw = raw;
 
-            sendBuffer.writeUInt8(ServerCommand.DOWNLOAD_INITIATE << 5);
-            sendBuffer.writeUInt16LE(client.index, 1);
-            sendBuffer.writeUInt8(client.subIndex, 3);
+            this._writeEntry(client, entry, raw, () => {
+                client.resolve();
+                this.send(client.cobId, sendBuffer);
+            });
         }
         else {
             // Segmented client
             client.data = Buffer.alloc(0);
             client.size = 0;
             client.toggle = 0;
-            client.start();
 
-            sendBuffer.writeUInt8(ServerCommand.DOWNLOAD_INITIATE << 5);
-            sendBuffer.writeUInt16LE(client.index, 1);
-            sendBuffer.writeUInt8(client.subIndex, 3);
+            this.send(client.cobId, sendBuffer);
         }
-
-        this.send(client.cobId, sendBuffer);
     }
 
     /**
@@ -319,57 +839,60 @@ class SdoServer extends Protocol {
      * @private
      */
     _uploadInitiate(client, data) {
-        client.index = data.readUInt16LE(1);
-        client.subIndex = data.readUInt8(3);
-
-        let entry = this.eds.getEntry(client.index);
-        if (entry === undefined) {
-            this._abortTransfer(client, SdoCode.OBJECT_UNDEFINED);
+        if (!this._startSession(client, data, true))
             return;
-        }
 
-        if (entry.subNumber > 0) {
-            entry = entry[client.subIndex];
-            if (entry === undefined) {
-                this._abortTransfer(client, SdoCode.BAD_SUB_INDEX);
-                return;
-            }
-        }
+        const entry = this._getEntry(client, 'read');
+        if (entry === undefined)
+            return;
 
-        if (entry.accessType == AccessType.WRITE_ONLY) {
+        if (entry && entry.accessType == AccessType.WRITE_ONLY) {
             this._abortTransfer(client, SdoCode.WRITE_ONLY);
             return;
         }
 
+        this._readEntry(client, entry,
+            (source) => this._uploadInitiateResponse(client, source));
+    }
+
+    /**
+     * Answer an upload request with an expedited or segmented transfer.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @param {Buffer | StreamSource} source - data to upload.
+     * @fires Protocol#message
+     * @private
+     */
+    _uploadInitiateResponse(client, source) {
         const sendBuffer = Buffer.alloc(8);
-        if (entry.size <= 4) {
+        sendBuffer.writeUInt16LE(client.index, 1);
+        sendBuffer.writeUInt8(client.subIndex, 3);
+
+        const sized = Buffer.isBuffer(source);
+        if (sized && source.length > 0 && source.length <= 4) {
             // Expedited client
             const header = (ServerCommand.UPLOAD_INITIATE << 5)
-                | ((4 - entry.size) << 2)
-                | 0x2;
+                | ((4 - source.length) << 2)
+                | 0x3;
 
             sendBuffer.writeUInt8(header, 0);
-            sendBuffer.writeUInt16LE(client.index, 1);
-            sendBuffer.writeUInt8(client.subIndex, 3);
-
-            entry.raw.copy(sendBuffer, 4);
-
-            if (entry.size < 4)
-                sendBuffer[0] |= ((4 - entry.size) << 2) | 0x1;
+            source.copy(sendBuffer, 4);
+            client.resolve();
         }
         else {
             // Segmented client
-            client.data = Buffer.from(entry.raw);
+            client.data = source;
             client.size = 0;
             client.toggle = 0;
-            client.start();
+            client.refresh();
 
-            const header = (ServerCommand.UPLOAD_INITIATE << 5) | 0x1;
+            let header = (ServerCommand.UPLOAD_INITIATE << 5);
+            if (sized) {
+                header |= 0x1; // Data size indicated
+                sendBuffer.writeUInt32LE(source.length, 4);
+            }
 
             sendBuffer.writeUInt8(header, 0);
-            sendBuffer.writeUInt16LE(client.index, 1);
-            sendBuffer.writeUInt8(client.subIndex, 3);
-            sendBuffer.writeUInt32LE(client.data.length, 4);
         }
 
         this.send(client.cobId, sendBuffer);
@@ -389,23 +912,25 @@ class SdoServer extends Protocol {
             return;
         }
 
-        const sendBuffer = Buffer.alloc(8);
-        let count = Math.min(7, (client.data.length - client.size));
-        client.data.copy(
-            sendBuffer, 1, client.size, client.size + count);
+        this._readSegment(client, client.size, (payload, last) => {
+            const sendBuffer = Buffer.alloc(8);
+            payload.copy(sendBuffer, 1);
 
-        let header = (client.toggle << 4) | (7 - count) << 1;
-        if (client.size == client.data.length) {
-            header |= 1;
-            client.resolve();
-        }
+            let header = (client.toggle << 4) | (7 - payload.length) << 1;
+            if (last)
+                header |= 1;
 
-        sendBuffer.writeUInt8(header, 0);
-        client.toggle ^= 1;
-        client.size += count;
-        client.refresh();
+            sendBuffer.writeUInt8(header, 0);
+            client.toggle ^= 1;
+            client.size += payload.length;
 
-        this.send(client.cobId, sendBuffer);
+            if (last)
+                client.resolve();
+            else
+                client.refresh();
+
+            this.send(client.cobId, sendBuffer);
+        });
     }
 
     /**
@@ -428,59 +953,38 @@ class SdoServer extends Protocol {
 
         client.data = Buffer.concat([client.data, payload], size);
 
-        if (data[0] & 1) {
-            let entry = this.eds.getEntry(client.index);
-            if (entry === undefined) {
-                this._abortTransfer(client, SdoCode.OBJECT_UNDEFINED);
-                return;
-            }
+        const sendBuffer = Buffer.alloc(8);
+        const header = (ServerCommand.DOWNLOAD_SEGMENT << 5)
+            | (client.toggle << 4);
 
-            if (entry.subNumber > 0) {
-                entry = entry[client.subIndex];
-                if (entry === undefined) {
-                    this._abortTransfer(client, SdoCode.BAD_SUB_INDEX);
-                    return;
-                }
-            }
+        sendBuffer.writeUInt8(header);
+        client.toggle ^= 1;
 
-            if (entry.accessType == AccessType.CONSTANT
-                || entry.accessType == AccessType.READ_ONLY) {
-                this._abortTransfer(client, SdoCode.READ_ONLY);
+        if (data[0] & 1) {
+            const entry = this._getEntry(client, 'write');
+            if (entry === undefined)
                 return;
-            }
 
             const raw = Buffer.alloc(size);
             client.data.copy(raw);
 
-            const value = rawToType(raw, entry.dataType);
-            if (entry.highLimit !== undefined && value > entry.highLimit) {
-                this._abortTransfer(client, SdoCode.VALUE_HIGH);
-                return;
-            }
-
-            if (entry.lowLimit !== undefined && value < entry.lowLimit) {
-                this._abortTransfer(client, SdoCode.VALUE_LOW);
+            if (!this._checkDownload(client, entry, raw))
                 return;
-            }
-
-            entry.raw = raw;
 
-            client.resolve();
+            client.refresh();
+            this._writeEntry(client, entry, raw, () => {
+                client.resolve();
+                this.send(client.cobId, sendBuffer);
+            });
+        }
+        else {
+            client.refresh();
+            this.send(client.cobId, sendBuffer);
         }
-
-        const sendBuffer = Buffer.alloc(8);
-        const header = (ServerCommand.DOWNLOAD_SEGMENT << 5)
-            | (client.toggle << 4);
-
-        sendBuffer.writeUInt8(header);
-        client.toggle ^= 1;
-        client.refresh();
-
-        this.send(client.cobId, sendBuffer);
     }
 
     /**
-     * Download a data block.
+     * Upload a data block.
      *
      * Sub-blocks are scheduled on the event loop to avoid blocking during
      * large transfers.
@@ -495,17 +999,42 @@ class SdoServer extends Protocol {
             return;
         }
 
-        const sendBuffer = Buffer.alloc(8);
-        const offset = 7 * (client.blockSequence
-            + (client.blockCount * client.blockSize));
+        if (client.blockResend.length > 0) {
+            // Repeat segments that were not acknowledged
+            this._blockUploadSegment(client, client.blockResend.shift());
+            return;
+        }
 
+        this._readSegment(client, client.blockOffset, (payload, last) => {
+            client.blockOffset += payload.length;
+            if (client.blockCrc)
+                client.crc = calculateCrc(payload, client.crc);
+
+            this._blockUploadSegment(client, { payload, last });
+        });
+    }
+
+    /**
+     * Send a block upload segment.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @param {object} segment - segment to send.
+     * @param {Buffer} segment.payload - segment data.
+     * @param {boolean} segment.last - true if this is the last segment.
+     * @fires Protocol#message
+     * @private
+     */
+    _blockUploadSegment(client, segment) {
+        client.blockSegments.push(segment);
+
+        const sendBuffer = Buffer.alloc(8);
         sendBuffer[0] = ++client.blockSequence;
-        if ((offset + 7) >= client.data.length) {
+        if (segment.last) {
             sendBuffer[0] |= 0x80; // Last block
             client.blockFinished = true;
         }
 
-        client.data.copy(sendBuffer, 1, offset, offset + 7);
+        segment.payload.copy(sendBuffer, 1);
         client.refresh();
 
         // Schedule next call
@@ -533,49 +1062,68 @@ class SdoServer extends Protocol {
      * @private
      */
     _blockUploadInitiate(client, data) {
-        client.index = data.readUInt16LE(1);
-        client.subIndex = data.readUInt8(3);
-        client.blockSize = data.readUInt32LE(4);
-        client.blockCrc = !!(data[0] & (1 << 2));
+        if (!this._startSession(client, data, true))
+            return;
 
-        let entry = this.eds.getEntry(client.index);
-        if (entry === undefined) {
-            this._abortTransfer(client, SdoCode.OBJECT_UNDEFINED);
+        client.blockSize = data[4];
+        client.blockCrc = this.blockCrc && Boolean(data[0] & (1 << 2));
+
+        // Protocol switch threshold
+        const threshold = data[5];
+
+        if (client.blockSize < 1 || client.blockSize > 127) {
+            this._abortTransfer(client, SdoCode.BAD_BLOCK_SIZE);
             return;
         }
 
-        if (entry.subNumber > 0) {
-            entry = entry[client.subIndex];
-            if (entry === undefined) {
-                this._abortTransfer(client, SdoCode.BAD_SUB_INDEX);
-                return;
-            }
-        }
+        const entry = this._getEntry(client, 'read');
+        if (entry === undefined)
+            return;
 
-        if (entry.accessType == AccessType.WRITE_ONLY) {
+        if (entry && entry.accessType == AccessType.WRITE_ONLY) {
             this._abortTransfer(client, SdoCode.WRITE_ONLY);
             return;
         }
 
-        client.data = Buffer.from(entry.raw);
-        client.size = 0;
-        client.blockCount = 0;
-        client.blockSequence = 0;
-        client.blockFinished = false;
-        client.start();
+        const blockCrc = client.blockCrc;
+        this._readEntry(client, entry, (source) => {
+            const small = threshold > 0
+                && Buffer.isBuffer(source) && source.length <= threshold;
 
-        // Confirm transfer
-        const header = (ServerCommand.BLOCK_UPLOAD << 5)
-            | (1 << 2)      // CRC supported
-            | (1 << 1);     // Data size indicated
+            if (small) {
+                // Small objects are sent with a segmented transfer
+                this._uploadInitiateResponse(client, source);
+                return;
+            }
 
-        const sendBuffer = Buffer.alloc(8);
-        sendBuffer.writeUInt8(header);
-        sendBuffer.writeUInt16LE(client.index, 1);
-        sendBuffer.writeUInt8(client.subIndex, 3);
-        sendBuffer.writeUInt32LE(client.data.length, 4);
+            client.data = source;
+            client.size = 0;
+            client.blockOffset = 0;
+            client.blockSegments = [];
+            client.blockResend = [];
+            client.blockSequence = 0;
+            client.blockFinished = false;
+            client.blockCrc = blockCrc;
+            client.crc = 0;
+            client.refresh();
 
-        this.send(client.cobId, sendBuffer);
+            // Confirm transfer
+            let header = (ServerCommand.BLOCK_UPLOAD << 5);
+            if (this.blockCrc)
+                header |= (1 << 2); // CRC supported
+
+            const sendBuffer = Buffer.alloc(8);
+            if (Buffer.isBuffer(source)) {
+                header |= (1 << 1); // Data size indicated
+                sendBuffer.writeUInt32LE(source.length, 4);
+            }
+
+            sendBuffer.writeUInt8(header);
+            sendBuffer.writeUInt16LE(client.index, 1);
+            sendBuffer.writeUInt8(client.subIndex, 3);
+
+            this.send(client.cobId, sendBuffer);
+        });
     }
 
     /**
@@ -587,35 +1135,42 @@ class SdoServer extends Protocol {
      * @private
      */
     _blockUploadConfirm(client, data) {
-        // Check that all sub-blocks were received.
-        if (data[1] === client.blockSequence) {
-            client.blockCount += 1;
-            client.blockSequence = 0;
+        // Segments after the last one received must be sent again
+        const missing = client.blockSegments.slice(data[1]);
+        client.blockResend = missing.concat(client.blockResend);
+        client.blockSegments = [];
+        client.blockSequence = 0;
 
-            if (client.blockFinished) {
+        if (client.blockFinished) {
+            if (missing.length === 0) {
                 // End block upload
                 const sendBuffer = Buffer.alloc(8);
 
                 let header = (ServerCommand.BLOCK_UPLOAD << 5)
                     | (1 << 0); // End block upload
 
-                const emptyBytes = client.data.length % 7;
-                if (emptyBytes)
-                    header |= (7 - emptyBytes) << 2;
+                // Number of bytes in the last segment that do not contain
+                // data. An empty object is sent as one segment with no data.
+                const lastBytes = client.blockOffset % 7;
+                if (client.blockOffset === 0)
+                    header |= 7 << 2;
+                else if (lastBytes)
+                    header |= (7 - lastBytes) << 2;
 
                 sendBuffer.writeUInt8(header);
 
                 // Write CRC (if supported)
-                if (client.blockCrc) {
-                    const crcValue = calculateCrc(client.data);
-                    sendBuffer.writeUInt16LE(crcValue, 1);
-                }
+                if (client.blockCrc)
+                    sendBuffer.writeUInt16LE(client.crc, 1);
 
                 client.refresh();
 
                 this.send(client.cobId, sendBuffer);
                 return;
             }
+
+            // The last segment will be sent again
+            client.blockFinished = false;
         }
 
         // Update block size for next transfer.
@@ -677,79 +1232,360 @@ class SdoServer extends Protocol {
                 }
             }
 
-            // Get entry
-            let entry = this.eds.getEntry(client.index);
-            if (entry === undefined) {
-                this._abortTransfer(client, SdoCode.OBJECT_UNDEFINED);
+            const entry = this._getEntry(client, 'write');
+            if (entry === undefined)
                 return;
-            }
-
-            if (entry.subNumber > 0) {
-                entry = entry[client.subIndex];
-                if (entry === undefined) {
-                    this._abortTransfer(client, SdoCode.BAD_SUB_INDEX);
-                    return;
-                }
-            }
 
-            // Check that the entry has write access
-            if (entry.accessType == AccessType.CONSTANT
-                || entry.accessType == AccessType.READ_ONLY) {
-                this._abortTransfer(client, SdoCode.READ_ONLY);
+            if (!this._checkDownload(client, entry, client.data))
                 return;
-            }
-
-            // Check value limits
-            const value = rawToType(client.data, entry.dataType);
-            if (entry.highLimit !== undefined && value > entry.highLimit) {
-                this._abortTransfer(client, SdoCode.VALUE_HIGH);
-                return;
-            }
-
-            if (entry.lowLimit !== undefined && value < entry.lowLimit) {
-                this._abortTransfer(client, SdoCode.VALUE_LOW);
-                return;
-            }
 
             // Write new data
-            entry.raw = client.data;
-
-            // End transfer
-            const header = (ServerCommand.BLOCK_DOWNLOAD << 5)
-                | (1 << 0); // End block download
+            this._writeEntry(client, entry, client.data, () => {
+                // End transfer
+                const header = (ServerCommand.BLOCK_DOWNLOAD << 5)
+                    | (1 << 0); // End block download
 
-            const sendBuffer = Buffer.alloc(8);
-            sendBuffer.writeUInt8(header);
+                const sendBuffer = Buffer.alloc(8);
+                sendBuffer.writeUInt8(header);
 
-            this.send(client.cobId, sendBuffer);
+                this.send(client.cobId, sendBuffer);
 
-            client.resolve(); // Resolve the promise
+                client.resolve(); // Resolve the promise
+            });
         }
         else {
             // Initiate block transfer
-            client.index = data.readUInt16LE(1);
-            client.subIndex = data.readUInt8(3);
+            if (!this._startSession(client, data, false))
+                return;
+
             client.size = data.readUInt32LE(4);
             client.data = Buffer.alloc(0);
             client.blockTransfer = true;
             client.blockSequence = 0;
             client.blockFinished = false;
-            client.blockCrc = !!(data[0] & (1 << 2));
+            client.blockCrc = this.blockCrc && Boolean(data[0] & (1 << 2));
 
             // Confirm transfer
-            const header = (ServerCommand.BLOCK_DOWNLOAD << 5)
-                | (1 << 2); // CRC supported
+            let header = (ServerCommand.BLOCK_DOWNLOAD << 5);
+            if (this.blockCrc)
+                header |= (1 << 2); // CRC supported
 
             const sendBuffer = Buffer.alloc(8);
             sendBuffer.writeUInt8(header);
             sendBuffer.writeUInt16LE(client.index, 1);
             sendBuffer.writeUInt8(client.subIndex, 3);
             sendBuffer.writeUInt8(this.blockSize, 4);
-            client.start();
             this.send(client.cobId, sendBuffer);
         }
     }
 
+    /**
+     * Set or remove an application handler.
+     *
+     * @param {string} type - 'read' or 'write'.
+     * @param {number} index - object index.
+     * @param {number | Function | null} [subIndex] - object subIndex.
+     * @param {Function | null} [handler] - handler function.
+     * @private
+     */
+    _setHandler(type, index, subIndex, handler) {
+        if (typeof subIndex === 'function' || subIndex === null) {
+            handler = subIndex;
+            subIndex = undefined;
+        }
+
+        let key = `${type}.${index}`;
+        if (subIndex !== undefined)
+            key += `.${subIndex}`;
+
+        if (handler)
+            this._handlers.set(key, handler);
+        else
+            this._handlers.delete(key);
+    }
+
+    /**
+     * Get the application handler for an object.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @param {string} type - 'read' or 'write'.
+     * @returns {Function | undefined} the handler, if one is set.
+     * @private
+     */
+    _getHandler(client, type) {
+        const key = `${type}.${client.index}`;
+        return this._handlers.get(`${key}.${client.subIndex}`)
+            || this._handlers.get(key);
+    }
+
+    /**
+     * Get the entry addressed by a transfer.
+     *
+     * If the entry does not exist, then the transfer is aborted unless an
+     * application handler provides it as a virtual object.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @param {string} type - 'read' or 'write'.
+     * @returns {DataObject | null | undefined} the entry, null for a virtual
+     * object, or undefined if the transfer was aborted.
+     * @private
+     */
+    _getEntry(client, type) {
+        const virtual = !!this._getHandler(client, type);
+
+        let entry = this.eds.getEntry(client.index);
+        if (entry === undefined) {
+            if (virtual)
+                return null;
+
+            this._abortTransfer(client, SdoCode.OBJECT_UNDEFINED);
+            return undefined;
+        }
+
+        if (entry.subNumber > 0) {
+            entry = entry[client.subIndex];
+            if (entry === undefined) {
+                if (virtual)
+                    return null;
+
+                this._abortTransfer(client, SdoCode.BAD_SUB_INDEX);
+                return undefined;
+            }
+        }
+
+        return entry;
+    }
+
+    /**
+     * Check that downloaded data can be written to an entry.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @param {DataObject | null} entry - entry to write.
+     * @param {Buffer} raw - data to write.
+     * @returns {boolean} true if the data can be written.
+     * @private
+     */
+    _checkDownload(client, entry, raw) {
+        if (!entry)
+            return true;
+
+        const code = this.validateDownload(entry, raw);
+        if (code) {
+            this._abortTransfer(client, code);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Call an application handler.
+     *
+     * The handler may return a value or a Promise. If it throws or rejects,
+     * then the transfer is aborted with the SdoCode of the error, or
+     * SdoCode.GENERAL_ERROR if it is not an SdoError. Results that arrive
+     * after the transfer was aborted are ignored.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @param {Function} handler - handler to call.
+     * @param {object} context - argument passed to the handler.
+     * @param {Function} callback - called with the handler result.
+     * @private
+     */
+    _callHandler(client, handler, context, callback) {
+        const token = {};
+        client.pending = token;
+
+        new Promise((resolve) => resolve(handler(context))).then(
+            (result) => {
+                if (client.pending !== token)
+                    return;
+
+                client.pending = null;
+                callback(result);
+            },
+            (error) => {
+                if (client.pending !== token)
+                    return;
+
+                client.pending = null;
+                const code = (error instanceof SdoError)
+                    ? error.code : SdoCode.GENERAL_ERROR;
+
+                this._abortTransfer(client, code);
+            });
+    }
+
+    /**
+     * Get the data to upload from an entry.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @param {DataObject | null} entry - entry to read.
+     * @param {Function} callback - called with a Buffer or StreamSource.
+     * @private
+     */
+    _readEntry(client, entry, callback) {
+        const handler = this._getHandler(client, 'read');
+        if (!handler) {
+            callback(Buffer.from(entry.raw));
+            return;
+        }
+
+        const context = {
+            index: client.index,
+            subIndex: client.subIndex,
+            entry,
+        };
+
+        this._callHandler(client, handler, context, (result) => {
+            const source = this._toSource(entry, result);
+            if (source)
+                callback(source);
+            else
+                this._abortTransfer(client, SdoCode.GENERAL_ERROR);
+        });
+    }
+
+    /**
+     * Convert the result of a read handler to upload data.
+     *
+     * @param {DataObject | null} entry - entry to read.
+     * @param {*} result - handler result.
+     * @returns {Buffer | StreamSource | null} the data, or null if the result
+     * can not be converted.
+     * @private
+     */
+    _toSource(entry, result) {
+        if (result === undefined)
+            return Buffer.from((entry) ? entry.raw : []);
+
+        if (Buffer.isBuffer(result))
+            return result;
+
+        if (result instanceof Readable)
+            return new StreamSource(result);
+
+        if (!entry)
+            return null;
+
+        try {
+            const raw = typeToRaw(result, entry.dataType, entry.scaleFactor);
+            return Buffer.isBuffer(raw) ? raw : null;
+        }
+        catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the next upload segment.
+     *
+     * Data from a stream is read in order, so offset must follow on from the
+     * previous call.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @param {number} offset - offset of the data.
+     * @param {Function} callback - called with the data and a flag that is true
+     * if it is the last segment.
+     * @private
+     */
+    _readSegment(client, offset, callback) {
+        const source = client.data;
+        if (!(source instanceof StreamSource)) {
+            const payload = source.slice(offset, offset + 7);
+            callback(payload, (offset + payload.length) >= source.length);
+            return;
+        }
+
+        source.read(7)
+            .then((payload) => source.atEnd().then((last) => {
+                if (client.active)
+                    callback(payload, last);
+            }))
+            .catch(() => {
+                if (client.active)
+                    this._abortTransfer(client, SdoCode.DATA_TRANSFER);
+            });
+    }
+
+    /**
+     * Write downloaded data to an entry.
+     *
+     * If a write handler is set, then it is called before the data is stored
+     * and can veto the download. The callback is not called if the transfer
+     * was aborted.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @param {DataObject | null} entry - entry to write.
+     * @param {Buffer} raw - data to write.
+     * @param {Function} callback - called once the data was written.
+     * @private
+     */
+    _writeEntry(client, entry, raw, callback) {
+        const handler = this._getHandler(client, 'write');
+        if (!handler) {
+            if (this._storeEntry(client, entry, raw))
+                callback();
+
+            return;
+        }
+
+        const context = {
+            index: client.index,
+            subIndex: client.subIndex,
+            entry,
+            raw,
+            value: (entry)
+                ? rawToType(raw, entry.dataType, entry.scaleFactor) : raw,
+        };
+
+        this._callHandler(client, handler, context, () => {
+            if (!entry || this._storeEntry(client, entry, raw))
+                callback();
+        });
+    }
+
+    /**
+     * Store downloaded data in an entry.
+     *
+     * If a storage backend is set, then writing the 'save' signature to
+     * object 0x1010 or the 'load' signature to object 0x1011 will store or
+     * restore the parameters instead of changing the entry value.
+     *
+     * @param {SdoTransfer} client - SDO context.
+     * @param {DataObject} entry - entry to write.
+     * @param {Buffer} raw - data to write.
+     * @returns {boolean} true if the data was written.
+     * @see CiA301 "Object 1010h: Store parameters" (§7.5.2.13)
+     * @private
+     */
+    _storeEntry(client, entry, raw) {
+        const index = client.index;
+        if (!this.storage || (index !== 0x1010 && index !== 0x1011)) {
+            entry.raw = raw;
+            return true;
+        }
+
+        const signature = (index === 0x1010) ? 'save' : 'load';
+        if (raw.toString() !== signature) {
+            this._abortTransfer(client, SdoCode.DATA_TRANSFER);
+            return false;
+        }
+
+        try {
+            if (index === 0x1010)
+                this.storage.save(this.eds, client.subIndex);
+            else
+                this.storage.restore(client.subIndex);
+        }
+        catch (e) {
+            this._abortTransfer(client, SdoCode.HARDWARE_ERROR);
+            return false;
+        }
+
+        return true;
+    }
+
     /**
      * Abort a transfer.
      *
@@ -759,6 +1595,8 @@ class SdoServer extends Protocol {
      * @private
      */
     _abortTransfer(transfer, code) {
+        transfer.pending = null;
+
         const sendBuffer = Buffer.alloc(8);
         sendBuffer.writeUInt8(0x80);
         sendBuffer.writeUInt16LE(transfer.index, 1);
@@ -0,0 +1,647 @@
+/**
+ * @file Implements an SDO manager for dynamic SDO channels (CiA 302-5).
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+const EventEmitter = require('events');
+const Device = require('./device');
+const { Eds } = require('./eds');
+const { DataType } = require('./types');
+const { SdoCode, SdoError } = require('./protocol/sdo');
+
+/**
+ * Bit 31 of an SDO COB-ID - the SDO does not exist / is not valid.
+ *
+ * @private
+ */
+const COB_ID_INVALID = 0x80000000;
+
+/**
+ * Bit 30 of an SDO COB-ID - the COB-ID was dynamically allocated.
+ *
+ * @private
+ */
+const COB_ID_DYNAMIC = 0x40000000;
+
+/**
+ * Bit 29 of a COB-ID - the COB-ID is a CAN extended frame.
+ *
+ * @private
+ */
+const COB_ID_EXTENDED = 0x20000000;
+
+/**
+ * Objects that configure COB-IDs as [first index, last index, sub-indices].
+ * The PDO mapping parameters (0x1600 - 0x17FF, 0x1A00 - 0x1BFF) do not hold
+ * COB-IDs.
+ *
+ * @private
+ */
+const cobIdObjects = [
+    [0x1200, 0x127F, [1, 2]], // SDO server parameter
+    [0x1280, 0x12FF, [1, 2]], // SDO client parameter
+    [0x1400, 0x15FF, [1]], // RPDO communication parameter
+    [0x1800, 0x19FF, [1]], // TPDO communication parameter
+];
+
+/**
+ * Returns true if an SdoError reports a missing object or sub-index.
+ *
+ * @param {Error} e - error to test.
+ * @returns {boolean} true if the object does not exist.
+ * @private
+ */
+function isMissing(e) {
+    return (e instanceof SdoError)
+        && (e.code === SdoCode.OBJECT_UNDEFINED
+        || e.code === SdoCode.BAD_SUB_INDEX);
+}
+
+/**
+ * CANopen SDO manager.
+ *
+ * Allocates SDO channels between any two nodes of the network at runtime. The
+ * SDO client parameter (0x1280 - 0x12FF) of the client and the SDO server
+ * parameter (0x1200 - 0x127F) of the server are written over SDO, or with
+ * Eds#addSdoClientParameter() and Eds#addSdoServerParameter() if the manager
+ * takes part in the channel itself.
+ *
+ * Remote nodes must provide spare SDO parameter objects with the invalid bit
+ * (bit 31) set in their COB-IDs. The spare objects are searched in order from
+ * 0x1201 (server) or 0x1280 (client) up to the first object that does not
+ * exist.
+ *
+ * COB-IDs are allocated from args.cobIdRange. COB-IDs that are already used
+ * by the SDO parameters (0x1200 - 0x12FF) or PDO communication parameters
+ * (0x1400 - 0x15FF, 0x1800 - 0x19FF) of the manager, the client, or the
+ * server are skipped. Remote objects are read up to the first object that
+ * does not exist in each range.
+ *
+ * The manager maps the default SDO channel of remote nodes it configures.
+ * These SDO client parameters are removed again by disconnect() once no
+ * channel uses the node, and by stop().
+ *
+ * Other nodes can request a channel by writing the node-ID of the server to
+ * sub-index [client node-ID] of object 0x1F10 on the manager, or release it by
+ * writing zero.
+ *
+ * @param {Device} device - SDO manager device.
+ * @param {object} [args] - arguments.
+ * @param {number} [args.sdoTimeout] - SDO transfer timeout (ms).
+ * @param {Array<number>} [args.cobIdRange] - first and last COB-ID that can be
+ * allocated to dynamic channels.
+ * @see CiA302-5 "SDO manager"
+ * @since 6.3.0
+ */
+class SdoManager extends EventEmitter {
+    constructor(device, args = {}) {
+        super();
+
+        if (!(device instanceof Device))
+            throw new TypeError('device must be a Device');
+
+        const [first, last] = args.cobIdRange || [0x680, 0x6DF];
+        if (first < 0x1 || last > 0x7FF || first > last)
+            throw RangeError('cobIdRange must be in range [0x1-0x7FF]');
+
+        this.device = device;
+        this.sdoTimeout = args.sdoTimeout;
+        this.cobIdRange = [first, last];
+        this.channels = [];
+        this.started = false;
+        this._sdoClients = new Map();
+    }
+
+    /**
+     * The manager's Eds.
+     *
+     * @type {Eds}
+     */
+    get eds() {
+        return this.device.eds;
+    }
+
+    /**
+     * Start handling dynamic SDO requests (0x1F10).
+     */
+    start() {
+        if (this.started)
+            return;
+
+        this.eds.dynamicChannelsSupported = true;
+
+        const server = this.device.sdoServer;
+        server.setReadHandler(0x1F10, ({ subIndex }) => {
+            this._checkRequest(subIndex);
+
+            const channel = this.channels.find((c) => c.clientId === subIndex);
+            return Buffer.from([(channel) ? channel.serverId : 0]);
+        });
+
+        server.setWriteHandler(0x1F10, (context) => this._request(context));
+
+        this.started = true;
+    }
+
+    /**
+     * Stop handling dynamic SDO requests. Channels that were allocated are
+     * left open, but the SDO client parameters the manager added to reach
+     * remote nodes are removed.
+     */
+    stop() {
+        if (!this.started)
+            return;
+
+        const server = this.device.sdoServer;
+        server.setReadHandler(0x1F10, null);
+        server.setWriteHandler(0x1F10, null);
+        this._unmapSdoClients(true);
+
+        this.started = false;
+    }
+
+    /**
+     * Get the channel between a client and a server.
+     *
+     * @param {number} serverId - node-ID of the SDO server.
+     * @param {number} [clientId] - node-ID of the SDO client.
+     * @returns {object | undefined} { clientId, serverId, cobIdTx, cobIdRx }
+     */
+    getChannel(serverId, clientId) {
+        if (!clientId)
+            clientId = this.device.id;
+
+        return this.channels.find((channel) => {
+            return channel.clientId === clientId
+                && channel.serverId === serverId;
+        });
+    }
+
+    /**
+     * Open an SDO channel between a client and a server.
+     *
+     * The COB-IDs of the channel are given from the view of the client.
+     *
+     * @param {number} serverId - node-ID of the SDO server [1-127].
+     * @param {number} [clientId] - node-ID of the SDO client [1-127], defaults
+     * to the manager.
+     * @returns {Promise<object>} { clientId, serverId, cobIdTx, cobIdRx }
+     * @fires SdoManager#connect
+     */
+    async connect(serverId, clientId) {
+        if (!clientId)
+            clientId = this.device.id;
+
+        if (!serverId || serverId < 1 || serverId > 0x7F)
+            throw RangeError('serverId must be in range [1-127]');
+
+        if (!clientId || clientId < 1 || clientId > 0x7F)
+            throw RangeError('clientId must be in range [1-127]');
+
+        if (serverId === clientId)
+            throw RangeError('serverId and clientId must be different');
+
+        let channel = this.getChannel(serverId, clientId);
+        if (channel)
+            return this._describe(channel);
+
+        let cobIds;
+        try {
+            cobIds = await this._allocate(serverId, clientId);
+        }
+        catch (e) {
+            this._unmapSdoClients();
+            throw e;
+        }
+
+        // Opened by another request while the COB-IDs were read
+        channel = this.getChannel(serverId, clientId);
+        if (channel)
+            return this._describe(channel);
+
+        const [cobIdTx, cobIdRx] = cobIds;
+        channel = { clientId, serverId, cobIdTx, cobIdRx };
+
+        // Reserve the COB-IDs while the parameters are written
+        channel.serverIndex = null;
+        channel.clientIndex = null;
+        this.channels.push(channel);
+
+        try {
+            channel.serverIndex = await this._findParameter(
+                serverId, 0x1201, 0x127F);
+
+            await this._writeParameter(
+                serverId, channel.serverIndex, clientId, cobIdTx, cobIdRx);
+
+            channel.clientIndex = await this._findParameter(
+                clientId, 0x1280, 0x12FF);
+
+            await this._writeParameter(
+                clientId, channel.clientIndex, serverId, cobIdTx, cobIdRx);
+        }
+        catch (e) {
+            await this._release(channel).catch(() => {});
+            this._unmapSdoClients();
+            throw e;
+        }
+
+        /**
+         * An SDO channel was opened.
+         *
+         * @event SdoManager#connect
+         * @type {object}
+         * @property {number} clientId - node-ID of the SDO client.
+         * @property {number} serverId - node-ID of the SDO server.
+         * @property {number} cobIdTx - COB-ID client -> server.
+         * @property {number} cobIdRx - COB-ID server -> client.
+         */
+        this.emit('connect', this._describe(channel));
+
+        return this._describe(channel);
+    }
+
+    /**
+     * Close an SDO channel opened with {@link SdoManager#connect}.
+     *
+     * @param {number} serverId - node-ID of the SDO server [1-127].
+     * @param {number} [clientId] - node-ID of the SDO client [1-127], defaults
+     * to the manager.
+     * @returns {Promise} resolves when the channel is closed.
+     * @fires SdoManager#disconnect
+     */
+    async disconnect(serverId, clientId) {
+        const channel = this.getChannel(serverId, clientId);
+        if (!channel)
+            return;
+
+        await this._release(channel);
+        this._unmapSdoClients();
+
+        /**
+         * An SDO channel was closed.
+         *
+         * @event SdoManager#disconnect
+         * @type {object}
+         * @property {number} clientId - node-ID of the SDO client.
+         * @property {number} serverId - node-ID of the SDO server.
+         * @property {number} cobIdTx - COB-ID client -> server.
+         * @property {number} cobIdRx - COB-ID server -> client.
+         */
+        this.emit('disconnect', this._describe(channel));
+    }
+
+    /**
+     * Check the sub-index of a 0x1F10 request.
+     *
+     * @param {number} subIndex - node-ID of the requesting client.
+     * @private
+     */
+    _checkRequest(subIndex) {
+        if (subIndex < 1 || subIndex > 0x7F)
+            throw new SdoError(SdoCode.BAD_SUB_INDEX, 0x1F10, subIndex);
+    }
+
+    /**
+     * Handle a write to 0x1F10.
+     *
+     * @param {object} context - SdoServer write handler context.
+     * @param {number} context.subIndex - node-ID of the requesting client.
+     * @param {Buffer} context.raw - node-ID of the server, or zero to close
+     * the channel.
+     * @returns {Promise} resolves when the request is complete.
+     * @private
+     */
+    async _request({ subIndex, raw }) {
+        this._checkRequest(subIndex);
+        if (raw.length < 1)
+            throw new SdoError(SdoCode.DATA_SHORT, 0x1F10, subIndex);
+
+        const clientId = subIndex;
+        const serverId = raw[0];
+
+        // A client has at most one dynamic channel
+        const channel = this.channels.find((c) => c.clientId === clientId);
+        if (channel && channel.serverId !== serverId)
+            await this.disconnect(channel.serverId, clientId);
+
+        if (!serverId)
+            return;
+
+        try {
+            await this.connect(serverId, clientId);
+        }
+        catch (e) {
+            throw new SdoError(SdoCode.SDO_NOT_AVAILBLE, 0x1F10, subIndex);
+        }
+    }
+
+    /**
+     * Allocate a pair of COB-IDs that are not used by the other channels or
+     * configured on the manager, the server, or the client.
+     *
+     * @param {number} serverId - node-ID of the SDO server.
+     * @param {number} clientId - node-ID of the SDO client.
+     * @returns {Promise<Array<number>>} [cobIdTx, cobIdRx]
+     * @private
+     */
+    async _allocate(serverId, clientId) {
+        const used = new Set();
+        for (const deviceId of new Set([this.device.id, serverId, clientId])) {
+            for (const cobId of await this._getCobIds(deviceId))
+                used.add(cobId);
+        }
+
+        for (const channel of this.channels) {
+            used.add(channel.cobIdTx);
+            used.add(channel.cobIdRx);
+        }
+
+        const result = [];
+        const [first, last] = this.cobIdRange;
+        for (let cobId = first; cobId <= last && result.length < 2; ++cobId) {
+            if (!used.has(cobId))
+                result.push(cobId);
+        }
+
+        if (result.length < 2)
+            throw new SdoError(SdoCode.SDO_NOT_AVAILBLE, 0x1F10);
+
+        return result;
+    }
+
+    /**
+     * Read the valid CAN base frame COB-IDs configured on a device.
+     *
+     * @param {number} deviceId - node-ID of the device [1-127].
+     * @returns {Promise<Array<number>>} configured COB-IDs.
+     * @private
+     */
+    async _getCobIds(deviceId) {
+        const local = deviceId === this.device.id;
+        const cobIds = [];
+
+        for (const [first, last, subIndices] of cobIdObjects) {
+            for (let index = first; index <= last; ++index) {
+                if (local && this.eds.getEntry(index) === undefined)
+                    continue;
+
+                const values = [];
+                try {
+                    for (const subIndex of subIndices) {
+                        const cobId = await this._read(
+                            deviceId, index, subIndex);
+
+                        values.push(cobId);
+                    }
+                }
+                catch (e) {
+                    if (!isMissing(e))
+                        throw e;
+
+                    if (!local)
+                        break;
+                }
+
+                for (const cobId of values) {
+                    if (!(cobId & (COB_ID_INVALID | COB_ID_EXTENDED)))
+                        cobIds.push(cobId & 0x7FF);
+                }
+            }
+        }
+
+        return cobIds;
+    }
+
+    /**
+     * Close both ends of a channel and free its COB-IDs.
+     *
+     * @param {object} channel - channel to release.
+     * @returns {Promise} resolves when the channel is released.
+     * @private
+     */
+    async _release(channel) {
+        const index = this.channels.indexOf(channel);
+        if (index >= 0)
+            this.channels.splice(index, 1);
+
+        if (channel.clientIndex)
+            await this._clearParameter(channel.clientId, channel.clientIndex);
+
+        if (channel.serverIndex)
+            await this._clearParameter(channel.serverId, channel.serverIndex);
+    }
+
+    /**
+     * Find an unused SDO parameter object.
+     *
+     * Locally a new object is created if none is spare.
+     *
+     * @param {number} deviceId - node-ID of the device [1-127].
+     * @param {number} first - first index to search.
+     * @param {number} last - last index to search.
+     * @returns {Promise<number>} index of the parameter object.
+     * @private
+     */
+    async _findParameter(deviceId, first, last) {
+        for (let index = first; index <= last; ++index) {
+            let cobId;
+            try {
+                cobId = await this._read(deviceId, index, 1);
+            }
+            catch (e) {
+                if (!isMissing(e))
+                    throw e;
+
+                if (deviceId !== this.device.id)
+                    break;
+
+                if (this.eds.getEntry(index) !== undefined)
+                    continue;
+
+                // Create a spare local parameter object
+                const invalid = COB_ID_INVALID;
+                if (first < 0x1280) {
+                    this.eds.addSdoServerParameter(
+                        0, invalid, invalid, { index });
+                }
+                else {
+                    this.eds.addSdoClientParameter(
+                        1, invalid, invalid, { index });
+                }
+
+                return index;
+            }
+
+            if (cobId & COB_ID_INVALID)
+                return index;
+        }
+
+        throw new SdoError(SdoCode.SDO_NOT_AVAILBLE, first, 1);
+    }
+
+    /**
+     * Write an SDO parameter object. The COB-IDs are written last to
+     * activate the channel.
+     *
+     * @param {number} deviceId - node-ID of the device [1-127].
+     * @param {number} index - index of the parameter object.
+     * @param {number} nodeId - node-ID of the other end of the channel.
+     * @param {number} cobIdTx - COB-ID client -> server.
+     * @param {number} cobIdRx - COB-ID server -> client.
+     * @returns {Promise} resolves when the object is written.
+     * @private
+     */
+    async _writeParameter(deviceId, index, nodeId, cobIdTx, cobIdRx) {
+        await this._write(deviceId, index, 3, nodeId, DataType.UNSIGNED8);
+
+        await this._write(deviceId, index, 2,
+            (cobIdRx | COB_ID_DYNAMIC) >>> 0, DataType.UNSIGNED32);
+
+        await this._write(deviceId, index, 1,
+            (cobIdTx | COB_ID_DYNAMIC) >>> 0, DataType.UNSIGNED32);
+    }
+
+    /**
+     * Invalidate an SDO parameter object.
+     *
+     * @param {number} deviceId - node-ID of the device [1-127].
+     * @param {number} index - index of the parameter object.
+     * @returns {Promise} resolves when the object is written.
+     * @private
+     */
+    async _clearParameter(deviceId, index) {
+        await this._write(
+            deviceId, index, 1, COB_ID_INVALID, DataType.UNSIGNED32);
+
+        await this._write(
+            deviceId, index, 2, COB_ID_INVALID, DataType.UNSIGNED32);
+    }
+
+    /**
+     * Read a value from the manager or a remote device.
+     *
+     * @param {number} deviceId - node-ID of the device [1-127].
+     * @param {number} index - object index.
+     * @param {number} subIndex - object subIndex.
+     * @returns {Promise<number>} the value.
+     * @private
+     */
+    async _read(deviceId, index, subIndex) {
+        if (deviceId === this.device.id) {
+            const entry = this.eds.getEntry(index);
+            if (entry === undefined)
+                throw new SdoError(SdoCode.OBJECT_UNDEFINED, index, subIndex);
+
+            if (entry[subIndex] === undefined)
+                throw new SdoError(SdoCode.BAD_SUB_INDEX, index, subIndex);
+
+            return entry[subIndex].value;
+        }
+
+        this._mapSdoClient(deviceId);
+        return this.device.sdo.upload({
+            deviceId,
+            index,
+            subIndex,
+            dataType: DataType.UNSIGNED32,
+            timeout: this.sdoTimeout,
+        });
+    }
+
+    /**
+     * Write a value to the manager or a remote device.
+     *
+     * @param {number} deviceId - node-ID of the device [1-127].
+     * @param {number} index - object index.
+     * @param {number} subIndex - object subIndex.
+     * @param {number} value - value to write.
+     * @param {DataType} dataType - type of the value.
+     * @returns {Promise} resolves when the value is written.
+     * @private
+     */
+    async _write(deviceId, index, subIndex, value, dataType) {
+        if (deviceId === this.device.id) {
+            this.device.setValueArray(index, subIndex, value);
+            return;
+        }
+
+        this._mapSdoClient(deviceId);
+        await this.device.sdo.download({
+            deviceId,
+            index,
+            subIndex,
+            data: value,
+            dataType,
+            timeout: this.sdoTimeout,
+        });
+    }
+
+    /**
+     * Map the default SDO channel to a remote device if it is not mapped.
+     *
+     * @param {number} deviceId - device identifier [1-127].
+     * @private
+     */
+    _mapSdoClient(deviceId) {
+        for (const server of this.eds.getSdoClientParameters()) {
+            if (server.deviceId === deviceId)
+                return;
+        }
+
+        let index = 0x1280;
+        while (this.eds.getEntry(index) !== undefined) {
+            if (++index > 0x12FF)
+                throw new SdoError(SdoCode.SDO_NOT_AVAILBLE, 0x1280, 1);
+        }
+
+        this.eds.addSdoClientParameter(
+            deviceId, 0x600 + deviceId, 0x580 + deviceId, { index });
+
+        this._sdoClients.set(deviceId, this.eds.getEntry(index));
+    }
+
+    /**
+     * Remove the SDO client parameters added by
+     * {@link SdoManager#_mapSdoClient}.
+     *
+     * @param {boolean} [all] - also remove the parameters of devices that
+     * are part of a channel.
+     * @private
+     */
+    _unmapSdoClients(all = false) {
+        for (const [deviceId, entry] of this._sdoClients) {
+            const inUse = this.channels.some((channel) => {
+                return channel.clientId === deviceId
+                    || channel.serverId === deviceId;
+            });
+
+            if (inUse && !all)
+                continue;
+
+            if (this.eds.getEntry(entry.index) === entry)
+                this.eds.removeEntry(entry.index);
+
+            this._sdoClients.delete(deviceId);
+        }
+    }
+
+    /**
+     * Get the public properties of a channel.
+     *
+     * @param {object} channel - channel to describe.
+     * @returns {object} { clientId, serverId, cobIdTx, cobIdRx }
+     * @private
+     */
+    _describe(channel) {
+        return {
+            clientId: channel.clientId,
+            serverId: channel.serverId,
+            cobIdTx: channel.cobIdTx,
+            cobIdRx: channel.cobIdRx,
+        };
+    }
+}
+
+module.exports = exports = { SdoManager };
@@ -0,0 +1,391 @@
+/**
+ * @file Implements persistent storage for the store (0x1010) and restore
+ * (0x1011) parameter objects.
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+// External modules
+const fs = require('fs');
+const ini = require('ini');
+const path = require('path');
+
+// Local modules
+const { AccessType, ObjectType } = require('./types');
+const { Eds } = require('./eds');
+
+/**
+ * Object index ranges of each parameter group.
+ *
+ * @private
+ */
+const parameterGroups = {
+    communication: [0x1000, 0x1FFF],
+    manufacturer: [0x2000, 0x5FFF],
+    application: [0x6000, 0x9FFF],
+};
+
+/**
+ * Get the parameter groups selected by a 0x1010/0x1011 sub-index.
+ *
+ * @param {number} subIndex - object sub-index.
+ * @returns {Array<string>} group names.
+ * @see CiA301 "Object 1010h: Store parameters" (§7.5.2.13)
+ * @private
+ */
+function getGroups(subIndex) {
+    switch (subIndex) {
+        case 1:
+            return Object.keys(parameterGroups);
+        case 2:
+            return ['communication'];
+        case 3:
+            return ['application'];
+        case 4:
+            return ['manufacturer'];
+        default:
+            throw new RangeError('subIndex must be in range [1-4]');
+    }
+}
+
+/**
+ * Get the storable objects of a parameter group.
+ *
+ * @param {Eds} eds - Eds to search.
+ * @param {string} name - group name.
+ * @returns {Array<DataObject>} storable objects.
+ * @private
+ */
+function getEntries(eds, name) {
+    const [start, end] = parameterGroups[name];
+    const result = [];
+
+    for (const entry of eds.values()) {
+        const index = entry.index;
+        if (index < start || index > end)
+            continue;
+
+        // Do not store the storage commands
+        if (index === 0x1010 || index === 0x1011)
+            continue;
+
+        const objects = (entry.subNumber)
+            ? entry._subObjects.slice(1) : [entry];
+
+        for (const obj of objects) {
+            if (obj === undefined || obj.objectType !== ObjectType.VAR)
+                continue;
+
+            if (obj.accessType === AccessType.READ_ONLY
+                || obj.accessType === AccessType.CONSTANT)
+                continue;
+
+            result.push(obj);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Base class for parameter storage backends.
+ *
+ * Parameters are stored in groups ('communication', 'application', and
+ * 'manufacturer') as an object mapping each entry key to its raw value.
+ * Subclasses must implement {@link Storage#read}, {@link Storage#write}, and
+ * {@link Storage#delete}.
+ *
+ * @see CiA301 "Object 1010h: Store parameters" (§7.5.2.13)
+ * @since 6.3.0
+ */
+class Storage {
+    constructor() {
+        this._restore = new Set();
+    }
+
+    /**
+     * Read a parameter group.
+     *
+     * @param {string} name - group name.
+     * @returns {object | null} stored data or null if not stored.
+     * @abstract
+     */
+    read(name) {
+        (name);
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Write a parameter group.
+     *
+     * @param {string} name - group name.
+     * @param {object} data - data to store.
+     * @abstract
+     */
+    write(name, data) {
+        (name, data);
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Delete a parameter group.
+     *
+     * @param {string} name - group name.
+     * @abstract
+     */
+    delete(name) {
+        (name);
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Store the current parameter values.
+     *
+     * @param {Eds} eds - Eds to store.
+     * @param {number} [subIndex] - 0x1010 sub-index selecting the groups.
+     */
+    save(eds, subIndex = 1) {
+        if (!Eds.isEds(eds))
+            throw new TypeError('eds must be an Eds');
+
+        for (const name of getGroups(subIndex)) {
+            const data = {};
+            for (const entry of getEntries(eds, name))
+                data[entry.key] = entry.raw.toString('hex');
+
+            this.write(name, data);
+            this._restore.delete(name);
+        }
+    }
+
+    /**
+     * Delete the stored parameters. The default values will be restored the
+     * next time {@link Storage#load} is called.
+     *
+     * @param {number} [subIndex] - 0x1011 sub-index selecting the groups.
+     */
+    restore(subIndex = 1) {
+        for (const name of getGroups(subIndex)) {
+            this.delete(name);
+            this._restore.add(name);
+        }
+    }
+
+    /**
+     * Load the stored parameter values.
+     *
+     * @param {Eds} eds - Eds to load into.
+     * @param {number} [subIndex] - 0x1010 sub-index selecting the groups.
+     */
+    load(eds, subIndex = 1) {
+        if (!Eds.isEds(eds))
+            throw new TypeError('eds must be an Eds');
+
+        for (const name of getGroups(subIndex)) {
+            if (this._restore.has(name)) {
+                eds.reset(getEntries(eds, name));
+                this._restore.delete(name);
+                continue;
+            }
+
+            const data = this.read(name);
+            if (!data)
+                continue;
+
+            for (const [key, value] of Object.entries(data)) {
+                const [index, sub] = key.split('sub');
+
+                let entry = eds.getEntry(parseInt(index, 16));
+                if (entry && sub !== undefined)
+                    entry = entry[parseInt(sub)];
+
+                if (entry)
+                    entry.raw = Buffer.from(value, 'hex');
+            }
+        }
+    }
+}
+
+/**
+ * Stores parameters in memory.
+ *
+ * @augments Storage
+ * @since 6.3.0
+ */
+class MemoryStorage extends Storage {
+    constructor() {
+        super();
+        this.data = {};
+    }
+
+    /**
+     * Read a parameter group.
+     *
+     * @param {string} name - group name.
+     * @returns {object | null} stored data or null if not stored.
+     * @override
+     */
+    read(name) {
+        return this.data[name] || null;
+    }
+
+    /**
+     * Write a parameter group.
+     *
+     * @param {string} name - group name.
+     * @param {object} data - data to store.
+     * @override
+     */
+    write(name, data) {
+        this.data[name] = data;
+    }
+
+    /**
+     * Delete a parameter group.
+     *
+     * @param {string} name - group name.
+     * @override
+     */
+    delete(name) {
+        delete this.data[name];
+    }
+}
+
+/**
+ * Stores parameters in a single JSON file.
+ *
+ * @param {string} path - path to file.
+ * @augments Storage
+ * @since 6.3.0
+ */
+class JsonStorage extends Storage {
+    constructor(path) {
+        super();
+        this.path = path;
+    }
+
+    /**
+     * Read a parameter group.
+     *
+     * @param {string} name - group name.
+     * @returns {object | null} stored data or null if not stored.
+     * @override
+     */
+    read(name) {
+        return this._readFile()[name] || null;
+    }
+
+    /**
+     * Write a parameter group.
+     *
+     * @param {string} name - group name.
+     * @param {object} data - data to store.
+     * @override
+     */
+    write(name, data) {
+        const file = this._readFile();
+        file[name] = data;
+        fs.writeFileSync(this.path, JSON.stringify(file, null, 4));
+    }
+
+    /**
+     * Delete a parameter group.
+     *
+     * @param {string} name - group name.
+     * @override
+     */
+    delete(name) {
+        const file = this._readFile();
+        if (file[name] === undefined)
+            return;
+
+        delete file[name];
+        fs.writeFileSync(this.path, JSON.stringify(file, null, 4));
+    }
+
+    /**
+     * Read the JSON file.
+     *
+     * @returns {object} file contents.
+     * @private
+     */
+    _readFile() {
+        if (!fs.existsSync(this.path))
+            return {};
+
+        return JSON.parse(fs.readFileSync(this.path, 'utf-8'));
+    }
+}
+
+/**
+ * Stores each parameter group as a separate file in a directory.
+ *
+ * @param {string} directory - path to directory.
+ * @augments Storage
+ * @since 6.3.0
+ */
+class FileStorage extends Storage {
+    constructor(directory) {
+        super();
+        this.directory = directory;
+    }
+
+    /**
+     * Read a parameter group.
+     *
+     * @param {string} name - group name.
+     * @returns {object | null} stored data or null if not stored.
+     * @override
+     */
+    read(name) {
+        const file = this._getPath(name);
+        if (!fs.existsSync(file))
+            return null;
+
+        return ini.parse(fs.readFileSync(file, 'utf-8'));
+    }
+
+    /**
+     * Write a parameter group.
+     *
+     * @param {string} name - group name.
+     * @param {object} data - data to store.
+     * @override
+     */
+    write(name, data) {
+        if (!fs.existsSync(this.directory))
+            fs.mkdirSync(this.directory, { recursive: true });
+
+        fs.writeFileSync(this._getPath(name), ini.encode(data));
+    }
+
+    /**
+     * Delete a parameter group.
+     *
+     * @param {string} name - group name.
+     * @override
+     */
+    delete(name) {
+        const file = this._getPath(name);
+        if (fs.existsSync(file))
+            fs.unlinkSync(file);
+    }
+
+    /**
+     * Get the file path of a parameter group.
+     *
+     * @param {string} name - group name.
+     * @returns {string} file path.
+     * @private
+     */
+    _getPath(name) {
+        return path.join(this.directory, name + '.ini');
+    }
+}
+
+module.exports = exports = {
+    Storage,
+    MemoryStorage,
+    JsonStorage,
+    FileStorage,
+};
@@ -0,0 +1,13 @@
+const { BusState, Transport } = require('./transport');
+const { SlcanTransport } = require('./slcan');
+const { SocketCanTransport } = require('./socketcan');
+const { VirtualBus, VirtualTransport } = require('./virtual');
+
+module.exports = exports = {
+    BusState,
+    Transport,
+    SlcanTransport,
+    SocketCanTransport,
+    VirtualBus,
+    VirtualTransport,
+};
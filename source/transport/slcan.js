@@ -0,0 +1,287 @@
+/**
+ * @file Implements a CAN transport for SLCAN (Lawicel) adapters.
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+const net = require('net');
+const { BusState, Transport } = require('./transport');
+
+/**
+ * SLCAN bitrate commands.
+ *
+ * @private
+ */
+const bitrates = {
+    10000: 'S0',
+    20000: 'S1',
+    50000: 'S2',
+    100000: 'S3',
+    125000: 'S4',
+    250000: 'S5',
+    500000: 'S6',
+    800000: 'S7',
+    1000000: 'S8',
+};
+
+/**
+ * SLCAN status flags (response to the 'F' command). There is no bus-off
+ * flag, and bus errors (0x80) do not change the bus state.
+ *
+ * @private
+ */
+const STATUS_RX_FIFO_FULL = 0x01;
+const STATUS_TX_FIFO_FULL = 0x02;
+const STATUS_DATA_OVERRUN = 0x08;
+const STATUS_ERROR_PASSIVE = 0x20;
+
+/**
+ * Encode a CAN frame as an SLCAN command.
+ *
+ * @param {object} message - CAN frame.
+ * @param {number} message.id - CAN message identifier.
+ * @param {Buffer} message.data - CAN message data.
+ * @param {boolean} [message.rtr] - true for a remote transmission request.
+ * @returns {string} SLCAN command.
+ * @private
+ */
+function encodeFrame({ id, data, rtr }) {
+    const ext = id > 0x7FF;
+
+    let command = (rtr) ? 'r' : 't';
+    if (ext)
+        command = command.toUpperCase();
+
+    command += id.toString(16).toUpperCase().padStart((ext) ? 8 : 3, '0');
+    command += data.length.toString();
+    if (!rtr)
+        command += data.toString('hex').toUpperCase();
+
+    return command + '\r';
+}
+
+/**
+ * Decode an SLCAN frame.
+ *
+ * @param {string} line - received line without the terminator.
+ * @returns {object | null} CAN frame or null if the line is not a frame.
+ * @private
+ */
+function decodeFrame(line) {
+    const type = line[0];
+    if (!'tTrR'.includes(type))
+        return null;
+
+    const ext = (type === 'T' || type === 'R');
+    const rtr = (type === 'r' || type === 'R');
+    const idLength = (ext) ? 8 : 3;
+
+    const id = parseInt(line.substring(1, 1 + idLength), 16);
+    const length = parseInt(line[1 + idLength], 16);
+    if (isNaN(id) || isNaN(length) || length > 8)
+        return null;
+
+    let data = Buffer.alloc(length);
+    if (!rtr) {
+        const start = 2 + idLength;
+        data = Buffer.from(line.substring(start, start + length * 2), 'hex');
+        if (data.length !== length)
+            return null;
+    }
+
+    return { id, data, rtr };
+}
+
+/**
+ * CAN transport for SLCAN (Lawicel ASCII protocol) adapters.
+ *
+ * The adapter is reached through a duplex stream, such as a serial port or a
+ * TCP socket to a serial bridge. If no stream is given, then a TCP connection
+ * is opened to args.host and args.port.
+ *
+ * Once open, stream errors are emitted as 'error' and set the bus state to
+ * BusState.BUS_OFF, as does the stream closing, so listen for 'error' as with
+ * any stream.
+ *
+ * @param {object} args - arguments.
+ * @param {object} [args.stream] - duplex stream connected to the adapter.
+ * @param {string} [args.host] - TCP bridge host name.
+ * @param {number} [args.port] - TCP bridge port.
+ * @param {number} [args.bitrate] - CAN bitrate (bit/s).
+ * @param {number} [args.statusInterval] - how often to poll the adapter
+ * status flags (ms). Disabled if 0.
+ * @param {number} [args.queueSize] - maximum number of queued frames.
+ * @since 6.3.0
+ */
+class SlcanTransport extends Transport {
+    constructor(args = {}) {
+        super(args);
+
+        if (!args.stream && !args.port)
+            throw new ReferenceError('stream or port is required');
+
+        if (args.bitrate !== undefined && !bitrates[args.bitrate])
+            throw new RangeError(`unsupported bitrate ${args.bitrate}`);
+
+        this.stream = args.stream || null;
+        this.host = args.host;
+        this.port = args.port;
+        this.bitrate = args.bitrate;
+        this.statusInterval = args.statusInterval || 0;
+        this._buffer = '';
+        this._blocked = false;
+        this._statusTimer = null;
+        this._ownsStream = !args.stream;
+        this._listeners = null;
+    }
+
+    /**
+     * Connect to the adapter and open the CAN channel.
+     *
+     * @returns {Promise} resolves when the channel is open.
+     * @override
+     */
+    async _open() {
+        if (!this.stream) {
+            this.stream = await new Promise((resolve, reject) => {
+                const socket = net.connect(this.port, this.host);
+                socket.once('connect', () => {
+                    socket.removeListener('error', reject);
+                    resolve(socket);
+                });
+                socket.once('error', reject);
+            });
+        }
+
+        this._listeners = {
+            data: (chunk) => this._onData(chunk),
+            drain: () => {
+                this._blocked = false;
+                this._drain();
+            },
+            error: (error) => this._onError(error),
+            close: () => this._setBusState(BusState.BUS_OFF),
+        };
+
+        for (const [event, listener] of Object.entries(this._listeners))
+            this.stream.on(event, listener);
+
+        // Close any open channel, then configure and open
+        this.stream.write('C\r');
+        if (this.bitrate)
+            this.stream.write(bitrates[this.bitrate] + '\r');
+
+        this.stream.write('O\r');
+
+        if (this.statusInterval > 0) {
+            this._statusTimer = setInterval(
+                () => this.stream.write('F\r'), this.statusInterval);
+        }
+    }
+
+    /**
+     * Close the CAN channel and disconnect from the adapter.
+     *
+     * @override
+     */
+    _close() {
+        clearInterval(this._statusTimer);
+        this._statusTimer = null;
+
+        this.stream.write('C\r');
+        for (const [event, listener] of Object.entries(this._listeners))
+            this.stream.removeListener(event, listener);
+
+        this._listeners = null;
+
+        if (this._ownsStream) {
+            this.stream.end();
+            this.stream = null;
+        }
+    }
+
+    /**
+     * Write a frame to the adapter.
+     *
+     * @param {object} message - CAN frame.
+     * @returns {boolean} false if the stream is busy.
+     * @override
+     */
+    _write(message) {
+        if (this._blocked)
+            return false;
+
+        // The frame is buffered by the stream even if write() returns false
+        this._blocked = !this.stream.write(encodeFrame(message));
+        return true;
+    }
+
+    /**
+     * Called when data is received from the adapter.
+     *
+     * @param {Buffer | string} chunk - received data.
+     * @private
+     */
+    _onData(chunk) {
+        this._buffer += chunk.toString();
+
+        const lines = this._buffer.split(/[\r\x07]/);
+        this._buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line[0] === 'F') {
+                this._parseStatus(parseInt(line.substring(1, 3), 16));
+                continue;
+            }
+
+            const frame = decodeFrame(line);
+            if (frame)
+                this._receive(frame);
+        }
+    }
+
+    /**
+     * Called when the stream to the adapter fails.
+     *
+     * @param {Error} error - stream error.
+     * @fires SlcanTransport#error
+     * @private
+     */
+    _onError(error) {
+        this._setBusState(BusState.BUS_OFF);
+
+        /**
+         * The stream to the adapter failed. The bus state is set to
+         * BusState.BUS_OFF.
+         *
+         * @event SlcanTransport#error
+         * @type {Error}
+         */
+        this.emit('error', error);
+    }
+
+    /**
+     * Decode the adapter status flags.
+     *
+     * @param {number} status - status flags.
+     * @private
+     */
+    _parseStatus(status) {
+        if (isNaN(status))
+            return;
+
+        const overflow = STATUS_RX_FIFO_FULL
+            | STATUS_TX_FIFO_FULL
+            | STATUS_DATA_OVERRUN;
+
+        if (status & overflow)
+            this.emit('overrun');
+
+        if (status & STATUS_ERROR_PASSIVE)
+            this._setBusState(BusState.ERROR_PASSIVE);
+        else
+            this._setBusState(BusState.ERROR_ACTIVE);
+    }
+}
+
+module.exports = exports = { SlcanTransport };
@@ -0,0 +1,151 @@
+/**
+ * @file Implements a CAN transport for Linux SocketCAN.
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+const { BusState, Transport } = require('./transport');
+
+/**
+ * SocketCAN error frame classes (linux/can/error.h).
+ *
+ * @private
+ */
+const CAN_ERR_CRTL = 0x004;
+const CAN_ERR_BUSOFF = 0x040;
+const CAN_ERR_RESTARTED = 0x100;
+
+/**
+ * SocketCAN controller problem flags (data[1] of a CAN_ERR_CRTL frame).
+ *
+ * @private
+ */
+const CAN_ERR_CRTL_RX_OVERFLOW = 0x01;
+const CAN_ERR_CRTL_TX_OVERFLOW = 0x02;
+const CAN_ERR_CRTL_RX_PASSIVE = 0x10;
+const CAN_ERR_CRTL_TX_PASSIVE = 0x20;
+const CAN_ERR_CRTL_ACTIVE = 0x40;
+
+/**
+ * CAN transport for Linux SocketCAN interfaces.
+ *
+ * Uses a RawChannel from the 'socketcan' package, which must be installed
+ * separately. Error frames are decoded to update the bus state and are not
+ * passed on as messages.
+ *
+ * @param {object} args - arguments.
+ * @param {string | object} args.channel - interface name (e.g. 'can0') or an
+ * existing socketcan RawChannel.
+ * @param {number} [args.queueSize] - maximum number of queued frames.
+ * @param {number} [args.retryInterval] - time to wait before retrying a
+ * failed write (ms).
+ * @see https://www.kernel.org/doc/html/latest/networking/can.html
+ * @since 6.3.0
+ */
+class SocketCanTransport extends Transport {
+    constructor(args = {}) {
+        super(args);
+
+        let channel = args.channel;
+        if (typeof channel === 'string') {
+            const can = require('socketcan');
+            channel = can.createRawChannelWithOptions(channel, {
+                'timestamps': false,
+                'non_block_send': true,
+            });
+        }
+
+        if (!channel)
+            throw new ReferenceError('channel is required');
+
+        this.channel = channel;
+        this.channel.addListener('onMessage', (m) => this._onMessage(m));
+    }
+
+    /**
+     * Start the channel.
+     *
+     * @override
+     */
+    _open() {
+        this.channel.start();
+    }
+
+    /**
+     * Stop the channel.
+     *
+     * @override
+     */
+    _close() {
+        this.channel.stop();
+    }
+
+    /**
+     * Write a frame to the channel.
+     *
+     * @param {object} message - CAN frame.
+     * @param {number} message.id - CAN message identifier.
+     * @param {Buffer} message.data - CAN message data.
+     * @param {boolean} [message.rtr] - true for a remote transmission request.
+     * @returns {boolean} false if the socket is busy.
+     * @override
+     */
+    _write({ id, data, rtr }) {
+        const result = this.channel.send({
+            id,
+            data,
+            ext: id > 0x7FF,
+            rtr: Boolean(rtr),
+        });
+
+        return result === undefined || result >= 0;
+    }
+
+    /**
+     * Called when the channel receives a frame.
+     *
+     * @param {object} message - socketcan message.
+     * @private
+     */
+    _onMessage(message) {
+        if (message.err) {
+            this._parseError(message);
+            return;
+        }
+
+        this._receive({
+            id: message.id,
+            data: message.data,
+            rtr: Boolean(message.rtr),
+        });
+    }
+
+    /**
+     * Decode an error frame.
+     *
+     * @param {object} message - socketcan error frame.
+     * @param {number} message.id - error class flags.
+     * @param {Buffer} message.data - error details.
+     * @private
+     */
+    _parseError({ id, data }) {
+        if (id & CAN_ERR_BUSOFF) {
+            this._setBusState(BusState.BUS_OFF);
+        }
+        else if (id & CAN_ERR_RESTARTED) {
+            this._setBusState(BusState.ERROR_ACTIVE);
+        }
+        else if ((id & CAN_ERR_CRTL) && data.length > 1) {
+            const status = data[1];
+            if (status & (CAN_ERR_CRTL_RX_OVERFLOW | CAN_ERR_CRTL_TX_OVERFLOW))
+                this.emit('overrun');
+
+            if (status & (CAN_ERR_CRTL_RX_PASSIVE | CAN_ERR_CRTL_TX_PASSIVE))
+                this._setBusState(BusState.ERROR_PASSIVE);
+            else if (status & CAN_ERR_CRTL_ACTIVE)
+                this._setBusState(BusState.ERROR_ACTIVE);
+        }
+    }
+}
+
+module.exports = exports = { SocketCanTransport };
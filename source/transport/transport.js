@@ -0,0 +1,249 @@
+/**
+ * @file Implements the base class for CAN transports.
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * CAN controller error states.
+ *
+ * @enum {number}
+ * @see ISO11898-1 "Fault confinement"
+ */
+const BusState = {
+    /** The controller is participating normally in bus communication. */
+    ERROR_ACTIVE: 0,
+
+    /** The controller error counters have exceeded 127. */
+    ERROR_PASSIVE: 1,
+
+    /** The controller is disconnected from the bus. */
+    BUS_OFF: 2,
+};
+
+/**
+ * Base class for CAN transports.
+ *
+ * A transport moves CAN frames between a Device and a CAN interface. Frames
+ * passed to send() are queued while the interface is busy or not yet open and
+ * are written in order once it can accept them. If the queue is full, then
+ * the frame is dropped and 'overrun' is emitted.
+ *
+ * Subclasses implement _open(), _close(), and _write(), call _receive() for
+ * each incoming frame, and call _setBusState() when the controller state
+ * changes.
+ *
+ * @param {object} [args] - arguments.
+ * @param {number} [args.queueSize=256] - maximum number of queued frames.
+ * @param {number} [args.retryInterval=1] - time to wait before retrying a
+ * failed write (ms).
+ * @fires Transport#message
+ * @fires Transport#busState
+ * @fires Transport#overrun
+ * @see Device#attach
+ * @since 6.3.0
+ */
+class Transport extends EventEmitter {
+    constructor(args = {}) {
+        super();
+
+        this.queueSize = args.queueSize || 256;
+        this.retryInterval = args.retryInterval || 1;
+        this.isOpen = false;
+        this._queue = [];
+        this._retryTimer = null;
+        this._busState = BusState.ERROR_ACTIVE;
+    }
+
+    /**
+     * The controller error state.
+     *
+     * @type {BusState}
+     */
+    get busState() {
+        return this._busState;
+    }
+
+    /**
+     * Number of frames waiting to be written.
+     *
+     * @type {number}
+     */
+    get pending() {
+        return this._queue.length;
+    }
+
+    /**
+     * Open the interface and write any queued frames.
+     *
+     * @returns {Promise} resolves when the interface is open.
+     */
+    async open() {
+        if (this.isOpen)
+            return;
+
+        await this._open();
+        this.isOpen = true;
+        this._flush();
+    }
+
+    /**
+     * Close the interface. Queued frames are discarded.
+     *
+     * @returns {Promise} resolves when the interface is closed.
+     */
+    async close() {
+        if (!this.isOpen)
+            return;
+
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        this._queue = [];
+        this.isOpen = false;
+
+        await this._close();
+    }
+
+    /**
+     * Queue a frame to be written.
+     *
+     * @param {object} message - CAN frame.
+     * @param {number} message.id - CAN message identifier.
+     * @param {Buffer} message.data - CAN message data.
+     * @param {boolean} [message.rtr] - true for a remote transmission request.
+     * @returns {boolean} false if the frame was dropped.
+     * @fires Transport#overrun
+     */
+    send(message) {
+        if (this._queue.length >= this.queueSize) {
+            /**
+             * A frame was dropped because the transmit queue is full, or the
+             * interface reported lost frames.
+             *
+             * @event Transport#overrun
+             * @type {object | undefined}
+             */
+            this.emit('overrun', message);
+            return false;
+        }
+
+        this._queue.push(message);
+        this._flush();
+        return true;
+    }
+
+    /**
+     * Open the interface.
+     *
+     * @returns {Promise | undefined} resolves when the interface is open.
+     * @abstract
+     */
+    _open() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Close the interface.
+     *
+     * @returns {Promise | undefined} resolves when the interface is closed.
+     * @abstract
+     */
+    _close() {
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Write a frame to the interface.
+     *
+     * @param {object} message - CAN frame.
+     * @returns {boolean} false if the interface is busy.
+     * @abstract
+     */
+    _write(message) {
+        (message);
+        throw new Error('not implemented');
+    }
+
+    /**
+     * Called by subclasses when the interface can accept frames again.
+     *
+     * @protected
+     */
+    _drain() {
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        this._flush();
+    }
+
+    /**
+     * Called by subclasses for each incoming frame.
+     *
+     * @param {object} message - CAN frame.
+     * @fires Transport#message
+     * @protected
+     */
+    _receive(message) {
+        /**
+         * A CAN frame was received.
+         *
+         * @event Transport#message
+         * @type {object}
+         * @property {number} id - CAN message identifier.
+         * @property {Buffer} data - CAN message data.
+         * @property {boolean} rtr - true for a remote transmission request.
+         */
+        this.emit('message', message);
+    }
+
+    /**
+     * Called by subclasses when the controller error state changes.
+     *
+     * @param {BusState} state - new state.
+     * @fires Transport#busState
+     * @protected
+     */
+    _setBusState(state) {
+        const previous = this._busState;
+        if (state === previous)
+            return;
+
+        this._busState = state;
+
+        /**
+         * The controller error state changed.
+         *
+         * @event Transport#busState
+         * @type {object}
+         * @property {BusState} state - new state.
+         * @property {BusState} previous - previous state.
+         */
+        this.emit('busState', { state, previous });
+    }
+
+    /**
+     * Write queued frames until the interface is busy.
+     *
+     * @private
+     */
+    _flush() {
+        if (!this.isOpen || this._retryTimer)
+            return;
+
+        while (this._queue.length > 0) {
+            if (!this._write(this._queue[0])) {
+                this._retryTimer = setTimeout(() => {
+                    this._retryTimer = null;
+                    this._flush();
+                }, this.retryInterval);
+
+                return;
+            }
+
+            this._queue.shift();
+        }
+    }
+}
+
+module.exports = exports = { BusState, Transport };
@@ -0,0 +1,301 @@
+/**
+ * @file Implements an in-process virtual CAN bus.
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+const EventEmitter = require('events');
+const Device = require('../device');
+const { Transport } = require('./transport');
+
+/**
+ * Transport connected to a VirtualBus.
+ *
+ * @param {VirtualBus} bus - bus to join.
+ * @param {object} [args] - arguments.
+ * @param {number} [args.queueSize] - maximum number of queued frames.
+ * @since 6.3.0
+ */
+class VirtualTransport extends Transport {
+    constructor(bus, args = {}) {
+        super(args);
+        this.bus = bus;
+    }
+
+    /**
+     * Join the bus.
+     *
+     * @override
+     */
+    _open() {
+        this.bus._join(this);
+    }
+
+    /**
+     * Leave the bus.
+     *
+     * @override
+     */
+    _close() {
+        this.bus._leave(this);
+    }
+
+    /**
+     * Write a frame to the bus.
+     *
+     * @param {object} message - CAN frame.
+     * @returns {boolean} always true.
+     * @override
+     */
+    _write(message) {
+        this.bus._transmit(this, message);
+        return true;
+    }
+}
+
+/**
+ * Get the arbitration priority of a CAN identifier. Lower values win.
+ *
+ * The 11-bit base identifier is compared first. A standard frame wins against
+ * an extended frame with the same base identifier, then the 18-bit identifier
+ * extension is compared.
+ *
+ * @param {number} id - CAN message identifier.
+ * @returns {number} arbitration priority.
+ * @private
+ */
+function arbitrationKey(id) {
+    if (id <= 0x7FF)
+        return id * 0x80000;
+
+    return (id >>> 18) * 0x80000 + 0x40000 + (id & 0x3FFFF);
+}
+
+/**
+ * Resolve a fault injection option for a frame.
+ *
+ * @param {number | Function} option - probability (0-1) or predicate.
+ * @param {object} frame - CAN frame.
+ * @param {Function} random - random number generator.
+ * @returns {boolean} true if the fault should be injected.
+ * @private
+ */
+function shouldInject(option, frame, random) {
+    if (typeof option === 'function')
+        return Boolean(option(frame));
+
+    return option > 0 && random() < option;
+}
+
+/**
+ * In-process virtual CAN bus.
+ *
+ * Frames written by a transport are delivered to every other open transport
+ * on the bus. Frames written during the same tick contend for the bus and are
+ * delivered in arbitration order (lowest COB-ID first). Delivery is always
+ * deferred so that send and receive calls do not recurse.
+ *
+ * Latency, dropped frames, and corrupted frames can be simulated to test how a
+ * network behaves on a poor bus. Each option is either a constant or a
+ * function that is called with the frame.
+ *
+ * @param {object} [args] - arguments.
+ * @param {boolean} [args.arbitration=true] - deliver contending frames in
+ * COB-ID order rather than the order they were written.
+ * @param {number | Function} [args.latency=0] - delay before a frame is
+ * delivered (ms).
+ * @param {number | Function} [args.dropRate=0] - probability (0-1) that a
+ * frame is lost, or a predicate returning true to drop a frame.
+ * @param {number | Function} [args.corruptRate=0] - probability (0-1) that a
+ * bit of the frame data is flipped, or a predicate returning true to corrupt a
+ * frame.
+ * @param {Function} [args.random=Math.random] - random number generator used
+ * for fault injection.
+ * @fires VirtualBus#frame
+ * @fires VirtualBus#drop
+ * @example
+ * const bus = new VirtualBus({ latency: 1 });
+ * await bus.attach(master);
+ * await bus.attach(slave);
+ * @since 6.3.0
+ */
+class VirtualBus extends EventEmitter {
+    constructor(args = {}) {
+        super();
+
+        this.transports = new Set();
+        this.arbitration = args.arbitration !== false;
+        this.latency = args.latency || 0;
+        this.dropRate = args.dropRate || 0;
+        this.corruptRate = args.corruptRate || 0;
+        this.random = args.random || Math.random;
+        this._pending = [];
+        this._devices = new Map();
+    }
+
+    /**
+     * Create a transport connected to this bus.
+     *
+     * @param {object} [args] - transport arguments.
+     * @returns {VirtualTransport} new transport.
+     */
+    createTransport(args) {
+        return new VirtualTransport(this, args);
+    }
+
+    /**
+     * Connect a Device to the bus.
+     *
+     * @param {Device} device - device to connect.
+     * @param {object} [args] - transport arguments.
+     * @returns {Promise<VirtualTransport>} the device's transport.
+     */
+    async attach(device, args) {
+        if (!(device instanceof Device))
+            throw new TypeError('device must be a Device');
+
+        await this.detach(device);
+
+        const transport = this.createTransport(args);
+        this._devices.set(device, transport);
+        await device.attach(transport);
+
+        return transport;
+    }
+
+    /**
+     * Disconnect a Device from the bus.
+     *
+     * @param {Device} device - device to disconnect.
+     * @returns {Promise} resolves when the device's transport is closed.
+     */
+    async detach(device) {
+        const transport = this._devices.get(device);
+        if (!transport)
+            return;
+
+        this._devices.delete(device);
+        if (device.detach() !== transport)
+            throw new Error('device was attached to another transport');
+
+        await transport.close();
+    }
+
+    /**
+     * Add a transport to the bus.
+     *
+     * @param {VirtualTransport} transport - transport to add.
+     * @private
+     */
+    _join(transport) {
+        this.transports.add(transport);
+    }
+
+    /**
+     * Remove a transport from the bus.
+     *
+     * @param {VirtualTransport} transport - transport to remove.
+     * @private
+     */
+    _leave(transport) {
+        this.transports.delete(transport);
+    }
+
+    /**
+     * Queue a frame for arbitration.
+     *
+     * @param {VirtualTransport} sender - transport that wrote the frame.
+     * @param {object} message - CAN frame.
+     * @private
+     */
+    _transmit(sender, message) {
+        const frame = {
+            id: message.id,
+            data: Buffer.from(message.data),
+            rtr: Boolean(message.rtr),
+        };
+
+        this._pending.push({ sender, frame });
+        if (this._pending.length === 1)
+            setImmediate(() => this._arbitrate());
+    }
+
+    /**
+     * Put the queued frames on the bus.
+     *
+     * @fires VirtualBus#drop
+     * @private
+     */
+    _arbitrate() {
+        const pending = this._pending;
+        this._pending = [];
+
+        if (this.arbitration) {
+            // Array.prototype.sort is stable, so equal COB-IDs keep their order
+            pending.sort((a, b) => {
+                return arbitrationKey(a.frame.id) - arbitrationKey(b.frame.id);
+            });
+        }
+
+        for (const { sender, frame } of pending) {
+            if (shouldInject(this.dropRate, frame, this.random)) {
+                /**
+                 * A frame was lost on the bus.
+                 *
+                 * @event VirtualBus#drop
+                 * @type {object}
+                 */
+                this.emit('drop', frame);
+                continue;
+            }
+
+            let corrupted = false;
+            if (frame.data.length > 0
+                && shouldInject(this.corruptRate, frame, this.random)) {
+                const bit = Math.floor(this.random() * frame.data.length * 8);
+                frame.data[bit >> 3] ^= 1 << (bit & 7);
+                corrupted = true;
+            }
+
+            const latency = (typeof this.latency === 'function')
+                ? this.latency(frame)
+                : this.latency;
+
+            const deliver = () => this._deliver(sender, frame, corrupted);
+            if (latency > 0)
+                setTimeout(deliver, latency);
+            else
+                deliver();
+        }
+    }
+
+    /**
+     * Deliver a frame to the other transports on the bus.
+     *
+     * @param {VirtualTransport} sender - transport that wrote the frame.
+     * @param {object} frame - CAN frame.
+     * @param {boolean} corrupted - true if the frame data was corrupted.
+     * @fires VirtualBus#frame
+     * @private
+     */
+    _deliver(sender, frame, corrupted) {
+        /**
+         * A frame was delivered.
+         *
+         * @event VirtualBus#frame
+         * @type {object}
+         * @property {number} id - CAN message identifier.
+         * @property {Buffer} data - CAN message data.
+         * @property {boolean} rtr - true for a remote transmission request.
+         * @property {boolean} corrupted - true if the data was corrupted.
+         */
+        this.emit('frame', { ...frame, corrupted });
+
+        for (const transport of this.transports) {
+            if (transport !== sender)
+                transport._receive(frame);
+        }
+    }
+}
+
+module.exports = exports = { VirtualBus, VirtualTransport };
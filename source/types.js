@@ -55,6 +55,12 @@ const AccessType = {
     /** Read and write access. */
     READ_WRITE: 'rw',
 
+    /** Read and write access, written by a RPDO. */
+    READ_WRITE_WRITE: 'rww',
+
+    /** Read and write access, read by a TPDO. */
+    READ_WRITE_READ: 'rwr',
+
     /** Write only access. */
     WRITE_ONLY: 'wo',
 
@@ -0,0 +1,795 @@
+/**
+ * @file Implements CiA 311 XML device description (XDD/XDC) conversion.
+ * @author Wilkins White
+ * @copyright 2024 Daxbot
+ */
+
+// External modules
+const { EOL } = require('os');
+const xml2js = require('xml2js');
+
+// Local modules
+const { AccessType, DataType, ObjectType } = require('./types');
+const EdsError = require('./eds_error');
+
+/**
+ * Supported baud rates.
+ *
+ * @private
+ */
+const baudRates = [10, 20, 50, 125, 250, 500, 800, 1000];
+
+/**
+ * IEC 61131-3 data types used by parameter templates.
+ *
+ * @private
+ */
+const iecTypes = {
+    BOOL: DataType.BOOLEAN,
+    SINT: DataType.INTEGER8,
+    INT: DataType.INTEGER16,
+    DINT: DataType.INTEGER32,
+    LINT: DataType.INTEGER64,
+    USINT: DataType.UNSIGNED8,
+    UINT: DataType.UNSIGNED16,
+    UDINT: DataType.UNSIGNED32,
+    ULINT: DataType.UNSIGNED64,
+    BYTE: DataType.UNSIGNED8,
+    WORD: DataType.UNSIGNED16,
+    DWORD: DataType.UNSIGNED32,
+    LWORD: DataType.UNSIGNED64,
+    REAL: DataType.REAL32,
+    LREAL: DataType.REAL64,
+    STRING: DataType.VISIBLE_STRING,
+    WSTRING: DataType.UNICODE_STRING,
+    BITSTRING: DataType.OCTET_STRING,
+};
+
+/**
+ * Parameter template access types.
+ *
+ * Process inputs are read by a TPDO (rwr) and process outputs are written by
+ * a RPDO (rww).
+ *
+ * @private
+ */
+const iecAccess = {
+    const: AccessType.CONSTANT,
+    read: AccessType.READ_ONLY,
+    write: AccessType.WRITE_ONLY,
+    readWrite: AccessType.READ_WRITE,
+    readWriteInput: AccessType.READ_WRITE_READ,
+    readWriteOutput: AccessType.READ_WRITE_WRITE,
+};
+
+/**
+ * Get the first child element.
+ *
+ * @param {object} node - parent element.
+ * @param {...string} names - child element names.
+ * @returns {object | undefined} child element.
+ * @private
+ */
+function child(node, ...names) {
+    for (const name of names) {
+        if (!node || !node[name])
+            return undefined;
+
+        node = node[name][0];
+    }
+
+    return node;
+}
+
+/**
+ * Get the text content of an element.
+ *
+ * @param {object | string} node - element.
+ * @returns {string | undefined} text content.
+ * @private
+ */
+function text(node) {
+    if (node === undefined || typeof node === 'string')
+        return node;
+
+    return node._;
+}
+
+/**
+ * Get the attributes of an element.
+ *
+ * @param {object} node - element.
+ * @returns {object} attributes.
+ * @private
+ */
+function attributes(node) {
+    return (node && node.$) ? node.$ : {};
+}
+
+/**
+ * Format an integer as a hex string.
+ *
+ * @param {number | string} value - value to format.
+ * @param {number} length - number of digits.
+ * @returns {string} hex string without the '0x' prefix.
+ * @private
+ */
+function toHex(value, length) {
+    return parseInt(value).toString(16).toUpperCase().padStart(length, '0');
+}
+
+/**
+ * Convert an XML boolean.
+ *
+ * @param {string} value - 'true' or 'false'.
+ * @returns {string} '1' or '0'.
+ * @private
+ */
+function fromBoolean(value) {
+    return (value === 'true' || value === '1') ? '1' : '0';
+}
+
+/**
+ * Convert an EDS boolean.
+ *
+ * @param {string | number} value - EDS boolean.
+ * @returns {string} 'true' or 'false'.
+ * @private
+ */
+function toBoolean(value) {
+    return (parseInt(value)) ? 'true' : 'false';
+}
+
+/**
+ * Convert an EDS date (mm-dd-yyyy) to xsd:date (yyyy-mm-dd).
+ *
+ * @param {string} date - EDS date.
+ * @returns {string | undefined} xsd:date.
+ * @private
+ */
+function toXmlDate(date) {
+    if (!date)
+        return undefined;
+
+    const [month, day, year] = date.split('-');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Convert an xsd:date (yyyy-mm-dd) to an EDS date (mm-dd-yyyy).
+ *
+ * @param {string} date - xsd:date.
+ * @returns {string | undefined} EDS date.
+ * @private
+ */
+function fromXmlDate(date) {
+    if (!date)
+        return undefined;
+
+    const [year, month, day] = date.substring(0, 10).split('-');
+    return `${month}-${day}-${year}`;
+}
+
+/**
+ * Convert an EDS time (hh:mm[AM|PM]) to xsd:time (hh:mm:ss).
+ *
+ * @param {string} time - EDS time.
+ * @returns {string | undefined} xsd:time.
+ * @private
+ */
+function toXmlTime(time) {
+    if (!time)
+        return undefined;
+
+    let [hours, minutes] = time.replace(/AM|PM/, '').split(':');
+    hours = parseInt(hours);
+    if (time.includes('PM') && hours < 12)
+        hours += 12;
+    else if (time.includes('AM') && hours === 12)
+        hours = 0;
+
+    hours = hours.toString().padStart(2, '0');
+    minutes = parseInt(minutes).toString().padStart(2, '0');
+    return `${hours}:${minutes}:00`;
+}
+
+/**
+ * Convert an xsd:time (hh:mm:ss) to an EDS time (hh:mm).
+ *
+ * @param {string} time - xsd:time.
+ * @returns {string | undefined} EDS time.
+ * @private
+ */
+function fromXmlTime(time) {
+    if (!time)
+        return undefined;
+
+    return time.substring(0, 5);
+}
+
+/**
+ * Convert a DataType name to a CiA 311 defType element name.
+ *
+ * @param {string} name - DataType name (e.g., VISIBLE_STRING).
+ * @returns {string} element name (e.g., Visible_String).
+ * @private
+ */
+function toDefType(name) {
+    return name
+        .toLowerCase()
+        .split('_')
+        .map((word) => {
+            if (word === 'of')
+                return word;
+
+            return word[0].toUpperCase() + word.substring(1);
+        })
+        .join('_');
+}
+
+/**
+ * Remove undefined values from an object.
+ *
+ * @param {object} data - object to filter.
+ * @returns {object} filtered object.
+ * @private
+ */
+function compact(data) {
+    const result = {};
+    for (const [key, value] of Object.entries(data)) {
+        if (value !== undefined)
+            result[key] = value;
+    }
+
+    return result;
+}
+
+/**
+ * Resolve a parameter from the ApplicationProcess.
+ *
+ * @param {object} parameter - parameter or parameterTemplate element.
+ * @param {object} templates - parameterTemplate elements keyed by uniqueID.
+ * @returns {object} EDS style data.
+ * @private
+ */
+function parseParameter(parameter, templates) {
+    const attrs = attributes(parameter);
+
+    let data = {};
+    if (attrs.templateIDRef && templates[attrs.templateIDRef])
+        data = parseParameter(templates[attrs.templateIDRef], templates);
+
+    const label = text(child(parameter, 'label'));
+    if (label !== undefined)
+        data['ParameterName'] = label;
+
+    const denotation = text(child(parameter, 'denotation', 'label'));
+    if (denotation !== undefined)
+        data['Denotation'] = denotation;
+
+    if (iecAccess[attrs.access] !== undefined)
+        data['AccessType'] = iecAccess[attrs.access];
+
+    for (const [name, type] of Object.entries(iecTypes)) {
+        if (parameter[name] !== undefined)
+            data['DataType'] = '0x' + type.toString(16);
+    }
+
+    const defaultValue = attributes(child(parameter, 'defaultValue')).value;
+    if (defaultValue !== undefined)
+        data['DefaultValue'] = defaultValue;
+
+    const actualValue = attributes(child(parameter, 'actualValue')).value;
+    if (actualValue !== undefined)
+        data['ParameterValue'] = actualValue;
+
+    const range = child(parameter, 'allowedValues', 'range');
+    if (range) {
+        const min = attributes(child(range, 'minValue')).value;
+        if (min !== undefined)
+            data['LowLimit'] = min;
+
+        const max = attributes(child(range, 'maxValue')).value;
+        if (max !== undefined)
+            data['HighLimit'] = max;
+    }
+
+    return data;
+}
+
+/**
+ * Convert a CANopenObject or CANopenSubObject to EDS style data.
+ *
+ * @param {object} obj - object element.
+ * @param {object} parameters - resolved parameters keyed by uniqueID.
+ * @returns {object} EDS style data.
+ * @private
+ */
+function parseObject(obj, parameters) {
+    const attrs = attributes(obj);
+
+    let data = {};
+    if (attrs.uniqueIDRef && parameters[attrs.uniqueIDRef])
+        data = { ...parameters[attrs.uniqueIDRef] };
+
+    if (attrs.name !== undefined)
+        data['ParameterName'] = attrs.name;
+
+    if (attrs.objectType !== undefined)
+        data['ObjectType'] = '0x' + parseInt(attrs.objectType).toString(16);
+
+    if (attrs.dataType !== undefined)
+        data['DataType'] = '0x' + attrs.dataType;
+
+    if (attrs.lowLimit !== undefined)
+        data['LowLimit'] = attrs.lowLimit;
+
+    if (attrs.highLimit !== undefined)
+        data['HighLimit'] = attrs.highLimit;
+
+    if (attrs.accessType !== undefined)
+        data['AccessType'] = attrs.accessType;
+
+    if (attrs.defaultValue !== undefined)
+        data['DefaultValue'] = attrs.defaultValue;
+
+    if (attrs.actualValue !== undefined)
+        data['ParameterValue'] = attrs.actualValue;
+
+    if (attrs.denotation !== undefined)
+        data['Denotation'] = attrs.denotation;
+
+    if (attrs.PDOmapping !== undefined)
+        data['PDOMapping'] = (attrs.PDOmapping === 'no') ? '0' : '1';
+
+    if (attrs.objFlags !== undefined)
+        data['ObjFlags'] = attrs.objFlags;
+
+    if (attrs.subNumber !== undefined)
+        data['SubNumber'] = attrs.subNumber;
+
+    return data;
+}
+
+/**
+ * Parse an XDD or XDC file.
+ *
+ * The result has the same layout as a parsed EDS file so that it can be loaded
+ * by {@link Eds#load}.
+ *
+ * @param {string} data - XML file contents.
+ * @returns {object} EDS style sections keyed by section name.
+ * @throws {EdsError} if the file is not a valid CiA 311 device description.
+ * @see CiA311 "CANopen device description - XML schema definition"
+ */
+function parseXdd(data) {
+    let root;
+    try {
+        xml2js.parseString(data, {
+            tagNameProcessors: [xml2js.processors.stripPrefix],
+            async: false,
+        }, (err, result) => {
+            if (err)
+                throw err;
+
+            root = result;
+        });
+    }
+    catch (e) {
+        throw new EdsError(`invalid XML document: ${e.message}`);
+    }
+
+    if (!root)
+        throw new EdsError('XML document has no root element');
+
+    const container = root['ISO15745ProfileContainer'];
+    if (!container)
+        throw new EdsError('not a CiA 311 device description');
+
+    let deviceBody = {};
+    let networkBody = {};
+    for (const profile of container['ISO15745Profile'] || []) {
+        const header = child(profile, 'ProfileHeader');
+        const classId = text(child(header, 'ProfileClassID'));
+        if (classId === 'Device')
+            deviceBody = child(profile, 'ProfileBody');
+        else if (classId === 'CommunicationNetwork')
+            networkBody = child(profile, 'ProfileBody');
+    }
+
+    const file = {};
+
+    // FileInfo
+    const fileAttrs = attributes(deviceBody);
+    const [fileVersion, fileRevision] = (fileAttrs.fileVersion || '1')
+        .split('.');
+
+    const identity = child(deviceBody, 'DeviceIdentity');
+    file['FileInfo'] = compact({
+        FileName: fileAttrs.fileName,
+        FileVersion: fileVersion,
+        FileRevision: fileRevision || '0',
+        EDSVersion: '4.0',
+        Description: text(child(identity, 'productText', 'description')),
+        CreationTime: fromXmlTime(fileAttrs.fileCreationTime),
+        CreationDate: fromXmlDate(fileAttrs.fileCreationDate),
+        CreatedBy: fileAttrs.fileCreator,
+        ModificationTime: fromXmlTime(fileAttrs.fileModificationTime),
+        ModificationDate: fromXmlDate(fileAttrs.fileModificationDate),
+        ModifiedBy: fileAttrs.fileModifiedBy,
+    });
+
+    // DeviceInfo
+    const vendorId = text(child(identity, 'vendorID'));
+    const productId = text(child(identity, 'productID'));
+    const network = child(networkBody, 'NetworkManagement');
+    const general = attributes(child(network, 'CANopenGeneralFeatures'));
+    const master = attributes(child(network, 'CANopenMasterFeatures'));
+
+    file['DeviceInfo'] = compact({
+        VendorName: text(child(identity, 'vendorName')),
+        VendorNumber: (vendorId) ? parseInt(vendorId, 16) : undefined,
+        ProductName: text(child(identity, 'productName')),
+        ProductNumber: (productId) ? parseInt(productId, 16) : undefined,
+        OrderCode: text(child(identity, 'orderNumber')),
+        SimpleBootUpMaster: fromBoolean(master.bootUpMaster),
+        SimpleBootUpSlave: fromBoolean(general.bootUpSlave),
+        Granularity: general.granularity || '8',
+        DynamicChannelsSupported: general.dynamicChannels || '0',
+        CompactPDO: '0',
+        GroupMessaging: fromBoolean(general.groupMessaging),
+        NrOfRXPDO: general.nrOfRxPDO || '0',
+        NrOfTXPDO: general.nrOfTxPDO || '0',
+        'LSS_Supported': fromBoolean(general.layerSettingServiceSlave),
+    });
+
+    const baudRate = child(networkBody,
+        'TransportLayers', 'PhysicalLayer', 'baudRate');
+
+    const supported = ((baudRate) ? baudRate['supportedBaudRate'] : null)
+        || [];
+
+    for (const rate of baudRates) {
+        file['DeviceInfo'][`BaudRate_${rate}`] = supported.some(
+            (e) => parseInt(attributes(e).value) === rate) ? '1' : '0';
+    }
+
+    // DeviceComissioning (XDC only)
+    const commissioning = child(network, 'deviceCommissioning');
+    if (commissioning) {
+        const attrs = attributes(commissioning);
+        file['DeviceComissioning'] = compact({
+            NodeID: attrs.nodeID,
+            NodeName: attrs.nodeName,
+            Baudrate: (attrs.actualBaudRate)
+                ? parseInt(attrs.actualBaudRate).toString() : undefined,
+            NetNumber: attrs.networkNumber,
+            NetworkName: attrs.networkName,
+            CANopenManager: (attrs.CANopenManager !== undefined)
+                ? fromBoolean(attrs.CANopenManager) : undefined,
+        });
+    }
+
+    const layers = child(networkBody, 'ApplicationLayers');
+
+    // DummyUsage
+    const dummyUsage = child(layers, 'dummyUsage');
+    file['DummyUsage'] = {};
+    if (dummyUsage) {
+        for (const dummy of dummyUsage['dummy'] || []) {
+            const [key, value] = attributes(dummy).entry.split('=');
+            file['DummyUsage'][key] = value;
+        }
+    }
+
+    // Data types
+    const dataTypeList = child(layers, 'DataTypeList');
+    if (dataTypeList) {
+        for (const defType of dataTypeList['defType'] || []) {
+            const code = parseInt(attributes(defType).dataType, 16);
+            const name = Object.keys(DataType)
+                .find((key) => DataType[key] === code);
+
+            if (name === undefined)
+                continue;
+
+            file[toHex(code, 4).toLowerCase()] = {
+                ParameterName: name,
+                ObjectType: '0x' + ObjectType.DEFTYPE.toString(16),
+                DataType: '0x' + code.toString(16),
+                AccessType: AccessType.READ_WRITE,
+            };
+        }
+    }
+
+    // Parameter templates
+    const process = child(deviceBody, 'ApplicationProcess');
+    const templates = {};
+    const parameters = {};
+    if (process) {
+        const templateList = child(process, 'templateList');
+        if (templateList) {
+            for (const template of templateList['parameterTemplate'] || [])
+                templates[attributes(template).uniqueID] = template;
+        }
+
+        const parameterList = child(process, 'parameterList');
+        if (parameterList) {
+            for (const parameter of parameterList['parameter'] || []) {
+                const id = attributes(parameter).uniqueID;
+                parameters[id] = parseParameter(parameter, templates);
+            }
+        }
+    }
+
+    // Objects
+    const objectList = child(layers, 'CANopenObjectList');
+    if (objectList) {
+        for (const obj of objectList['CANopenObject'] || []) {
+            const key = attributes(obj).index.toLowerCase();
+            file[key] = parseObject(obj, parameters);
+
+            for (const subObj of obj['CANopenSubObject'] || []) {
+                const subIndex = parseInt(attributes(subObj).subIndex, 16);
+                file[key + 'sub' + subIndex.toString(16)]
+                    = parseObject(subObj, parameters);
+            }
+        }
+    }
+
+    return file;
+}
+
+/**
+ * Create a ProfileHeader element.
+ *
+ * @param {string} identification - profile identification.
+ * @param {string} classId - profile class.
+ * @returns {object} ProfileHeader element.
+ * @private
+ */
+function encodeHeader(identification, classId) {
+    return {
+        ProfileIdentification: identification,
+        ProfileRevision: '1',
+        ProfileName: '',
+        ProfileSource: '',
+        ProfileClassID: classId,
+        ISO15745Reference: {
+            ISO15745Part: '1',
+            ISO15745Edition: '1',
+            ProfileTechnology: 'CANopen',
+        },
+    };
+}
+
+/**
+ * Convert EDS style data to CANopenObject attributes.
+ *
+ * @param {object} data - EDS style data.
+ * @returns {object} attributes.
+ * @private
+ */
+function encodeObject(data) {
+    return compact({
+        name: data['ParameterName'],
+        objectType: parseInt(data['ObjectType']).toString(),
+        dataType: (data['DataType'] !== undefined)
+            ? toHex(data['DataType'], 4) : undefined,
+        lowLimit: data['LowLimit'],
+        highLimit: data['HighLimit'],
+        accessType: data['AccessType'],
+        defaultValue: data['DefaultValue'],
+        actualValue: data['ParameterValue'],
+        denotation: data['Denotation'],
+        PDOmapping: (data['PDOMapping'] !== undefined)
+            ? ((data['PDOMapping'] === '1') ? 'optional' : 'no') : undefined,
+        objFlags: data['ObjFlags'],
+        subNumber: (data['SubNumber'] !== undefined)
+            ? parseInt(data['SubNumber']).toString() : undefined,
+    });
+}
+
+/**
+ * Create an XDD or XDC file. An XDC is created if the DeviceComissioning
+ * section is present.
+ *
+ * @param {object} file - EDS style sections keyed by section name.
+ * @returns {string} XML file contents.
+ * @see CiA311 "CANopen device description - XML schema definition"
+ */
+function encodeXdd(file) {
+    const fileInfo = file['FileInfo'] || {};
+    const deviceInfo = file['DeviceInfo'] || {};
+    const commissioning = file['DeviceComissioning'];
+
+    const fileAttrs = compact({
+        fileName: fileInfo['FileName'],
+        fileCreator: fileInfo['CreatedBy'],
+        fileCreationDate: toXmlDate(fileInfo['CreationDate']),
+        fileCreationTime: toXmlTime(fileInfo['CreationTime']),
+        fileModificationDate: toXmlDate(fileInfo['ModificationDate']),
+        fileModificationTime: toXmlTime(fileInfo['ModificationTime']),
+        fileModifiedBy: fileInfo['ModifiedBy'],
+        fileVersion: `${fileInfo['FileVersion'] || 1}.`
+            + `${fileInfo['FileRevision'] || 0}`,
+    });
+
+    // Sort sections into data types and objects
+    const indexMatch = RegExp('^[0-9A-Fa-f]{4}$');
+    const subIndexMatch = RegExp('^([0-9A-Fa-f]{4})sub([0-9A-Fa-f]+)$');
+
+    const defTypes = [];
+    const objects = {};
+
+    for (const [key, data] of Object.entries(file)) {
+        if (indexMatch.test(key)) {
+            const index = parseInt(key, 16);
+            if (parseInt(data['ObjectType']) === ObjectType.DEFTYPE) {
+                const name = data['ParameterName'];
+                if (index < DataType.PDO_PARAMETER && DataType[name]) {
+                    defTypes.push({
+                        $: { dataType: toHex(index, 4) },
+                        [toDefType(name)]: '',
+                    });
+                }
+                continue;
+            }
+
+            if (objects[index] === undefined)
+                objects[index] = { subObjects: [] };
+
+            objects[index].data = data;
+        }
+        else if (subIndexMatch.test(key)) {
+            let [index, subIndex] = key.split('sub');
+            index = parseInt(index, 16);
+            subIndex = parseInt(subIndex, 16);
+
+            if (objects[index] === undefined)
+                objects[index] = { subObjects: [] };
+
+            objects[index].subObjects.push({
+                $: { subIndex: toHex(subIndex, 2), ...encodeObject(data) },
+            });
+        }
+    }
+
+    const objectList = Object.keys(objects)
+        .map((index) => parseInt(index))
+        .sort((a, b) => a - b)
+        .filter((index) => objects[index].data !== undefined)
+        .map((index) => {
+            const { data, subObjects } = objects[index];
+            const obj = {
+                $: { index: toHex(index, 4), ...encodeObject(data) },
+            };
+
+            if (subObjects.length > 0) {
+                obj['CANopenSubObject'] = subObjects.sort((a, b) => {
+                    return parseInt(a.$.subIndex, 16)
+                        - parseInt(b.$.subIndex, 16);
+                });
+            }
+
+            return obj;
+        });
+
+    // Device profile
+    const identity = compact({
+        vendorName: deviceInfo['VendorName'],
+        vendorID: toHex(deviceInfo['VendorNumber'] || 0, 8),
+        productName: deviceInfo['ProductName'],
+        productID: toHex(deviceInfo['ProductNumber'] || 0, 8),
+        orderNumber: deviceInfo['OrderCode'] || undefined,
+    });
+
+    if (fileInfo['Description']) {
+        identity['productText'] = {
+            description: { $: { lang: 'en' }, _: fileInfo['Description'] },
+        };
+    }
+
+    const deviceProfile = {
+        ProfileHeader: encodeHeader('CANopen device profile', 'Device'),
+        ProfileBody: {
+            $: { 'xsi:type': 'ProfileBody_Device_CANopen', ...fileAttrs },
+            DeviceIdentity: identity,
+        },
+    };
+
+    // Communication network profile
+    const layers = {};
+    const dummyUsage = Object.entries(file['DummyUsage'] || {});
+    if (dummyUsage.length > 0) {
+        layers['dummyUsage'] = {
+            dummy: dummyUsage.map(([key, value]) => {
+                return { $: { entry: `${key}=${value}` } };
+            }),
+        };
+    }
+
+    if (defTypes.length > 0)
+        layers['DataTypeList'] = { defType: defTypes };
+
+    layers['CANopenObjectList'] = { CANopenObject: objectList };
+
+    const supported = baudRates
+        .filter((rate) => parseInt(deviceInfo[`BaudRate_${rate}`]))
+        .map((rate) => ({ $: { value: `${rate} Kbps` } }));
+
+    const physicalLayer = {};
+    if (supported.length > 0) {
+        physicalLayer['baudRate'] = {
+            $: { defaultValue: supported[0].$.value },
+            supportedBaudRate: supported,
+        };
+    }
+
+    const management = {
+        CANopenGeneralFeatures: {
+            $: {
+                groupMessaging: toBoolean(deviceInfo['GroupMessaging']),
+                dynamicChannels: String(
+                    deviceInfo['DynamicChannelsSupported'] || 0),
+                granularity: String(deviceInfo['Granularity'] || 0),
+                nrOfRxPDO: String(deviceInfo['NrOfRXPDO'] || 0),
+                nrOfTxPDO: String(deviceInfo['NrOfTXPDO'] || 0),
+                bootUpSlave: toBoolean(deviceInfo['SimpleBootUpSlave']),
+                layerSettingServiceSlave: toBoolean(
+                    deviceInfo['LSS_Supported']),
+            },
+        },
+        CANopenMasterFeatures: {
+            $: { bootUpMaster: toBoolean(deviceInfo['SimpleBootUpMaster']) },
+        },
+    };
+
+    if (commissioning) {
+        management['deviceCommissioning'] = {
+            $: compact({
+                nodeID: (commissioning['NodeID'] !== undefined)
+                    ? parseInt(commissioning['NodeID']).toString() : undefined,
+                nodeName: commissioning['NodeName'],
+                actualBaudRate: (commissioning['Baudrate'] !== undefined)
+                    ? `${commissioning['Baudrate']} Kbps` : undefined,
+                networkNumber: (commissioning['NetNumber'] !== undefined)
+                    ? String(commissioning['NetNumber']) : undefined,
+                networkName: commissioning['NetworkName'],
+                CANopenManager: (commissioning['CANopenManager'] !== undefined)
+                    ? toBoolean(commissioning['CANopenManager']) : undefined,
+            }),
+        };
+    }
+
+    const networkProfile = {
+        ProfileHeader: encodeHeader(
+            'CANopen communication network profile', 'CommunicationNetwork'),
+        ProfileBody: {
+            $: {
+                'xsi:type': 'ProfileBody_CommunicationNetwork_CANopen',
+                ...fileAttrs,
+            },
+            ApplicationLayers: layers,
+            TransportLayers: { PhysicalLayer: physicalLayer },
+            NetworkManagement: management,
+        },
+    };
+
+    const builder = new xml2js.Builder({
+        xmldec: { version: '1.0', encoding: 'utf-8' },
+        renderOpts: { pretty: true, indent: '  ', newline: EOL },
+    });
+
+    return builder.buildObject({
+        ISO15745ProfileContainer: {
+            $: {
+                'xmlns': 'http://www.canopen.org/xml/1.1',
+                'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+            },
+            ISO15745Profile: [deviceProfile, networkProfile],
+        },
+    });
+}
+
+module.exports = exports = { parseXdd, encodeXdd };
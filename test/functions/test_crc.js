@@ -10,4 +10,9 @@ describe('CRC', function () {
         const data = Buffer.from('123456789');
         expect(calculateCrc(data)).to.equal(0x31C3);
     });
+
+    it('should continue from an initial value', function () {
+        const head = calculateCrc(Buffer.from('1234'));
+        expect(calculateCrc(Buffer.from('56789'), head)).to.equal(0x31C3);
+    });
 });
@@ -39,6 +39,24 @@ describe('Emcy', function () {
         device.emcy.write(code);
     });
 
+    it('should accept an object argument', function (done) {
+        const device = new Device({ id: 0xA, loopback: true });
+        device.eds.setEmcyCobId(0x8A);
+        device.eds.addEmcyConsumer(0x8A);
+        device.emcy.start();
+
+        const code = 0x8250;
+        const info = Buffer.from([1, 2, 3, 4, 5]);
+        device.emcy.addListener('emergency', ({ em }) => {
+            expect(em.code).to.equal(code);
+            expect(em.info).to.deep.equal(info);
+            device.emcy.stop();
+            done();
+        });
+
+        device.emcy.write({ code, info });
+    });
+
     it('should inhibit send', function (done) {
         const device = new Device({ id: 0xA, loopback: true });
         device.eds.setEmcyCobId(0x8A);
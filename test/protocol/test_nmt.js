@@ -1,6 +1,6 @@
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
-const { Device } = require('../../index');
+const { Device, NmtState } = require('../../index');
 
 const expect = chai.expect;
 chai.use(chaiAsPromised);
@@ -128,4 +128,125 @@ describe('Nmt', function () {
 
         device.eds.addHeartbeatConsumer(device.id, 10); // Our device
     });
+
+    describe('Node guarding', function () {
+        it('should toggle the guarding response', function (done) {
+            const device = new Device({ id: 0xA, loopback: true });
+            const toggles = [];
+
+            device.on('message', ({ id, data, rtr }) => {
+                if (id !== 0x70A || rtr)
+                    return;
+
+                toggles.push(data[0] >> 7);
+                if (toggles.length === 3) {
+                    expect(toggles).to.deep.equal([0, 1, 0]);
+                    expect(data[0] & 0x7F).to.equal(NmtState.PRE_OPERATIONAL);
+                    device.nmt.stop();
+                    done();
+                }
+            });
+
+            device.nmt.on('guardingError', () => {
+                throw new Error('unexpected guarding error');
+            });
+
+            device.nmt.startNodeGuarding(device.id, 5, 3);
+            device.nmt.start();
+        });
+
+        it('should use 0x100C and 0x100D by default', function () {
+            const device = new Device({ id: 0xA });
+            device.eds.setGuardTime(100);
+            device.eds.setLifeTimeFactor(3);
+
+            device.nmt.startNodeGuarding(0xB);
+            expect(device.nmt.guards[0xB].guardTime).to.equal(100);
+            expect(device.nmt.guards[0xB].lifeTimeFactor).to.equal(3);
+        });
+
+        it('should emit guardingError on timeout', function (done) {
+            const device = new Device({ id: 0xA });
+
+            device.nmt.once('guardingError', ({ deviceId, reason }) => {
+                expect(deviceId).to.equal(0xB);
+                expect(reason).to.equal('timeout');
+                device.nmt.stop();
+                done();
+            });
+
+            device.nmt.startNodeGuarding(0xB, 5, 2);
+            device.nmt.start();
+        });
+
+        it('should emit guardingError on toggle error', function (done) {
+            const device = new Device({ id: 0xA });
+
+            // Respond without altering the toggle bit
+            device.on('message', ({ id, rtr }) => {
+                if (id === 0x70B && rtr) {
+                    setImmediate(() => device.receive({
+                        id: 0x70B,
+                        data: Buffer.from([NmtState.OPERATIONAL]),
+                    }));
+                }
+            });
+
+            device.nmt.once('guardingError', ({ deviceId, reason }) => {
+                expect(deviceId).to.equal(0xB);
+                expect(reason).to.equal('toggle');
+                device.nmt.stop();
+                done();
+            });
+
+            device.nmt.startNodeGuarding(0xB, 5, 2);
+            device.nmt.start();
+        });
+
+        it('should follow the toggle bit of late responses', function (done) {
+            const device = new Device({ id: 0xA });
+            let requests = 0;
+            let toggle = 0;
+
+            // Answer the first request after the next one was sent
+            device.on('message', ({ id, rtr }) => {
+                if (id !== 0x70B || !rtr)
+                    return;
+
+                if (++requests === 5) {
+                    device.nmt.stop();
+                    done();
+                    return;
+                }
+
+                setTimeout(() => {
+                    const value = (toggle << 7) | NmtState.OPERATIONAL;
+                    device.receive({ id: 0x70B, data: Buffer.from([value]) });
+                    toggle ^= 1;
+                }, (requests === 1) ? 30 : 0);
+            });
+
+            device.nmt.on('guardingError', ({ reason }) => {
+                device.nmt.stop();
+                done(new Error(`unexpected guarding error (${reason})`));
+            });
+
+            device.nmt.startNodeGuarding(0xB, 20, 3);
+            device.nmt.start();
+        });
+
+        it('should emit lifeGuardingTimeout', function (done) {
+            const device = new Device({ id: 0xA });
+            device.eds.setGuardTime(5);
+            device.eds.setLifeTimeFactor(2);
+
+            device.nmt.once('lifeGuardingTimeout', () => {
+                device.nmt.stop();
+                done();
+            });
+
+            device.nmt.start();
+            device.receive({ id: 0x70A, data: Buffer.alloc(0), rtr: true });
+        });
+    });
 });
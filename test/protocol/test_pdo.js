@@ -1,10 +1,37 @@
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
-const { Device, EdsError } = require('../../index');
+const {
+    Device,
+    DataType,
+    EdsError,
+    EmcyCode,
+} = require('../../index');
 
 const expect = chai.expect;
 chai.use(chaiAsPromised);
 
+/**
+ * Add mappable INTEGER8 (0x2002) and UNSIGNED8 (0x2005) entries.
+ *
+ * @param {Device} device - device to add the entries to.
+ * @returns {Array<DataObject>} [obj2002, obj2005]
+ */
+function addEntries(device) {
+    const obj2002 = device.eds.addEntry(0x2002, {
+        parameterName: 'INTEGER8',
+        dataType: DataType.INTEGER8,
+        pdoMapping: true,
+    });
+
+    const obj2005 = device.eds.addEntry(0x2005, {
+        parameterName: 'UNSIGNED8',
+        dataType: DataType.UNSIGNED8,
+        pdoMapping: true,
+    });
+
+    return [obj2002, obj2005];
+}
+
 describe('Pdo', function () {
     it('should emit start once', function (done) {
         const device = new Device({ id: 0xA});
@@ -67,6 +94,48 @@ describe('Pdo', function () {
         device.setValue(0x02, 1);
     });
 
+    it('should send when a mapped sub-object changes', function (done) {
+        const device = new Device({ id: 0xA });
+        const obj1018 = device.eds.getEntry(0x1018);
+
+        device.eds.addTransmitPdo({
+            cobId: 0x18A,
+            transmissionType: 254,
+            dataObjects: [obj1018[4]],
+        });
+
+        device.pdo.start();
+        device.addListener('message', ({ data }) => {
+            expect(data.readUInt32LE()).to.equal(1234);
+            done();
+        });
+
+        obj1018[4].value = 1234;
+    });
+
+    it('should suppress event-driven TPDOs', function () {
+        const device = new Device({ id: 0xA });
+        const obj1018 = device.eds.getEntry(0x1018);
+
+        device.eds.addTransmitPdo({
+            cobId: 0x18A,
+            transmissionType: 254,
+            dataObjects: [obj1018[4]],
+        });
+
+        const messages = [];
+        device.pdo.start();
+        device.addListener('message', ({ data }) => messages.push(data));
+
+        device.pdo.suppressEvents(() => obj1018[4].value = 1234);
+        expect(obj1018[4].value).to.equal(1234);
+        expect(messages).to.be.empty;
+
+        obj1018[4].value = 5678;
+        expect(messages).to.have.length(1);
+        device.pdo.stop();
+    });
+
     it('should listen to Eds#newTpdo', function (done) {
         const device = new Device({ id: 0xA, loopback: true });
         device.pdo.start();
@@ -96,6 +165,380 @@ describe('Pdo', function () {
         device.setValue(0x02, 1);
     });
 
+    it('should follow remapping over SDO', async function () {
+        const device = new Device({ id: 0xA, loopback: true });
+        device.eds.addSdoClientParameter(device.id);
+        device.eds.addSdoServerParameter(device.id);
+
+        const [obj2002, obj2005] = addEntries(device);
+        device.eds.addReceivePdo({
+            cobId: 0x20A,
+            dataObjects: [obj2005],
+        });
+
+        device.start();
+        device.nmt.startNode();
+
+        const events = [];
+        device.pdo.on('remap', (event) => events.push(event));
+
+        const write = (subIndex, data, dataType) => device.sdo.download({
+            deviceId: device.id,
+            index: (subIndex === null) ? 0x1400 : 0x1600,
+            subIndex: (subIndex === null) ? 1 : subIndex,
+            data,
+            dataType,
+        });
+
+        await write(null, 0x8000020A, DataType.UNSIGNED32);
+        expect(device.pdo.receiveMap).to.be.empty;
+
+        await write(0, 0, DataType.UNSIGNED8);
+        await write(1, 0x20020008, DataType.UNSIGNED32);
+        await write(0, 1, DataType.UNSIGNED8);
+        await write(null, 0x30A, DataType.UNSIGNED32);
+
+        expect(events).to.have.length(2);
+        expect(events[0].removed[0].cobId).to.equal(0x20A);
+        expect(events[1].added[0].cobId).to.equal(0x30A);
+        expect(events[1].added[0].dataObjects).to.deep.equal([obj2002]);
+
+        device.receive({ id: 0x30A, data: Buffer.from([5]) });
+        expect(obj2002.value).to.equal(5);
+
+        device.stop();
+    });
+
+    describe('Transmission types', function () {
+        /**
+         * Create a device with a TPDO mapping 0x2005 and record the frames
+         * sent.
+         *
+         * @param {object} pdo - TPDO parameters.
+         * @returns {Array} [device, obj2005, sent]
+         */
+        function createDevice(pdo) {
+            const device = new Device({ id: 0xA });
+            const [, obj2005] = addEntries(device);
+
+            device.eds.setSyncCobId(0x80);
+            device.eds.addTransmitPdo({
+                cobId: 0x18A,
+                dataObjects: [obj2005],
+                ...pdo,
+            });
+
+            const sent = [];
+            device.on('message', ({ id, data }) => {
+                if (id === 0x18A)
+                    sent.push(data[0]);
+            });
+
+            device.start();
+            device.nmt.startNode();
+            return [device, obj2005, sent];
+        }
+
+        const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+
+        for (const [transmissionType, name] of [
+            [0xFE, '0xFE'],
+            [0xFF, '0xFF'],
+        ]) {
+            it(`should send type ${name} on change`, function () {
+                const [device, obj2005, sent] = createDevice({
+                    transmissionType,
+                });
+
+                obj2005.value = 1;
+                obj2005.value = 2;
+                expect(sent).to.deep.equal([1, 2]);
+
+                device.stop();
+            });
+        }
+
+        it('should restart the event timer on each write', async function () {
+            const [device, obj2005, sent] = createDevice({
+                transmissionType: 0xFE,
+                eventTime: 60,
+            });
+
+            await delay(40);
+            obj2005.value = 1;
+            expect(sent).to.deep.equal([1]);
+
+            await delay(40);
+            expect(sent).to.have.length(1);
+
+            await delay(40);
+            expect(sent).to.have.length(2);
+
+            device.stop();
+        });
+
+        it('should space writes by the inhibit time', async function () {
+            const [device, obj2005, sent] = createDevice({
+                transmissionType: 0xFE,
+                inhibitTime: 300, // 30 ms
+            });
+
+            obj2005.value = 1;
+            obj2005.value = 2;
+            obj2005.value = 3;
+            expect(sent).to.deep.equal([1]);
+
+            await delay(40);
+            expect(sent).to.deep.equal([1, 3]);
+
+            device.stop();
+        });
+
+        it('should combine the event timer and inhibit time',
+            async function () {
+                const [device, obj2005, sent] = createDevice({
+                    transmissionType: 0xFE,
+                    inhibitTime: 200, // 20 ms
+                    eventTime: 80,
+                });
+
+                obj2005.value = 1;
+                obj2005.value = 2;
+                await delay(40);
+                expect(sent).to.deep.equal([1, 2]);
+
+                await delay(80);
+                expect(sent).to.deep.equal([1, 2, 2]);
+
+                device.stop();
+            });
+
+        it('should send type 0xFD on RTR', function () {
+            const [device, obj2005, sent] = createDevice({
+                transmissionType: 0xFD,
+            });
+
+            obj2005.value = 1;
+            expect(sent).to.be.empty;
+
+            device.receive({ id: 0x18A, data: Buffer.alloc(0), rtr: true });
+            expect(sent).to.deep.equal([1]);
+
+            device.stop();
+        });
+
+        it('should send type 0xFC on RTR with SYNC data', function () {
+            const [device, obj2005, sent] = createDevice({
+                transmissionType: 0xFC,
+            });
+
+            obj2005.value = 1;
+            device.receive({ id: 0x80, data: Buffer.alloc(0) });
+            obj2005.value = 2;
+            expect(sent).to.be.empty;
+
+            device.receive({ id: 0x18A, data: Buffer.alloc(0), rtr: true });
+            expect(sent).to.deep.equal([1]);
+
+            device.stop();
+        });
+
+        it('should ignore RTR if not allowed', function () {
+            const [device, , sent] = createDevice({
+                cobId: 0x4000018A,
+                transmissionType: 0xFD,
+            });
+
+            device.receive({ id: 0x18A, data: Buffer.alloc(0), rtr: true });
+            expect(sent).to.be.empty;
+
+            device.stop();
+        });
+    });
+
+    describe('RPDO monitoring', function () {
+        /**
+         * Create a device with an RPDO mapping 0x2002 and 0x2005 and record
+         * the EMCY codes sent.
+         *
+         * @param {object} pdo - RPDO parameters.
+         * @returns {Array} [device, emcy]
+         */
+        function createDevice(pdo) {
+            const device = new Device({ id: 0xA, pdoEmcy: true });
+            device.eds.setEmcyCobId(0x8A);
+
+            device.eds.addReceivePdo({
+                cobId: 0x20A,
+                dataObjects: addEntries(device),
+                ...pdo,
+            });
+
+            const emcy = [];
+            device.on('message', ({ id, data }) => {
+                if (id === 0x8A)
+                    emcy.push(data.readUInt16LE());
+            });
+
+            device.start();
+            device.nmt.startNode();
+            return [device, emcy];
+        }
+
+        const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+
+        it('should emit pdoTimeout after the event time', async function () {
+            const [device, emcy] = createDevice({ eventTime: 40 });
+
+            const timeouts = [];
+            device.pdo.on('pdoTimeout', (cobId) => timeouts.push(cobId));
+
+            await delay(60);
+            expect(timeouts).to.be.empty; // Not yet received
+
+            device.receive({ id: 0x20A, data: Buffer.from([1, 2]) });
+            await delay(20);
+            device.receive({ id: 0x20A, data: Buffer.from([1, 2]) });
+            await delay(20);
+            expect(timeouts).to.be.empty;
+
+            await delay(40);
+            expect(timeouts).to.deep.equal([0x20A]);
+            expect(emcy).to.deep.equal([EmcyCode.RPDO_TIMEOUT]);
+
+            device.stop();
+        });
+
+        it('should report RPDOs shorter than mapped', function () {
+            const [device, emcy] = createDevice();
+
+            const errors = [];
+            device.pdo.on('pdoLength', (event) => errors.push(event));
+
+            device.receive({ id: 0x20A, data: Buffer.from([1]) });
+            expect(device.getValue(0x2002)).to.equal(0);
+            expect(errors).to.deep.equal([{ cobId: 0x20A, length: 1 }]);
+            expect(emcy).to.deep.equal([EmcyCode.PDO_LENGTH]);
+
+            device.stop();
+        });
+    });
+
+    describe('Synchronous RPDOs', function () {
+        /**
+         * Create a device with a synchronous RPDO mapping 0x2005.
+         *
+         * @param {boolean} [sync] - configure a SYNC COB-ID (0x1005).
+         * @returns {Array} [device, obj2005, events]
+         */
+        function createDevice(sync = true) {
+            const device = new Device({ id: 0xA });
+            const [, obj2005] = addEntries(device);
+
+            if (sync)
+                device.eds.setSyncCobId(0x80);
+
+            device.eds.addReceivePdo({
+                cobId: 0x20A,
+                transmissionType: 1,
+                dataObjects: [obj2005],
+            });
+
+            const events = [];
+            device.pdo.on('pdo', ({ dataObjects }) => {
+                events.push(dataObjects[0].value);
+            });
+
+            device.start();
+            device.nmt.startNode();
+            return [device, obj2005, events];
+        }
+
+        it('should apply on SYNC', function () {
+            const [device, obj2005, events] = createDevice();
+
+            device.receive({ id: 0x20A, data: Buffer.from([1]) });
+            device.receive({ id: 0x20A, data: Buffer.from([2]) });
+            expect(obj2005.value).to.equal(0);
+            expect(events).to.be.empty;
+
+            device.receive({ id: 0x80, data: Buffer.alloc(0) });
+            expect(obj2005.value).to.equal(2);
+            expect(events).to.deep.equal([2]);
+
+            device.receive({ id: 0x80, data: Buffer.alloc(0) });
+            expect(events).to.have.length(1);
+
+            device.stop();
+        });
+
+        it('should apply immediately if enabled', function () {
+            const [device, obj2005, events] = createDevice();
+            device.pdo.setImmediateRpdo(true);
+
+            device.receive({ id: 0x20A, data: Buffer.from([1]) });
+            expect(obj2005.value).to.equal(1);
+            expect(events).to.deep.equal([1]);
+
+            device.stop();
+        });
+
+        it('should apply immediately without 0x1005', function () {
+            const [device, obj2005, events] = createDevice(false);
+
+            device.receive({ id: 0x20A, data: Buffer.from([1]) });
+            expect(obj2005.value).to.equal(1);
+            expect(events).to.deep.equal([1]);
+
+            device.receive({ id: 0x80, data: Buffer.alloc(0) });
+            expect(device.pdo.pendingRpdo).to.be.empty;
+
+            device.stop();
+        });
+    });
+
+    it('should emit decoded values', function () {
+        const device = new Device({ id: 0xA });
+        const [obj2002, obj2005] = addEntries(device);
+        obj2005.scaleFactor = 0.5;
+
+        device.eds.addReceivePdo({
+            cobId: 0x20A,
+            dataObjects: [obj2002, obj2005],
+        });
+
+        device.start();
+        device.nmt.startNode();
+
+        const events = [];
+        device.pdo.on('pdoValues', (event) => events.push(event));
+
+        const values = [];
+        const remove = device.pdo.onValue('UNSIGNED8', (v) => values.push(v));
+
+        device.receive({ id: 0x20A, data: Buffer.from([0xFF, 10]) });
+        expect(events[0].cobId).to.equal(0x20A);
+        expect(events[0].values).to.deep.equal({
+            'INTEGER8': -1,
+            '0x2002:0': -1,
+            'UNSIGNED8': 5,
+            '0x2005:0': 5,
+        });
+        expect(events[0].changed).to.have.members(
+            ['INTEGER8', '0x2002:0', 'UNSIGNED8', '0x2005:0']);
+        expect(events[0].timestamp).to.be.a('number');
+
+        device.receive({ id: 0x20A, data: Buffer.from([0xFF, 12]) });
+        expect(events[1].changed).to.deep.equal(['UNSIGNED8', '0x2005:0']);
+        expect(values).to.deep.equal([5, 6]);
+
+        remove();
+        device.receive({ id: 0x20A, data: Buffer.from([0xFF, 14]) });
+        expect(values).to.have.length(2);
+
+        device.stop();
+    });
+
     it('should listen to Eds#removeTpdo', function () {
         const device = new Device({ id: 0xA, loopback: true });
         const obj0005 = device.eds.getEntry(0x5);
@@ -1,6 +1,15 @@
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
-const { Device, AccessType, DataType } = require('../../index');
+const { Readable } = require('stream');
+const {
+    Device,
+    AccessType,
+    DataType,
+    SdoCode,
+    SdoError,
+    VirtualBus,
+    calculateCrc,
+} = require('../../index');
 
 const expect = chai.expect;
 chai.use(chaiAsPromised);
@@ -380,4 +389,1267 @@ describe('Sdo', function () {
             device.stop();
         });
     });
+
+    describe('Batch transfer', function () {
+        /**
+         * Create a client and two servers on a virtual bus.
+         *
+         * @returns {Promise<Array<Device>>} client and servers.
+         */
+        async function createNetwork() {
+            const bus = new VirtualBus();
+            const client = new Device({ id: 0xA });
+            await bus.attach(client);
+
+            const servers = [];
+            for (const id of [0xB, 0xC]) {
+                const server = new Device({ id });
+                server.eds.addSdoServerParameter(0xA, 0x580 + id, 0x600 + id);
+                server.eds.addEntry(0x2000, {
+                    parameterName: 'Test',
+                    dataType: DataType.UNSIGNED32,
+                    accessType: AccessType.READ_WRITE,
+                });
+
+                client.eds.addSdoClientParameter(id, 0x600 + id, 0x580 + id);
+                await bus.attach(server);
+                server.start();
+                servers.push(server);
+            }
+
+            client.start();
+            return [client, ...servers];
+        }
+
+        it('should report per-item results', async function () {
+            const [client, b, c] = await createNetwork();
+            const u32 = DataType.UNSIGNED32;
+
+            const downloads = await client.sdo.downloadMany([
+                { deviceId: 0xB, index: 0x2000, data: 1, dataType: u32 },
+                { deviceId: 0xC, index: 0x2000, data: 2, dataType: u32 },
+                { deviceId: 0xB, index: 0x2001, data: 3, dataType: u32 },
+                { deviceId: 0xB, index: 0x2000, data: 4, dataType: u32 },
+            ]);
+
+            expect(downloads.map((r) => r.status)).to.deep.equal(
+                ['fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+
+            expect(downloads[2].reason).to.be.instanceOf(SdoError);
+            expect(downloads[2].reason.code).to.equal(SdoCode.OBJECT_UNDEFINED);
+
+            // Transfers to the same server are done in order
+            expect(b.getValue(0x2000)).to.equal(4);
+            expect(c.getValue(0x2000)).to.equal(2);
+
+            const uploads = await client.sdo.uploadMany([
+                { deviceId: 0xB, index: 0x2000, dataType: u32 },
+                { deviceId: 0xC, index: 0x2000, dataType: u32 },
+                { deviceId: 0xD, index: 0x2000, dataType: u32 },
+            ]);
+
+            expect(uploads[0]).to.deep.equal({ status: 'fulfilled', value: 4 });
+            expect(uploads[1]).to.deep.equal({ status: 'fulfilled', value: 2 });
+            expect(uploads[2].reason).to.be.instanceOf(ReferenceError);
+
+            [client, b, c].forEach((device) => device.stop());
+        });
+
+        it('should run transfers to different servers concurrently',
+            async function () {
+                const [client, b, c] = await createNetwork();
+
+                const sent = [];
+                client.on('message', (m) => sent.push(m.id));
+
+                await client.sdo.uploadMany([
+                    { deviceId: 0xB, index: 0x1000 },
+                    { deviceId: 0xB, index: 0x1001 },
+                    { deviceId: 0xC, index: 0x1000 },
+                ]);
+
+                expect(sent).to.deep.equal([0x60B, 0x60C, 0x60B]);
+
+                [client, b, c].forEach((device) => device.stop());
+            });
+
+        it('should cancel transfers with an AbortSignal', async function () {
+            const device = new Device({ id: 0xA });
+            device.eds.addSdoClientParameter(0xB, 0x60B, 0x58B);
+            device.start();
+
+            // No server is listening, so the transfers never complete
+            const sent = [];
+            device.on('message', (m) => sent.push(m.data));
+
+            const controller = new AbortController();
+            const pending = device.sdo.uploadMany([
+                { deviceId: 0xB, index: 0x1000, timeout: 1000 },
+                { deviceId: 0xB, index: 0x1001, timeout: 1000 },
+            ], { signal: controller.signal });
+
+            setTimeout(() => controller.abort(), 10);
+            const results = await pending;
+
+            for (const { status, reason } of results) {
+                expect(status).to.equal('rejected');
+                expect(reason.code).to.equal(SdoCode.GENERAL_ERROR);
+            }
+
+            // Only the first transfer was started and then aborted
+            expect(sent).to.have.length(2);
+            expect(sent[1][0]).to.equal(0x80);
+            expect(sent[1].readUInt32LE(4)).to.equal(SdoCode.GENERAL_ERROR);
+
+            device.stop();
+        });
+    });
+
+    describe('Retry', function () {
+        /**
+         * Create a client and server on a virtual bus.
+         *
+         * @param {Function} dropRate - VirtualBus drop predicate.
+         * @returns {Promise<object>} bus, client, and server.
+         */
+        async function createNetwork(dropRate) {
+            const bus = new VirtualBus({ dropRate });
+            const client = new Device({ id: 0xA });
+            const server = new Device({ id: 0xB });
+
+            client.eds.addSdoClientParameter(0xB, 0x60B, 0x58B);
+            server.eds.addSdoServerParameter(0xA, 0x58B, 0x60B);
+            server.setValue(0x1000, 0x401);
+
+            await bus.attach(client);
+            await bus.attach(server);
+            client.start();
+            server.start();
+
+            return { bus, client, server };
+        }
+
+        it('should retry timed out transfers', async function () {
+            // Lose the first request
+            let requests = 0;
+            const { client, server } = await createNetwork(
+                (m) => m.id === 0x60B && requests++ === 0);
+
+            client.sdo.setRetryPolicy({ attempts: 3, backoff: 5 });
+
+            const retries = [];
+            client.sdo.on('retry', (event) => retries.push(event));
+
+            const value = await client.sdo.upload({
+                deviceId: 0xB,
+                index: 0x1000,
+                dataType: DataType.UNSIGNED32,
+                timeout: 20,
+            });
+
+            expect(value).to.equal(0x401);
+            expect(retries).to.deep.equal([{
+                deviceId: 0xB,
+                index: 0x1000,
+                subIndex: null,
+                code: SdoCode.TIMEOUT,
+                attempt: 2,
+                delay: 5,
+                fallback: false,
+            }]);
+
+            client.stop();
+            server.stop();
+        });
+
+        it('should give up after the last attempt', async function () {
+            const { client, server } = await createNetwork(
+                (m) => m.id === 0x60B);
+
+            const delays = [];
+            client.sdo.on('retry', ({ delay }) => delays.push(delay));
+
+            const result = client.sdo.upload({
+                deviceId: 0xB,
+                index: 0x1000,
+                timeout: 10,
+                retry: { attempts: 3, backoff: 1, backoffFactor: 3 },
+            });
+
+            await expect(result).to.be.rejectedWith(SdoError);
+            expect(delays).to.deep.equal([1, 3]);
+
+            client.stop();
+            server.stop();
+        });
+
+        it('should not retry other abort codes', async function () {
+            const { client, server } = await createNetwork();
+            client.sdo.setRetryPolicy({ attempts: 3 });
+            client.sdo.on('retry', () => expect.fail('retried'));
+
+            const result = client.sdo.upload({
+                deviceId: 0xB,
+                index: 0x2000,
+            });
+
+            await expect(result).to.be.rejectedWith(SdoError);
+
+            client.stop();
+            server.stop();
+        });
+
+        it('should fall back to a segmented transfer', async function () {
+            const client = new Device({ id: 0xA });
+            client.eds.addSdoClientParameter(0xB, 0x60B, 0x58B);
+            client.start();
+
+            // Emulate a server without block transfer support
+            const requests = [];
+            client.on('message', ({ data }) => setImmediate(() => {
+                const command = data[0] >> 5;
+                requests.push(command);
+
+                const response = Buffer.alloc(8);
+                data.copy(response, 1, 1, 4);
+
+                if (command === 6) {
+                    response[0] = 0x80; // Abort
+                    response.writeUInt32LE(SdoCode.BAD_COMMAND, 4);
+                }
+                else if (command === 1) {
+                    response[0] = 0x60; // Download initiate response
+                }
+                else {
+                    return;
+                }
+
+                client.receive({ id: 0x58B, data: response });
+            }));
+
+            const retries = [];
+            client.sdo.on('retry', (event) => retries.push(event));
+
+            await client.sdo.download({
+                deviceId: 0xB,
+                index: 0x1000,
+                data: 0x12345678,
+                dataType: DataType.UNSIGNED32,
+                blockTransfer: true,
+            });
+
+            expect(requests).to.deep.equal([6, 4, 1]);
+            expect(retries).to.have.length(1);
+            expect(retries[0].code).to.equal(SdoCode.BAD_COMMAND);
+            expect(retries[0].fallback).to.be.true;
+
+            client.stop();
+        });
+    });
+
+    describe('Streaming', function () {
+        /**
+         * Create a device with a DOMAIN entry and SDO loopback.
+         *
+         * @returns {Device} test device.
+         */
+        function createDevice() {
+            const device = new Device({ id: 0xA, loopback: true });
+            device.eds.addSdoClientParameter(device.id);
+            device.eds.addSdoServerParameter(device.id);
+            device.eds.addEntry(0x1234, {
+                parameterName: 'A long buffer',
+                dataType: DataType.DOMAIN,
+                accessType: AccessType.READ_WRITE,
+            });
+
+            device.start();
+            return device;
+        }
+
+        /**
+         * Collect a stream into a buffer.
+         *
+         * @param {Readable} stream - stream to read.
+         * @returns {Promise<Array<Buffer>>} chunks read from the stream.
+         */
+        async function readAll(stream) {
+            const chunks = [];
+            for await (const chunk of stream)
+                chunks.push(chunk);
+
+            return chunks;
+        }
+
+        for (const blockTransfer of [false, true]) {
+            const name = (blockTransfer) ? 'block' : 'segmented';
+
+            it(`should report ${name} transfer progress`, async function () {
+                const device = createDevice();
+                const data = Buffer.alloc(1000, 0x55);
+
+                const events = [];
+                device.sdo.on('progress', (event) => events.push(event));
+
+                await device.sdo.download({
+                    deviceId: device.id,
+                    index: 0x1234,
+                    data,
+                    blockTransfer,
+                    blockInterval: 0,
+                });
+
+                expect(events[0]).to.deep.equal({
+                    deviceId: device.id,
+                    index: 0x1234,
+                    subIndex: null,
+                    bytes: 0,
+                    total: 1000,
+                });
+
+                for (let i = 1; i < events.length; ++i)
+                    expect(events[i].bytes).to.be.at.least(events[i-1].bytes);
+
+                expect(events.pop().bytes).to.equal(1000);
+
+                events.length = 0;
+                await device.sdo.upload({
+                    deviceId: device.id,
+                    index: 0x1234,
+                    blockTransfer,
+                });
+
+                expect(events[0].bytes).to.equal(0);
+                expect(events[0].total).to.equal(1000);
+                expect(events.pop().bytes).to.equal(1000);
+
+                device.stop();
+            });
+
+            it(`should stream a ${name} upload`, async function () {
+                const device = createDevice();
+                const data = Buffer.alloc(2000);
+                for (let i = 0; i < data.length; ++i)
+                    data[i] = i & 0xff;
+
+                device.setValue(0x1234, data);
+
+                const chunks = await readAll(device.sdo.uploadStream({
+                    deviceId: device.id,
+                    index: 0x1234,
+                    blockTransfer,
+                }));
+
+                expect(chunks.length).to.be.above(1);
+                expect(Buffer.concat(chunks)).to.deep.equal(data);
+
+                device.stop();
+            });
+
+            it(`should wait for a slow ${name} reader`, async function () {
+                const device = createDevice();
+                const data = Buffer.alloc(32 * 1024);
+                for (let i = 0; i < data.length; ++i)
+                    data[i] = i & 0xff;
+
+                device.setValue(0x1234, data);
+                device.sdoServer.setBlockInterval(0);
+
+                let received = 0;
+                device.sdo.on('progress', ({ bytes }) => received = bytes);
+
+                const stream = device.sdo.uploadStream({
+                    deviceId: device.id,
+                    index: 0x1234,
+                    blockTransfer,
+                });
+
+                // Nothing is read, so the transfer stops once the stream is full
+                let last;
+                do {
+                    last = received;
+                    await new Promise((resolve) => setTimeout(resolve, 50));
+                } while (received !== last);
+
+                expect(received).to.be.below(data.length);
+
+                const chunks = await readAll(stream);
+                expect(Buffer.concat(chunks)).to.deep.equal(data);
+
+                device.stop();
+            });
+
+            it(`should stream a ${name} download`, async function () {
+                const device = createDevice();
+                const data = Buffer.alloc(2000);
+                for (let i = 0; i < data.length; ++i)
+                    data[i] = i & 0xff;
+
+                await device.sdo.download({
+                    deviceId: device.id,
+                    index: 0x1234,
+                    data: Readable.from([
+                        data.slice(0, 3),
+                        data.slice(3, 1500),
+                        data.slice(1500),
+                    ]),
+                    size: data.length,
+                    blockTransfer,
+                    blockInterval: 0,
+                });
+
+                expect(device.getValue(0x1234)).to.deep.equal(data);
+
+                device.stop();
+            });
+        }
+
+        it('should abort if the stream is short', async function () {
+            const device = createDevice();
+
+            const result = device.sdo.download({
+                deviceId: device.id,
+                index: 0x1234,
+                data: Readable.from([Buffer.alloc(10)]),
+                size: 20,
+            });
+
+            await expect(result).to.be.rejectedWith(SdoError)
+                .and.eventually.have.property('code', SdoCode.DATA_TRANSFER);
+
+            device.stop();
+        });
+
+        it('should emit upload errors on the stream', async function () {
+            const device = createDevice();
+
+            const stream = device.sdo.uploadStream({
+                deviceId: device.id,
+                index: 0x4321,
+            });
+
+            await expect(readAll(stream)).to.be.rejectedWith(SdoError);
+
+            device.stop();
+        });
+
+        it('should resend lost block segments', async function () {
+            const client = new Device({ id: 0xA });
+            client.eds.addSdoClientParameter(0xB, 0x60B, 0x58B);
+            client.start();
+
+            // Emulate a server that misses the second segment of a block
+            let state = 'idle';
+            let received = Buffer.alloc(0);
+            let sequence = 0;
+            let lost = false;
+            let crc = null;
+
+            const respond = (...bytes) => {
+                const data = Buffer.alloc(8);
+                Buffer.from(bytes).copy(data);
+                setImmediate(() => client.receive({ id: 0x58B, data }));
+            };
+
+            client.on('message', ({ data }) => {
+                if (state === 'idle') {
+                    // Initiate, block size 3
+                    state = 'block';
+                    respond(0xA4, 0x34, 0x12, 0x00, 3);
+                }
+                else if (state === 'end') {
+                    crc = data.readUInt16LE(1);
+                    respond(0xA1);
+                }
+                else {
+                    const seq = data[0] & 0x7F;
+                    const last = (data[0] & 0x80) !== 0;
+                    if (seq === sequence + 1) {
+                        if (seq === 2 && !lost) {
+                            lost = true;
+                        }
+                        else {
+                            received = Buffer.concat([received, data.slice(1)]);
+                            sequence = seq;
+                            if (last)
+                                state = 'end';
+                        }
+                    }
+
+                    if (seq === 3 || last) {
+                        respond(0xA2, sequence, 3);
+                        sequence = 0;
+                    }
+                }
+            });
+
+            const data = Buffer.from('the quick brown fox jumps over');
+            await client.sdo.download({
+                deviceId: 0xB,
+                index: 0x1234,
+                data,
+                blockTransfer: true,
+                blockInterval: 0,
+            });
+
+            expect(lost).to.be.true;
+            expect(received.slice(0, data.length)).to.deep.equal(data);
+            expect(crc).to.equal(calculateCrc(data));
+
+            client.stop();
+        });
+    });
+
+    describe('Download validation', function () {
+        /**
+         * Create a device with a limited REAL64 entry and SDO loopback.
+         *
+         * @returns {Device} test device.
+         */
+        function createDevice() {
+            const device = new Device({ id: 0xA, loopback: true });
+            device.eds.addSdoClientParameter(device.id);
+            device.eds.addSdoServerParameter(device.id);
+            device.eds.addEntry(0x2000, {
+                parameterName: 'Limited',
+                dataType: DataType.REAL64,
+                accessType: AccessType.READ_WRITE,
+                lowLimit: -100,
+                highLimit: 100,
+            });
+            device.eds.addEntry(0x2001, {
+                parameterName: 'Short',
+                dataType: DataType.UNSIGNED16,
+                accessType: AccessType.READ_WRITE,
+                pdoMapping: true,
+            });
+
+            device.start();
+            return device;
+        }
+
+        for (const blockTransfer of [false, true]) {
+            const name = (blockTransfer) ? 'block' : 'segmented';
+
+            it(`should check limits on ${name} downloads`, async function () {
+                const device = createDevice();
+
+                for (const [data, code] of [
+                    [1000, SdoCode.VALUE_HIGH],
+                    [-1000, SdoCode.VALUE_LOW],
+                ]) {
+                    const result = device.sdo.download({
+                        deviceId: device.id,
+                        index: 0x2000,
+                        data,
+                        dataType: DataType.REAL64,
+                        blockTransfer,
+                    });
+
+                    await expect(result).to.be.rejectedWith(SdoError)
+                        .and.eventually.have.property('code', code);
+                }
+
+                expect(device.getValue(0x2000)).to.equal(0);
+
+                device.stop();
+            });
+
+            it(`should check access on ${name} downloads`, async function () {
+                const device = createDevice();
+                device.eds.getEntry(0x2000).accessType = AccessType.READ_ONLY;
+
+                const result = device.sdo.download({
+                    deviceId: device.id,
+                    index: 0x2000,
+                    data: 1,
+                    dataType: DataType.REAL64,
+                    blockTransfer,
+                });
+
+                await expect(result).to.be.rejectedWith(SdoError)
+                    .and.eventually.have.property('code', SdoCode.READ_ONLY);
+
+                device.stop();
+            });
+        }
+
+        it('should check the data length', async function () {
+            const device = createDevice();
+
+            for (const [data, code] of [
+                [Buffer.alloc(1), SdoCode.DATA_SHORT],
+                [Buffer.alloc(3), SdoCode.DATA_LONG],
+                [Buffer.alloc(8), SdoCode.DATA_LONG],
+                [Buffer.alloc(4), SdoCode.DATA_SHORT],
+            ]) {
+                const result = device.sdo.download({
+                    deviceId: device.id,
+                    index: (code === SdoCode.DATA_LONG) ? 0x2001 : 0x2000,
+                    data,
+                });
+
+                await expect(result).to.be.rejectedWith(SdoError)
+                    .and.eventually.have.property('code', code);
+            }
+
+            device.stop();
+        });
+
+        it('should reject RPDO mapped objects when operational',
+            async function () {
+                const device = createDevice();
+                device.eds.addReceivePdo({
+                    cobId: 0x20A,
+                    dataObjects: [device.eds.getEntry(0x2001)],
+                });
+
+                const args = {
+                    deviceId: device.id,
+                    index: 0x2001,
+                    data: 5,
+                    dataType: DataType.UNSIGNED16,
+                };
+
+                await device.sdo.download(args);
+
+                device.nmt.startNode();
+                await expect(device.sdo.download(args))
+                    .to.be.rejectedWith(SdoError)
+                    .and.eventually.have.property('code', SdoCode.DEVICE_STATE);
+
+                device.stop();
+            });
+
+        it('should check PDO mapping writes', async function () {
+            const device = createDevice();
+            const obj2001 = device.eds.getEntry(0x2001);
+            device.eds.addReceivePdo({
+                cobId: 0x20A,
+                dataObjects: [obj2001, obj2001],
+            });
+
+            const write = (subIndex, data) => device.sdo.download({
+                deviceId: device.id,
+                index: 0x1600,
+                subIndex,
+                data,
+                dataType: (subIndex) ? DataType.UNSIGNED32 : DataType.UNSIGNED8,
+            });
+
+            // The PDO must be invalid
+            await expect(write(0, 0)).to.be.rejectedWith(SdoError)
+                .and.eventually.have.property(
+                    'code', SdoCode.PARAMETER_INCOMPATIBILITY);
+
+            device.setValueArray(0x1400, 1, 0x8000020A);
+
+            // The mapping must be disabled
+            await expect(write(1, 0x20010010)).to.be.rejectedWith(SdoError)
+                .and.eventually.have.property(
+                    'code', SdoCode.PARAMETER_INCOMPATIBILITY);
+
+            await write(0, 0);
+
+            // 0x3000 does not exist
+            await expect(write(1, 0x30000010)).to.be.rejectedWith(SdoError)
+                .and.eventually.have.property(
+                    'code', SdoCode.OBJECT_NOT_MAPPABLE);
+
+            // 0x2000 does not set pdoMapping, accepted with a warning
+            await write(1, 0x20000040);
+
+            // 64 + 16 bits
+            await expect(write(0, 2)).to.be.rejectedWith(SdoError)
+                .and.eventually.have.property('code', SdoCode.MAP_LENGTH);
+
+            // Sub-index 2 is not mapped
+            await write(2, 0);
+            await expect(write(0, 2)).to.be.rejectedWith(SdoError)
+                .and.eventually.have.property(
+                    'code', SdoCode.OBJECT_NOT_MAPPABLE);
+
+            await write(0, 1);
+            device.setValueArray(0x1400, 1, 0x20A);
+            expect(device.eds.getReceivePdos()[0].dataSize).to.equal(8);
+
+            device.stop();
+        });
+    });
+
+    describe('Block CRC', function () {
+        /**
+         * Create a device with a DOMAIN entry and SDO loopback.
+         *
+         * @param {Buffer} data - entry value.
+         * @returns {Device} test device.
+         */
+        function createDevice(data) {
+            const device = new Device({ id: 0xA, loopback: true });
+            device.eds.addSdoClientParameter(device.id);
+            device.eds.addSdoServerParameter(device.id);
+            device.eds.addEntry(0x1234, {
+                parameterName: 'A long buffer',
+                dataType: DataType.DOMAIN,
+                accessType: AccessType.READ_WRITE,
+            });
+
+            device.setValue(0x1234, data);
+            device.start();
+            return device;
+        }
+
+        /**
+         * Create a client that talks to a scripted server.
+         *
+         * @param {Function} respond - returns the response to a request.
+         * @returns {Device} test device.
+         */
+        function createClient(respond) {
+            const client = new Device({ id: 0xA });
+            client.eds.addSdoClientParameter(0xB, 0x60B, 0x58B);
+            client.on('message', ({ id, data }) => {
+                const bytes = respond(data);
+                if (id !== 0x60B || !bytes)
+                    return;
+
+                const response = Buffer.alloc(8);
+                Buffer.from(bytes).copy(response);
+                setImmediate(
+                    () => client.receive({ id: 0x58B, data: response }));
+            });
+
+            client.start();
+            return client;
+        }
+
+        it('should reject a bad upload CRC', async function () {
+            const client = createClient((data) => {
+                switch (data[0]) {
+                    case 0xA4: // Initiate, size 3
+                        return [0xC6, 0x34, 0x12, 0x00, 3];
+                    case 0xA3: // Start
+                        return [0x81, 1, 2, 3];
+                    case 0xA2: // Confirm, bad CRC
+                        return [0xD1, 0x34, 0x12];
+                }
+            });
+
+            const result = client.sdo.upload({
+                deviceId: 0xB,
+                index: 0x1234,
+                blockTransfer: true,
+            });
+
+            await expect(result).to.be.rejectedWith(SdoError)
+                .and.eventually.have.property('code', SdoCode.BAD_BLOCK_CRC);
+
+            client.stop();
+        });
+
+        it('should reject a bad download CRC', async function () {
+            const device = new Device({ id: 0xA });
+            device.eds.addSdoServerParameter(0xB, 0x58A, 0x60A);
+            device.eds.addEntry(0x1234, {
+                parameterName: 'A long buffer',
+                dataType: DataType.DOMAIN,
+                accessType: AccessType.READ_WRITE,
+            });
+            device.start();
+
+            const responses = [];
+            device.on('message', ({ data }) => responses.push(data));
+
+            const request = (...bytes) => {
+                const data = Buffer.alloc(8);
+                Buffer.from(bytes).copy(data);
+                device.receive({ id: 0x60A, data });
+            };
+
+            request(0xC6, 0x34, 0x12, 0x00, 3); // Initiate, size 3
+            request(0x81, 1, 2, 3);             // Last segment
+            request(0xD1, 0x34, 0x12);          // End, bad CRC
+
+            const abort = responses.pop();
+            expect(abort[0]).to.equal(0x80);
+            expect(abort.readUInt32LE(4)).to.equal(SdoCode.BAD_BLOCK_CRC);
+            expect(device.getValue(0x1234)).to.have.length(0);
+
+            device.stop();
+        });
+
+        for (const side of ['client', 'server']) {
+            it(`should not use CRC if the ${side} does not support it`,
+                async function () {
+                    const data = Buffer.alloc(100, 0x55);
+                    const device = createDevice(data);
+
+                    const protocol = (side === 'client')
+                        ? device.sdo : device.sdoServer;
+
+                    protocol.setBlockCrc(false);
+
+                    const messages = [];
+                    device.on('message', (m) => messages.push(m.data));
+
+                    const result = await device.sdo.upload({
+                        deviceId: device.id,
+                        index: 0x1234,
+                        blockTransfer: true,
+                        blockInterval: 0,
+                    });
+
+                    await device.sdo.download({
+                        deviceId: device.id,
+                        index: 0x1234,
+                        data: result,
+                        blockTransfer: true,
+                        blockInterval: 0,
+                    });
+
+                    expect(result).to.deep.equal(data);
+
+                    // End segments do not contain a CRC
+                    const ends = messages.filter((m) => {
+                        return (m[0] & 0xE3) === 0xC1
+                            && m.readUInt16LE(1) === 0;
+                    });
+
+                    expect(ends).to.have.length(2);
+
+                    device.stop();
+                });
+        }
+
+        it('should switch protocol for small objects', async function () {
+            const device = createDevice(Buffer.from('hello world'));
+            device.sdo.setProtocolSwitchThreshold(16);
+
+            const commands = [];
+            device.on('message', ({ data }) => commands.push(data[0] >> 5));
+
+            const small = await device.sdo.upload({
+                deviceId: device.id,
+                index: 0x1234,
+                blockTransfer: true,
+            });
+
+            expect(small.toString()).to.equal('hello world');
+            expect(commands).to.not.include(6); // No block upload response
+
+            device.setValue(0x1234, Buffer.alloc(17));
+            commands.length = 0;
+
+            const large = await device.sdo.upload({
+                deviceId: device.id,
+                index: 0x1234,
+                blockTransfer: true,
+                blockInterval: 0,
+            });
+
+            expect(large).to.have.length(17);
+            expect(commands).to.include(6);
+
+            device.stop();
+        });
+
+        it('should block download an empty object', async function () {
+            const device = createDevice(Buffer.from('hello world'));
+
+            await device.sdo.download({
+                deviceId: device.id,
+                index: 0x1234,
+                data: Buffer.alloc(0),
+                blockTransfer: true,
+            });
+
+            expect(device.getValue(0x1234)).to.have.length(0);
+
+            device.stop();
+        });
+
+        for (const threshold of [0, 16]) {
+            it(`should block upload an empty object (pst = ${threshold})`,
+                async function () {
+                    const device = createDevice(Buffer.alloc(0));
+                    device.sdo.setProtocolSwitchThreshold(threshold);
+
+                    const messages = [];
+                    device.on('message', (m) => messages.push(m.data));
+
+                    const result = await device.sdo.upload({
+                        deviceId: device.id,
+                        index: 0x1234,
+                        blockTransfer: true,
+                    });
+
+                    expect(result).to.have.length(0);
+
+                    // Server block upload responses
+                    const block = messages.filter((m) => (m[0] >> 5) === 6);
+                    if (threshold > 0) {
+                        expect(block).to.be.empty;
+                    }
+                    else {
+                        // End segment with 7 empty bytes
+                        const end = block.find((m) => (m[0] & 0x3) === 1);
+                        expect((end[0] >> 2) & 0x7).to.equal(7);
+                    }
+
+                    device.stop();
+                });
+        }
+    });
+
+    describe('Server sessions', function () {
+        /**
+         * Create a server with two clients that are driven by the test.
+         *
+         * @returns {object} server device, request function, and responses.
+         */
+        function createServer() {
+            const device = new Device({ id: 0xA });
+            device.eds.addSdoServerParameter(0xB, 0x58A, 0x60A);
+            device.eds.addSdoServerParameter(0xC, 0x59A, 0x61A);
+            device.eds.addEntry(0x1234, {
+                parameterName: 'A long buffer',
+                dataType: DataType.DOMAIN,
+                accessType: AccessType.READ_WRITE,
+            });
+            device.start();
+
+            const responses = [];
+            device.on('message', (m) => responses.push(m));
+
+            const request = (id, ...bytes) => {
+                const data = Buffer.alloc(8);
+                Buffer.from(bytes).copy(data);
+                device.receive({ id, data });
+            };
+
+            return { device, request, responses };
+        }
+
+        it('should emit transfer events', async function () {
+            const device = new Device({ id: 0xA, loopback: true });
+            device.eds.addSdoClientParameter(device.id);
+            device.eds.addSdoServerParameter(device.id);
+            device.eds.addEntry(0x1234, {
+                parameterName: 'A long buffer',
+                dataType: DataType.DOMAIN,
+                accessType: AccessType.READ_WRITE,
+            });
+            device.start();
+
+            const events = [];
+            for (const name of ['transferStart', 'transferComplete'])
+                device.sdoServer.on(name, (e) => events.push([name, e]));
+
+            await device.sdo.download({
+                deviceId: device.id,
+                index: 0x1234,
+                data: Buffer.alloc(20),
+            });
+
+            await device.sdo.upload({
+                deviceId: device.id,
+                index: 0x1000,
+                dataType: DataType.UNSIGNED32,
+            });
+
+            const download = {
+                deviceId: device.id,
+                index: 0x1234,
+                subIndex: 0,
+                upload: false,
+            };
+
+            const upload = {
+                deviceId: device.id,
+                index: 0x1000,
+                subIndex: 0,
+                upload: true,
+            };
+
+            expect(events).to.deep.equal([
+                ['transferStart', download],
+                ['transferComplete', download],
+                ['transferStart', upload],
+                ['transferComplete', upload],
+            ]);
+
+            device.stop();
+        });
+
+        it('should time out stalled transfers', async function () {
+            const { device, request, responses } = createServer();
+            device.sdoServer.setSessionTimeout(10);
+
+            const aborts = [];
+            device.sdoServer.on('transferAbort', (e) => aborts.push(e));
+
+            // Segmented download, 20 bytes
+            request(0x60A, 0x21, 0x34, 0x12, 0x00, 20);
+            expect(device.sdoServer.sessions).to.deep.equal([{
+                deviceId: 0xB,
+                cobIdRx: 0x60A,
+                cobIdTx: 0x58A,
+                index: 0x1234,
+                subIndex: 0,
+                upload: false,
+            }]);
+
+            await new Promise((resolve) => setTimeout(resolve, 30));
+
+            const abort = responses.pop();
+            expect(abort.id).to.equal(0x58A);
+            expect(abort.data.readUInt32LE(4)).to.equal(SdoCode.TIMEOUT);
+            expect(aborts[0].code).to.equal(SdoCode.TIMEOUT);
+            expect(device.sdoServer.sessions).to.be.empty;
+
+            device.stop();
+        });
+
+        it('should limit concurrent transfers', function () {
+            const { device, request, responses } = createServer();
+            device.sdoServer.setMaxSessions(1);
+
+            request(0x60A, 0x21, 0x34, 0x12, 0x00, 20);
+            request(0x61A, 0x21, 0x34, 0x12, 0x00, 20);
+
+            const abort = responses.pop();
+            expect(abort.id).to.equal(0x59A);
+            expect(abort.data.readUInt32LE(4))
+                .to.equal(SdoCode.SDO_NOT_AVAILBLE);
+
+            expect(device.sdoServer.sessions).to.have.length(1);
+
+            // Client aborts the first transfer
+            request(0x60A, 0x80, 0x34, 0x12, 0x00, 0x00, 0x00, 0x00, 0x08);
+            expect(device.sdoServer.sessions).to.be.empty;
+
+            request(0x61A, 0x21, 0x34, 0x12, 0x00, 20);
+            expect(responses.pop().data[0]).to.equal(0x60);
+
+            device.stop();
+        });
+
+        it('should report client aborts', function () {
+            const { device, request } = createServer();
+
+            const aborts = [];
+            device.sdoServer.on('transferAbort', (e) => aborts.push(e));
+
+            request(0x60A, 0x21, 0x34, 0x12, 0x00, 20);
+            request(0x60A, 0x80, 0x34, 0x12, 0x00, 0x00, 0x00, 0x00, 0x08);
+
+            expect(aborts).to.deep.equal([{
+                deviceId: 0xB,
+                index: 0x1234,
+                subIndex: 0,
+                upload: false,
+                code: SdoCode.GENERAL_ERROR,
+            }]);
+
+            device.stop();
+        });
+    });
+
+    describe('Server handlers', function () {
+        /**
+         * Create a device with an UNSIGNED32 entry and SDO loopback.
+         *
+         * @returns {Device} test device.
+         */
+        function createDevice() {
+            const device = new Device({ id: 0xA, loopback: true });
+            device.eds.addSdoClientParameter(device.id);
+            device.eds.addSdoServerParameter(device.id);
+            device.eds.addEntry(0x2000, {
+                parameterName: 'Test',
+                dataType: DataType.UNSIGNED32,
+                accessType: AccessType.READ_WRITE,
+            });
+
+            device.start();
+            return device;
+        }
+
+        it('should read values from a handler', async function () {
+            const device = createDevice();
+            device.sdoServer.setReadHandler(0x2000, () => 42);
+
+            const value = await device.sdo.upload({
+                deviceId: device.id,
+                index: 0x2000,
+                dataType: DataType.UNSIGNED32,
+            });
+
+            expect(value).to.equal(42);
+            expect(device.getValue(0x2000)).to.equal(0);
+
+            device.stop();
+        });
+
+        it('should read values from an async handler', async function () {
+            const device = createDevice();
+            device.sdoServer.setReadHandler(0x2000, 0, async ({ entry }) => {
+                await new Promise((resolve) => setTimeout(resolve, 5));
+                return entry.value + 1;
+            });
+
+            const value = await device.sdo.upload({
+                deviceId: device.id,
+                index: 0x2000,
+                dataType: DataType.UNSIGNED32,
+            });
+
+            expect(value).to.equal(1);
+
+            device.sdoServer.setReadHandler(0x2000, 0, null);
+            const raw = await device.sdo.upload({
+                deviceId: device.id,
+                index: 0x2000,
+                dataType: DataType.UNSIGNED32,
+            });
+
+            expect(raw).to.equal(0);
+
+            device.stop();
+        });
+
+        it('should veto downloads', async function () {
+            const device = createDevice();
+            device.sdoServer.setWriteHandler(0x2000, ({ index, value }) => {
+                if (value > 10)
+                    throw new SdoError(SdoCode.LOCAL_CONTROL, index);
+            });
+
+            const result = device.sdo.download({
+                deviceId: device.id,
+                index: 0x2000,
+                data: 11,
+                dataType: DataType.UNSIGNED32,
+            });
+
+            await expect(result).to.be.rejectedWith(SdoError)
+                .and.eventually.have.property('code', SdoCode.LOCAL_CONTROL);
+
+            expect(device.getValue(0x2000)).to.equal(0);
+
+            await device.sdo.download({
+                deviceId: device.id,
+                index: 0x2000,
+                data: 10,
+                dataType: DataType.UNSIGNED32,
+            });
+
+            expect(device.getValue(0x2000)).to.equal(10);
+
+            device.stop();
+        });
+
+        it('should wait for async write handlers', async function () {
+            const device = createDevice();
+
+            const values = [];
+            device.sdoServer.setWriteHandler(0x2000, async ({ value }) => {
+                await new Promise((resolve) => setTimeout(resolve, 5));
+                values.push(value);
+            });
+
+            await device.sdo.download({
+                deviceId: device.id,
+                index: 0x2000,
+                data: 7,
+                dataType: DataType.UNSIGNED32,
+            });
+
+            expect(values).to.deep.equal([7]);
+            expect(device.getValue(0x2000)).to.equal(7);
+
+            device.stop();
+        });
+
+        it('should abort if a handler fails', async function () {
+            const device = createDevice();
+            device.sdoServer.setReadHandler(0x2000, () => {
+                throw new Error('sensor offline');
+            });
+
+            const result = device.sdo.upload({
+                deviceId: device.id,
+                index: 0x2000,
+                dataType: DataType.UNSIGNED32,
+            });
+
+            await expect(result).to.be.rejectedWith(SdoError)
+                .and.eventually.have.property('code', SdoCode.GENERAL_ERROR);
+
+            device.stop();
+        });
+
+        it('should serve virtual objects', async function () {
+            const device = createDevice();
+
+            let stored = null;
+            device.sdoServer.setWriteHandler(0x3000, ({ raw }) => stored = raw);
+            device.sdoServer.setReadHandler(0x3000, () => stored);
+
+            const data = Buffer.from('virtual object');
+            await device.sdo.download({
+                deviceId: device.id,
+                index: 0x3000,
+                subIndex: 5,
+                data,
+            });
+
+            const value = await device.sdo.upload({
+                deviceId: device.id,
+                index: 0x3000,
+                subIndex: 5,
+            });
+
+            expect(value).to.deep.equal(data);
+            expect(device.eds.getEntry(0x3000)).to.be.undefined;
+
+            device.stop();
+        });
+
+        for (const blockTransfer of [false, true]) {
+            const name = (blockTransfer) ? 'block' : 'segmented';
+
+            it(`should stream a DOMAIN with a ${name} upload`,
+                async function () {
+                    const device = createDevice();
+                    device.eds.addEntry(0x1234, {
+                        parameterName: 'File',
+                        dataType: DataType.DOMAIN,
+                    });
+
+                    const data = Buffer.alloc(1000);
+                    for (let i = 0; i < data.length; ++i)
+                        data[i] = i & 0xFF;
+
+                    device.sdoServer.setReadHandler(0x1234, () => {
+                        return Readable.from([
+                            data.slice(0, 300),
+                            data.slice(300, 301),
+                            data.slice(301),
+                        ]);
+                    });
+
+                    const value = await device.sdo.upload({
+                        deviceId: device.id,
+                        index: 0x1234,
+                        blockTransfer,
+                        blockInterval: 0,
+                    });
+
+                    expect(value).to.deep.equal(data);
+
+                    device.stop();
+                });
+        }
+    });
 });
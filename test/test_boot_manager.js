@@ -0,0 +1,229 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const {
+    BootError,
+    BootManager,
+    Device,
+    DataType,
+    NmtState,
+    VirtualBus,
+} = require('../index');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+/**
+ * Create an NMT master and slave on a virtual bus.
+ *
+ * @returns {Promise<Array<Device>>} [master, slave]
+ */
+async function createNetwork() {
+    const master = new Device({ id: 0xA });
+    master.eds.setNmtStartup(0x1);
+
+    const slave = new Device({ id: 0xB });
+    slave.eds.setIdentity({
+        vendorId: 0x1234,
+        productCode: 0x5678,
+        revisionNumber: 1,
+        serialNumber: 2,
+    });
+    slave.eds.addSdoServerParameter(0xA, 0x58B, 0x60B);
+    slave.eds.addEntry(0x2000, {
+        parameterName: 'Test entry',
+        dataType: DataType.UNSIGNED32,
+        defaultValue: 0,
+    });
+
+    const bus = new VirtualBus();
+    await bus.attach(master);
+    await bus.attach(slave);
+
+    return [master, slave];
+}
+
+describe('BootManager', function () {
+    it('should store the slave assignment', function () {
+        const device = new Device({ id: 0xA });
+        device.eds.setSlaveAssignment(0xB, {
+            mandatory: true,
+            retryFactor: 3,
+            guardTime: 100,
+        });
+
+        const assignment = device.eds.getSlaveAssignment(0xB);
+        expect(assignment.slave).to.be.true;
+        expect(assignment.mandatory).to.be.true;
+        expect(assignment.keepAlive).to.be.false;
+        expect(assignment.retryFactor).to.equal(3);
+        expect(assignment.guardTime).to.equal(100);
+        expect(device.eds.getEntry(0x1F81)[0xB].value).to.equal(0x00640309);
+        expect(device.eds.getSlaveAssignment(0xC)).to.be.null;
+    });
+
+    it('should boot and configure a slave', async function () {
+        const [master, slave] = await createNetwork();
+
+        master.eds.setSlaveAssignment(0xB, { mandatory: true });
+        master.eds.setExpectedIdentity(0xB, {
+            vendorId: 0x1234,
+            productCode: 0x5678,
+        });
+
+        const dcf = slave.eds.toDcf({ nodeId: 0xB });
+        dcf.getEntry(0x2000).value = 0xC0FFEE;
+
+        const manager = new BootManager(master);
+        manager.setConfiguration(0xB, dcf);
+
+        const events = [];
+        manager.on('bootStatus', (status) => events.push(status));
+
+        master.start();
+        slave.start();
+
+        const status = await manager.start();
+        expect(status).to.deep.equal({ 0xB: null });
+        expect(events).to.deep.equal([{ deviceId: 0xB, error: null }]);
+        expect(slave.getValue(0x2000)).to.equal(0xC0FFEE);
+
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(slave.nmt.state).to.equal(NmtState.OPERATIONAL);
+        expect(master.nmt.state).to.equal(NmtState.OPERATIONAL);
+
+        manager.stop();
+        master.stop();
+        slave.stop();
+    });
+
+    it('should check the slave identity', async function () {
+        const [master, slave] = await createNetwork();
+
+        master.eds.setSlaveAssignment(0xB, { mandatory: true });
+        master.eds.setExpectedIdentity(0xB, { serialNumber: 3 });
+        master.eds.setBootTime(200);
+
+        const manager = new BootManager(master);
+        master.start();
+        slave.start();
+
+        const status = await manager.start();
+        expect(status[0xB]).to.equal(BootError.SERIAL_NUMBER);
+
+        // Mandatory slave failed, the network should not start
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(slave.nmt.state).to.equal(NmtState.PRE_OPERATIONAL);
+        expect(master.nmt.state).to.equal(NmtState.PRE_OPERATIONAL);
+
+        master.stop();
+        slave.stop();
+    });
+
+    it('should wait for a mandatory slave without a boot time',
+        async function () {
+            const [master, slave] = await createNetwork();
+
+            master.eds.setSlaveAssignment(0xB, { mandatory: true });
+
+            const manager = new BootManager(master, { sdoTimeout: 50 });
+            master.start();
+            setTimeout(() => slave.start(), 300);
+
+            const status = await manager.start();
+            expect(status[0xB]).to.be.null;
+            expect(master.nmt.state).to.equal(NmtState.OPERATIONAL);
+
+            manager.stop();
+            master.stop();
+            slave.stop();
+        });
+
+    it('should stop retrying when stopped', async function () {
+        const master = new Device({ id: 0xA });
+        master.eds.setNmtStartup(0x1);
+        master.eds.setSlaveAssignment(0xB, { mandatory: true });
+
+        const manager = new BootManager(master, { sdoTimeout: 50 });
+        master.start();
+        setTimeout(() => manager.stop(), 200);
+
+        const status = await manager.start();
+        expect(status[0xB]).to.equal(BootError.NO_RESPONSE);
+        expect(master.nmt.state).to.equal(NmtState.PRE_OPERATIONAL);
+
+        master.stop();
+    });
+
+    it('should record errors when restarting a slave', async function () {
+        const master = new Device({ id: 0xA });
+        master.eds.setNmtStartup(0x1);
+        master.eds.setSlaveAssignment(0xB, { boot: true });
+
+        const manager = new BootManager(master, { sdoTimeout: 50 });
+        master.start();
+        await manager.start();
+
+        const events = [];
+        manager.on('bootStatus', (status) => events.push(status));
+
+        master.nmt.resetCommunication = () => {
+            throw new Error('test error');
+        };
+
+        master.nmt.emit('timeout', 0xB);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        expect(events).to.deep.equal([
+            { deviceId: 0xB, error: BootError.HEARTBEAT },
+            { deviceId: 0xB, error: BootError.HEARTBEAT },
+        ]);
+
+        manager.stop();
+        master.stop();
+    });
+
+    it('should ignore missing optional slaves', async function () {
+        const master = new Device({ id: 0xA });
+        master.eds.setNmtStartup(0x1);
+        master.eds.setSlaveAssignment(0xB, { mandatory: false });
+
+        const manager = new BootManager(master);
+        master.start();
+
+        const status = await manager.start();
+        expect(status[0xB]).to.equal(BootError.NO_RESPONSE);
+        expect(master.nmt.state).to.equal(NmtState.OPERATIONAL);
+
+        master.stop();
+    });
+
+    it('should report unlisted slaves', async function () {
+        const master = new Device({ id: 0xA });
+        const manager = new BootManager(master);
+
+        const error = await manager.bootSlave(0xB);
+        expect(error).to.equal(BootError.NOT_LISTED);
+    });
+
+    it('should not reset an operational keep-alive slave', async function () {
+        const [master, slave] = await createNetwork();
+
+        slave.eds.setHeartbeatProducerTime(10);
+        master.eds.addHeartbeatConsumer(0xB, 100);
+        master.eds.setSlaveAssignment(0xB, { keepAlive: true });
+
+        const manager = new BootManager(master);
+        master.start();
+        slave.start();
+        slave.nmt.startNode();
+
+        await new Promise((resolve) => master.nmt.once('heartbeat', resolve));
+
+        const error = await manager.bootSlave(0xB);
+        expect(error).to.equal(BootError.INITIALLY_OPERATIONAL);
+        expect(slave.nmt.state).to.equal(NmtState.OPERATIONAL);
+
+        master.stop();
+        slave.stop();
+    });
+});
@@ -0,0 +1,217 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const {
+    ConfigurationManager,
+    Device,
+    DataType,
+    Eds,
+    MemoryStorage,
+    VirtualBus,
+} = require('../index');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+/**
+ * Create a device and a remote device on a virtual bus.
+ *
+ * @param {object} [args] - remote device arguments.
+ * @returns {Promise<Array<Device>>} [device, remote]
+ */
+async function createNetwork(args = {}) {
+    const bus = new VirtualBus();
+    const device = new Device({ id: 0xA });
+    const remote = new Device({ id: 0xB, ...args });
+
+    device.eds.addSdoClientParameter(0xB, 0x60B, 0x58B);
+    remote.eds.addSdoServerParameter(0xA, 0x58B, 0x60B);
+
+    remote.eds.addEntry(0x2000, {
+        parameterName: 'Entry 1',
+        dataType: DataType.UNSIGNED32,
+        defaultValue: 0,
+        pdoMapping: true,
+    });
+
+    remote.eds.addEntry(0x2001, {
+        parameterName: 'Entry 2',
+        dataType: DataType.UNSIGNED16,
+        defaultValue: 5,
+        pdoMapping: true,
+    });
+
+    await bus.attach(device);
+    await bus.attach(remote);
+
+    device.start();
+    remote.start();
+
+    return [device, remote];
+}
+
+/**
+ * Record the SDO downloads sent by a device.
+ *
+ * @param {Device} device - SDO client.
+ * @returns {Array<Array<number>>} [[index, subIndex] ... ]
+ */
+function recordDownloads(device) {
+    const downloads = [];
+    device.on('message', ({ id, data }) => {
+        if (id === 0x60B && (data[0] >> 5) === 1)
+            downloads.push([data.readUInt16LE(1), data[3]]);
+    });
+
+    return downloads;
+}
+
+describe('ConfigurationManager', function () {
+    it('should only write entries that differ', async function () {
+        const [device, remote] = await createNetwork();
+        const dcf = remote.eds.toDcf({ nodeId: 0xB });
+        dcf.getEntry(0x2001).value = 10;
+
+        const manager = new ConfigurationManager(device);
+        const written = await manager.configure(0xB, dcf);
+
+        expect(written).to.deep.equal([{ index: 0x2001, subIndex: 0 }]);
+        expect(remote.getValue(0x2000)).to.equal(0);
+        expect(remote.getValue(0x2001)).to.equal(10);
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should remap PDOs in order', async function () {
+        const [device, remote] = await createNetwork();
+        remote.eds.addTransmitPdo({
+            cobId: 0x18B,
+            dataObjects: [
+                remote.eds.getEntry(0x2001),
+                remote.eds.getEntry(0x2000),
+            ],
+        });
+
+        const dcf = remote.eds.toDcf({ nodeId: 0xB });
+        dcf.removeTransmitPdo(0x18B);
+        dcf.addTransmitPdo({
+            cobId: 0x18B,
+            dataObjects: [
+                dcf.getEntry(0x2000),
+                dcf.getEntry(0x2001),
+            ],
+        });
+
+        const downloads = recordDownloads(device);
+
+        const manager = new ConfigurationManager(device);
+        await manager.configure(0xB, dcf);
+
+        expect(downloads).to.deep.equal([
+            [0x1800, 1], // Disable PDO
+            [0x1A00, 0], // Disable mapping
+            [0x1A00, 1],
+            [0x1A00, 2],
+            [0x1A00, 0], // Enable mapping
+            [0x1800, 1], // Enable PDO
+        ]);
+
+        const [pdo] = remote.eds.getTransmitPdos();
+        expect(pdo.cobId).to.equal(0x18B);
+        expect(pdo.dataObjects.map((obj) => obj.index))
+            .to.deep.equal([0x2000, 0x2001]);
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should evaluate $NODEID expressions', async function () {
+        const [device, remote] = await createNetwork();
+        remote.eds.addTransmitPdo({
+            cobId: 0x18B,
+            dataObjects: [remote.eds.getEntry(0x2000)],
+        });
+
+        const eds = new Eds();
+        eds.addEntry(0x2000, {
+            parameterName: 'Entry 1',
+            dataType: DataType.UNSIGNED32,
+            defaultValue: 0,
+            pdoMapping: true,
+        });
+
+        eds.addTransmitPdo({
+            cobId: 0x180,
+            dataObjects: [eds.getEntry(0x2000)],
+        });
+
+        eds.getEntry(0x1800)[1].defaultValue = '$NODEID+0x180';
+
+        const manager = new ConfigurationManager(device);
+        const written = await manager.configure(0xB, eds);
+
+        expect(written).to.be.empty;
+        expect(remote.eds.getTransmitPdos()[0].cobId).to.equal(0x18B);
+        expect(eds.nodeId).to.equal(0);
+        expect(eds.getEntry(0x1800)[1].value).to.equal(0x180);
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should accept a concise DCF', async function () {
+        const [device, remote] = await createNetwork();
+
+        const data = Buffer.alloc(4 + 7 + 4 + 7 + 2);
+        data.writeUInt32LE(2, 0);
+        data.writeUInt16LE(0x2000, 4);
+        data.writeUInt8(0, 6);
+        data.writeUInt32LE(4, 7);
+        data.writeUInt32LE(0xC0FFEE, 11);
+        data.writeUInt16LE(0x2001, 15);
+        data.writeUInt8(0, 17);
+        data.writeUInt32LE(2, 18);
+        data.writeUInt16LE(5, 22);
+
+        device.eds.setConciseDcf(0xB, data);
+
+        const manager = new ConfigurationManager(device);
+        const written = await manager.configure(0xB);
+
+        expect(written).to.deep.equal([{ index: 0x2000, subIndex: 0 }]);
+        expect(remote.getValue(0x2000)).to.equal(0xC0FFEE);
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should store the configuration', async function () {
+        const storage = new MemoryStorage();
+        const [device, remote] = await createNetwork({ storage });
+
+        const dcf = remote.eds.toDcf({ nodeId: 0xB });
+        dcf.getEntry(0x2000).value = 0xC0FFEE;
+
+        const manager = new ConfigurationManager(device);
+        await manager.configure(0xB, dcf, { store: true });
+
+        expect(storage.read('manufacturer')).to.deep.equal({
+            '2000': 'eeffc000',
+            '2001': '0500',
+        });
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should reject a truncated concise DCF', function () {
+        const device = new Device({ id: 0xA });
+        const manager = new ConfigurationManager(device);
+
+        const data = Buffer.alloc(8);
+        data.writeUInt32LE(1, 0);
+
+        return expect(manager.configure(0xB, data)).to.be.rejectedWith(
+            'concise DCF is truncated');
+    });
+});
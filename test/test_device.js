@@ -1,6 +1,14 @@
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
-const { Device, DataType } = require('../index');
+const {
+    Device,
+    AccessType,
+    DataType,
+    Eds,
+    ObjectType,
+    SdoCode,
+    SdoError,
+} = require('../index');
 
 const expect = chai.expect;
 chai.use(chaiAsPromised);
@@ -21,6 +29,87 @@ describe('Device', function () {
         }).to.throw(RangeError);
     });
 
+    it('should evaluate $NODEID expressions', function () {
+        const eds = new Eds();
+        eds.addEntry(0x2000, {
+            parameterName: 'Test entry',
+            dataType: DataType.UNSIGNED32,
+            defaultValue: '$NODEID+0x180',
+        });
+
+        const device = new Device({ id: 0xA, eds });
+        expect(device.getValue(0x2000)).to.equal(0x18A);
+
+        device.id = 0xB;
+        expect(device.getValue(0x2000)).to.equal(0x18B);
+        expect(device.eds.getEntry(0x2000).defaultValue)
+            .to.equal('$NODEID+0x180');
+    });
+
+    it('should evaluate $NODEID in entries added later', function () {
+        const device = new Device({ id: 0xA });
+        device.eds.addEntry(0x2000, {
+            parameterName: 'Test entry',
+            dataType: DataType.UNSIGNED32,
+            defaultValue: '$NODEID+0x180',
+        });
+
+        const record = device.eds.addEntry(0x2001, {
+            parameterName: 'Test record',
+            objectType: ObjectType.RECORD,
+        });
+
+        device.eds.addSubEntry(0x2001, 1, {
+            parameterName: 'Test sub-entry',
+            dataType: DataType.UNSIGNED32,
+            defaultValue: '$NODEID+0x200',
+        });
+
+        expect(device.getValue(0x2000)).to.equal(0x18A);
+        expect(record[1].value).to.equal(0x20A);
+
+        device.id = 0xB;
+        expect(device.getValue(0x2000)).to.equal(0x18B);
+        expect(record[1].value).to.equal(0x20B);
+    });
+
+    it('should not re-evaluate modified $NODEID values', function () {
+        const eds = new Eds();
+        eds.addEntry(0x2000, {
+            parameterName: 'Test entry',
+            dataType: DataType.UNSIGNED32,
+            defaultValue: '$NODEID+0x180',
+        });
+
+        const device = new Device({ id: 0xA, eds });
+        device.setValue(0x2000, 0x200);
+
+        device.id = 0xB;
+        expect(device.getValue(0x2000)).to.equal(0x200);
+    });
+
+    it('should validate values on request', function () {
+        const device = new Device({ id: 0xA });
+        device.eds.addEntry(0x2000, {
+            parameterName: 'Limited',
+            dataType: DataType.UNSIGNED8,
+            accessType: AccessType.READ_WRITE,
+            highLimit: 100,
+        });
+
+        device.setValue(0x2000, 200);
+        expect(device.getValue(0x2000)).to.equal(200);
+
+        expect(() => device.setValue(0x2000, 150, { validate: true }))
+            .to.throw(SdoError)
+            .with.property('code', SdoCode.VALUE_HIGH);
+
+        expect(device.getValue(0x2000)).to.equal(200);
+
+        device.setValue(0x2000, 50, { validate: true });
+        expect(device.getValue(0x2000)).to.equal(50);
+    });
+
     describe('mapRemoteNode', function() {
         it('should map Emcy', function() {
             const remote = new Device({ id: 0xA });
@@ -83,5 +172,29 @@ describe('Device', function () {
             expect(rpdo[0]).to.exist;
             expect(rpdo[0].cobId).to.equal(0x180);
         });
+
+        it('should map read only objects to a Pdo', function() {
+            const remote = new Device({ id: 0xA });
+
+            const obj2000 = remote.eds.addEntry(0x2000, {
+                parameterName: 'Test object',
+                dataType: DataType.UNSIGNED8,
+                accessType: AccessType.READ_ONLY,
+                pdoMapping: true,
+            });
+
+            remote.eds.addTransmitPdo({
+                cobId: 0x180,
+                dataObjects: [ obj2000 ]
+            });
+
+            const local = new Device({ id: 0xB });
+            local.mapRemoteNode(remote);
+
+            const copy = local.eds.getEntry(0x2000);
+            expect(copy.accessType).to.equal(AccessType.READ_WRITE_WRITE);
+            expect(obj2000.accessType).to.equal(AccessType.READ_ONLY);
+            expect(local.eds.getReceivePdos()[0].dataObjects[0]).to.equal(copy);
+        });
     });
 });
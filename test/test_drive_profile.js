@@ -0,0 +1,317 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const {
+    Device,
+    DataType,
+    DriveProfile,
+    DriveState,
+    OperationMode,
+    VirtualBus,
+} = require('../index');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+/**
+ * Add the CiA 402 objects used by the drive profile.
+ *
+ * @param {Device} remote - simulated drive.
+ */
+function addDriveObjects(remote) {
+    const entries = [
+        [0x6040, 'Controlword', DataType.UNSIGNED16],
+        [0x6041, 'Statusword', DataType.UNSIGNED16],
+        [0x6060, 'Modes of operation', DataType.INTEGER8],
+        [0x6061, 'Modes of operation display', DataType.INTEGER8],
+        [0x607A, 'Target position', DataType.INTEGER32],
+        [0x6098, 'Homing method', DataType.INTEGER8],
+        [0x60FF, 'Target velocity', DataType.INTEGER32],
+    ];
+
+    for (const [index, parameterName, dataType] of entries) {
+        remote.eds.addEntry(index, {
+            parameterName,
+            dataType,
+            defaultValue: 0,
+            pdoMapping: true,
+        });
+    }
+
+    remote.setValue(0x6041, 0x40); // SWITCH_ON_DISABLED
+}
+
+/**
+ * Simulate the CiA 402 state machine of a drive.
+ *
+ * @param {Device} remote - simulated drive.
+ * @param {object} [options] - simulation options.
+ * @param {boolean} [options.homingError] - fail homing.
+ */
+function simulateDrive(remote, options = {}) {
+    remote.eds.getEntry(0x6060).addListener('update', (obj) => {
+        remote.setValue(0x6061, obj.value);
+    });
+
+    const obj6040 = remote.eds.getEntry(0x6040);
+    const update = () => {
+        const controlword = obj6040.value;
+        const statusword = remote.getValue(0x6041);
+
+        let state = statusword & 0x6F;
+        if (state & 0x08) {
+            // Fault
+            if (controlword & 0x80)
+                state = 0x40;
+        }
+        else if ((controlword & 0x02) === 0) {
+            // Disable voltage
+            state = 0x40;
+        }
+        else if ((controlword & 0x06) === 0x02) {
+            // Quick stop
+            state = (state === 0x27) ? 0x07 : 0x40;
+        }
+        else if ((controlword & 0x07) === 0x06) {
+            // Shutdown
+            state = 0x21;
+        }
+        else if ((controlword & 0x0F) === 0x07) {
+            // Switch on or disable operation
+            if (state === 0x21 || state === 0x27)
+                state = 0x23;
+        }
+        else if ((controlword & 0x0F) === 0x0F) {
+            // Enable operation
+            if (state === 0x23 || state === 0x07)
+                state = 0x27;
+        }
+
+        let bits = statusword & 0x400; // Target reached
+        if (state === 0x27 && (controlword & 0x10)) {
+            const homing = remote.getValue(0x6061) === OperationMode.HOMING;
+            if (homing && options.homingError)
+                bits = 0x2000;
+            else
+                bits = 0x1400; // Set-point acknowledge, target reached
+        }
+
+        remote.setValue(0x6041, state | bits);
+    };
+
+    obj6040.addListener('update', update);
+    remote.pdo.on('pdo', (pdo) => {
+        if (pdo.dataObjects.includes(obj6040))
+            update();
+    });
+}
+
+/**
+ * Create a device and a simulated drive on a virtual bus.
+ *
+ * @param {object} [options] - simulation options.
+ * @returns {Promise<Array<Device>>} [device, remote]
+ */
+async function createNetwork(options) {
+    const bus = new VirtualBus();
+    const device = new Device({ id: 0xA });
+    const remote = new Device({ id: 0xB });
+
+    device.eds.addSdoClientParameter(0xB, 0x60B, 0x58B);
+    remote.eds.addSdoServerParameter(0xA, 0x58B, 0x60B);
+
+    addDriveObjects(remote);
+    simulateDrive(remote, options);
+
+    await bus.attach(device);
+    await bus.attach(remote);
+
+    device.start();
+    remote.start();
+
+    return [device, remote];
+}
+
+describe('DriveProfile', function () {
+    it('should enable operation', async function () {
+        const [device, remote] = await createNetwork();
+        const drive = new DriveProfile(device, 0xB);
+
+        const states = [];
+        drive.on('state', (state) => states.push(state));
+
+        const state = await drive.enableOperation();
+        expect(state).to.equal(DriveState.OPERATION_ENABLED);
+        expect(drive.state).to.equal(DriveState.OPERATION_ENABLED);
+        expect(remote.getValue(0x6040)).to.equal(0x0F);
+        expect(states).to.deep.equal([
+            DriveState.SWITCH_ON_DISABLED,
+            DriveState.READY_TO_SWITCH_ON,
+            DriveState.SWITCHED_ON,
+            DriveState.OPERATION_ENABLED,
+        ]);
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should quick stop', async function () {
+        const [device, remote] = await createNetwork();
+        const drive = new DriveProfile(device, 0xB);
+
+        await drive.enableOperation();
+        expect(await drive.quickStop()).to.equal(DriveState.QUICK_STOP_ACTIVE);
+        expect(await drive.enableOperation())
+            .to.equal(DriveState.OPERATION_ENABLED);
+
+        expect(await drive.disableVoltage())
+            .to.equal(DriveState.SWITCH_ON_DISABLED);
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should reset a fault', async function () {
+        const [device, remote] = await createNetwork();
+        const drive = new DriveProfile(device, 0xB);
+
+        remote.setValue(0x6041, 0x08);
+        await expect(drive.enableOperation())
+            .to.be.rejectedWith('drive is in fault');
+
+        expect(drive.state).to.equal(DriveState.FAULT);
+        expect(await drive.faultReset())
+            .to.equal(DriveState.SWITCH_ON_DISABLED);
+
+        expect(remote.getValue(0x6040)).to.equal(0x80);
+        expect(await drive.enableOperation())
+            .to.equal(DriveState.OPERATION_ENABLED);
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should time out if the drive does not respond', async function () {
+        const [device, remote] = await createNetwork();
+        const drive = new DriveProfile(device, 0xB, { timeout: 50 });
+
+        remote.setValue(0x6041, 0x00); // NOT_READY_TO_SWITCH_ON
+        await expect(drive.enableOperation())
+            .to.be.rejectedWith('timeout waiting for state transition');
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should move in profile position mode', async function () {
+        const [device, remote] = await createNetwork();
+        const drive = new DriveProfile(device, 0xB);
+
+        await drive.setMode(OperationMode.PROFILE_POSITION);
+        expect(await drive.getMode()).to.equal(OperationMode.PROFILE_POSITION);
+
+        await drive.enableOperation();
+        await drive.moveTo(-1000, { relative: true });
+        expect(remote.getValue(0x607A)).to.equal(-1000);
+        expect(drive.controlword).to.equal(0x4F);
+
+        await drive.waitForTarget();
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should set the target velocity', async function () {
+        const [device, remote] = await createNetwork();
+        const drive = new DriveProfile(device, 0xB);
+
+        await drive.setMode(OperationMode.PROFILE_VELOCITY);
+        await drive.setTargetVelocity(500);
+        expect(remote.getValue(0x60FF)).to.equal(500);
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should home the drive', async function () {
+        const [device, remote] = await createNetwork();
+        const drive = new DriveProfile(device, 0xB);
+
+        await drive.setMode(OperationMode.HOMING);
+        await drive.enableOperation();
+        await drive.home({ method: 35 });
+        expect(remote.getValue(0x6098)).to.equal(35);
+        expect(drive.controlword & 0x10).to.equal(0);
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should reject a homing error', async function () {
+        const [device, remote] = await createNetwork({ homingError: true });
+        const drive = new DriveProfile(device, 0xB);
+
+        await drive.setMode(OperationMode.HOMING);
+        await drive.enableOperation();
+        await expect(drive.home()).to.be.rejectedWith('homing error');
+
+        device.stop();
+        remote.stop();
+    });
+
+    it('should use mapped PDOs', async function () {
+        const [device, remote] = await createNetwork();
+
+        device.eds.addEntry(0x2000, {
+            parameterName: 'Drive controlword',
+            dataType: DataType.UNSIGNED16,
+            defaultValue: 0,
+            pdoMapping: true,
+        });
+        device.eds.addEntry(0x2001, {
+            parameterName: 'Drive statusword',
+            dataType: DataType.UNSIGNED16,
+            defaultValue: 0,
+            pdoMapping: true,
+        });
+
+        device.eds.addTransmitPdo({
+            cobId: 0x20B,
+            transmissionType: 0xFE,
+            dataObjects: [device.eds.getEntry(0x2000)],
+        });
+        device.eds.addReceivePdo({
+            cobId: 0x18B,
+            dataObjects: [device.eds.getEntry(0x2001)],
+        });
+        remote.eds.addReceivePdo({
+            cobId: 0x20B,
+            dataObjects: [remote.eds.getEntry(0x6040)],
+        });
+        remote.eds.addTransmitPdo({
+            cobId: 0x18B,
+            transmissionType: 0xFE,
+            dataObjects: [remote.eds.getEntry(0x6041)],
+        });
+
+        remote.setValue(0x6041, 0x00); // NOT_READY_TO_SWITCH_ON
+        device.nmt.startNode();
+        remote.nmt.startNode();
+
+        const drive = new DriveProfile(device, 0xB, {
+            mapping: { 0x6040: 0x2000, 0x6041: 0x2001 },
+        });
+
+        drive.start();
+
+        const state = new Promise((resolve) => drive.once('state', resolve));
+        remote.setValue(0x6041, 0x40);
+        expect(await state).to.equal(DriveState.SWITCH_ON_DISABLED);
+
+        await drive.enableOperation();
+        expect(remote.getValue(0x6040)).to.equal(0x0F);
+
+        drive.stop();
+        device.stop();
+        remote.stop();
+    });
+});
@@ -24,9 +24,11 @@ describe('Eds', function () {
         });
 
         after(function () {
-            // Delete the generated EDS file.
-            if (fs.existsSync(testFile))
-                fs.unlinkSync(testFile);
+            // Delete the generated EDS files.
+            for (const file of [testFile, testFile + '.xdd']) {
+                if (fs.existsSync(file))
+                    fs.unlinkSync(file);
+            }
         });
 
         it('should save to and load from a file', function () {
@@ -48,6 +50,223 @@ describe('Eds', function () {
             ]);
         });
 
+        it('should save to and load from a DCF', function () {
+            const eds = new Eds();
+            eds.addEntry(0x2000, {
+                parameterName: 'Test entry',
+                dataType: DataType.UNSIGNED16,
+                defaultValue: 5,
+                denotation: 'Test denotation',
+            });
+
+            const dcf = eds.toDcf({
+                nodeId: 0xA,
+                nodeName: 'Test node',
+                baudRate: 500000,
+            });
+
+            dcf.getEntry(0x2000).value = 10;
+            dcf.save(testFile);
+
+            const loadFile = Eds.fromFile(testFile);
+            const entry = loadFile.getEntry(0x2000);
+            expect(entry.value).to.equal(10);
+            expect(entry.defaultValue).to.equal('5');
+            expect(entry.denotation).to.equal('Test denotation');
+            expect(loadFile.getDeviceCommissioning()).to.deep.equal({
+                nodeId: 0xA,
+                nodeName: 'Test node',
+                baudRate: 500000,
+                netNumber: 0,
+                canopenManager: false,
+            });
+
+            loadFile.reset();
+            expect(entry.value).to.equal(5);
+        });
+
+        it('should resolve $NODEID expressions', function () {
+            const eds = new Eds();
+            eds.addEntry(0x2000, {
+                parameterName: 'Test entry',
+                dataType: DataType.UNSIGNED32,
+                defaultValue: '$NODEID+0x180',
+            });
+
+            expect(eds.getEntry(0x2000).value).to.equal(0x180);
+
+            const dcf = eds.toDcf({ nodeId: 0xA });
+            expect(dcf.getEntry(0x2000).value).to.equal(0x18A);
+            expect(dcf.getEntry(0x2000).defaultValue)
+                .to.equal('$NODEID+0x180');
+            expect(eds.getEntry(0x2000).value).to.equal(0x180);
+
+            dcf.save(testFile);
+            const loadFile = Eds.fromFile(testFile);
+            expect(loadFile.getEntry(0x2000).value).to.equal(0x18A);
+            expect(loadFile.getEntry(0x2000).defaultValue)
+                .to.equal('$NODEID+0x180');
+        });
+
+        it('should only allow addition in $NODEID expressions', function () {
+            const eds = new Eds();
+            const add = (defaultValue) => eds.addEntry(0x2000, {
+                parameterName: 'Test entry',
+                dataType: DataType.UNSIGNED32,
+                defaultValue,
+            });
+
+            for (const value of ['$NODEID-1', '$NODEID*2', '0x200|$NODEID'])
+                expect(() => add(value)).to.throw(EdsError, 'invalid $NODEID');
+
+            add('0x180 + $NODEID + 1');
+            eds.nodeId = 0xA;
+            expect(eds.getEntry(0x2000).value).to.equal(0x18B);
+        });
+
+        it('should save to and load from an XDD', function () {
+            const xddFile = testFile + '.xdd';
+            const eds = new Eds({
+                vendorName: 'Test vendor',
+                vendorNumber: 0xB4,
+                baudRates: [250000, 500000],
+            });
+
+            eds.addEntry(0x2000, {
+                parameterName: 'Test entry',
+                dataType: DataType.INTEGER16,
+                accessType: AccessType.READ_ONLY,
+                lowLimit: -10,
+                highLimit: 10,
+                defaultValue: '-5',
+                pdoMapping: true,
+            });
+
+            eds.addTransmitPdo({
+                cobId: 0x180,
+                dataObjects: [eds.getEntry(0x2000)],
+            });
+
+            // Save as XDC to include the PDO values
+            const dcf = eds.toDcf({ nodeId: 0xA });
+            dcf.save(xddFile);
+
+            const loadFile = Eds.fromFile(xddFile);
+            expect(loadFile.getDeviceCommissioning().nodeId).to.equal(0xA);
+            expect(loadFile.vendorName).to.equal('Test vendor');
+            expect(loadFile.vendorNumber).to.equal(0xB4);
+            expect(loadFile.baudRates).to.deep.equal([250000, 500000]);
+
+            const entry = loadFile.getEntry(0x2000);
+            expect(entry.parameterName).to.equal('Test entry');
+            expect(entry.dataType).to.equal(DataType.INTEGER16);
+            expect(entry.accessType).to.equal(AccessType.READ_ONLY);
+            expect(entry.lowLimit).to.equal(-10);
+            expect(entry.highLimit).to.equal(10);
+            expect(entry.value).to.equal(-5);
+            expect(entry.pdoMapping).to.be.true;
+
+            const pdo = loadFile.getTransmitPdos()[0];
+            expect(pdo.cobId).to.equal(0x180);
+            expect(pdo.dataObjects[0]).to.equal(entry);
+        });
+
+        it('should convert 12 AM to an XDD time', function () {
+            const xddFile = testFile + '.xdd';
+            const eds = new Eds();
+            eds.fileInfo['CreationTime'] = '12:30AM';
+            eds.save(xddFile);
+
+            const data = fs.readFileSync(xddFile, 'utf-8');
+            expect(data).to.include('fileCreationTime="00:30:00"');
+            expect(Eds.fromFile(xddFile).creationDate.getHours()).to.equal(0);
+        });
+
+        it('should throw an EdsError for an empty XDD', function () {
+            const xddFile = testFile + '.xdd';
+            fs.writeFileSync(xddFile, '');
+            expect(() => Eds.fromFile(xddFile)).to.throw(EdsError, 'root');
+        });
+
+        it('should throw an EdsError for malformed XML', function () {
+            const xddFile = testFile + '.xdd';
+            fs.writeFileSync(xddFile, '<ISO15745ProfileContainer>');
+            expect(() => Eds.fromFile(xddFile)).to.throw(EdsError, 'XML');
+        });
+
+        it('should resolve XDD parameter templates', function () {
+            const xddFile = testFile + '.xdd';
+            fs.writeFileSync(xddFile, `<?xml version="1.0" encoding="utf-8"?>
+<ISO15745ProfileContainer xmlns="http://www.canopen.org/xml/1.1">
+  <ISO15745Profile>
+    <ProfileHeader><ProfileClassID>Device</ProfileClassID></ProfileHeader>
+    <ProfileBody fileName="test.xdd" fileVersion="1.2">
+      <ApplicationProcess>
+        <templateList>
+          <parameterTemplate uniqueID="T_1" access="read">
+            <UINT/>
+            <defaultValue value="7"/>
+          </parameterTemplate>
+          <parameterTemplate uniqueID="T_2" access="readWriteInput">
+            <UINT/>
+          </parameterTemplate>
+          <parameterTemplate uniqueID="T_3" access="readWriteOutput">
+            <UINT/>
+          </parameterTemplate>
+        </templateList>
+        <parameterList>
+          <parameter uniqueID="P_1" templateIDRef="T_1">
+            <label lang="en">Template entry</label>
+            <allowedValues>
+              <range><minValue value="1"/><maxValue value="9"/></range>
+            </allowedValues>
+          </parameter>
+          <parameter uniqueID="P_2" templateIDRef="T_2">
+            <label lang="en">Input entry</label>
+          </parameter>
+          <parameter uniqueID="P_3" templateIDRef="T_3">
+            <label lang="en">Output entry</label>
+          </parameter>
+        </parameterList>
+      </ApplicationProcess>
+    </ProfileBody>
+  </ISO15745Profile>
+  <ISO15745Profile>
+    <ProfileHeader>
+      <ProfileClassID>CommunicationNetwork</ProfileClassID>
+    </ProfileHeader>
+    <ProfileBody>
+      <ApplicationLayers>
+        <CANopenObjectList>
+          <CANopenObject index="2000" objectType="7" uniqueIDRef="P_1"/>
+          <CANopenObject index="2001" objectType="7" uniqueIDRef="P_2"/>
+          <CANopenObject index="2002" objectType="7" uniqueIDRef="P_3"/>
+        </CANopenObjectList>
+      </ApplicationLayers>
+    </ProfileBody>
+  </ISO15745Profile>
+</ISO15745ProfileContainer>`);
+
+            const loadFile = Eds.fromFile(xddFile);
+            expect(loadFile.fileName).to.equal('test.xdd');
+            expect(loadFile.fileVersion).to.equal('1');
+            expect(loadFile.fileRevision).to.equal('2');
+
+            const entry = loadFile.getEntry(0x2000);
+            expect(entry.parameterName).to.equal('Template entry');
+            expect(entry.dataType).to.equal(DataType.UNSIGNED16);
+            expect(entry.accessType).to.equal(AccessType.READ_ONLY);
+            expect(entry.lowLimit).to.equal(1);
+            expect(entry.highLimit).to.equal(9);
+            expect(entry.value).to.equal(7);
+
+            // Process inputs are read by a TPDO, outputs written by a RPDO
+            expect(loadFile.getEntry(0x2001).accessType)
+                .to.equal(AccessType.READ_WRITE_READ);
+            expect(loadFile.getEntry(0x2002).accessType)
+                .to.equal(AccessType.READ_WRITE_WRITE);
+        });
+
         it('should properly convert a boolean values', function () {
             const eds = new Eds();
             expect(eds.lssSupported).to.equal(false);
@@ -384,6 +603,83 @@ describe('Eds', function () {
         });
     });
 
+    describe('PDO mapping', function () {
+        /**
+         * Create an Eds with mappable entries.
+         *
+         * @returns {Eds} test Eds.
+         */
+        function createEds() {
+            const eds = new Eds();
+            eds.addEntry(0x2000, {
+                parameterName: 'UNSIGNED32',
+                dataType: DataType.UNSIGNED32,
+                pdoMapping: true,
+            });
+            eds.addEntry(0x2001, {
+                parameterName: 'Read only',
+                dataType: DataType.UNSIGNED32,
+                accessType: AccessType.READ_ONLY,
+                pdoMapping: true,
+            });
+            eds.addEntry(0x2002, {
+                parameterName: 'Not mappable',
+                dataType: DataType.UNSIGNED8,
+            });
+
+            return eds;
+        }
+
+        it('should limit the mapping to 8 bytes', function () {
+            const eds = createEds();
+            const obj2000 = eds.getEntry(0x2000);
+
+            expect(() => eds.addTransmitPdo({
+                cobId: 0x180,
+                dataObjects: [obj2000, obj2000, obj2000],
+            })).to.throw(EdsError, 'exceeds 8 bytes');
+
+            expect(eds.getEntry(0x1800)).to.be.undefined;
+        });
+
+        it('should warn if pdoMapping is not set', function () {
+            const eds = createEds();
+            const obj2002 = eds.getEntry(0x2002);
+            expect(eds.isPdoMappable(obj2002, false)).to.be.false;
+
+            eds.addTransmitPdo({ cobId: 0x180, dataObjects: [obj2002] });
+            expect(eds.getTransmitPdos()[0].dataObjects).to.have.length(1);
+        });
+
+        it('should require writable RPDO objects', function () {
+            const eds = createEds();
+            const obj2001 = eds.getEntry(0x2001);
+
+            expect(() => eds.addReceivePdo({
+                cobId: 0x200,
+                dataObjects: [obj2001],
+            })).to.throw(EdsError);
+
+            eds.addTransmitPdo({ cobId: 0x180, dataObjects: [obj2001] });
+        });
+
+        it('should allow dummy entries from DummyUsage', function () {
+            const eds = createEds();
+            const dummy = eds.getEntry(DataType.UNSIGNED16);
+            const pdo = {
+                cobId: 0x200,
+                dataObjects: [dummy, eds.getEntry(0x2000)],
+            };
+
+            expect(eds.isPdoMappable(dummy, true)).to.be.false;
+
+            eds.dummyUsage['Dummy0006'] = '1';
+            expect(eds.isPdoMappable(dummy, true)).to.be.true;
+            eds.addReceivePdo(pdo);
+            expect(eds.getReceivePdos()[0].dataSize).to.equal(6);
+        });
+    });
+
     describe('Accessors', function() {
         it('should get 0x1002', function () {
             const eds = new Eds();
@@ -0,0 +1,181 @@
+const chai = require('chai');
+const { Device, IoProfile } = require('../index');
+
+const expect = chai.expect;
+
+/**
+ * Create an I/O device and record the PDOs it sends.
+ *
+ * @returns {Array} [device, io, messages]
+ */
+function createDevice() {
+    const device = new Device({ id: 0xA });
+    const io = new IoProfile(device, {
+        digitalInputs: 16,
+        digitalOutputs: 8,
+        analogInputs: 2,
+        analogOutputs: 1,
+    });
+
+    const messages = [];
+    device.on('message', ({ id, data }) => messages.push([id, [...data]]));
+
+    device.start();
+    device.nmt.startNode();
+    io.start();
+
+    return [device, io, messages];
+}
+
+describe('IoProfile', function () {
+    it('should populate the Eds', function () {
+        const device = new Device({ id: 0xA });
+        const io = new IoProfile(device, {
+            digitalInputs: 16,
+            digitalOutputs: 8,
+            analogInputs: 6,
+            analogOutputs: 1,
+        });
+
+        expect(io.inputPorts).to.equal(2);
+        expect(device.eds.getEntry(0x6000).subNumber).to.equal(3);
+        expect(device.eds.getEntry(0x6200).subNumber).to.equal(2);
+        expect(device.eds.getEntry(0x6401).subNumber).to.equal(7);
+        expect(device.eds.getEntry(0x6411).subNumber).to.equal(2);
+        expect(device.getValue(0x6005)).to.be.true;
+        expect(device.getValue(0x6423)).to.be.false;
+        expect(device.getValueArray(0x6006, 1)).to.equal(0xFF);
+        expect(device.getValue(0x1000)).to.equal(0x000F0191);
+
+        const tpdos = device.eds.getTransmitPdos();
+        expect(tpdos.map((pdo) => pdo.cobId))
+            .to.deep.equal([0x18A, 0x28A, 0x38A]);
+
+        expect(tpdos[0].dataObjects.map((obj) => obj.subIndex))
+            .to.deep.equal([1, 2]);
+
+        expect(tpdos[2].dataObjects.map((obj) => obj.subIndex))
+            .to.deep.equal([5, 6]);
+
+        const rpdos = device.eds.getReceivePdos();
+        expect(rpdos.map((pdo) => pdo.cobId)).to.deep.equal([0x20A, 0x30A]);
+    });
+
+    it('should not map PDOs if disabled', function () {
+        const device = new Device({ id: 0xA });
+        new IoProfile(device, { digitalInputs: 8, mapPdos: false });
+
+        expect(device.eds.getEntry(0x6000)).to.exist;
+        expect(device.eds.getTransmitPdos()).to.be.empty;
+    });
+
+    it('should send input changes', function () {
+        const [device, io, messages] = createDevice();
+
+        io.setInput(9, true);
+        expect(messages).to.deep.equal([[0x18A, [0x00, 0x02]]]);
+        expect(io.readInputs().digital[9]).to.be.true;
+
+        device.stop();
+        io.stop();
+    });
+
+    it('should apply the input polarity', function () {
+        const [device, io, messages] = createDevice();
+
+        io.setInputPolarity(1, true);
+        expect(messages).to.deep.equal([[0x18A, [0x02, 0x00]]]);
+        expect(io.readInputs().digital[1]).to.be.true;
+
+        io.setInput(1, true);
+        expect(io.readInputs().digital[1]).to.be.false;
+
+        device.stop();
+        io.stop();
+    });
+
+    it('should apply the interrupt masks', function () {
+        const [device, io, messages] = createDevice();
+
+        io.setInterruptMask(0, { anyChange: false, lowToHigh: true });
+        expect(io.getInterruptMask(0)).to.deep.equal({
+            anyChange: false,
+            lowToHigh: true,
+            highToLow: false,
+        });
+
+        // Masked changes are still written to 0x6000
+        let updates = 0;
+        device.eds.getEntry(0x6000).on('update', () => ++updates);
+
+        io.setInput(0, true);
+        io.setInput(0, false);
+        expect(messages).to.deep.equal([[0x18A, [0x01, 0x00]]]);
+        expect(updates).to.equal(2);
+        expect(io.readInputs().digital[0]).to.be.false;
+
+        io.setDigitalInterrupt(false);
+        io.setInput(2, true);
+        expect(messages).to.have.length(1);
+        expect(device.getValueArray(0x6000, 1)).to.equal(0x04);
+
+        device.stop();
+        io.stop();
+    });
+
+    it('should apply the analog interrupt delta', function () {
+        const [device, io, messages] = createDevice();
+
+        // Analog interrupt is disabled by default
+        io.setAnalogInput(0, 100);
+        expect(messages).to.be.empty;
+
+        io.setAnalogInterrupt(true);
+        io.setAnalogDelta(0, 10);
+        io.setAnalogInput(0, 105);
+        expect(messages).to.be.empty;
+
+        io.setAnalogInput(0, 90);
+        expect(messages).to.deep.equal([[0x28A, [90, 0, 0, 0]]]);
+        expect(io.readInputs().analog).to.deep.equal([90, 0]);
+
+        device.stop();
+        io.stop();
+    });
+
+    it('should emit received outputs', function () {
+        const [device, io] = createDevice();
+
+        const outputs = [];
+        io.on('output', (output) => outputs.push(output.digital));
+
+        device.receive({ id: 0x20A, data: Buffer.from([0x05]) });
+        expect(outputs).to.have.length(1);
+        expect(outputs[0].slice(0, 3)).to.deep.equal([true, false, true]);
+
+        // Output 0 is held, output 1 is inverted
+        io.setOutputFilter(0, false);
+        io.setOutputPolarity(1, true);
+        device.receive({ id: 0x20A, data: Buffer.from([0x00]) });
+        expect(io.readOutputs().digital.slice(0, 3))
+            .to.deep.equal([true, true, false]);
+
+        device.stop();
+        io.stop();
+    });
+
+    it('should write outputs', function () {
+        const [device, io] = createDevice();
+
+        const outputs = [];
+        io.on('output', (output) => outputs.push(output));
+
+        io.writeOutputs({ digital: [false, true], analog: [-50] });
+        expect(device.getValueArray(0x6200, 1)).to.equal(0x02);
+        expect(device.getValueArray(0x6411, 1)).to.equal(-50);
+        expect(outputs[outputs.length - 1].analog).to.deep.equal([-50]);
+
+        device.stop();
+        io.stop();
+    });
+});
@@ -0,0 +1,246 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const {
+    Device,
+    DataType,
+    SdoCode,
+    SdoError,
+    SdoManager,
+    VirtualBus,
+} = require('../index');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+/**
+ * Create a network with an SDO manager (0xA), an SDO server (0xB), and an
+ * SDO client (0xC).
+ *
+ * @returns {Promise<Array<Device>>} [manager, server, client]
+ */
+async function createNetwork() {
+    const bus = new VirtualBus();
+    const manager = new Device({ id: 0xA });
+    const server = new Device({ id: 0xB });
+    const client = new Device({ id: 0xC });
+
+    for (const device of [server, client]) {
+        const id = device.id;
+        device.eds.addSdoServerParameter(0xA, 0x580 + id, 0x600 + id);
+
+        // Spare dynamic channels
+        device.eds.addSdoServerParameter(0, 0x80000000, 0x80000000, {
+            index: 0x1201,
+        });
+        device.eds.addSdoClientParameter(1, 0x80000000, 0x80000000, {
+            index: 0x1280,
+        });
+    }
+
+    server.eds.addEntry(0x2000, {
+        parameterName: 'Test entry',
+        dataType: DataType.UNSIGNED32,
+        defaultValue: 0x1234,
+    });
+
+    for (const device of [manager, server, client]) {
+        await bus.attach(device);
+        device.start();
+    }
+
+    return [manager, server, client];
+}
+
+describe('SdoManager', function () {
+    it('should require a Device', function () {
+        expect(() => new SdoManager({})).to.throw(TypeError);
+    });
+
+    it('should connect two remote devices', async function () {
+        const [manager, server, client] = await createNetwork();
+        const sdoManager = new SdoManager(manager, { sdoTimeout: 100 });
+
+        const events = [];
+        sdoManager.on('connect', (channel) => events.push(channel));
+
+        const channel = await sdoManager.connect(0xB, 0xC);
+        expect(channel).to.deep.equal({
+            clientId: 0xC,
+            serverId: 0xB,
+            cobIdTx: 0x680,
+            cobIdRx: 0x681,
+        });
+        expect(events).to.deep.equal([channel]);
+        expect(server.getValueArray(0x1201, 1)).to.equal(0x40000680);
+        expect(server.getValueArray(0x1201, 3)).to.equal(0xC);
+
+        const value = await client.sdo.upload({
+            deviceId: 0xB,
+            index: 0x2000,
+            dataType: DataType.UNSIGNED32,
+        });
+        expect(value).to.equal(0x1234);
+
+        await sdoManager.disconnect(0xB, 0xC);
+        expect(sdoManager.channels).to.be.empty;
+        expect(client.eds.getSdoClientParameters()).to.be.empty;
+
+        await expect(client.sdo.upload({
+            deviceId: 0xB,
+            index: 0x2000,
+        })).to.be.rejectedWith(ReferenceError);
+
+        for (const device of [manager, server, client])
+            device.stop();
+    });
+
+    it('should connect the manager to a remote device', async function () {
+        const [manager, server, client] = await createNetwork();
+        const sdoManager = new SdoManager(manager, { sdoTimeout: 100 });
+
+        await sdoManager.connect(0xB);
+        expect(manager.eds.getSdoClientParameters()).to.deep.include({
+            deviceId: 0xB,
+            cobIdTx: 0x680,
+            cobIdRx: 0x681,
+        });
+
+        const value = await manager.sdo.upload({
+            deviceId: 0xB,
+            index: 0x2000,
+            dataType: DataType.UNSIGNED32,
+            cobIdRx: 0x681,
+        });
+        expect(value).to.equal(0x1234);
+
+        await sdoManager.disconnect(0xB);
+        expect(manager.eds.getSdoClientParameters()).to.not.deep.include({
+            deviceId: 0xB,
+            cobIdTx: 0x680,
+            cobIdRx: 0x681,
+        });
+
+        for (const device of [manager, server, client])
+            device.stop();
+    });
+
+    it('should skip COB-IDs that are already used', async function () {
+        const [manager, server, client] = await createNetwork();
+        manager.eds.addSdoServerParameter(0xD, 0x681, 0x682);
+
+        for (const [device, cobId] of [[server, 0x680], [client, 0x683]]) {
+            const obj2001 = device.eds.addEntry(0x2001, {
+                parameterName: 'Mapped entry',
+                dataType: DataType.UNSIGNED8,
+                pdoMapping: true,
+            });
+
+            device.eds.addTransmitPdo({ cobId, dataObjects: [obj2001] });
+        }
+
+        const sdoManager = new SdoManager(manager, { sdoTimeout: 100 });
+        const channel = await sdoManager.connect(0xB, 0xC);
+        expect(channel.cobIdTx).to.equal(0x684);
+        expect(channel.cobIdRx).to.equal(0x685);
+
+        for (const device of [manager, server, client])
+            device.stop();
+    });
+
+    it('should remove the SDO client parameters it added', async function () {
+        const [manager, server, client] = await createNetwork();
+        const sdoManager = new SdoManager(manager, { sdoTimeout: 100 });
+        sdoManager.start();
+
+        await sdoManager.connect(0xB, 0xC);
+        const mapped = manager.eds.getSdoClientParameters()
+            .map(({ deviceId }) => deviceId);
+        expect(mapped).to.have.members([0xB, 0xC]);
+
+        await sdoManager.disconnect(0xB, 0xC);
+        expect(manager.eds.getSdoClientParameters()).to.be.empty;
+
+        await sdoManager.connect(0xB, 0xC);
+        expect(manager.eds.getSdoClientParameters()).to.have.length(2);
+
+        // Channels stay open
+        sdoManager.stop();
+        expect(manager.eds.getSdoClientParameters()).to.be.empty;
+        expect(sdoManager.channels).to.have.length(1);
+
+        for (const device of [manager, server, client])
+            device.stop();
+    });
+
+    it('should fail if a device has no spare channel', async function () {
+        const [manager, server, client] = await createNetwork();
+        server.eds.removeEntry(0x1201);
+
+        const sdoManager = new SdoManager(manager, { sdoTimeout: 100 });
+        await expect(sdoManager.connect(0xB, 0xC))
+            .to.be.rejectedWith(SdoError);
+
+        expect(sdoManager.channels).to.be.empty;
+
+        for (const device of [manager, server, client])
+            device.stop();
+    });
+
+    it('should handle dynamic SDO requests', async function () {
+        const [manager, server, client] = await createNetwork();
+        manager.eds.addSdoServerParameter(0xC, 0x58A, 0x60A);
+        client.eds.addSdoClientParameter(0xA, 0x60A, 0x58A);
+
+        const sdoManager = new SdoManager(manager, { sdoTimeout: 100 });
+        sdoManager.start();
+        expect(manager.eds.dynamicChannelsSupported).to.be.true;
+
+        await client.sdo.download({
+            deviceId: 0xA,
+            index: 0x1F10,
+            subIndex: 0xC,
+            data: 0xB,
+            dataType: DataType.UNSIGNED8,
+            timeout: 1000,
+        });
+
+        const serverId = await client.sdo.upload({
+            deviceId: 0xA,
+            index: 0x1F10,
+            subIndex: 0xC,
+            dataType: DataType.UNSIGNED8,
+        });
+        expect(serverId).to.equal(0xB);
+
+        const value = await client.sdo.upload({
+            deviceId: 0xB,
+            index: 0x2000,
+            dataType: DataType.UNSIGNED32,
+        });
+        expect(value).to.equal(0x1234);
+
+        await client.sdo.download({
+            deviceId: 0xA,
+            index: 0x1F10,
+            subIndex: 0xC,
+            data: 0,
+            dataType: DataType.UNSIGNED8,
+            timeout: 1000,
+        });
+        expect(sdoManager.channels).to.be.empty;
+
+        await expect(client.sdo.download({
+            deviceId: 0xA,
+            index: 0x1F10,
+            subIndex: 0xC,
+            data: 0xD,
+            dataType: DataType.UNSIGNED8,
+            timeout: 1000,
+        })).to.be.rejectedWith(SdoError)
+            .and.eventually.have.property('code', SdoCode.SDO_NOT_AVAILBLE);
+
+        sdoManager.stop();
+        for (const device of [manager, server, client])
+            device.stop();
+    });
+});
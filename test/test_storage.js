@@ -0,0 +1,185 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    Device,
+    DataType,
+    Eds,
+    MemoryStorage,
+    JsonStorage,
+    FileStorage,
+} = require('../index');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+const testFile = path.join(os.tmpdir(), 'canopen-storage.json');
+const testDir = path.join(os.tmpdir(), 'canopen-storage');
+
+/**
+ * Create an Eds with a communication and an application parameter.
+ *
+ * @returns {Eds} test Eds.
+ */
+function createEds() {
+    const eds = new Eds();
+    eds.addEntry(0x1017, {
+        parameterName: 'Producer heartbeat time',
+        dataType: DataType.UNSIGNED16,
+        defaultValue: 0,
+    });
+    eds.addEntry(0x6000, {
+        parameterName: 'Application parameter',
+        dataType: DataType.UNSIGNED32,
+        defaultValue: 0,
+    });
+    return eds;
+}
+
+/**
+ * Wait for the device to finish resetting.
+ *
+ * @returns {Promise} resolves after the reset.
+ */
+function waitForReset() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('Storage', function () {
+    after(function () {
+        fs.rmSync(testFile, { force: true });
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should create objects 0x1010 and 0x1011', function () {
+        const device = new Device({ id: 0xA, storage: new MemoryStorage() });
+        expect(device.eds.getStoreParameters()).to.be.true;
+        expect(device.eds.getRestoreParameters()).to.be.true;
+    });
+
+    it('should store and restore parameters', async function () {
+        const storage = new MemoryStorage();
+        const device = new Device({
+            id: 0xA,
+            eds: createEds(),
+            loopback: true,
+            storage,
+        });
+
+        device.eds.addSdoClientParameter(device.id);
+        device.eds.addSdoServerParameter(device.id);
+        device.start();
+
+        device.setValue(0x6000, 0x1234);
+        await device.sdo.download({
+            serverId: device.id,
+            data: 'save',
+            dataType: DataType.VISIBLE_STRING,
+            index: 0x1010,
+            subIndex: 1,
+        });
+
+        expect(storage.read('application')).to.deep.equal({
+            '6000': '34120000',
+        });
+
+        device.setValue(0x6000, 0x5678);
+        device._reset(true);
+        expect(device.getValue(0x6000)).to.equal(0x1234);
+        await waitForReset();
+
+        await device.sdo.download({
+            serverId: device.id,
+            data: 'load',
+            dataType: DataType.VISIBLE_STRING,
+            index: 0x1011,
+            subIndex: 3,
+        });
+
+        expect(storage.read('application')).to.be.null;
+
+        // Not applied until the next reset
+        expect(device.getValue(0x6000)).to.equal(0x1234);
+
+        device._reset(true);
+        expect(device.getValue(0x6000)).to.equal(0);
+        await waitForReset();
+
+        device.stop();
+    });
+
+    it('should only load communication parameters on reset communication',
+        async function () {
+            const storage = new MemoryStorage();
+            const device = new Device({
+                id: 0xA,
+                eds: createEds(),
+                storage,
+            });
+
+            device.setValue(0x1017, 100);
+            device.setValue(0x6000, 0x1234);
+            storage.save(device.eds);
+
+            device.setValue(0x1017, 200);
+            device.setValue(0x6000, 0x5678);
+            device._reset(false);
+
+            expect(device.getValue(0x1017)).to.equal(100);
+            expect(device.getValue(0x6000)).to.equal(0x5678);
+            await waitForReset();
+
+            device.stop();
+        });
+
+    it('should reject an invalid signature', async function () {
+        const storage = new MemoryStorage();
+        const device = new Device({
+            id: 0xA,
+            eds: createEds(),
+            loopback: true,
+            storage,
+        });
+
+        device.eds.addSdoClientParameter(device.id);
+        device.eds.addSdoServerParameter(device.id);
+        device.start();
+
+        await expect(device.sdo.download({
+            serverId: device.id,
+            data: 'load',
+            dataType: DataType.VISIBLE_STRING,
+            index: 0x1010,
+            subIndex: 1,
+        })).to.be.rejectedWith('Data cannot be transferred');
+
+        expect(storage.read('application')).to.be.null;
+        device.stop();
+    });
+
+    describe('JsonStorage', function () {
+        it('should persist parameters', function () {
+            let eds = createEds();
+            eds.getEntry(0x6000).value = 0x1234;
+            new JsonStorage(testFile).save(eds);
+
+            eds = createEds();
+            new JsonStorage(testFile).load(eds);
+            expect(eds.getEntry(0x6000).value).to.equal(0x1234);
+        });
+    });
+
+    describe('FileStorage', function () {
+        it('should persist parameters', function () {
+            let eds = createEds();
+            eds.getEntry(0x1017).value = 100;
+            new FileStorage(testDir).save(eds, 2);
+
+            eds = createEds();
+            new FileStorage(testDir).load(eds);
+            expect(eds.getEntry(0x1017).value).to.equal(100);
+        });
+    });
+});
@@ -0,0 +1,444 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const EventEmitter = require('events');
+const { Duplex } = require('stream');
+const {
+    BusState,
+    Device,
+    DataType,
+    EmcyCode,
+    SlcanTransport,
+    SocketCanTransport,
+    Transport,
+    VirtualBus,
+} = require('../index');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+/**
+ * Transport that records written frames and can simulate a busy interface.
+ */
+class TestTransport extends Transport {
+    constructor(args) {
+        super(args);
+        this.busy = false;
+        this.written = [];
+    }
+
+    _open() {}
+
+    _close() {}
+
+    _write(message) {
+        if (this.busy)
+            return false;
+
+        this.written.push(message);
+        return true;
+    }
+}
+
+/**
+ * Stand-in for a socketcan RawChannel.
+ */
+class TestChannel extends EventEmitter {
+    constructor() {
+        super();
+        this.sent = [];
+    }
+
+    start() {}
+
+    stop() {}
+
+    send(message) {
+        this.sent.push(message);
+        return 16;
+    }
+}
+
+/**
+ * Create a duplex stream that records written data.
+ *
+ * @returns {Duplex} test stream.
+ */
+function createStream() {
+    const stream = new Duplex({
+        read() {},
+        write(chunk, encoding, callback) {
+            stream.written.push(chunk.toString());
+            callback();
+        },
+    });
+
+    stream.written = [];
+    return stream;
+}
+
+describe('Transport', function () {
+    it('should queue frames until opened', async function () {
+        const transport = new TestTransport();
+        transport.send({ id: 0x1, data: Buffer.alloc(0) });
+        expect(transport.pending).to.equal(1);
+
+        await transport.open();
+        expect(transport.pending).to.equal(0);
+        expect(transport.written).to.have.length(1);
+    });
+
+    it('should retry while the interface is busy', async function () {
+        const transport = new TestTransport({ retryInterval: 5 });
+        await transport.open();
+
+        transport.busy = true;
+        transport.send({ id: 0x1, data: Buffer.alloc(0) });
+        transport.send({ id: 0x2, data: Buffer.alloc(0) });
+        expect(transport.pending).to.equal(2);
+
+        transport.busy = false;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        expect(transport.written.map((m) => m.id)).to.deep.equal([0x1, 0x2]);
+
+        await transport.close();
+    });
+
+    it('should emit overrun when the queue is full', function () {
+        const transport = new TestTransport({ queueSize: 1 });
+
+        let overrun = 0;
+        transport.on('overrun', () => overrun++);
+
+        expect(transport.send({ id: 0x1, data: Buffer.alloc(0) })).to.be.true;
+        expect(transport.send({ id: 0x2, data: Buffer.alloc(0) })).to.be.false;
+        expect(overrun).to.equal(1);
+    });
+
+    describe('Device#attach', function () {
+        it('should send and receive messages', async function () {
+            const device = new Device({ id: 0xA });
+            const transport = new TestTransport();
+            await device.attach(transport);
+
+            device.eds.addEntry(0x2000, {
+                parameterName: 'Test',
+                dataType: DataType.UNSIGNED8,
+            });
+            device.eds.addReceivePdo({
+                cobId: 0x20A,
+                dataObjects: [device.eds.getEntry(0x2000)],
+            });
+
+            device.start();
+            device.nmt.startNode();
+
+            device.nmt.startNode(0xB);
+            expect(transport.written).to.deep.equal([
+                { id: 0x0, data: Buffer.from([0x1, 0xB]) },
+            ]);
+
+            transport._receive({ id: 0x20A, data: Buffer.from([5]) });
+            expect(device.getValue(0x2000)).to.equal(5);
+
+            expect(device.detach()).to.equal(transport);
+            device.nmt.stopNode(0xB);
+            expect(transport.written).to.have.length(1);
+
+            device.stop();
+        });
+
+        it('should report bus errors with EMCY', async function () {
+            const device = new Device({ id: 0xA });
+            device.eds.setEmcyCobId(0x8A);
+
+            const transport = new TestTransport();
+            await device.attach(transport);
+            device.start();
+
+            transport._setBusState(BusState.ERROR_PASSIVE);
+            transport._setBusState(BusState.BUS_OFF);
+            expect(device.eds.getErrorRegister() & 0x10).to.equal(0x10);
+
+            transport._setBusState(BusState.ERROR_ACTIVE);
+            expect(device.eds.getErrorRegister() & 0x10).to.equal(0);
+
+            transport.emit('overrun');
+
+            const codes = transport.written
+                .filter(({ id }) => id === 0x8A)
+                .map(({ data }) => data.readUInt16LE());
+
+            expect(codes).to.deep.equal([
+                EmcyCode.BUS_PASSIVE,
+                EmcyCode.BUS_OFF_RECOVERED,
+                EmcyCode.CAN_OVERRUN,
+            ]);
+
+            device.stop();
+        });
+    });
+
+    describe('VirtualBus', function () {
+        /**
+         * Open two transports on a bus and collect the frames received by the
+         * second one.
+         *
+         * @param {VirtualBus} bus - bus to join.
+         * @returns {Promise<object>} sender, receiver, and received frames.
+         */
+        async function join(bus) {
+            const sender = bus.createTransport();
+            const receiver = bus.createTransport();
+            await sender.open();
+            await receiver.open();
+
+            const received = [];
+            receiver.on('message', (m) => received.push(m));
+
+            return { sender, received };
+        }
+
+        it('should connect devices', async function () {
+            const bus = new VirtualBus();
+            const master = new Device({ id: 0xA });
+            const slaves = [new Device({ id: 0xB }), new Device({ id: 0xC })];
+
+            await bus.attach(master);
+            master.start();
+
+            for (const slave of slaves) {
+                const id = slave.id;
+                master.eds.addSdoClientParameter(id, 0x600 + id, 0x580 + id);
+                slave.eds.addSdoServerParameter(0xA, 0x580 + id, 0x600 + id);
+                slave.setValue(0x1000, id);
+
+                await bus.attach(slave);
+                slave.start();
+            }
+
+            const values = await Promise.all(slaves.map((slave) => {
+                return master.sdo.upload({
+                    deviceId: slave.id,
+                    index: 0x1000,
+                    dataType: DataType.UNSIGNED32,
+                });
+            }));
+
+            expect(values).to.deep.equal([0xB, 0xC]);
+
+            await bus.detach(slaves[0]);
+            expect(bus.transports.size).to.equal(2);
+
+            master.stop();
+            slaves.forEach((slave) => slave.stop());
+        });
+
+        it('should arbitrate by COB-ID', async function () {
+            const bus = new VirtualBus();
+            const { sender, received } = await join(bus);
+
+            for (const id of [0x300, 0x100, 0x4000000, 0x200, 0x100])
+                sender.send({ id, data: Buffer.from([id & 0xFF]) });
+
+            await new Promise((resolve) => setImmediate(resolve));
+            expect(received.map((m) => m.id)).to.deep.equal(
+                [0x100, 0x100, 0x4000000, 0x200, 0x300]);
+        });
+
+        it('should keep write order without arbitration', async function () {
+            const bus = new VirtualBus({ arbitration: false });
+            const { sender, received } = await join(bus);
+
+            for (const id of [0x300, 0x100, 0x200])
+                sender.send({ id, data: Buffer.alloc(0) });
+
+            await new Promise((resolve) => setImmediate(resolve));
+            expect(received.map((m) => m.id)).to.deep.equal(
+                [0x300, 0x100, 0x200]);
+        });
+
+        it('should delay frames', async function () {
+            const bus = new VirtualBus({ latency: (m) => m.id });
+            const { sender, received } = await join(bus);
+
+            sender.send({ id: 100, data: Buffer.alloc(0) });
+            sender.send({ id: 1, data: Buffer.alloc(0) });
+
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            expect(received.map((m) => m.id)).to.deep.equal([1]);
+
+            await new Promise((resolve) => setTimeout(resolve, 100));
+            expect(received.map((m) => m.id)).to.deep.equal([1, 100]);
+        });
+
+        it('should drop frames', async function () {
+            const bus = new VirtualBus({ dropRate: (m) => m.id === 0x100 });
+            const { sender, received } = await join(bus);
+
+            const dropped = [];
+            bus.on('drop', (m) => dropped.push(m.id));
+
+            sender.send({ id: 0x100, data: Buffer.alloc(0) });
+            sender.send({ id: 0x200, data: Buffer.alloc(0) });
+
+            await new Promise((resolve) => setImmediate(resolve));
+            expect(dropped).to.deep.equal([0x100]);
+            expect(received.map((m) => m.id)).to.deep.equal([0x200]);
+        });
+
+        it('should corrupt frames', async function () {
+            const bus = new VirtualBus({ corruptRate: 1, random: () => 0.5 });
+            const { sender, received } = await join(bus);
+
+            const frames = [];
+            bus.on('frame', (m) => frames.push(m));
+
+            sender.send({ id: 0x100, data: Buffer.from([0x00, 0x00]) });
+
+            await new Promise((resolve) => setImmediate(resolve));
+            expect(received[0].data).to.deep.equal(Buffer.from([0x00, 0x01]));
+            expect(frames[0].corrupted).to.be.true;
+        });
+    });
+
+    describe('SocketCanTransport', function () {
+        it('should translate frames', async function () {
+            const channel = new TestChannel();
+            const transport = new SocketCanTransport({ channel });
+            await transport.open();
+
+            const messages = [];
+            transport.on('message', (m) => messages.push(m));
+
+            transport.send({ id: 0x12345, data: Buffer.from([1]) });
+            expect(channel.sent[0].ext).to.be.true;
+
+            channel.emit('onMessage', { id: 0x18A, data: Buffer.from([2]) });
+            expect(messages).to.deep.equal([
+                { id: 0x18A, data: Buffer.from([2]), rtr: false },
+            ]);
+        });
+
+        it('should decode error frames', async function () {
+            const channel = new TestChannel();
+            const transport = new SocketCanTransport({ channel });
+            await transport.open();
+
+            const states = [];
+            transport.on('busState', ({ state }) => states.push(state));
+            transport.on('message', () => expect.fail('error frame passed'));
+
+            const error = (id, status) => channel.emit('onMessage', {
+                id,
+                data: Buffer.from([0, status, 0, 0, 0, 0, 0, 0]),
+                err: true,
+            });
+
+            error(0x004, 0x20); // Controller TX passive
+            error(0x040, 0x00); // Bus-off
+            error(0x100, 0x00); // Restarted
+
+            expect(states).to.deep.equal([
+                BusState.ERROR_PASSIVE,
+                BusState.BUS_OFF,
+                BusState.ERROR_ACTIVE,
+            ]);
+        });
+    });
+
+    describe('SlcanTransport', function () {
+        it('should open the channel', async function () {
+            const stream = createStream();
+            const transport = new SlcanTransport({ stream, bitrate: 500000 });
+            await transport.open();
+
+            expect(stream.written).to.deep.equal(['C\r', 'S6\r', 'O\r']);
+
+            await transport.close();
+            expect(stream.written.pop()).to.equal('C\r');
+        });
+
+        it('should encode frames', async function () {
+            const stream = createStream();
+            const transport = new SlcanTransport({ stream });
+            await transport.open();
+
+            transport.send({ id: 0x60B, data: Buffer.from([0x40, 0x08]) });
+            transport.send({ id: 0x1ABCDEF, data: Buffer.alloc(0) });
+            transport.send({ id: 0x70B, data: Buffer.alloc(1), rtr: true });
+
+            expect(stream.written.slice(-3)).to.deep.equal([
+                't60B24008\r',
+                'T01ABCDEF0\r',
+                'r70B1\r',
+            ]);
+        });
+
+        it('should decode frames', async function () {
+            const stream = createStream();
+            const transport = new SlcanTransport({ stream });
+            await transport.open();
+
+            const messages = [];
+            transport.on('message', (m) => messages.push(m));
+
+            stream.emit('data', Buffer.from('t58B24'));
+            stream.emit('data', Buffer.from('00F\rr70B1\r\x07'));
+
+            expect(messages).to.deep.equal([
+                { id: 0x58B, data: Buffer.from([0x40, 0x0F]), rtr: false },
+                { id: 0x70B, data: Buffer.alloc(1), rtr: true },
+            ]);
+        });
+
+        it('should report stream errors', async function () {
+            const stream = createStream();
+            const transport = new SlcanTransport({ stream });
+            await transport.open();
+
+            const errors = [];
+            const states = [];
+            transport.on('error', (error) => errors.push(error));
+            transport.on('busState', ({ state }) => states.push(state));
+
+            const error = new Error('test error');
+            stream.emit('error', error);
+            stream.emit('error', error);
+            expect(errors).to.deep.equal([error, error]);
+            expect(states).to.deep.equal([BusState.BUS_OFF]);
+
+            await transport.close();
+            expect(stream.listenerCount('error')).to.equal(0);
+            expect(stream.listenerCount('close')).to.equal(0);
+        });
+
+        it('should go bus off when the stream closes', async function () {
+            const stream = createStream();
+            const transport = new SlcanTransport({ stream });
+            await transport.open();
+
+            stream.emit('close');
+            expect(transport.busState).to.equal(BusState.BUS_OFF);
+
+            await transport.close();
+        });
+
+        it('should decode status flags', async function () {
+            const stream = createStream();
+            const transport = new SlcanTransport({ stream });
+            await transport.open();
+
+            const states = [];
+            transport.on('busState', ({ state }) => states.push(state));
+
+            // 0x80 is a bus error, not bus off
+            stream.emit('data', Buffer.from('F20\rF80\rFA0\rF00\r'));
+            expect(states).to.deep.equal([
+                BusState.ERROR_PASSIVE,
+                BusState.ERROR_ACTIVE,
+                BusState.ERROR_PASSIVE,
+                BusState.ERROR_ACTIVE,
+            ]);
+        });
+    });
+});